@@ -1,3 +1,5 @@
+const path = require('path');
+
 module.exports = {
   port: process.env.PORT || 3001,
   jwtSecret: process.env.JWT_SECRET || 'rr-dev-secret-change-in-production-2024',
@@ -13,5 +15,154 @@ module.exports = {
   pagination: {
     defaultLimit: 20,
     maxLimit: 100
-  }
+  },
+  routing: {
+    // Road network extract (.osm XML or prebuilt .json graph); speed matrix when unset
+    graphFile: process.env.ROUTING_GRAPH_FILE || null,
+    maxMinutes: 120,
+    // circuity: road miles per straight-line mile; overheadMinutes: parking, waiting, transfers
+    modes: {
+      walking: { mph: 3, circuity: 1.25, overheadMinutes: 0 },
+      transit: { mph: 12, circuity: 1.4, overheadMinutes: 8 },
+      driving: { mph: 18, circuity: 1.35, overheadMinutes: 5 },
+    },
+  },
+  watches: {
+    maxPerUser: 50,
+    // Inventory changes are batched for this long before watches are re-checked
+    evaluateDelayMs: 2000,
+  },
+  reservations: {
+    // Checkout holds stock this long waiting for payment or store confirmation
+    holdMinutes: 15,
+    // Starting a Stripe payment stretches the hold (Checkout sessions get at least 31 minutes)
+    paymentHoldMinutes: 30,
+    sweepSeconds: 30,
+  },
+  payouts: {
+    // Weekly batches are settled on the first run after their week ends
+    settleIntervalMinutes: 60,
+  },
+  dispatch: {
+    // Ready delivery orders without a courier are retried this often
+    intervalSeconds: 30,
+    // Couriers farther than this from the store aren't offered the order
+    maxPickupMiles: 10,
+    // A courier whose last GPS ping is older than this isn't dispatched to
+    staleMinutes: 5,
+    // Handover time at the store, added to ETAs before pickup
+    pickupMinutes: 5,
+    // GPS pings kept per delivery for the tracking trail
+    trailLength: 50,
+  },
+  slots: {
+    // How far ahead checkout offers pickup / delivery windows
+    horizonDays: 3,
+    // Default minimum notice between ordering and a slot's start
+    defaultLeadMinutes: 60,
+    minIntervalMinutes: 15,
+    maxIntervalMinutes: 240,
+    maxCapacity: 500,
+  },
+  i18n: {
+    // Notification template locales (data/notification-templates); users pick one on their profile
+    locales: ['en', 'es'],
+    defaultLocale: 'en',
+  },
+  notifications: {
+    // How often queued email / SMS / push deliveries are retried
+    intervalSeconds: 30,
+    retry: { maxAttempts: 5, baseSeconds: 60 },   // 60s, 2m, 4m, 8m between attempts
+    // Channels held back during a user's quiet hours (email is never intrusive)
+    quietChannels: ['sms', 'push'],
+    // Where the file transports write (<channel>.jsonl)
+    outboxDir: process.env.NOTIFY_OUTBOX_DIR || path.join(__dirname, '../data/outbox'),
+    email: {
+      transport: process.env.EMAIL_TRANSPORT || 'console',   // console | file | smtp
+      from: process.env.EMAIL_FROM || 'Retail Radar <notifications@retailradar.local>',
+      smtp: {
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT || '587', 10),
+        secure: process.env.SMTP_SECURE === 'true',   // implicit TLS (465); otherwise STARTTLS when offered
+        user: process.env.SMTP_USER || '',
+        pass: process.env.SMTP_PASS || '',
+        timeoutMs: 15000,
+      },
+    },
+    sms: {
+      transport: process.env.SMS_TRANSPORT || 'console',   // console | file | twilio
+      from: process.env.SMS_FROM || '',
+      twilio: {
+        accountSid: process.env.TWILIO_ACCOUNT_SID || '',
+        authToken: process.env.TWILIO_AUTH_TOKEN || '',
+        apiBase: process.env.TWILIO_API_BASE || 'https://api.twilio.com',
+      },
+      maxLength: 320,
+    },
+    push: {
+      transport: process.env.PUSH_TRANSPORT || 'console',   // console | file | webpush
+      // Generate once with services/channels/web-push generateVapidKeys(); ephemeral keys are used when unset
+      vapid: {
+        publicKey: process.env.VAPID_PUBLIC_KEY || '',
+        privateKey: process.env.VAPID_PRIVATE_KEY || '',
+        subject: process.env.VAPID_SUBJECT || 'mailto:notifications@retailradar.local',
+      },
+      ttlSeconds: 24 * 60 * 60,
+    },
+  },
+  realtime: {
+    // Comment line sent on idle streams so proxies don't close them
+    heartbeatSeconds: 25,
+    // Events kept for clients reconnecting with Last-Event-ID
+    replaySize: 200,
+    // Reconnect delay suggested to EventSource clients
+    retryMs: 3000,
+    // Lifetime of the ?token= a browser opens its stream with
+    streamTokenSeconds: 60,
+  },
+  tax: {
+    // Rate table by state / county / city with exemption classes (services/tax)
+    ratesFile: process.env.TAX_RATES_FILE || path.join(__dirname, '../data/tax-rates.json'),
+    // Where a fee preview is taxed when it names no store or items
+    defaultLocation: { state: 'NY', city: 'Brooklyn' },
+  },
+  affiliate: {
+    // Unconverted clicks are dropped after this; networks report within ~30-90 days
+    clickRetentionDays: parseInt(process.env.CLICK_RETENTION_DAYS, 10) || 120,
+    sweepHours: 6,
+  },
+  analytics: {
+    // Background job folding new raw events into the hourly and daily rollups
+    rollupSeconds: 60,
+    // Raw events and hourly rollups are dropped after these; daily rollups are kept
+    rawRetentionDays: 30,
+    hourlyRetentionDays: 35,
+  },
+  searchLog: {
+    // Geohash length of the logged location cell (5 ≈ 3 x 3 miles)
+    cellPrecision: 5,
+    // Long enough to compare a 30-day insights window with the one before
+    retentionDays: 90,
+    sweepHours: 6,
+  },
+  insights: {
+    periodDays: 30,
+    // A term is rising / falling when its searches move more than this vs the previous period
+    trendThreshold: 0.15,
+    // Share of missed searches assumed to turn into a sale, for revenue estimates
+    captureRate: 0.05,
+  },
+  forecast: {
+    // Days of sales history read per store
+    historyDays: 56,
+    horizonDays: 14,
+    // Weekly pattern; Holt-Winters needs two full seasons of history
+    seasonLength: 7,
+    smoothing: { alpha: 0.3, beta: 0.05, gamma: 0.2 },
+    // Supplier lead time and how often orders are placed, in days
+    leadTimeDays: 3,
+    reviewDays: 7,
+    // ~95% service level
+    serviceLevelZ: 1.65,
+  },
 };
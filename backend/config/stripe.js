@@ -11,6 +11,12 @@ module.exports = {
   webhookSecret: process.env.STRIPE_WEBHOOK_SECRET || 'whsec_mock_secret',
   publishableKey: process.env.STRIPE_PUBLISHABLE_KEY || 'pk_test_mock_key_for_development',
 
+  // Send SDK calls to a local stripe-mock (e.g. http://localhost:12111) instead of api.stripe.com
+  apiBase: process.env.STRIPE_API_BASE || null,
+
+  // Currency for one-off order payments
+  currency: 'usd',
+
   // Base URL for success/cancel redirects
   appUrl: process.env.APP_URL || 'http://localhost:3001',
 
@@ -0,0 +1,178 @@
+/**
+ * Retail Radar - Notification Templates
+ *
+ * Keyed by template id: the notification `type`, optionally followed by
+ * `/variant` when one type is worded differently for different readers
+ * (return_requested/store vs /customer). Each template has a variant per
+ * locale; a missing locale falls back to English.
+ *
+ * Placeholders (services/templates):
+ *   {name}                          value as given
+ *   {n, number} {n, currency}       localized number / USD amount
+ *   {items, list}                   array joined as "a, b and c"
+ *   {status, term, orderStatus}     word from the locale's TERMS table
+ *   {n, plural, one {# item} other {# items}}   plural rules, # = n
+ *   {x, select, none {…} a {…} other {…}}       none = null / empty
+ */
+
+const TERMS = {
+  en: {
+    orderStatus: {
+      pending: 'pending', confirmed: 'confirmed', preparing: 'preparing', ready: 'ready',
+      out_for_delivery: 'out for delivery', delivered: 'delivered', picked_up: 'picked up', cancelled: 'cancelled',
+    },
+    interval: { month: 'month', year: 'year' },
+  },
+  es: {
+    orderStatus: {
+      pending: 'pendiente', confirmed: 'confirmado', preparing: 'en preparación', ready: 'listo',
+      out_for_delivery: 'en camino', delivered: 'entregado', picked_up: 'recogido', cancelled: 'cancelado',
+    },
+    interval: { month: 'mes', year: 'año' },
+  },
+};
+
+const TEMPLATES = {
+  order_created: {
+    en: {
+      title: 'Order Placed',
+      message: 'Your order #{orderRef} has been placed{storeCount, plural, one {} other { from # stores}}. Total: {total, currency}',
+    },
+    es: {
+      title: 'Pedido realizado',
+      message: 'Tu pedido #{orderRef} se ha realizado{storeCount, plural, one {} other { en # tiendas}}. Total: {total, currency}',
+    },
+  },
+  order_status: {
+    en: {
+      title: 'Order {status, term, orderStatus}',
+      message: 'Your order #{orderRef} from store {storeId} is now {status, term, orderStatus}.',
+    },
+    es: {
+      title: 'Pedido {status, term, orderStatus}',
+      message: 'Tu pedido #{orderRef} de la tienda {storeId} ahora está {status, term, orderStatus}.',
+    },
+  },
+  'return_requested/store': {
+    en: {
+      title: 'Return requested',
+      message: 'A customer wants to return {count, plural, one {# item} other {# items}} ({amount, currency}) from order #{orderRef}.',
+    },
+    es: {
+      title: 'Devolución solicitada',
+      message: 'Un cliente quiere devolver {count, plural, one {# artículo} other {# artículos}} ({amount, currency}) del pedido #{orderRef}.',
+    },
+  },
+  'return_requested/customer': {
+    en: {
+      title: 'Return requested',
+      message: "We've sent your return request to {storeCount, plural, one {the store} other {# stores}}.",
+    },
+    es: {
+      title: 'Devolución solicitada',
+      message: 'Hemos enviado tu solicitud de devolución a {storeCount, plural, one {la tienda} other {# tiendas}}.',
+    },
+  },
+  return_approved: {
+    en: {
+      title: 'Return approved',
+      message: 'Store {storeId} approved your return of {items, list} from order #{orderRef}.',
+    },
+    es: {
+      title: 'Devolución aprobada',
+      message: 'La tienda {storeId} aprobó tu devolución de {items, list} del pedido #{orderRef}.',
+    },
+  },
+  return_rejected: {
+    en: {
+      title: 'Return declined',
+      message: 'Store {storeId} declined your return on order #{orderRef}{note, select, none {.} other {: {note}}}',
+    },
+    es: {
+      title: 'Devolución rechazada',
+      message: 'La tienda {storeId} rechazó tu devolución del pedido #{orderRef}{note, select, none {.} other {: {note}}}',
+    },
+  },
+  refund_issued: {
+    en: {
+      title: 'Refund issued',
+      message: '{amount, currency} is on its way back to your card for order #{orderRef}.',
+    },
+    es: {
+      title: 'Reembolso emitido',
+      message: 'Te devolvemos {amount, currency} a tu tarjeta por el pedido #{orderRef}.',
+    },
+  },
+  delivery_assigned: {
+    en: {
+      title: 'New delivery',
+      message: 'Pick up order #{orderRef} at store {storeId} ({distance, number} mi away).',
+    },
+    es: {
+      title: 'Nueva entrega',
+      message: 'Recoge el pedido #{orderRef} en la tienda {storeId} (a {distance, number} mi).',
+    },
+  },
+  courier_assigned: {
+    en: {
+      title: 'Courier on the way',
+      message: '{courierName, select, none {A courier} other {{courierName}}} is picking up your order #{orderRef} from store {storeId}.',
+    },
+    es: {
+      title: 'Repartidor en camino',
+      message: '{courierName, select, none {Un repartidor} other {{courierName}}} está recogiendo tu pedido #{orderRef} en la tienda {storeId}.',
+    },
+  },
+  'price_alert/back_in_stock': {
+    en: {
+      title: 'Back in stock: {product}',
+      message: '{product} is back in stock{storeName, select, none {} other { at {storeName}}} for {price, currency}.',
+    },
+    es: {
+      title: 'De nuevo disponible: {product}',
+      message: '{product} vuelve a estar disponible{storeName, select, none {} other { en {storeName}}} por {price, currency}.',
+    },
+  },
+  'price_alert/target_price': {
+    en: {
+      title: 'Price alert: {product}',
+      message: '{product} is {price, currency}{storeName, select, none {} other { at {storeName}}}, at or below your target of {target, currency}.',
+    },
+    es: {
+      title: 'Alerta de precio: {product}',
+      message: '{product} cuesta {price, currency}{storeName, select, none {} other { en {storeName}}}, igual o menos que tu objetivo de {target, currency}.',
+    },
+  },
+  'price_alert/any_drop': {
+    en: {
+      title: 'Price drop: {product}',
+      message: '{product} dropped from {previousPrice, currency} to {price, currency}{storeName, select, none {} other { at {storeName}}}.',
+    },
+    es: {
+      title: 'Bajada de precio: {product}',
+      message: '{product} bajó de {previousPrice, currency} a {price, currency}{storeName, select, none {} other { en {storeName}}}.',
+    },
+  },
+  'subscription/store': {
+    en: {
+      title: 'Subscription Active',
+      message: 'Your store is now on the {plan} plan ({price, currency}/mo).{trialDays, plural, =0 {} one { # day free trial started.} other { #-day free trial started.}}',
+    },
+    es: {
+      title: 'Suscripción activa',
+      message: 'Tu tienda ya está en el plan {plan} ({price, currency}/mes).{trialDays, plural, =0 {} one { Comenzó # día de prueba gratis.} other { Comenzaron # días de prueba gratis.}}',
+    },
+  },
+  'subscription/member': {
+    en: {
+      title: 'Welcome to {plan}!',
+      message: "{trialDays, plural, =0 {You're on the free plan. Upgrade anytime for free delivery and exclusive deals.} other {Your #-day free trial has started. You'll be charged {price, currency}/{interval, term, interval} after the trial.}}",
+    },
+    es: {
+      title: '¡Bienvenido a {plan}!',
+      message: '{trialDays, plural, =0 {Estás en el plan gratuito. Mejora cuando quieras para tener envío gratis y ofertas exclusivas.} one {Tu prueba gratis de # día ha comenzado. Se te cobrará {price, currency}/{interval, term, interval} al terminar.} other {Tu prueba gratis de # días ha comenzado. Se te cobrará {price, currency}/{interval, term, interval} al terminar.}}',
+    },
+  },
+};
+
+module.exports = { TEMPLATES, TERMS };
@@ -0,0 +1,31 @@
+/**
+ * Retail Radar - Default Search Synonyms
+ *
+ * Each group lists words/phrases shoppers use interchangeably. Groups are
+ * bidirectional: a query for any member also matches the others.
+ * Seeded into the `synonyms` table on first run; admins edit them through
+ * /api/search/synonyms afterwards.
+ */
+
+const DEFAULT_SYNONYMS = [
+  ['hdmi', 'hdmi cable'],
+  ['flashlight', 'torch'],
+  ['light bulb', 'lightbulb', 'bulb'],
+  ['extension cord', 'extension cable', 'power cord'],
+  ['power bank', 'portable charger', 'battery pack'],
+  ['power strip', 'surge protector'],
+  ['tape measure', 'measuring tape'],
+  ['trash bag', 'garbage bag', 'bin liner'],
+  ['usb c', 'type c'],
+  ['phone charger', 'charging cable'],
+  ['tv', 'television'],
+  ['couch', 'sofa'],
+  ['faucet', 'tap'],
+  ['wrench', 'spanner'],
+  ['diaper', 'nappy'],
+  ['soda', 'soft drink'],
+  ['sneakers', 'trainers'],
+  ['earbuds', 'earphones', 'headphones'],
+];
+
+module.exports = { DEFAULT_SYNONYMS };
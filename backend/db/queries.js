@@ -7,6 +7,7 @@
  */
 
 const sqlite = require('./sqlite');
+const storeIndex = require('../services/store-index');
 
 // ============================================
 // SEARCH QUERIES
@@ -133,61 +134,13 @@ function countSearchResults({ query, category, retailer, minPrice, maxPrice, inS
 }
 
 /**
- * Find stores near a location using Haversine approximation in SQL.
+ * Find stores near a location.
+ * Served from the in-memory spatial index (services/store-index), which
+ * mirrors the stores table; nearest first, with `distance` in miles.
  */
 function findNearbyStores(lat, lng, radiusMiles = 10, retailerFilter = null) {
-  const db = sqlite.db;
-  if (!db) return [];
-
-  // Approximate: 1 degree lat ≈ 69 miles
-  const latRange = radiusMiles / 69;
-  const lngRange = radiusMiles / (69 * Math.cos(lat * Math.PI / 180));
-
-  let params = [lat - latRange, lat + latRange, lng - lngRange, lng + lngRange, lat, lat, lng, lng];
-  let retailerClause = '';
-
-  if (retailerFilter) {
-    retailerClause = 'AND retailer = ?';
-    params.push(retailerFilter);
-  }
-
-  const sql = `
-    SELECT *,
-      (3959 * ACOS(
-        COS(? * 3.14159 / 180) * COS(lat * 3.14159 / 180) *
-        COS((lng - ?) * 3.14159 / 180) +
-        SIN(? * 3.14159 / 180) * SIN(lat * 3.14159 / 180)
-      )) AS distance
-    FROM stores
-    WHERE lat BETWEEN ? AND ? AND lng BETWEEN ? AND ?
-    ${retailerClause}
-    ORDER BY distance ASC
-  `;
-
-  // Reorder params: acos needs lat, lng, lat first, then the BETWEEN
-  const orderedParams = [lat, lng, lat, lat - latRange, lat + latRange, lng - lngRange, lng + lngRange];
-  if (retailerFilter) orderedParams.push(retailerFilter);
-
-  try {
-    const results = db.exec(sql, orderedParams);
-    if (!results.length) return [];
-
-    const cols = results[0].columns;
-    return results[0].values.map(row => {
-      const obj = {};
-      cols.forEach((col, i) => {
-        let val = row[i];
-        if (typeof val === 'string' && (val.startsWith('[') || val.startsWith('{'))) {
-          try { val = JSON.parse(val); } catch (e) {}
-        }
-        obj[col] = val;
-      });
-      return obj;
-    }).filter(s => s.distance <= radiusMiles);
-  } catch (err) {
-    console.error('[Query] findNearbyStores error:', err.message);
-    return [];
-  }
+  const stores = storeIndex.withinRadius(lat, lng, radiusMiles);
+  return retailerFilter ? stores.filter(s => s.retailer === retailerFilter) : stores;
 }
 
 /**
@@ -358,6 +311,46 @@ function getPriceComparison(productName, lat, lng, radiusMiles = 15) {
   }
 }
 
+/**
+ * Price/stock change log, oldest first. Filter by inventoryId or productSku
+ * (optionally storeId); `since` is an ISO timestamp, `limit` keeps the latest N.
+ */
+function getPriceHistory({ inventoryId, productSku, storeId, since, limit } = {}) {
+  const db = sqlite.db;
+  if (!db) return [];
+
+  const conditions = [];
+  const params = [];
+  if (inventoryId) { conditions.push('inventoryId = ?'); params.push(inventoryId); }
+  if (productSku) { conditions.push('productSku = ?'); params.push(productSku); }
+  if (storeId) { conditions.push('storeId = ?'); params.push(storeId); }
+  if (since) { conditions.push('recordedAt >= ?'); params.push(since); }
+  if (!conditions.length) return [];
+
+  const sql = `
+    SELECT * FROM price_history
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY recordedAt DESC, rowid DESC
+    LIMIT ?
+  `;
+  params.push(limit || 1000);
+
+  try {
+    const results = db.exec(sql, params);
+    if (!results.length) return [];
+    const cols = results[0].columns;
+    return results[0].values.map(row => {
+      const obj = {};
+      cols.forEach((col, i) => { obj[col] = row[i]; });
+      obj.inStock = !!obj.inStock;
+      return obj;
+    }).reverse();
+  } catch (err) {
+    console.error('[Query] getPriceHistory error:', err.message);
+    return [];
+  }
+}
+
 module.exports = {
   searchInventory,
   countSearchResults,
@@ -367,4 +360,5 @@ module.exports = {
   getCategories,
   getSuggestions,
   getPriceComparison,
+  getPriceHistory,
 };
@@ -55,6 +55,7 @@ function createTables() {
       stripeCustomerId TEXT,
       favorites TEXT DEFAULT '[]',
       savedStores TEXT DEFAULT '[]',
+      locale TEXT DEFAULT 'en',
       createdAt TEXT,
       updatedAt TEXT
     )
@@ -211,6 +212,272 @@ function createTables() {
     )
   `);
 
+  sqlDb.run(`
+    CREATE TABLE IF NOT EXISTS synonyms (
+      id TEXT PRIMARY KEY,
+      terms TEXT DEFAULT '[]',
+      createdAt TEXT,
+      updatedAt TEXT
+    )
+  `);
+
+  // Append-only: one row per price/stock change of an inventory record
+  sqlDb.run(`
+    CREATE TABLE IF NOT EXISTS price_history (
+      id TEXT PRIMARY KEY,
+      inventoryId TEXT NOT NULL,
+      storeId TEXT,
+      productSku TEXT,
+      price REAL,
+      previousPrice REAL,
+      quantity INTEGER,
+      previousQuantity INTEGER,
+      inStock INTEGER,
+      changeType TEXT,
+      source TEXT,
+      userId TEXT,
+      recordedAt TEXT
+    )
+  `);
+
+  sqlDb.run(`
+    CREATE TABLE IF NOT EXISTS price_watches (
+      id TEXT PRIMARY KEY,
+      userId TEXT NOT NULL,
+      sku TEXT,
+      query TEXT,
+      lat REAL,
+      lng REAL,
+      radius REAL,
+      condition TEXT NOT NULL,
+      targetPrice REAL,
+      status TEXT DEFAULT 'active',
+      lastPrice REAL,
+      lastInStock INTEGER,
+      conditionMet INTEGER DEFAULT 0,
+      alertCount INTEGER DEFAULT 0,
+      lastAlertAt TEXT,
+      createdAt TEXT,
+      updatedAt TEXT
+    )
+  `);
+
+  sqlDb.run(`
+    CREATE TABLE IF NOT EXISTS reservations (
+      id TEXT PRIMARY KEY,
+      inventoryId TEXT NOT NULL,
+      storeId TEXT,
+      orderId TEXT,
+      parentOrderId TEXT,
+      userId TEXT,
+      quantity INTEGER NOT NULL,
+      status TEXT DEFAULT 'held',
+      reason TEXT,
+      expiresAt TEXT,
+      createdAt TEXT,
+      updatedAt TEXT
+    )
+  `);
+
+  sqlDb.run(`
+    CREATE TABLE IF NOT EXISTS payout_entries (
+      id TEXT PRIMARY KEY,
+      storeId TEXT NOT NULL,
+      orderId TEXT,
+      parentOrderId TEXT,
+      batchId TEXT,
+      returnId TEXT,
+      fromBatchId TEXT,
+      type TEXT NOT NULL,
+      planId TEXT,
+      commissionRate REAL,
+      deliveryCommissionRate REAL,
+      subtotal REAL,
+      deliveryFee REAL,
+      tax REAL,
+      gross REAL,
+      commission REAL,
+      net REAL,
+      recordedAt TEXT
+    )
+  `);
+
+  sqlDb.run(`
+    CREATE TABLE IF NOT EXISTS payout_batches (
+      id TEXT PRIMARY KEY,
+      storeId TEXT NOT NULL,
+      periodStart TEXT,
+      periodEnd TEXT,
+      status TEXT DEFAULT 'open',
+      entryCount INTEGER DEFAULT 0,
+      gross REAL DEFAULT 0,
+      commission REAL DEFAULT 0,
+      net REAL DEFAULT 0,
+      transferId TEXT,
+      failureReason TEXT,
+      paidAt TEXT,
+      createdAt TEXT,
+      updatedAt TEXT
+    )
+  `);
+
+  sqlDb.run(`
+    CREATE TABLE IF NOT EXISTS payout_accounts (
+      storeId TEXT PRIMARY KEY,
+      userId TEXT,
+      stripeAccountId TEXT NOT NULL,
+      payoutsEnabled INTEGER DEFAULT 0,
+      createdAt TEXT,
+      updatedAt TEXT
+    )
+  `);
+
+  sqlDb.run(`
+    CREATE TABLE IF NOT EXISTS returns (
+      id TEXT PRIMARY KEY,
+      orderId TEXT NOT NULL,
+      parentOrderId TEXT,
+      storeId TEXT,
+      userId TEXT,
+      items TEXT,
+      reason TEXT,
+      status TEXT DEFAULT 'requested',
+      subtotal REAL,
+      tax REAL,
+      refundAmount REAL,
+      restocked INTEGER DEFAULT 0,
+      refundStatus TEXT,
+      stripeRefundId TEXT,
+      decisionNote TEXT,
+      decidedBy TEXT,
+      decidedAt TEXT,
+      createdAt TEXT,
+      updatedAt TEXT
+    )
+  `);
+
+  sqlDb.run(`
+    CREATE TABLE IF NOT EXISTS courier_shifts (
+      id TEXT PRIMARY KEY,
+      courierId TEXT NOT NULL,
+      status TEXT DEFAULT 'active',
+      availability TEXT DEFAULT 'available',
+      mode TEXT DEFAULT 'driving',
+      lat REAL,
+      lng REAL,
+      lastPingAt TEXT,
+      deliveryCount INTEGER DEFAULT 0,
+      startedAt TEXT,
+      endedAt TEXT,
+      createdAt TEXT,
+      updatedAt TEXT
+    )
+  `);
+
+  sqlDb.run(`
+    CREATE TABLE IF NOT EXISTS deliveries (
+      id TEXT PRIMARY KEY,
+      orderId TEXT NOT NULL,
+      parentOrderId TEXT,
+      storeId TEXT,
+      userId TEXT,
+      courierId TEXT,
+      shiftId TEXT,
+      status TEXT DEFAULT 'assigned',
+      pickup TEXT,
+      dropoff TEXT,
+      assignDistance REAL,
+      reason TEXT,
+      assignedAt TEXT,
+      pickedUpAt TEXT,
+      deliveredAt TEXT,
+      createdAt TEXT,
+      updatedAt TEXT
+    )
+  `);
+
+  sqlDb.run(`
+    CREATE TABLE IF NOT EXISTS slot_templates (
+      id TEXT PRIMARY KEY,
+      storeId TEXT NOT NULL,
+      fulfillment TEXT NOT NULL,
+      intervalMinutes INTEGER NOT NULL,
+      capacity INTEGER NOT NULL,
+      days TEXT,
+      windowStart TEXT,
+      windowEnd TEXT,
+      leadMinutes INTEGER DEFAULT 0,
+      active INTEGER DEFAULT 1,
+      createdBy TEXT,
+      createdAt TEXT,
+      updatedAt TEXT
+    )
+  `);
+
+  sqlDb.run(`
+    CREATE TABLE IF NOT EXISTS slot_bookings (
+      id TEXT PRIMARY KEY,
+      slotId TEXT NOT NULL,
+      templateId TEXT,
+      storeId TEXT,
+      orderId TEXT,
+      parentOrderId TEXT,
+      userId TEXT,
+      fulfillment TEXT,
+      slotStart TEXT,
+      slotEnd TEXT,
+      status TEXT DEFAULT 'booked',
+      createdAt TEXT,
+      updatedAt TEXT
+    )
+  `);
+
+  sqlDb.run(`
+    CREATE TABLE IF NOT EXISTS notification_preferences (
+      userId TEXT PRIMARY KEY,
+      email TEXT,
+      phone TEXT,
+      channels TEXT,
+      quietHours TEXT,
+      createdAt TEXT,
+      updatedAt TEXT
+    )
+  `);
+
+  sqlDb.run(`
+    CREATE TABLE IF NOT EXISTS push_subscriptions (
+      id TEXT PRIMARY KEY,
+      userId TEXT NOT NULL,
+      endpoint TEXT UNIQUE NOT NULL,
+      keys TEXT,
+      userAgent TEXT,
+      createdAt TEXT,
+      updatedAt TEXT
+    )
+  `);
+
+  sqlDb.run(`
+    CREATE TABLE IF NOT EXISTS notification_deliveries (
+      id TEXT PRIMARY KEY,
+      notificationId TEXT,
+      userId TEXT,
+      channel TEXT,
+      type TEXT,
+      category TEXT,
+      target TEXT,
+      message TEXT,
+      status TEXT DEFAULT 'queued',
+      attempts INTEGER DEFAULT 0,
+      nextAttemptAt TEXT,
+      heldForQuietHours INTEGER DEFAULT 0,
+      lastError TEXT,
+      providerId TEXT,
+      sentAt TEXT,
+      createdAt TEXT,
+      updatedAt TEXT
+    )
+  `);
+
   sqlDb.run(`
     CREATE TABLE IF NOT EXISTS scraper_jobs (
       id TEXT PRIMARY KEY,
@@ -224,6 +491,114 @@ function createTables() {
     )
   `);
 
+  sqlDb.run(`
+    CREATE TABLE IF NOT EXISTS clicks (
+      id TEXT PRIMARY KEY,
+      token TEXT NOT NULL,
+      sessionId TEXT,
+      userId TEXT,
+      productSku TEXT,
+      productName TEXT,
+      retailerKey TEXT,
+      storeId TEXT,
+      price REAL,
+      action TEXT DEFAULT 'click',
+      source TEXT,
+      userAgent TEXT,
+      createdAt TEXT
+    )
+  `);
+
+  sqlDb.run(`
+    CREATE TABLE IF NOT EXISTS affiliate_conversions (
+      id TEXT PRIMARY KEY,
+      network TEXT NOT NULL,
+      transactionId TEXT NOT NULL,
+      clickToken TEXT,
+      clickId TEXT,
+      userId TEXT,
+      sessionId TEXT,
+      productSku TEXT,
+      storeId TEXT,
+      retailerKey TEXT,
+      saleAmount REAL DEFAULT 0,
+      commission REAL DEFAULT 0,
+      currency TEXT DEFAULT 'USD',
+      status TEXT DEFAULT 'pending',
+      occurredAt TEXT,
+      importId TEXT,
+      importedBy TEXT,
+      createdAt TEXT,
+      updatedAt TEXT,
+      UNIQUE(network, transactionId)
+    )
+  `);
+
+  // Append-only; seq orders events for the rollup job's cursor
+  sqlDb.run(`
+    CREATE TABLE IF NOT EXISTS analytics_events (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      occurredAt TEXT NOT NULL,
+      sessionId TEXT,
+      userId TEXT,
+      retailerKey TEXT,
+      storeId TEXT,
+      productSku TEXT,
+      category TEXT,
+      city TEXT,
+      action TEXT,
+      quantity REAL DEFAULT 0,
+      value REAL DEFAULT 0,
+      query TEXT,
+      properties TEXT
+    )
+  `);
+
+  sqlDb.run(`
+    CREATE TABLE IF NOT EXISTS analytics_rollups (
+      id TEXT PRIMARY KEY,
+      granularity TEXT NOT NULL,
+      bucket TEXT NOT NULL,
+      type TEXT NOT NULL,
+      retailerKey TEXT,
+      storeId TEXT,
+      category TEXT,
+      city TEXT,
+      action TEXT,
+      events INTEGER DEFAULT 0,
+      quantity REAL DEFAULT 0,
+      value REAL DEFAULT 0,
+      updatedAt TEXT
+    )
+  `);
+
+  // Location is kept as a geohash cell, not the searcher's coordinates
+  sqlDb.run(`
+    CREATE TABLE IF NOT EXISTS search_log (
+      id TEXT PRIMARY KEY,
+      query TEXT,
+      normalizedQuery TEXT,
+      queryKey TEXT,
+      cell TEXT,
+      resultCount INTEGER DEFAULT 0,
+      zeroResults INTEGER DEFAULT 0,
+      category TEXT,
+      productSkus TEXT,
+      sessionId TEXT,
+      userId TEXT,
+      createdAt TEXT
+    )
+  `);
+
+  sqlDb.run(`
+    CREATE TABLE IF NOT EXISTS analytics_state (
+      key TEXT PRIMARY KEY,
+      value TEXT
+    )
+  `);
+
   // Indexes
   sqlDb.run('CREATE INDEX IF NOT EXISTS idx_inventory_store ON inventory(storeId)');
   sqlDb.run('CREATE INDEX IF NOT EXISTS idx_inventory_category ON inventory(category)');
@@ -232,6 +607,33 @@ function createTables() {
   sqlDb.run('CREATE INDEX IF NOT EXISTS idx_stores_retailer ON stores(retailer)');
   sqlDb.run('CREATE INDEX IF NOT EXISTS idx_orders_user ON orders(userId)');
   sqlDb.run('CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)');
+  sqlDb.run('CREATE INDEX IF NOT EXISTS idx_price_history_inventory ON price_history(inventoryId, recordedAt)');
+  sqlDb.run('CREATE INDEX IF NOT EXISTS idx_price_history_sku ON price_history(productSku, recordedAt)');
+  sqlDb.run('CREATE INDEX IF NOT EXISTS idx_price_watches_user ON price_watches(userId)');
+  sqlDb.run('CREATE INDEX IF NOT EXISTS idx_reservations_status ON reservations(status, expiresAt)');
+  sqlDb.run('CREATE INDEX IF NOT EXISTS idx_payout_entries_store ON payout_entries(storeId, batchId)');
+  sqlDb.run('CREATE INDEX IF NOT EXISTS idx_returns_store ON returns(storeId, status)');
+  sqlDb.run('CREATE INDEX IF NOT EXISTS idx_courier_shifts_courier ON courier_shifts(courierId, status)');
+  sqlDb.run('CREATE INDEX IF NOT EXISTS idx_deliveries_order ON deliveries(orderId)');
+  sqlDb.run('CREATE INDEX IF NOT EXISTS idx_slot_templates_store ON slot_templates(storeId)');
+  sqlDb.run('CREATE INDEX IF NOT EXISTS idx_slot_bookings_slot ON slot_bookings(slotId, status)');
+  sqlDb.run('CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user ON push_subscriptions(userId)');
+  sqlDb.run('CREATE INDEX IF NOT EXISTS idx_notification_deliveries_status ON notification_deliveries(status, nextAttemptAt)');
+  sqlDb.run('CREATE INDEX IF NOT EXISTS idx_clicks_token ON clicks(token)');
+  sqlDb.run('CREATE INDEX IF NOT EXISTS idx_clicks_created ON clicks(createdAt)');
+  sqlDb.run('CREATE INDEX IF NOT EXISTS idx_analytics_events_occurred ON analytics_events(occurredAt)');
+  sqlDb.run('CREATE INDEX IF NOT EXISTS idx_search_log_created ON search_log(createdAt)');
+
+  // Columns added after a table first shipped; CREATE TABLE IF NOT EXISTS skips existing files
+  addColumn('users', 'locale', "TEXT DEFAULT 'en'");
+  addColumn('analytics_events', 'action', 'TEXT');
+  addColumn('analytics_rollups', 'action', 'TEXT');
+}
+
+function addColumn(table, column, definition) {
+  const info = sqlDb.exec(`PRAGMA table_info(${table})`);
+  const columns = info.length ? info[0].values.map(row => row[1]) : [];
+  if (!columns.includes(column)) sqlDb.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
 }
 
 // ============================================
@@ -300,7 +702,8 @@ function loadTable(table) {
         try { val = JSON.parse(val); } catch (e) {}
       }
       // Convert integer booleans back
-      if (col === 'inStock' || col === 'read') val = !!val;
+      if (col === 'inStock' || col === 'read' || col === 'conditionMet' || col === 'payoutsEnabled' || col === 'restocked' || col === 'active' || col === 'heldForQuietHours' || col === 'zeroResults') val = !!val;
+      if (col === 'lastInStock' && val !== null) val = !!val;
       obj[col] = val;
     });
     return obj;
@@ -328,7 +731,26 @@ const save = {
   consumerSubscription(s) { upsert('consumer_subscriptions', s); },
   promotion(p) { upsert('promotions', { ...p, productSkus: JSON.stringify(p.productSkus || []) }); },
   storeClaim(c) { upsert('store_claims', c); },
+  synonym(s) { upsert('synonyms', { ...s, terms: JSON.stringify(s.terms || []) }); },
   scraperJob(j) { upsert('scraper_jobs', j); },
+  priceHistory(h) { upsert('price_history', { ...h, inStock: h.inStock ? 1 : 0 }); },
+  priceWatch(w) { upsert('price_watches', w); },
+  reservation(r) { upsert('reservations', r); },
+  payoutEntry(e) { upsert('payout_entries', e); },
+  payoutBatch(b) { upsert('payout_batches', b); },
+  payoutAccount(a) { upsert('payout_accounts', a, 'storeId'); },
+  returnRequest(r) { upsert('returns', { ...r, items: JSON.stringify(r.items || []) }); },
+  courierShift(s) { upsert('courier_shifts', s); },
+  delivery(d) { upsert('deliveries', { ...d, pickup: JSON.stringify(d.pickup), dropoff: d.dropoff ? JSON.stringify(d.dropoff) : null }); },
+  slotTemplate(t) { upsert('slot_templates', { ...t, days: JSON.stringify(t.days || []), active: t.active ? 1 : 0 }); },
+  slotBooking(b) { upsert('slot_bookings', b); },
+  notificationPreference(p) { upsert('notification_preferences', { ...p, channels: JSON.stringify(p.channels || {}), quietHours: p.quietHours ? JSON.stringify(p.quietHours) : null }, 'userId'); },
+  pushSubscription(s) { upsert('push_subscriptions', { ...s, keys: JSON.stringify(s.keys || {}) }); },
+  notificationDelivery(d) { upsert('notification_deliveries', { ...d, message: JSON.stringify(d.message || {}) }); },
+  click(c) { upsert('clicks', c); },
+  conversion(c) { upsert('affiliate_conversions', c); },
+  analyticsRollup(r) { upsert('analytics_rollups', r); },
+  searchLog(e) { upsert('search_log', { ...e, productSkus: JSON.stringify(e.productSkus || []), zeroResults: e.zeroResults ? 1 : 0 }); },
 };
 
 const remove = {
@@ -336,6 +758,12 @@ const remove = {
   notification(id) { deleteRow('notifications', 'id', id); },
   order(id) { deleteRow('orders', 'id', id); },
   storeClaim(id) { deleteRow('store_claims', 'id', id); },
+  synonym(id) { deleteRow('synonyms', 'id', id); },
+  priceWatch(id) { deleteRow('price_watches', 'id', id); },
+  pushSubscription(id) { deleteRow('push_subscriptions', 'id', id); },
+  click(id) { deleteRow('clicks', 'id', id); },
+  analyticsRollup(id) { deleteRow('analytics_rollups', 'id', id); },
+  searchLog(id) { deleteRow('search_log', 'id', id); },
 };
 
 // ============================================
@@ -354,6 +782,24 @@ function loadAll() {
     consumerSubscriptions: loadTable('consumer_subscriptions'),
     promotions: loadTable('promotions'),
     storeClaims: loadTable('store_claims'),
+    synonyms: loadTable('synonyms'),
+    priceWatches: loadTable('price_watches'),
+    reservations: loadTable('reservations'),
+    payoutEntries: loadTable('payout_entries'),
+    payoutBatches: loadTable('payout_batches'),
+    payoutAccounts: loadTable('payout_accounts'),
+    returns: loadTable('returns'),
+    courierShifts: loadTable('courier_shifts'),
+    deliveries: loadTable('deliveries'),
+    slotTemplates: loadTable('slot_templates'),
+    slotBookings: loadTable('slot_bookings'),
+    notificationPreferences: loadTable('notification_preferences'),
+    pushSubscriptions: loadTable('push_subscriptions'),
+    notificationDeliveries: loadTable('notification_deliveries'),
+    clicks: loadTable('clicks'),
+    affiliateConversions: loadTable('affiliate_conversions'),
+    analyticsRollups: loadTable('analytics_rollups'),
+    searchLog: loadTable('search_log'),
     scraperJobs: loadTable('scraper_jobs'),
   };
 }
@@ -398,6 +844,48 @@ function bulkInsertProducts(products) {
   stmt.free();
 }
 
+// ============================================
+// ANALYTICS EVENT LOG
+// ============================================
+// Raw events stay out of memory: appended here, read back in seq order by
+// the rollup job (services/analytics)
+
+const EVENT_COLUMNS = ['id', 'type', 'occurredAt', 'sessionId', 'userId', 'retailerKey', 'storeId', 'productSku', 'category', 'city', 'action', 'quantity', 'value', 'query', 'properties'];
+
+function appendEvent(e) {
+  if (!sqlDb) return;
+  sqlDb.run(
+    `INSERT INTO analytics_events (${EVENT_COLUMNS.join(',')}) VALUES (${EVENT_COLUMNS.map(() => '?').join(',')})`,
+    EVENT_COLUMNS.map(k => (k === 'properties' ? (e.properties ? JSON.stringify(e.properties) : null) : e[k] ?? null))
+  );
+}
+
+function eventsAfter(seq, limit) {
+  if (!sqlDb) return [];
+  const results = sqlDb.exec('SELECT * FROM analytics_events WHERE seq > ? ORDER BY seq LIMIT ?', [seq, limit]);
+  if (!results.length) return [];
+  const { columns, values } = results[0];
+  return values.map(row => {
+    const event = Object.fromEntries(columns.map((col, i) => [col, row[i]]));
+    event.properties = event.properties ? JSON.parse(event.properties) : null;
+    return event;
+  });
+}
+
+function pruneEvents(before, maxSeq) {
+  if (!sqlDb) return;
+  sqlDb.run('DELETE FROM analytics_events WHERE occurredAt < ? AND seq <= ?', [before, maxSeq]);
+}
+
+const state = {
+  get(key) {
+    if (!sqlDb) return null;
+    const r = sqlDb.exec('SELECT value FROM analytics_state WHERE key = ?', [key]);
+    return r.length ? r[0].values[0][0] : null;
+  },
+  set(key, value) { upsert('analytics_state', { key, value: String(value) }, 'key'); },
+};
+
 // ============================================
 // STATS
 // ============================================
@@ -425,6 +913,10 @@ module.exports = {
   bulkInsertInventory,
   bulkInsertStores,
   bulkInsertProducts,
+  appendEvent,
+  eventsAfter,
+  pruneEvents,
+  state,
   getRowCount,
   get db() { return sqlDb; },
   get initialized() { return initialized; },
@@ -1,6 +1,6 @@
 /**
  * JWT Authentication & Authorization Middleware
- * Roles: admin, store_owner, customer
+ * Roles: admin, store_owner, customer, courier
  */
 
 const jwt = require('jsonwebtoken');
@@ -18,6 +18,7 @@ function authenticate(req, res, next) {
   const token = header.split(' ')[1];
   try {
     const decoded = jwt.verify(token, config.jwtSecret);
+    if (decoded.purpose) return res.status(401).json({ error: 'Invalid token.' });
     req.user = decoded;
     next();
   } catch (err) {
@@ -35,12 +36,30 @@ function optionalAuth(req, res, next) {
   const header = req.headers.authorization;
   if (header && header.startsWith('Bearer ')) {
     try {
-      req.user = jwt.verify(header.split(' ')[1], config.jwtSecret);
+      const decoded = jwt.verify(header.split(' ')[1], config.jwtSecret);
+      if (!decoded.purpose) req.user = decoded;
     } catch (e) { /* ignore invalid tokens */ }
   }
   next();
 }
 
+/**
+ * Stream auth: EventSource can't send headers, so event streams also accept
+ * ?token=<stream token> (generateStreamToken). Login tokens are never taken
+ * from the URL, where access logs, proxies and browser history keep them.
+ */
+function streamAuth(req, res, next) {
+  if (req.headers.authorization || !req.query.token) return authenticate(req, res, next);
+  try {
+    const decoded = jwt.verify(String(req.query.token), config.jwtSecret);
+    if (decoded.purpose !== 'events') return res.status(401).json({ error: 'Invalid stream token.' });
+    req.user = decoded;
+    next();
+  } catch (err) {
+    return res.status(401).json({ error: 'Invalid or expired stream token. Request a new one.' });
+  }
+}
+
 /**
  * Authorize: Check user role.
  */
@@ -67,4 +86,15 @@ function generateToken(user) {
   );
 }
 
-module.exports = { authenticate, optionalAuth, authorize, generateToken };
+/**
+ * Short-lived token that only opens an event stream (GET /api/events?token=).
+ */
+function generateStreamToken(user) {
+  return jwt.sign(
+    { id: user.id, email: user.email, role: user.role, name: user.name, purpose: 'events' },
+    config.jwtSecret,
+    { expiresIn: config.realtime.streamTokenSeconds }
+  );
+}
+
+module.exports = { authenticate, optionalAuth, streamAuth, authorize, generateToken, generateStreamToken };
@@ -3,6 +3,8 @@
  */
 
 const { validationResult, body, query, param } = require('express-validator');
+const config = require('../config');
+const { PRICE_BUCKETS } = require('../services/search-facets');
 
 // ============================================
 // Validation result handler
@@ -21,12 +23,24 @@ function validate(req, res, next) {
 // ============================================
 // Validation Rules
 // ============================================
+
+// Units of one inventory line (orders, returns, fee previews)
+const lineQuantity = () => body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be >= 1');
+
 const rules = {
   register: [
     body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
     body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
     body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required'),
     body('role').optional().isIn(['customer', 'store_owner']).withMessage('Role must be customer or store_owner'),
+    body('locale').optional().isIn(config.i18n.locales).withMessage(`Locale must be one of: ${config.i18n.locales.join(', ')}`),
+  ],
+  // Couriers see customers' addresses, so only admins create their accounts
+  courierAccount: [
+    body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
+    body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required'),
+    body('locale').optional().isIn(config.i18n.locales).withMessage(`Locale must be one of: ${config.i18n.locales.join(', ')}`),
   ],
   login: [
     body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
@@ -38,9 +52,16 @@ const rules = {
     body('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
     body('radius').optional().isFloat({ min: 0.1, max: 50 }).withMessage('Radius must be 0.1-50 miles'),
     body('category').optional().trim(),
+    body('brand').optional().trim(),
+    body('retailer').optional().trim(),
     body('minPrice').optional().isFloat({ min: 0 }).withMessage('Min price must be >= 0'),
     body('maxPrice').optional().isFloat({ min: 0 }).withMessage('Max price must be >= 0'),
-    body('sortBy').optional().isIn(['price', 'distance', 'name', 'relevance']).withMessage('Invalid sort'),
+    body('priceBucket').optional().isIn(PRICE_BUCKETS).withMessage(`priceBucket must be a bucket's lower edge: ${PRICE_BUCKETS.join(', ')}`),
+    body('sortBy').optional().isIn(['price', 'distance', 'time', 'name', 'relevance']).withMessage('Invalid sort'),
+    body('travelMode').optional().isIn(['walking', 'transit', 'driving']).withMessage('travelMode must be walking, transit or driving'),
+    body('maxMinutes').optional().isFloat({ min: 1, max: 120 }).withMessage('maxMinutes must be 1-120'),
+    body('openNow').optional().isBoolean().withMessage('openNow must be true or false'),
+    body('openAt').optional().isISO8601().withMessage('openAt must be an ISO 8601 time'),
     body('page').optional().isInt({ min: 1 }).withMessage('Page must be >= 1'),
     body('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
   ],
@@ -54,9 +75,71 @@ const rules = {
   order: [
     body('items').isArray({ min: 1 }).withMessage('At least one item required'),
     body('items.*.inventoryId').notEmpty().withMessage('Inventory ID required'),
-    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be >= 1'),
+    lineQuantity(),
     body('fulfillment').isIn(['pickup', 'delivery']).withMessage('Fulfillment must be pickup or delivery'),
     body('deliveryAddress').optional().isObject(),
+    body('deliveryAddress.lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid delivery latitude'),
+    body('deliveryAddress.lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid delivery longitude'),
+    body('slotId').optional().isString().withMessage('slotId must be a string'),
+    body('slots').optional().isObject().withMessage('slots must map storeId to slotId'),
+  ],
+  returnRequest: [
+    body('items').isArray({ min: 1 }).withMessage('List the items to return'),
+    body('items.*.inventoryId').notEmpty().withMessage('Inventory ID required'),
+    lineQuantity(),
+    body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('reason must be at most 500 characters'),
+  ],
+  // Fee preview lines may leave quantity out (1)
+  feePreview: [
+    body('items').optional().isArray().withMessage('items must be a list of { inventoryId, quantity }'),
+    body('items.*.inventoryId').notEmpty().withMessage('Inventory ID required'),
+    lineQuantity().optional(),
+  ],
+  basket: [
+    body('items').isArray({ min: 1, max: 25 }).withMessage('items must list 1-25 queries or SKUs'),
+    body('items.*').custom(item => {
+      const text = typeof item === 'string' ? item : item?.query || item?.sku;
+      if (typeof text !== 'string' || !text.trim() || text.length > 200) throw new Error('Each item needs a query or sku');
+      if (typeof item === 'object' && item.quantity !== undefined && !(Number.isInteger(item.quantity) && item.quantity >= 1)) {
+        throw new Error('Item quantity must be an integer >= 1');
+      }
+      return true;
+    }),
+    body('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+    body('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+    body('radius').optional().isFloat({ min: 0.1, max: 50 }).withMessage('Radius must be 0.1-50 miles'),
+  ],
+  synonymGroup: [
+    body('terms').isArray({ min: 2, max: 20 }).withMessage('terms must list 2-20 equivalent words or phrases'),
+    body('terms.*').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Each term must be 1-50 characters'),
+  ],
+  watch: [
+    body('condition').isIn(['target_price', 'any_drop', 'back_in_stock']).withMessage('condition must be target_price, any_drop or back_in_stock'),
+    body('sku').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('sku must be 1-100 characters'),
+    body('query').optional().isString().trim().isLength({ min: 1, max: 200 }).withMessage('query must be 1-200 characters'),
+    body('sku').custom((sku, { req }) => {
+      if (!sku === !req.body.query) throw new Error('Provide either sku or query');
+      return true;
+    }),
+    body('targetPrice').if(body('condition').equals('target_price')).isFloat({ gt: 0 }).withMessage('targetPrice required for target_price watches'),
+    body('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+    body('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+    body('lat').custom((lat, { req }) => {
+      if ((lat === undefined) !== (req.body.lng === undefined)) throw new Error('lat and lng go together');
+      return true;
+    }),
+    body('radius').optional().isFloat({ min: 0.1, max: 50 }).withMessage('Radius must be 0.1-50 miles'),
+  ],
+  courierShift: [
+    body('lat').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+    body('lng').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+    body('mode').optional().isIn(['walking', 'transit', 'driving']).withMessage('mode must be walking, transit or driving'),
+  ],
+  courierPing: [
+    body('lat').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+    body('lng').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+    body('heading').optional().isFloat({ min: 0, max: 360 }).withMessage('heading must be 0-360 degrees'),
+    body('speed').optional().isFloat({ min: 0 }).withMessage('speed must be >= 0 mph'),
   ],
   storeId: [
     param('storeId').notEmpty().withMessage('Store ID required'),
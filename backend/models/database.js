@@ -13,6 +13,24 @@
 const { v4: uuidv4 } = require('uuid');
 const sqlite = require('../db/sqlite');
 const catalog = require('../data/catalog');
+const searchIndex = require('../services/search-index');
+const storeIndex = require('../services/store-index');
+const hours = require('../utils/hours');
+const queryUnderstanding = require('../services/query-understanding');
+const priceHistory = require('../services/price-history');
+const priceWatch = require('../services/price-watch');
+const reservation = require('../services/reservations');
+const orderService = require('../services/orders');
+const payouts = require('../services/payouts');
+const dispatch = require('../services/dispatch');
+const slots = require('../services/slots');
+const realtime = require('../services/realtime');
+const notifier = require('../services/notifier');
+const templates = require('../services/templates');
+const affiliate = require('../services/affiliate');
+const analytics = require('../services/analytics');
+const searchLog = require('../services/search-log');
+const { DEFAULT_SYNONYMS } = require('../data/synonyms');
 
 // In-memory arrays (fast reads, synced with SQLite)
 const users = [];
@@ -23,6 +41,24 @@ const subscriptions = [];
 const consumerSubscriptions = [];
 const promotions = [];
 const storeClaims = [];
+const synonyms = [];
+const priceWatches = [];
+const reservations = [];
+const payoutEntries = [];
+const payoutBatches = [];
+const payoutAccounts = [];
+const returns = [];
+const courierShifts = [];
+const deliveries = [];
+const notificationPreferences = [];
+const pushSubscriptions = [];
+const notificationDeliveries = [];
+const slotTemplates = [];
+const slotBookings = [];
+const clicks = [];
+const affiliateConversions = [];
+const analyticsRollups = [];
+const searchLogEntries = [];
 
 // ============================================
 // STORE CHAINS (from catalog)
@@ -55,8 +91,39 @@ function buildStoreChains() {
 
   _allStores.length = 0;
   for (const store of generatedStores) {
+    store.schedule = hours.buildSchedule(store);
     _allStores.push(store);
   }
+  storeIndex.build(_allStores);
+}
+
+/**
+ * Add a store discovered after startup (scraper ingestion, onboarding).
+ * Keeps the chain list, the flat store list, SQLite and the spatial index in step.
+ * Returns the stored object, or the existing one if the id is already known.
+ */
+function addStore(store) {
+  const existing = _allStores.find(s => s.storeId === store.storeId && s.retailer === store.retailer);
+  if (existing) return existing;
+
+  const chain = STORE_CHAINS[store.retailer];
+  const record = {
+    brand: chain?.brand,
+    categories: chain?.categories || [],
+    source: 'seed',
+    ...store,
+  };
+  record.schedule = hours.buildSchedule(record);
+  _allStores.push(record);
+  if (chain) {
+    chain.stores.push({
+      storeId: record.storeId, name: record.name, address: record.address, lat: record.lat, lng: record.lng,
+      city: record.city, state: record.state, phone: record.phone, hours: record.hours,
+    });
+  }
+  storeIndex.add(record);
+  sqlite.bulkInsertStores([record]);
+  return record;
 }
 
 // ============================================
@@ -116,6 +183,145 @@ async function init() {
   consumerSubscriptions.push(...data.consumerSubscriptions);
   promotions.push(...data.promotions);
   storeClaims.push(...(data.storeClaims || []));
+  synonyms.push(...(data.synonyms || []));
+  priceWatches.push(...(data.priceWatches || []));
+  reservations.push(...(data.reservations || []));
+  payoutEntries.push(...(data.payoutEntries || []));
+  payoutBatches.push(...(data.payoutBatches || []));
+  payoutAccounts.push(...(data.payoutAccounts || []));
+  returns.push(...(data.returns || []));
+  courierShifts.push(...(data.courierShifts || []));
+  deliveries.push(...(data.deliveries || []));
+  slotTemplates.push(...(data.slotTemplates || []));
+  slotBookings.push(...(data.slotBookings || []));
+  notificationPreferences.push(...(data.notificationPreferences || []));
+  pushSubscriptions.push(...(data.pushSubscriptions || []));
+  notificationDeliveries.push(...(data.notificationDeliveries || []));
+  clicks.push(...(data.clicks || []));
+  affiliateConversions.push(...(data.affiliateConversions || []));
+  analyticsRollups.push(...(data.analyticsRollups || []));
+  searchLogEntries.push(...(data.searchLog || []));
+
+  if (synonyms.length === 0) {
+    const now = new Date().toISOString();
+    for (const terms of DEFAULT_SYNONYMS) {
+      const group = { id: uuidv4(), terms, createdAt: now, updatedAt: now };
+      synonyms.push(group);
+      sqlite.save.synonym(group);
+    }
+  }
+  queryUnderstanding.loadSynonyms(synonyms);
+
+  searchIndex.build(PRODUCTS, inventory);
+  const indexStats = searchIndex.stats();
+  console.log('[DB] Search index: ' + indexStats.documents + ' products, ' + indexStats.terms + ' terms');
+
+  priceWatch.configure({
+    watches: priceWatches,
+    notify: n => { notify(n); persist.notification(n); },
+    localeFor: userId => templates.localeFor(users.find(u => u.id === userId)),
+    save: w => persist.priceWatch(w),
+  });
+  priceHistory.onChange(item => priceWatch.enqueue(item));
+
+  orderService.configure({
+    orders,
+    inventory,
+    users,
+    notify,
+    saveReturn: r => persist.returnRequest(r),
+  });
+
+  reservation.configure({
+    reservations,
+    findInventory: id => inventory.find(i => i.id === id),
+    save: r => persist.reservation(r),
+    onExpire: ids => orderService.expireHolds(ids),
+  });
+  reservation.start();
+
+  payouts.configure({
+    entries: payoutEntries,
+    batches: payoutBatches,
+    accounts: payoutAccounts,
+    save: {
+      entry: e => persist.payoutEntry(e),
+      batch: b => persist.payoutBatch(b),
+      account: a => persist.payoutAccount(a),
+    },
+  });
+  payouts.start();
+
+  dispatch.configure({
+    shifts: courierShifts,
+    deliveries,
+    findStore: id => _allStores.find(s => s.storeId === id),
+    readyOrders: () => orderService.readyForDelivery(),
+    onAssign: (delivery, sub) => orderService.courierAssigned(delivery, sub),
+    onRelease: delivery => orderService.courierReleased(delivery),
+    save: {
+      shift: sh => persist.courierShift(sh),
+      delivery: d => persist.delivery(d),
+    },
+  });
+  dispatch.start();
+
+  slots.configure({
+    templates: slotTemplates,
+    bookings: slotBookings,
+    save: {
+      template: t => persist.slotTemplate(t),
+      booking: b => persist.slotBooking(b),
+    },
+  });
+
+  notifier.configure({
+    preferences: notificationPreferences,
+    subscriptions: pushSubscriptions,
+    deliveries: notificationDeliveries,
+    findUser: id => users.find(u => u.id === id),
+    save: {
+      preference: p => persist.notificationPreference(p),
+      subscription: s => persist.pushSubscription(s),
+      delivery: d => persist.notificationDelivery(d),
+    },
+    deleteSubscription: id => persist.removePushSubscription(id),
+  });
+  notifier.start();
+
+  affiliate.configure({
+    clicks,
+    conversions: affiliateConversions,
+    save: {
+      click: c => persist.click(c),
+      conversion: c => persist.affiliateConversion(c),
+    },
+    removeClick: id => persist.removeClick(id),
+  });
+  affiliate.start();
+
+  analytics.configure({
+    rollups: analyticsRollups,
+    append: e => sqlite.appendEvent(e),
+    eventsAfter: (seq, limit) => sqlite.eventsAfter(seq, limit),
+    pruneEvents: (before, maxSeq) => sqlite.pruneEvents(before, maxSeq),
+    cursor: {
+      get: () => parseInt(sqlite.state.get('rollupCursor'), 10) || 0,
+      set: seq => sqlite.state.set('rollupCursor', seq),
+    },
+    save: r => persist.analyticsRollup(r),
+    removeRollup: id => persist.removeAnalyticsRollup(id),
+    findStore: id => _allStores.find(s => s.storeId === id),
+    findProduct: sku => PRODUCTS.find(p => p.sku === sku),
+  });
+  analytics.start();
+
+  searchLog.configure({
+    entries: searchLogEntries,
+    save: e => persist.searchLog(e),
+    remove: id => persist.removeSearchLog(id),
+  });
+  searchLog.start();
 
   sqlite.startAutoSave();
   _initialized = true;
@@ -194,18 +400,57 @@ const persist = {
   consumerSubscription(s) { sqlite.save.consumerSubscription(s); sqlite.saveToDisk(); },
   promotion(p) { sqlite.save.promotion(p); },
   storeClaim(c) { sqlite.save.storeClaim(c); sqlite.saveToDisk(); },
+  synonym(s) { sqlite.save.synonym(s); sqlite.saveToDisk(); },
+  removeSynonym(id) { sqlite.remove.synonym(id); sqlite.saveToDisk(); },
+  priceWatch(w) { sqlite.save.priceWatch(w); },
+  removePriceWatch(id) { sqlite.remove.priceWatch(id); sqlite.saveToDisk(); },
+  reservation(r) { sqlite.save.reservation(r); },
+  payoutEntry(e) { sqlite.save.payoutEntry(e); },
+  payoutBatch(b) { sqlite.save.payoutBatch(b); },
+  payoutAccount(a) { sqlite.save.payoutAccount(a); sqlite.saveToDisk(); },
+  returnRequest(r) { sqlite.save.returnRequest(r); sqlite.saveToDisk(); },
+  courierShift(s) { sqlite.save.courierShift(s); },
+  delivery(d) { sqlite.save.delivery(d); },
+  slotTemplate(t) { sqlite.save.slotTemplate(t); sqlite.saveToDisk(); },
+  slotBooking(b) { sqlite.save.slotBooking(b); },
+  notificationPreference(p) { sqlite.save.notificationPreference(p); sqlite.saveToDisk(); },
+  pushSubscription(s) { sqlite.save.pushSubscription(s); sqlite.saveToDisk(); },
+  removePushSubscription(id) { sqlite.remove.pushSubscription(id); sqlite.saveToDisk(); },
+  notificationDelivery(d) { sqlite.save.notificationDelivery(d); },
+  click(c) { sqlite.save.click(c); },
+  removeClick(id) { sqlite.remove.click(id); },
+  affiliateConversion(c) { sqlite.save.conversion(c); },
+  analyticsRollup(r) { sqlite.save.analyticsRollup(r); },
+  removeAnalyticsRollup(id) { sqlite.remove.analyticsRollup(id); },
+  searchLog(e) { sqlite.save.searchLog(e); },
+  removeSearchLog(id) { sqlite.remove.searchLog(id); },
   removeInventory(id) { sqlite.remove.inventory(id); },
   flush() { sqlite.saveToDisk(); },
   bulkInventory(items) { sqlite.bulkInsertInventory(items); sqlite.saveToDisk(); },
   bulkStores(stores) { sqlite.bulkInsertStores(stores); sqlite.saveToDisk(); },
 };
 
+/**
+ * Add a notification: stored, sent to the user's open streams and queued
+ * for their email / SMS / push channels. Create notifications through this,
+ * not notifications.push.
+ */
+function notify(n) {
+  notifications.push(n);
+  realtime.publish([realtime.userChannel(n.userId)], 'notification', n);
+  notifier.enqueue(n);
+  return n;
+}
+
 function getAllStores() {
   return _allStores;
 }
 
 module.exports = {
-  init, users, STORE_CHAINS, PRODUCTS, inventory, orders, notifications,
-  subscriptions, consumerSubscriptions, promotions, storeClaims,
-  getAllStores, seedInventory, persist, sqlite,
+  init, users, STORE_CHAINS, PRODUCTS, inventory, orders, notifications, notify,
+  subscriptions, consumerSubscriptions, promotions, storeClaims, synonyms, priceWatches,
+  reservations, payoutEntries, payoutBatches, payoutAccounts,
+  returns, courierShifts, deliveries, slotTemplates, slotBookings,
+  notificationPreferences, pushSubscriptions, notificationDeliveries, clicks, affiliateConversions, analyticsRollups, getAllStores, addStore, seedInventory, persist, sqlite, searchIndex, queryUnderstanding, storeIndex,
+  priceHistory, priceWatch, reservation, payouts, dispatch, slots, realtime, notifier, affiliate, analytics, searchLog,
 };
@@ -0,0 +1,83 @@
+/**
+ * Analytics Routes
+ * Events from the browser and queries over the hourly / daily rollups
+ * (services/analytics). Searches, impressions, clicks and orders are
+ * recorded server-side; clients only report what the server can't see.
+ *
+ * Admins query everything; store owners only the stores they've claimed.
+ */
+const express = require('express');
+const router = express.Router();
+const { authenticate, optionalAuth, authorize } = require('../middleware/auth');
+const { users, analytics } = require('../models/database');
+
+const MAX_CLIENT_EVENTS = 50;
+
+const list = value => (value ? String(value).split(',').map(s => s.trim()).filter(Boolean) : []);
+
+// POST /api/analytics/events - Report client-side events
+// Body: { events: [{ type: impression|add_to_cart, productSku, storeId?, quantity?, value? }], sessionId? }
+router.post('/events', optionalAuth, (req, res) => {
+  const events = Array.isArray(req.body.events) ? req.body.events : [req.body];
+  if (events.length === 0 || events.length > MAX_CLIENT_EVENTS) {
+    return res.status(400).json({ error: `Send 1-${MAX_CLIENT_EVENTS} events` });
+  }
+  const bad = events.find(e => !analytics.CLIENT_TYPES.includes(e?.type));
+  if (bad) return res.status(400).json({ error: `Event type must be one of: ${analytics.CLIENT_TYPES.join(', ')}` });
+
+  const sessionId = req.get('x-session-id') || req.body.sessionId;
+  for (const e of events) {
+    analytics.track({
+      type: e.type,
+      sessionId,
+      userId: req.user?.id,
+      productSku: e.productSku,
+      storeId: e.storeId,
+      quantity: e.quantity,
+      value: e.value,
+    });
+  }
+  res.status(202).json({ accepted: events.length });
+});
+
+// GET /api/analytics/query - Grouped totals with an optional comparison period
+// Query: from?, to? (YYYY-MM-DD), granularity? (day|hour), groupBy? (type,retailer,store,category,city,action,date),
+//        types?, retailer?, store?, category?, city?, action?, compare? (previous|year), limit?
+router.get('/query', authenticate, authorize('store_owner', 'admin'), (req, res) => {
+  const filters = {
+    retailer: list(req.query.retailer),
+    store: list(req.query.store),
+    category: list(req.query.category).map(c => c.toLowerCase()),
+    city: list(req.query.city),
+    action: list(req.query.action),
+  };
+
+  if (req.user.role !== 'admin') {
+    const claimed = users.find(u => u.id === req.user.id)?.claimedStores || [];
+    const denied = filters.store.find(id => !claimed.includes(id));
+    if (denied) return res.status(403).json({ error: `Claim store ${denied} to see its analytics` });
+    if (claimed.length === 0) return res.status(403).json({ error: 'Claim a store to see its analytics' });
+    if (filters.store.length === 0) filters.store = claimed;
+  }
+
+  const result = analytics.query({
+    from: req.query.from,
+    to: req.query.to,
+    granularity: req.query.granularity,
+    groupBy: list(req.query.groupBy),
+    types: list(req.query.types),
+    filters,
+    compare: req.query.compare,
+    limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000),
+  });
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.json(result);
+});
+
+// POST /api/analytics/rollup - Run the rollup job now (admin)
+router.post('/rollup', authenticate, authorize('admin'), (req, res) => {
+  const rolledUp = analytics.rollup();
+  res.json({ message: 'Rollups updated', rolledUp });
+});
+
+module.exports = router;
@@ -8,6 +8,7 @@ const router = express.Router();
 const { authenticate, generateToken } = require('../middleware/auth');
 const { validate, rules } = require('../middleware/validation');
 const { users, persist } = require('../models/database');
+const templates = require('../services/templates');
 const config = require('../config');
 const fetch = require('node-fetch');
 
@@ -45,6 +46,7 @@ router.post('/google', async (req, res) => {
         picture,
         favorites: [],
         savedStores: [],
+        locale: templates.fromAcceptLanguage(req.headers['accept-language']),
         createdAt: new Date().toISOString()
       };
       users.push(user);
@@ -61,7 +63,7 @@ router.post('/google', async (req, res) => {
     res.json({
       message: 'Login successful',
       token,
-      user: { id: user.id, email: user.email, name: user.name, role: user.role, picture: user.picture }
+      user: { id: user.id, email: user.email, name: user.name, role: user.role, picture: user.picture, locale: templates.localeFor(user) }
     });
   } catch (err) {
     console.error('[AUTH] Google auth error:', err.message);
@@ -73,6 +75,7 @@ router.post('/google', async (req, res) => {
 router.post('/register', rules.register, validate, async (req, res) => {
   try {
     const { email, password, name, role = 'customer' } = req.body;
+    const locale = req.body.locale || templates.fromAcceptLanguage(req.headers['accept-language']);
 
     if (users.find(u => u.email === email)) {
       return res.status(409).json({ error: 'Email already registered' });
@@ -87,6 +90,7 @@ router.post('/register', rules.register, validate, async (req, res) => {
       role,
       favorites: [],
       savedStores: [],
+      locale,
       createdAt: new Date().toISOString()
     };
 
@@ -97,7 +101,7 @@ router.post('/register', rules.register, validate, async (req, res) => {
     res.status(201).json({
       message: 'Registration successful',
       token,
-      user: { id: user.id, email: user.email, name: user.name, role: user.role }
+      user: { id: user.id, email: user.email, name: user.name, role: user.role, locale: templates.localeFor(user) }
     });
   } catch (err) {
     console.error('[AUTH] Registration error:', err.message, err.stack);
@@ -119,7 +123,7 @@ router.post('/login', rules.login, validate, async (req, res) => {
     res.json({
       message: 'Login successful',
       token,
-      user: { id: user.id, email: user.email, name: user.name, role: user.role }
+      user: { id: user.id, email: user.email, name: user.name, role: user.role, locale: templates.localeFor(user) }
     });
   } catch (err) {
     res.status(500).json({ error: 'Login failed' });
@@ -132,7 +136,7 @@ router.get('/profile', authenticate, (req, res) => {
   if (!user) return res.status(404).json({ error: 'User not found' });
 
   const { password, ...safeUser } = user;
-  res.json({ user: safeUser });
+  res.json({ user: { ...safeUser, locale: templates.localeFor(user) } });
 });
 
 // PUT /api/auth/profile
@@ -140,8 +144,12 @@ router.put('/profile', authenticate, async (req, res) => {
   const user = users.find(u => u.id === req.user.id);
   if (!user) return res.status(404).json({ error: 'User not found' });
 
-  const { name, email } = req.body;
+  const { name, email, locale } = req.body;
+  if (locale !== undefined && !templates.isSupported(locale)) {
+    return res.status(400).json({ error: `Unsupported locale. Use one of: ${config.i18n.locales.join(', ')}` });
+  }
   if (name) user.name = name;
+  if (locale) user.locale = locale;
   if (email && email !== user.email) {
     if (users.find(u => u.email === email && u.id !== user.id)) {
       return res.status(409).json({ error: 'Email already in use' });
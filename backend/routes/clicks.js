@@ -1,115 +1,152 @@
 /**
  * Click Tracking & Affiliate Redirect Routes
- * 
+ *
  * Tracks outbound clicks to retailer sites for analytics and affiliate revenue.
  * Two modes:
  *   1. Direct: Frontend opens retailer URL directly (buyUrl in search results)
  *   2. Redirect: Frontend calls /api/click/go?... and we redirect after logging
- * 
+ *
  * The redirect mode is better for tracking but adds latency.
  * We support both — frontend uses direct links but fires a tracking beacon.
+ *
+ * Search results issue each buyUrl with its own click token (clickToken) as
+ * the network sub-ID; the beacon sends it back so the stored click matches
+ * the conversion the network reports later (services/affiliate).
  */
 const express = require('express');
 const router = express.Router();
-const { generateProductUrl, brandToKey } = require('../utils/deep-links');
-const { optionalAuth } = require('../middleware/auth');
-
-// In-memory click log (in production, persist to DB or analytics service)
-const clickLog = [];
+const { generateProductUrl } = require('../utils/deep-links');
+const { authenticate, optionalAuth, authorize } = require('../middleware/auth');
+const { affiliate, analytics, affiliateConversions, persist } = require('../models/database');
+
+// Browsers keep one id per tab session (X-Session-Id); beacons can't set headers
+function sessionOf(req, fallback) {
+  return req.get('x-session-id') || fallback || null;
+}
+
+function trackClick(click) {
+  analytics.track({
+    type: 'click',
+    sessionId: click.sessionId,
+    userId: click.userId,
+    productSku: click.productSku,
+    storeId: click.storeId,
+    retailerKey: click.retailerKey,
+    value: click.price,
+    action: click.action,
+    properties: { token: click.token },
+  });
+}
 
 // POST /api/click/track — Fire-and-forget tracking beacon
 router.post('/track', optionalAuth, (req, res) => {
-  const { productSku, productName, retailerKey, storeId, price, action } = req.body;
+  const { productSku, productName, retailerKey, storeId, price, action, clickToken, sessionId } = req.body;
 
-  clickLog.push({
-    id: clickLog.length + 1,
+  const click = affiliate.recordClick({
+    token: clickToken,
+    sessionId: sessionOf(req, sessionId),
+    userId: req.user?.id,
     productSku,
     productName,
     retailerKey,
     storeId,
     price,
-    action: action || 'click', // 'click', 'delivery', 'pickup'
-    userId: req.user?.id || null,
-    timestamp: new Date().toISOString(),
+    action, // 'click', 'delivery', 'pickup'
+    source: 'beacon',
     userAgent: req.headers['user-agent'],
   });
+  trackClick(click);
 
-  res.json({ tracked: true });
+  res.json({ tracked: true, clickToken: click.token });
 });
 
 // GET /api/click/go — Redirect through tracking (alternative to direct links)
 router.get('/go', optionalAuth, (req, res) => {
-  const { retailer, product, brand, sku, storeId, action } = req.query;
+  const { retailer, product, brand, sku, storeId, action, price, session } = req.query;
 
   if (!retailer || !product) {
     return res.status(400).json({ error: 'retailer and product params required' });
   }
+  if (!generateProductUrl(retailer, product)) {
+    return res.status(404).json({ error: 'Unknown retailer' });
+  }
 
-  // Log the click
-  clickLog.push({
-    id: clickLog.length + 1,
-    productSku: sku || null,
+  // Log the click, then send the shopper on with its token as the sub-ID
+  const click = affiliate.recordClick({
+    sessionId: sessionOf(req, session),
+    userId: req.user?.id,
+    productSku: sku,
     productName: product,
     retailerKey: retailer,
-    storeId: storeId || null,
-    action: action || 'click',
-    userId: req.user?.id || null,
-    timestamp: new Date().toISOString(),
+    storeId,
+    price,
+    action,
+    source: 'redirect',
     userAgent: req.headers['user-agent'],
   });
+  trackClick(click);
 
-  // Generate affiliate URL and redirect
-  const url = generateProductUrl(retailer, product, { brand });
-  if (!url) {
-    return res.status(404).json({ error: 'Unknown retailer' });
-  }
-
-  res.redirect(302, url);
+  res.redirect(302, generateProductUrl(retailer, product, { brand, subId: click.token }));
 });
 
 // GET /api/click/stats — Click analytics (admin/dashboard)
+// From the daily rollups, so as fresh as the last rollup run (config.analytics.rollupSeconds)
 router.get('/stats', (req, res) => {
-  const { days = 30 } = req.query;
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 366);
+  const from = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const clicks = groupBy => analytics.query({ types: ['click'], from, groupBy: [groupBy], limit: 1000 });
+
+  const byRetailer = clicks('retailer');
+  const byAction = clicks('action');
+  res.json({
+    period: `${days} days`,
+    totalClicks: byRetailer.totals.events,
+    byRetailer: Object.fromEntries(byRetailer.rows.map(r => [r.retailer, { clicks: r.events }])),
+    byAction: Object.fromEntries(byAction.rows.map(r => [r.action, r.events])),
+  });
+});
+
+// GET /api/click/affiliate-stats — Clicks, conversions and commission (admin)
+router.get('/affiliate-stats', authenticate, authorize('admin'), (req, res) => {
+  const days = parseInt(req.query.days, 10) || 30;
   const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
 
-  const recentClicks = clickLog.filter(c => new Date(c.timestamp) >= since);
+  res.json({ period: `${days} days`, ...affiliate.summarize(since) });
+});
 
-  // Aggregate by retailer
-  const byRetailer = {};
-  for (const click of recentClicks) {
-    if (!byRetailer[click.retailerKey]) {
-      byRetailer[click.retailerKey] = { clicks: 0, uniqueProducts: new Set() };
-    }
-    byRetailer[click.retailerKey].clicks++;
-    if (click.productSku) byRetailer[click.retailerKey].uniqueProducts.add(click.productSku);
-  }
+// POST /api/click/conversions/import?network= — Import a network conversion report
+// Body: the CSV itself (text/csv) or { network, csv } as JSON.
+router.post('/conversions/import',
+  authenticate, authorize('admin'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+  (req, res) => {
+    const json = typeof req.body === 'object' && req.body !== null ? req.body : {};
+    const network = req.query.network || json.network;
+    const text = typeof req.body === 'string' ? req.body : json.csv;
+
+    if (!network) return res.status(400).json({ error: `network required (${affiliate.NETWORKS.join(', ')})` });
+    if (!text || !String(text).trim()) return res.status(400).json({ error: 'CSV report required' });
+
+    const result = affiliate.importReport(network, String(text), { importedBy: req.user.id });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    persist.flush();
+    res.status(201).json({ message: 'Report imported', ...result.summary });
+  });
 
-  // Aggregate by action
-  const byAction = {};
-  for (const click of recentClicks) {
-    byAction[click.action] = (byAction[click.action] || 0) + 1;
-  }
+// GET /api/click/conversions — Imported conversions (admin)
+// Query: network?, status?, storeId?, matched? ('true' | 'false'), limit?
+router.get('/conversions', authenticate, authorize('admin'), (req, res) => {
+  const { network, status, storeId, matched } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
 
-  // Top products
-  const productClicks = {};
-  for (const click of recentClicks) {
-    const key = click.productName || click.productSku || 'unknown';
-    productClicks[key] = (productClicks[key] || 0) + 1;
-  }
-  const topProducts = Object.entries(productClicks)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 20)
-    .map(([name, clicks]) => ({ name, clicks }));
+  const rows = affiliateConversions
+    .filter(c => !network || c.network === network)
+    .filter(c => !status || c.status === status)
+    .filter(c => !storeId || c.storeId === storeId)
+    .filter(c => matched === undefined || (matched === 'true') === !!c.clickId)
+    .sort((a, b) => b.occurredAt.localeCompare(a.occurredAt));
 
-  res.json({
-    period: `${days} days`,
-    totalClicks: recentClicks.length,
-    byRetailer: Object.fromEntries(
-      Object.entries(byRetailer).map(([k, v]) => [k, { clicks: v.clicks, uniqueProducts: v.uniqueProducts.size }])
-    ),
-    byAction,
-    topProducts,
-  });
+  res.json({ total: rows.length, conversions: rows.slice(0, limit) });
 });
 
 module.exports = router;
@@ -0,0 +1,193 @@
+/**
+ * Courier Routes
+ * Shifts, GPS pings and the delivery a courier is carrying (services/dispatch).
+ * Pickup and drop-off move the sub-order through the same lifecycle stores
+ * use (out_for_delivery, delivered); admins create courier accounts, see the
+ * fleet and force a dispatch run.
+ */
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate, rules } = require('../middleware/validation');
+const { orders, users, deliveries, courierShifts, dispatch, persist, getAllStores } = require('../models/database');
+const config = require('../config');
+const lifecycle = require('../services/order-lifecycle');
+const { applyStatus } = require('../services/orders');
+
+/**
+ * What a courier needs to run a delivery: the order, store and drop-off.
+ */
+function withJob(delivery) {
+  if (!delivery) return null;
+  const sub = orders.find(o => o.id === delivery.orderId);
+  const store = getAllStores().find(s => s.storeId === delivery.storeId);
+  return {
+    ...delivery,
+    store: store ? { storeId: store.storeId, name: store.name, address: store.address, lat: store.lat, lng: store.lng } : null,
+    deliveryAddress: sub?.deliveryAddress || null,
+    items: (sub?.items || []).map(i => ({ productName: i.productName, quantity: i.quantity })),
+    orderStatus: sub?.status || null,
+  };
+}
+
+function requireShift(req, res) {
+  const shift = dispatch.activeShift(req.user.id);
+  if (!shift) res.status(409).json({ error: 'Start a shift first' });
+  return shift;
+}
+
+// GET /api/couriers/me - Current shift and delivery
+router.get('/me', authenticate, authorize('courier'), (req, res) => {
+  res.json({
+    shift: dispatch.activeShift(req.user.id),
+    delivery: withJob(dispatch.activeDelivery(req.user.id)),
+  });
+});
+
+// GET /api/couriers/shifts - Past and current shifts
+router.get('/shifts', authenticate, authorize('courier'), (req, res) => {
+  const shifts = courierShifts
+    .filter(s => s.courierId === req.user.id)
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  res.json({ shifts });
+});
+
+// POST /api/couriers/shifts - Go on shift at a position
+router.post('/shifts', authenticate, authorize('courier'), rules.courierShift, validate, (req, res) => {
+  if (dispatch.activeShift(req.user.id)) return res.status(409).json({ error: 'Already on shift' });
+  const { lat, lng, mode } = req.body;
+  const shift = dispatch.startShift(req.user.id, { lat: parseFloat(lat), lng: parseFloat(lng), mode });
+  res.status(201).json({ message: 'Shift started', shift, delivery: withJob(dispatch.activeDelivery(req.user.id)) });
+});
+
+// PUT /api/couriers/shifts/current - Pause or resume taking deliveries
+router.put('/shifts/current', authenticate, authorize('courier'), (req, res) => {
+  const shift = requireShift(req, res);
+  if (!shift) return;
+  const { availability } = req.body;
+  if (!['available', 'paused'].includes(availability)) {
+    return res.status(400).json({ error: 'availability must be available or paused' });
+  }
+  if (shift.availability === 'busy') return res.status(409).json({ error: 'Finish the current delivery first' });
+  dispatch.setAvailability(shift, availability);
+  res.json({ message: 'Availability updated', shift, delivery: withJob(dispatch.activeDelivery(req.user.id)) });
+});
+
+// POST /api/couriers/shifts/current/end - Go off shift
+router.post('/shifts/current/end', authenticate, authorize('courier'), (req, res) => {
+  const shift = requireShift(req, res);
+  if (!shift) return;
+  if (dispatch.activeDelivery(req.user.id)) return res.status(409).json({ error: 'Finish or decline the current delivery first' });
+  dispatch.endShift(shift);
+  res.json({ message: 'Shift ended', shift });
+});
+
+// POST /api/couriers/pings - Report GPS position
+router.post('/pings', authenticate, authorize('courier'), rules.courierPing, validate, (req, res) => {
+  const shift = requireShift(req, res);
+  if (!shift) return;
+  const { lat, lng, heading, speed } = req.body;
+  dispatch.ping(shift, {
+    lat: parseFloat(lat),
+    lng: parseFloat(lng),
+    heading: heading !== undefined ? parseFloat(heading) : null,
+    speed: speed !== undefined ? parseFloat(speed) : null,
+  });
+  res.json({ shift, delivery: withJob(dispatch.activeDelivery(req.user.id)) });
+});
+
+/**
+ * The caller's live delivery with this id, or a response already sent.
+ */
+function ownDelivery(req, res) {
+  const delivery = deliveries.find(d => d.id === req.params.id && d.courierId === req.user.id);
+  if (!delivery) {
+    res.status(404).json({ error: 'Delivery not found' });
+    return null;
+  }
+  if (!['assigned', 'picked_up'].includes(delivery.status)) {
+    res.status(409).json({ error: `Delivery already ${delivery.status}` });
+    return null;
+  }
+  return delivery;
+}
+
+/**
+ * Move the delivery's sub-order as its courier.
+ */
+function moveOrder(req, res, status) {
+  const delivery = ownDelivery(req, res);
+  if (!delivery) return;
+  const sub = orders.find(o => o.id === delivery.orderId);
+  const actor = lifecycle.actorFor(req.user, sub, users.find(u => u.id === req.user.id));
+  const problem = lifecycle.checkTransition(sub, status, actor);
+  if (problem) return res.status(problem.status).json({ error: problem.error });
+  applyStatus(sub, status, actor, req.user, req.body.note);
+  res.json({ message: `Order ${status.replace(/_/g, ' ')}`, delivery: withJob(delivery) });
+}
+
+// POST /api/couriers/deliveries/:id/pickup - Collected from the store
+router.post('/deliveries/:id/pickup', authenticate, authorize('courier'), (req, res) => moveOrder(req, res, 'out_for_delivery'));
+
+// POST /api/couriers/deliveries/:id/deliver - Handed to the customer
+router.post('/deliveries/:id/deliver', authenticate, authorize('courier'), (req, res) => moveOrder(req, res, 'delivered'));
+
+// POST /api/couriers/deliveries/:id/decline - Turn down an assignment before pickup
+router.post('/deliveries/:id/decline', authenticate, authorize('courier'), (req, res) => {
+  const delivery = ownDelivery(req, res);
+  if (!delivery) return;
+  if (delivery.status !== 'assigned') return res.status(409).json({ error: 'Already picked up; deliver it instead' });
+  dispatch.decline(delivery, req.body.reason || null);
+  const next = dispatch.liveDeliveryFor(delivery.orderId);
+  res.json({ message: 'Delivery declined', delivery, reassignedTo: next ? next.courierId : null });
+});
+
+// ============================================
+// FLEET (admin)
+// ============================================
+
+// GET /api/couriers - Couriers on shift and waiting orders
+router.get('/', authenticate, authorize('admin'), (req, res) => {
+  const onShift = courierShifts
+    .filter(s => s.status === 'active')
+    .map(s => ({ ...s, courierName: users.find(u => u.id === s.courierId)?.name || null, delivery: dispatch.activeDelivery(s.courierId) }));
+  const waiting = orders.filter(o => o.parentOrderId && o.status === 'ready' && o.fulfillment === 'delivery' && !dispatch.liveDeliveryFor(o.id));
+  res.json({ couriers: onShift, unassigned: waiting.map(o => ({ id: o.id, storeId: o.storeId, readySince: o.updatedAt })) });
+});
+
+// POST /api/couriers/accounts - Create a courier login (couriers can't self-register)
+router.post('/accounts', authenticate, authorize('admin'), rules.courierAccount, validate, async (req, res) => {
+  const { email, password, name, locale = 'en' } = req.body;
+  if (users.find(u => u.email === email)) {
+    return res.status(409).json({ error: 'Email already registered' });
+  }
+
+  const user = {
+    id: uuidv4(),
+    email,
+    password: await bcrypt.hash(password, config.bcryptRounds),
+    name,
+    role: 'courier',
+    favorites: [],
+    savedStores: [],
+    locale,
+    createdAt: new Date().toISOString(),
+  };
+  users.push(user);
+  persist.user(user);
+
+  res.status(201).json({
+    message: 'Courier account created',
+    user: { id: user.id, email: user.email, name: user.name, role: user.role, locale: user.locale },
+  });
+});
+
+// POST /api/couriers/dispatch - Run assignment now
+router.post('/dispatch', authenticate, authorize('admin'), (req, res) => {
+  const assigned = dispatch.dispatch();
+  res.json({ message: `${assigned.length} deliveries assigned`, assigned });
+});
+
+module.exports = router;
@@ -9,6 +9,16 @@ const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const { authenticate, authorize } = require('../middleware/auth');
 const db = require('../models/database');
+const lifecycle = require('../services/order-lifecycle');
+const { applyStatus: applyOrderStatus, decideReturn } = require('../services/orders');
+const forecast = require('../services/forecast');
+const config = require('../config');
+
+// Payouts and returns are the claiming owner's (or an admin's) business only
+function ownsStore(req, storeId) {
+  if (req.user.role === 'admin') return true;
+  return (db.users.find(u => u.id === req.user.id)?.claimedStores || []).includes(storeId);
+}
 
 // ============================================
 // STORE CLAIM / REGISTRATION
@@ -111,6 +121,9 @@ router.get('/overview/:storeId', authenticate, authorize('store_owner', 'admin')
   const lowStock = inv.filter(i => i.quantity > 0 && i.quantity <= 5);
   const outOfStock = inv.filter(i => !i.inStock || i.quantity === 0);
   const totalValue = inv.reduce((sum, i) => sum + (i.price * i.quantity), 0);
+  const onHandUnits = inv.reduce((sum, i) => sum + i.quantity, 0);
+  const heldUnits = inv.reduce((sum, i) => sum + db.reservation.held(i.id), 0);
+  const availableUnits = inv.reduce((sum, i) => sum + db.reservation.available(i), 0);
   const avgPrice = inv.length > 0 ? inv.reduce((s, i) => s + i.price, 0) / inv.length : 0;
 
   // Orders
@@ -152,6 +165,9 @@ router.get('/overview/:storeId', authenticate, authorize('store_owner', 'admin')
       inStock: inStock.length,
       lowStock: lowStock.length,
       outOfStock: outOfStock.length,
+      onHandUnits,
+      heldUnits,
+      availableUnits,
       totalValue: parseFloat(totalValue.toFixed(2)),
       avgPrice: parseFloat(avgPrice.toFixed(2)),
       categories,
@@ -215,7 +231,7 @@ router.get('/inventory/:storeId', authenticate, authorize('store_owner', 'admin'
   const paged = items.slice(offset, offset + parseInt(limit));
 
   res.json({
-    items: paged,
+    items: paged.map(i => ({ ...i, heldQuantity: db.reservation.held(i.id), availableQuantity: db.reservation.available(i) })),
     pagination: { page: parseInt(page), limit: parseInt(limit), total, pages: Math.ceil(total / parseInt(limit)) },
   });
 });
@@ -246,6 +262,8 @@ router.post('/inventory/:storeId/add', authenticate, authorize('store_owner', 'a
   };
 
   db.inventory.push(item);
+  db.priceHistory.record(item, null, { userId: req.user.id });
+  db.searchIndex.indexInventory(item);
   res.status(201).json({ message: 'Product added', item });
 });
 
@@ -255,6 +273,7 @@ router.put('/inventory/:storeId/:itemId', authenticate, authorize('store_owner',
   const item = db.inventory.find(i => i.id === itemId && i.storeId === storeId);
   if (!item) return res.status(404).json({ error: 'Item not found' });
 
+  const before = db.priceHistory.snapshot(item);
   const { productName, price, quantity, category, brand, inStock } = req.body;
   if (productName !== undefined) item.productName = productName;
   if (price !== undefined) item.price = parseFloat(price);
@@ -263,6 +282,8 @@ router.put('/inventory/:storeId/:itemId', authenticate, authorize('store_owner',
   if (brand !== undefined) item.brand = brand;
   if (inStock !== undefined) item.inStock = inStock;
   item.lastUpdated = new Date().toISOString();
+  db.priceHistory.record(item, before, { source: 'manual', userId: req.user.id });
+  db.searchIndex.refreshInventory(item);
 
   res.json({ message: 'Product updated', item });
 });
@@ -272,7 +293,8 @@ router.delete('/inventory/:storeId/:itemId', authenticate, authorize('store_owne
   const { storeId, itemId } = req.params;
   const idx = db.inventory.findIndex(i => i.id === itemId && i.storeId === storeId);
   if (idx === -1) return res.status(404).json({ error: 'Item not found' });
-  db.inventory.splice(idx, 1);
+  const [removed] = db.inventory.splice(idx, 1);
+  db.searchIndex.unindexInventory(removed);
   res.json({ message: 'Product removed' });
 });
 
@@ -286,9 +308,12 @@ router.post('/inventory/:storeId/bulk-update', authenticate, authorize('store_ow
   for (const u of updates) {
     const item = db.inventory.find(i => i.id === u.itemId && i.storeId === storeId);
     if (item) {
+      const before = db.priceHistory.snapshot(item);
       if (u.price !== undefined) item.price = parseFloat(u.price);
       if (u.quantity !== undefined) { item.quantity = parseInt(u.quantity); item.inStock = parseInt(u.quantity) > 0; }
       item.lastUpdated = new Date().toISOString();
+      db.priceHistory.record(item, before, { source: 'bulk', userId: req.user.id });
+      db.searchIndex.refreshInventory(item);
       updated++;
     }
   }
@@ -302,10 +327,12 @@ router.post('/inventory/:storeId/bulk-update', authenticate, authorize('store_ow
 // GET /api/dashboard/orders/:storeId - Store's orders
 router.get('/orders/:storeId', authenticate, authorize('store_owner', 'admin'), (req, res) => {
   const { storeId } = req.params;
-  const { status, page = 1, limit = 20 } = req.query;
+  const { status, date, page = 1, limit = 20 } = req.query;
 
   let storeOrders = db.orders.filter(o => o.storeId === storeId);
   if (status) storeOrders = storeOrders.filter(o => o.status === status);
+  // date = local slot date (YYYY-MM-DD); slot ids embed it
+  if (date) storeOrders = storeOrders.filter(o => o.slotId && o.slotId.split(':')[1] === date);
 
   storeOrders.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
 
@@ -313,29 +340,192 @@ router.get('/orders/:storeId', authenticate, authorize('store_owner', 'admin'),
   const offset = (parseInt(page) - 1) * parseInt(limit);
   const paged = storeOrders.slice(offset, offset + parseInt(limit));
 
+  // The page's orders by time slot, soonest first; unscheduled ones last
+  const groups = new Map();
+  for (const order of paged) {
+    const key = order.slotId || null;
+    if (!groups.has(key)) {
+      groups.set(key, { slotId: key, start: order.slotStart || null, end: order.slotEnd || null, fulfillment: key ? order.fulfillment : null, orderIds: [] });
+    }
+    groups.get(key).orderIds.push(order.id);
+  }
+  const slots = [...groups.values()].sort((a, b) => {
+    if (!a.start || !b.start) return a.start ? -1 : b.start ? 1 : 0;
+    return a.start.localeCompare(b.start);
+  });
+
   res.json({
     orders: paged,
+    slots,
     pagination: { page: parseInt(page), limit: parseInt(limit), total, pages: Math.ceil(total / parseInt(limit)) },
   });
 });
 
-// PUT /api/dashboard/orders/:storeId/:orderId/status - Update order status
+// PUT /api/dashboard/orders/:storeId/:orderId/status - Move this store's sub-order along
+// orderId may be the sub-order or its parent checkout order.
 router.put('/orders/:storeId/:orderId/status', authenticate, authorize('store_owner', 'admin'), (req, res) => {
   const { storeId, orderId } = req.params;
-  const { status } = req.body;
+  const { status, note } = req.body;
 
-  const validStatuses = ['confirmed', 'preparing', 'ready_for_pickup', 'out_for_delivery', 'delivered', 'picked_up', 'cancelled'];
-  if (!validStatuses.includes(status)) {
-    return res.status(400).json({ error: `Invalid status. Must be: ${validStatuses.join(', ')}` });
+  if (!lifecycle.STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status. Must be: ${lifecycle.STATUSES.join(', ')}` });
   }
 
-  const order = db.orders.find(o => o.id === orderId && o.storeId === storeId);
+  const order = db.orders.find(o => o.storeId === storeId && (o.id === orderId || o.parentOrderId === orderId));
   if (!order) return res.status(404).json({ error: 'Order not found' });
 
-  order.status = status;
-  order.updatedAt = new Date().toISOString();
+  const actor = lifecycle.actorFor(req.user, order, db.users.find(u => u.id === req.user.id));
+  if (actor !== 'store_owner' && actor !== 'admin') {
+    return res.status(403).json({ error: 'Claim this store to manage its orders' });
+  }
+  const problem = lifecycle.checkTransition(order, status, actor);
+  if (problem) {
+    return res.status(problem.status).json({ error: problem.error, allowed: lifecycle.nextStatuses(order, actor) });
+  }
+
+  const parent = applyOrderStatus(order, status, actor, req.user, note);
+  res.json({ message: `Order status updated to ${status}`, order, parentStatus: parent?.status });
+});
+
+// ============================================
+// TIME SLOTS
+// ============================================
+
+// GET /api/dashboard/slots/:storeId - Slot templates and the upcoming windows they produce
+router.get('/slots/:storeId', authenticate, authorize('store_owner', 'admin'), (req, res) => {
+  const { storeId } = req.params;
+  if (!ownsStore(req, storeId)) return res.status(403).json({ error: 'Claim this store to manage its time slots' });
+  const store = db.getAllStores().find(s => s.storeId === storeId);
+  if (!store) return res.status(404).json({ error: 'Store not found' });
+
+  const { fulfillment } = req.query;
+  res.json({
+    templates: db.slotTemplates.filter(t => t.storeId === storeId && (req.query.all === 'true' || t.active)),
+    slots: db.slots.slotsFor(store, { fulfillment }),
+  });
+});
+
+// POST /api/dashboard/slots/:storeId/templates - Publish a slot template
+router.post('/slots/:storeId/templates', authenticate, authorize('store_owner', 'admin'), (req, res) => {
+  const { storeId } = req.params;
+  if (!ownsStore(req, storeId)) return res.status(403).json({ error: 'Claim this store to manage its time slots' });
+  if (!db.getAllStores().some(s => s.storeId === storeId)) return res.status(404).json({ error: 'Store not found' });
+
+  const checked = db.slots.checkTemplate(storeId, req.body);
+  if (checked.error) return res.status(checked.status).json({ error: checked.error });
+  const template = db.slots.createTemplate(storeId, checked.fields, req.user.id);
+  res.status(201).json({ message: 'Slot template created', template });
+});
+
+// PUT /api/dashboard/slots/:storeId/templates/:templateId - Change interval, capacity or window
+// Existing bookings keep their slot; a lower capacity only stops new ones.
+router.put('/slots/:storeId/templates/:templateId', authenticate, authorize('store_owner', 'admin'), (req, res) => {
+  const { storeId, templateId } = req.params;
+  if (!ownsStore(req, storeId)) return res.status(403).json({ error: 'Claim this store to manage its time slots' });
+  const template = db.slotTemplates.find(t => t.id === templateId && t.storeId === storeId && t.active);
+  if (!template) return res.status(404).json({ error: 'Slot template not found' });
+
+  const checked = db.slots.checkTemplate(storeId, req.body, template);
+  if (checked.error) return res.status(checked.status).json({ error: checked.error });
+  res.json({ message: 'Slot template updated', template: db.slots.updateTemplate(template, checked.fields) });
+});
+
+// DELETE /api/dashboard/slots/:storeId/templates/:templateId - Stop offering a template's slots
+router.delete('/slots/:storeId/templates/:templateId', authenticate, authorize('store_owner', 'admin'), (req, res) => {
+  const { storeId, templateId } = req.params;
+  if (!ownsStore(req, storeId)) return res.status(403).json({ error: 'Claim this store to manage its time slots' });
+  const template = db.slotTemplates.find(t => t.id === templateId && t.storeId === storeId && t.active);
+  if (!template) return res.status(404).json({ error: 'Slot template not found' });
+
+  db.slots.updateTemplate(template, { active: false });
+  res.json({ message: 'Slot template removed', template });
+});
+
+// ============================================
+// RETURNS
+// ============================================
+
+// GET /api/dashboard/returns/:storeId - Return requests for this store
+router.get('/returns/:storeId', authenticate, authorize('store_owner', 'admin'), (req, res) => {
+  const { storeId } = req.params;
+  if (!ownsStore(req, storeId)) return res.status(403).json({ error: 'Claim this store to manage its returns' });
+
+  const { status } = req.query;
+  let list = db.returns.filter(r => r.storeId === storeId);
+  if (status) list = list.filter(r => r.status === status);
+  list.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+  res.json({ returns: list, pending: list.filter(r => r.status === 'requested').length });
+});
+
+// PUT /api/dashboard/returns/:storeId/:returnId - Approve or reject
+router.put('/returns/:storeId/:returnId', authenticate, authorize('store_owner', 'admin'), async (req, res) => {
+  const { storeId, returnId } = req.params;
+  if (!ownsStore(req, storeId)) return res.status(403).json({ error: 'Claim this store to manage its returns' });
+
+  const { decision, note, restock = true } = req.body;
+  if (!['approve', 'reject'].includes(decision)) {
+    return res.status(400).json({ error: 'decision must be approve or reject' });
+  }
+  const ret = db.returns.find(r => r.id === returnId && r.storeId === storeId);
+  if (!ret) return res.status(404).json({ error: 'Return not found' });
+
+  const result = await decideReturn(ret, decision, req.user, { note, restock: restock !== false });
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.json({ message: `Return ${result.ret.status}`, return: result.ret });
+});
+
+// ============================================
+// PAYOUTS
+// ============================================
 
-  res.json({ message: `Order status updated to ${status}`, order });
+// POST /api/dashboard/payouts/settle - Settle batches whose week has ended (admin)
+router.post('/payouts/settle', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const settled = await db.payouts.settle(new Date(), { storeId: req.body.storeId });
+    res.json({ settled: settled.length, batches: settled });
+  } catch (err) {
+    res.status(500).json({ error: 'Settlement failed', detail: err.message });
+  }
+});
+
+// GET /api/dashboard/payouts/:storeId - Balance, weekly batches and recent ledger entries
+router.get('/payouts/:storeId', authenticate, authorize('store_owner', 'admin'), (req, res) => {
+  const { storeId } = req.params;
+  if (!ownsStore(req, storeId)) return res.status(403).json({ error: 'Claim this store to see its payouts' });
+
+  const { limit = 50 } = req.query;
+  res.json({
+    storeId,
+    ...db.payouts.summary(storeId),
+    entries: db.payouts.entriesFor({ storeId, limit: Math.min(parseInt(limit) || 50, 200) }),
+  });
+});
+
+// GET /api/dashboard/payouts/:storeId/batches/:batchId - One batch with its entries
+router.get('/payouts/:storeId/batches/:batchId', authenticate, authorize('store_owner', 'admin'), (req, res) => {
+  const { storeId, batchId } = req.params;
+  if (!ownsStore(req, storeId)) return res.status(403).json({ error: 'Claim this store to see its payouts' });
+
+  const batch = db.payoutBatches.find(b => b.id === batchId && b.storeId === storeId);
+  if (!batch) return res.status(404).json({ error: 'Payout batch not found' });
+  res.json({ batch, entries: db.payouts.entriesFor({ storeId, batchId, limit: Infinity }) });
+});
+
+// POST /api/dashboard/payouts/:storeId/account - Connect a payout account (returns onboarding link if needed)
+router.post('/payouts/:storeId/account', authenticate, authorize('store_owner', 'admin'), async (req, res) => {
+  const { storeId } = req.params;
+  if (!ownsStore(req, storeId)) return res.status(403).json({ error: 'Claim this store to set up payouts' });
+
+  try {
+    const user = db.users.find(u => u.id === req.user.id);
+    const { account, onboardingUrl } = await db.payouts.ensureAccount(storeId, { email: user?.email, userId: req.user.id });
+    res.json({
+      account: { stripeAccountId: account.stripeAccountId, payoutsEnabled: account.payoutsEnabled },
+      onboardingUrl,
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to set up payout account', detail: err.message });
+  }
 });
 
 // ============================================
@@ -412,4 +602,69 @@ router.get('/analytics/:storeId', authenticate, authorize('store_owner', 'admin'
   });
 });
 
+// ============================================
+// DEMAND FORECAST (Inventory Pro / AI)
+// ============================================
+
+// Inventory software plans that include demand forecasting and reorder suggestions
+const FORECAST_PLANS = ['pro', 'ai'];
+
+// GET /api/dashboard/forecast/:storeId - Daily demand forecast, days of cover and reorder suggestions
+// Query: sku? (comma-separated), status? (reorder|ok|no_demand), horizon? (days, 1-60), leadTime? (days, 0-60)
+router.get('/forecast/:storeId', authenticate, authorize('store_owner', 'admin'), (req, res) => {
+  const { storeId } = req.params;
+  if (!ownsStore(req, storeId)) return res.status(403).json({ error: 'Claim this store to see its demand forecast' });
+
+  const sub = db.subscriptions.find(s => s.storeId === storeId && s.status === 'active');
+  if (!FORECAST_PLANS.includes(sub?.inventoryPlan?.planId)) {
+    return res.status(403).json({
+      error: 'Demand forecasting requires the Inventory Pro or Inventory AI plan.',
+      upgrade: { inventoryPlan: 'pro', price: '$79/mo', url: '/api/monetization/b2b/subscribe' },
+    });
+  }
+
+  const horizonDays = req.query.horizon !== undefined ? parseInt(req.query.horizon, 10) : undefined;
+  const leadTimeDays = req.query.leadTime !== undefined ? parseInt(req.query.leadTime, 10) : undefined;
+  if (horizonDays !== undefined && !(horizonDays >= 1 && horizonDays <= 60)) {
+    return res.status(400).json({ error: 'horizon must be 1-60 days' });
+  }
+  if (leadTimeDays !== undefined && !(leadTimeDays >= 0 && leadTimeDays <= 60)) {
+    return res.status(400).json({ error: 'leadTime must be 0-60 days' });
+  }
+
+  const skus = req.query.sku ? String(req.query.sku).split(',').map(s => s.trim()) : null;
+  const stock = db.inventory.filter(i => i.storeId === storeId && (!skus || skus.includes(i.productSku)));
+  const since = new Date(Date.now() - config.forecast.historyDays * 24 * 60 * 60 * 1000).toISOString();
+
+  // Online sales from order lines; in-store sales from unexplained stock drops
+  const { sales, stockedAt } = forecast.salesFrom({
+    inventory: stock,
+    orders: db.orders.filter(o => o.storeId === storeId && o.parentOrderId),
+    history: db.priceHistory.forStore(storeId, { since }),
+    since,
+  });
+
+  const result = forecast.forecastStore({
+    items: stock.map(i => ({
+      sku: i.productSku,
+      productName: i.productName,
+      category: i.category,
+      onHand: db.reservation.available(i),
+      since: stockedAt.get(i.id),
+    })),
+    sales,
+    horizonDays,
+    leadTimeDays,
+  });
+
+  const status = req.query.status;
+  res.json({
+    storeId,
+    inventoryPlan: sub.inventoryPlan.planId,
+    generatedAt: new Date().toISOString(),
+    ...result,
+    items: status ? result.items.filter(f => f.status === status) : result.items,
+  });
+});
+
 module.exports = router;
@@ -0,0 +1,40 @@
+/**
+ * Real-time Event Routes
+ * One Server-Sent Events stream per client (services/realtime), authenticated
+ * with the usual JWT in the Authorization header. EventSource can't set one,
+ * so browsers first trade it for a short-lived stream token (POST /token) and
+ * open ?token=<stream token>; the stream stays open past the token's expiry.
+ *
+ * Events: notification (every new notification for the user), order (a
+ * sub-order of theirs, or at one of their stores, changed status) and
+ * new_order (checkout placed a sub-order at a subscribed store).
+ */
+const express = require('express');
+const router = express.Router();
+const { authenticate, streamAuth, generateStreamToken } = require('../middleware/auth');
+const config = require('../config');
+const { users, notifications, realtime } = require('../models/database');
+
+// POST /api/events/token - Stream token for EventSource (?token=)
+router.post('/token', authenticate, (req, res) => {
+  res.json({ token: generateStreamToken(req.user), expiresIn: config.realtime.streamTokenSeconds });
+});
+
+// GET /api/events - Open the stream
+// Store owners get their claimed stores by default; ?storeIds=A,B narrows it.
+router.get('/', streamAuth, (req, res) => {
+  const claimed = users.find(u => u.id === req.user.id)?.claimedStores || [];
+  const requested = req.query.storeIds
+    ? String(req.query.storeIds).split(',').map(s => s.trim()).filter(Boolean)
+    : req.user.role === 'store_owner' ? claimed : [];
+  const denied = req.user.role === 'admin' ? [] : requested.filter(id => !claimed.includes(id));
+  if (denied.length > 0) return res.status(403).json({ error: `Claim store ${denied[0]} to follow its orders` });
+
+  const channels = [realtime.userChannel(req.user.id), ...requested.map(realtime.storeChannel)];
+  realtime.subscribe(req, res, channels, {
+    lastEventId: req.headers['last-event-id'] || req.query.lastEventId || null,
+    ready: { unreadCount: notifications.filter(n => n.userId === req.user.id && !n.read).length },
+  });
+});
+
+module.exports = router;
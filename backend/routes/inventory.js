@@ -7,7 +7,13 @@ const { v4: uuidv4 } = require('uuid');
 const router = express.Router();
 const { authenticate, authorize } = require('../middleware/auth');
 const { validate, rules } = require('../middleware/validation');
-const { inventory, PRODUCTS, persist } = require('../models/database');
+const { inventory, users, PRODUCTS, persist, searchIndex, priceHistory } = require('../models/database');
+
+// An item's change log is the claiming owner's (or an admin's) business only
+function ownsStore(req, storeId) {
+  if (req.user.role === 'admin') return true;
+  return (users.find(u => u.id === req.user.id)?.claimedStores || []).includes(storeId);
+}
 
 // POST /api/inventory - Add product to store inventory
 router.post('/', authenticate, authorize('store_owner', 'admin'), rules.inventoryItem, validate, (req, res) => {
@@ -32,6 +38,8 @@ router.post('/', authenticate, authorize('store_owner', 'admin'), rules.inventor
 
   inventory.push(item);
     persist.inventory(item);
+  priceHistory.record(item, null, { userId: req.user.id });
+  searchIndex.indexInventory(item);
   res.status(201).json({ message: 'Item added to inventory', item });
 });
 
@@ -41,6 +49,7 @@ router.put('/:id', authenticate, authorize('store_owner', 'admin'), (req, res) =
   if (idx === -1) return res.status(404).json({ error: 'Inventory item not found' });
 
   const item = inventory[idx];
+  const before = priceHistory.snapshot(item);
   const { price, quantity, productName } = req.body;
 
   if (price !== undefined) item.price = parseFloat(price);
@@ -50,16 +59,45 @@ router.put('/:id', authenticate, authorize('store_owner', 'admin'), (req, res) =
   }
   if (productName) item.productName = productName;
   item.lastUpdated = new Date().toISOString();
+  persist.inventory(item);
+  priceHistory.record(item, before, { source: 'manual', userId: req.user.id });
+  searchIndex.refreshInventory(item);
 
   res.json({ message: 'Item updated', item });
 });
 
+// GET /api/inventory/:id/history - Price/stock change log for an item
+router.get('/:id/history', authenticate, authorize('store_owner', 'admin'), (req, res) => {
+  const item = inventory.find(i => i.id === req.params.id);
+  if (!item) return res.status(404).json({ error: 'Inventory item not found' });
+  if (!ownsStore(req, item.storeId)) return res.status(403).json({ error: 'Claim this store to see its item history' });
+
+  const { since, limit } = req.query;
+  if (since && isNaN(Date.parse(since))) return res.status(400).json({ error: 'since must be an ISO 8601 date' });
+
+  const { history, stats } = priceHistory.forInventory(item, {
+    since: since ? new Date(since).toISOString() : undefined,
+    limit: Math.min(parseInt(limit) || 500, 1000),
+  });
+
+  res.json({
+    inventoryId: item.id,
+    storeId: item.storeId,
+    productSku: item.productSku,
+    productName: item.productName,
+    current: priceHistory.snapshot(item),
+    stats,
+    history,
+  });
+});
+
 // DELETE /api/inventory/:id - Remove inventory item
 router.delete('/:id', authenticate, authorize('store_owner', 'admin'), (req, res) => {
   const idx = inventory.findIndex(i => i.id === req.params.id);
   if (idx === -1) return res.status(404).json({ error: 'Inventory item not found' });
 
   const removed = inventory.splice(idx, 1)[0];
+  searchIndex.unindexInventory(removed);
   res.json({ message: 'Item removed', item: removed });
 });
 
@@ -86,10 +124,14 @@ router.post('/batch', authenticate, authorize('store_owner', 'admin'), (req, res
 
       const existing = inventory.find(i => i.storeId === storeId && i.productName === item.productName);
       if (existing) {
+        const before = priceHistory.snapshot(existing);
         existing.price = parseFloat(item.price);
         existing.quantity = parseInt(item.quantity || existing.quantity);
         existing.inStock = existing.quantity > 0;
         existing.lastUpdated = new Date().toISOString();
+        persist.inventory(existing);
+        priceHistory.record(existing, before, { source: 'bulk', userId: req.user.id });
+        searchIndex.refreshInventory(existing);
         updated.push(existing);
       } else {
         const newItem = {
@@ -106,6 +148,8 @@ router.post('/batch', authenticate, authorize('store_owner', 'admin'), (req, res
         };
         inventory.push(newItem);
           persist.inventory(newItem);
+        priceHistory.record(newItem, null, { userId: req.user.id });
+        searchIndex.indexInventory(newItem);
         added.push(newItem);
       }
     } catch (e) {
@@ -16,6 +16,10 @@ const { v4: uuidv4 } = require('uuid');
 const router = express.Router();
 const { authenticate, authorize } = require('../middleware/auth');
 const db = require('../models/database');
+const templates = require('../services/templates');
+const config = require('../config');
+const priceBenchmarks = require('../services/price-benchmarks');
+const csv = require('../utils/csv');
 
 // ============================================
 // SUBSCRIPTION TIERS (Platform Access)
@@ -122,6 +126,24 @@ const INVENTORY_SOFTWARE_PLANS = {
   }
 };
 
+function storePlanFor(storeId) {
+  const sub = db.subscriptions.find(s => s.storeId === storeId && s.status === 'active');
+  return sub ? STORE_PLANS[sub.planId] : STORE_PLANS.free;
+}
+
+function ownsStore(req, storeId) {
+  if (req.user.role === 'admin') return true;
+  return (db.users.find(u => u.id === req.user.id)?.claimedStores || []).includes(storeId);
+}
+
+// Payout entries take commission at the store's plan rate
+db.payouts.configure({
+  planFor(storeId) {
+    const plan = storePlanFor(storeId);
+    return { id: plan.id, commission: plan.commission, deliveryCommission: plan.features.deliveryCommission };
+  },
+});
+
 // ============================================
 // 1. STORE SUBSCRIPTION MANAGEMENT
 // ============================================
@@ -184,12 +206,15 @@ router.post('/subscribe', authenticate, authorize('store_owner', 'admin'), (req,
   db.subscriptions.push(subscription);
 
   // Create notification
-  db.notifications.push({
+  const { title, message } = templates.render('subscription/store',
+    { plan: plan.name, price: plan.price, trialDays: plan.price > 0 ? 14 : 0 },
+    templates.localeFor(db.users.find(u => u.id === req.user.id)));
+  db.notify({
     id: uuidv4(),
     userId: req.user.id,
     type: 'subscription',
-    title: 'Subscription Active',
-    message: `Your store is now on the ${plan.name} plan ($${plan.price}/mo). ${plan.price > 0 ? '14-day free trial started.' : ''}`,
+    title,
+    message,
     read: false,
     createdAt: new Date().toISOString(),
   });
@@ -318,10 +343,38 @@ router.get('/promotions/:storeId', authenticate, authorize('store_owner', 'admin
 // 3. MARKET INSIGHTS (Premium Feature)
 // ============================================
 
+// Area SKUs searched most, for the coverage benchmark
+const TOP_SEARCHED_SKUS = 50;
+const BENCHMARK_COLUMNS = [
+  'sku', 'productName', 'category', 'yourPrice', 'areaAvgPrice', 'areaMinPrice', 'areaMaxPrice',
+  'competitorsCarrying', 'priceIndex', 'mostExpensive',
+];
+
+// Store, radius (?radius, miles) and period (?days) an insights request covers
+function insightsScope(req) {
+  const store = db.getAllStores().find(s => s.storeId === req.params.storeId);
+  const radius = Math.min(parseFloat(req.query.radius) || config.defaultRadius, config.maxRadius);
+  // The log must still hold the previous period of the same length
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || config.insights.periodDays, 1), config.searchLog.retentionDays / 2);
+  return { store, radius, days };
+}
+
+// Prices against stores within the radius, and coverage of what's searched there
+function benchmarksFor({ store, radius, days }) {
+  return priceBenchmarks.benchmark({
+    storeId: store.storeId,
+    competitors: db.storeIndex.withinRadius(store.lat, store.lng, radius).filter(s => s.storeId !== store.storeId),
+    inventory: db.inventory,
+    topSkus: db.searchLog.topSkusNear({ lat: store.lat, lng: store.lng, radius, days, limit: TOP_SEARCHED_SKUS }),
+    productFor: sku => db.PRODUCTS.find(p => p.sku === sku),
+  });
+}
+
 // GET /api/monetization/b2b/insights/:storeId - Market analytics
+// Query: radius? (miles, default config.defaultRadius), days? (period, default 30, max 45)
 router.get('/insights/:storeId', authenticate, authorize('store_owner', 'admin'), (req, res) => {
-  const sub = db.subscriptions.find(s => s.storeId === req.params.storeId && s.status === 'active');
-  const plan = sub ? STORE_PLANS[sub.planId] : STORE_PLANS.free;
+  if (!ownsStore(req, req.params.storeId)) return res.status(403).json({ error: 'Claim this store to see its market insights' });
+  const plan = storePlanFor(req.params.storeId);
 
   if (!plan.features.marketInsights) {
     return res.status(403).json({
@@ -330,44 +383,59 @@ router.get('/insights/:storeId', authenticate, authorize('store_owner', 'admin')
     });
   }
 
-  // Generate market insights (simulated - in production, derived from real search/order data)
-  const storeInventory = db.inventory.filter(i => i.storeId === req.params.storeId);
-  const allSearches = ['drill', 'hangers', 'batteries', 'charger', 'light bulb', 'tape measure', 'work gloves', 'extension cord', 'power bank', 'hdmi cable'];
+  const scope = insightsScope(req);
+  const { store, radius, days } = scope;
+  if (!store) return res.status(404).json({ error: 'Store not found' });
+
+  // Demand signals from what people searched within the store's radius
+  const signals = db.searchLog.insightsFor({
+    lat: store.lat,
+    lng: store.lng,
+    radius,
+    days,
+    inventory: db.inventory.filter(i => i.storeId === req.params.storeId),
+    productFor: sku => db.PRODUCTS.find(p => p.sku === sku),
+  });
 
   const insights = {
     storeId: req.params.storeId,
-    period: 'last_30_days',
+    period: `last_${days}_days`,
+    area: signals.area,
     demandSignals: {
-      topSearches: allSearches.slice(0, 5).map((term, i) => ({
-        term,
-        searchVolume: Math.floor(Math.random() * 500) + 100,
-        trend: ['rising', 'stable', 'rising', 'rising', 'stable'][i],
-        yourInventory: storeInventory.some(inv => inv.productName.toLowerCase().includes(term)) ? 'in_stock' : 'missing',
-      })),
-      missedOpportunities: allSearches.slice(5).map(term => ({
-        term,
-        searchVolume: Math.floor(Math.random() * 200) + 50,
-        reason: 'Product not in your inventory',
-        estimatedRevenue: `$${(Math.random() * 500 + 100).toFixed(0)}/mo`,
-      })),
+      topSearches: signals.topSearches,
+      missedOpportunities: signals.missedOpportunities,
+      zeroResultSearches: signals.zeroResultSearches,
     },
-    competitorBenchmarks: plan.features.marketInsights === 'full' ? {
-      avgPriceIndex: 0.97, // Your prices are 3% below area average
-      inventoryCoverage: '73%', // You carry 73% of top-searched items
-      deliverySpeed: 'faster_than_avg',
-      areaCompetitors: 5,
-    } : 'Upgrade to Enterprise for competitor benchmarks',
-    recommendations: [
-      { type: 'stock', message: 'Add USB-C cables — high search volume, not in your inventory', impact: 'high' },
-      { type: 'price', message: 'Your LED bulbs are 12% above area average. Consider a price match.', impact: 'medium' },
-      { type: 'promotion', message: 'Run a promoted listing for "drill" — searches are up 40% this month.', impact: 'high' },
-    ],
+    competitorBenchmarks: plan.features.marketInsights === 'full'
+      ? benchmarksFor(scope)
+      : 'Upgrade to Enterprise for competitor benchmarks',
+    recommendations: db.searchLog.recommendationsFrom(signals),
     generatedAt: new Date().toISOString(),
   };
 
   res.json(insights);
 });
 
+// GET /api/monetization/b2b/insights/:storeId/benchmarks.csv - Per-SKU price benchmarks (Enterprise)
+// Query: radius?, days? as for insights
+router.get('/insights/:storeId/benchmarks.csv', authenticate, authorize('store_owner', 'admin'), (req, res) => {
+  if (!ownsStore(req, req.params.storeId)) return res.status(403).json({ error: 'Claim this store to see its market insights' });
+  if (storePlanFor(req.params.storeId).features.marketInsights !== 'full') {
+    return res.status(403).json({
+      error: 'Competitor benchmarks require the Enterprise plan.',
+      upgrade: { plan: 'enterprise', price: `$${STORE_PLANS.enterprise.price}/mo`, url: '/api/monetization/b2b/subscribe' }
+    });
+  }
+
+  const scope = insightsScope(req);
+  if (!scope.store) return res.status(404).json({ error: 'Store not found' });
+
+  const { skus } = benchmarksFor(scope);
+  res.type('text/csv');
+  res.attachment(`benchmarks-${scope.store.storeId}-${new Date().toISOString().slice(0, 10)}.csv`);
+  res.send(csv.stringify(BENCHMARK_COLUMNS, skus));
+});
+
 
 // ============================================
 // 4. STORE BILLING & REVENUE DASHBOARD
@@ -378,13 +446,9 @@ router.get('/billing/:storeId', authenticate, authorize('store_owner', 'admin'),
   const sub = db.subscriptions.find(s => s.storeId === req.params.storeId && s.status === 'active');
   const plan = sub ? STORE_PLANS[sub.planId] : STORE_PLANS.free;
 
-  // Calculate commissions from orders
-  const storeOrders = db.orders.filter(o =>
-    o.items.some(i => i.storeId === req.params.storeId) && o.status !== 'cancelled'
-  );
-  const grossRevenue = storeOrders.reduce((sum, o) =>
-    sum + o.items.filter(i => i.storeId === req.params.storeId).reduce((s, i) => s + i.lineTotal, 0), 0
-  );
+  // Calculate commissions from this store's sub-orders, net of approved returns
+  const storeOrders = db.orders.filter(o => o.storeId === req.params.storeId && o.status !== 'cancelled');
+  const grossRevenue = storeOrders.reduce((sum, o) => sum + o.subtotal - (o.returnedSubtotal || 0), 0);
   const platformCommission = grossRevenue * plan.commission;
   const deliveryCommissions = storeOrders
     .filter(o => o.fulfillment === 'delivery')
@@ -428,3 +492,4 @@ router.get('/billing/:storeId', authenticate, authorize('store_owner', 'admin'),
 module.exports = router;
 module.exports.STORE_PLANS = STORE_PLANS;
 module.exports.INVENTORY_SOFTWARE_PLANS = INVENTORY_SOFTWARE_PLANS;
+module.exports.storePlanFor = storePlanFor;
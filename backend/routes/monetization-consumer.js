@@ -11,7 +11,10 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const router = express.Router();
 const { authenticate, optionalAuth } = require('../middleware/auth');
+const { rules, validate } = require('../middleware/validation');
 const db = require('../models/database');
+const templates = require('../services/templates');
+const tax = require('../services/tax');
 
 // ============================================
 // CONSUMER MEMBERSHIP TIERS
@@ -75,6 +78,17 @@ const CONSUMER_PLANS = {
   }
 };
 
+/**
+ * The plan a user currently gets benefits from: an active membership, or one
+ * cancelled but still inside its paid period. Falls back to Free.
+ */
+function consumerPlanFor(userId) {
+  const now = new Date().toISOString();
+  const sub = db.consumerSubscriptions.find(s => s.userId === userId &&
+    (s.status === 'active' || (s.status === 'cancelling' && (!s.cancelsAt || s.cancelsAt > now))));
+  return (sub && CONSUMER_PLANS[sub.planId]) || CONSUMER_PLANS.free;
+}
+
 // ============================================
 // 1. CONSUMER PLANS & SUBSCRIPTION
 // ============================================
@@ -141,14 +155,18 @@ router.post('/subscribe', authenticate, (req, res) => {
 
   db.consumerSubscriptions.push(subscription);
 
-  db.notifications.push({
+  const { title, message } = templates.render('subscription/member', {
+    plan: plan.name,
+    price,
+    interval: billingInterval === 'annual' ? 'year' : 'month',
+    trialDays: plan.price > 0 ? 7 : 0,
+  }, templates.localeFor(db.users.find(u => u.id === req.user.id)));
+  db.notify({
     id: uuidv4(),
     userId: req.user.id,
     type: 'subscription',
-    title: `Welcome to ${plan.name}!`,
-    message: plan.price > 0
-      ? `Your 7-day free trial has started. You'll be charged $${price}/${billingInterval === 'annual' ? 'year' : 'month'} after the trial.`
-      : 'You\'re on the free plan. Upgrade anytime for free delivery and exclusive deals.',
+    title,
+    message,
     read: false,
     createdAt: new Date().toISOString(),
   });
@@ -171,12 +189,14 @@ router.get('/membership', authenticate, (req, res) => {
   const plan = sub ? CONSUMER_PLANS[sub.planId] : CONSUMER_PLANS.free;
 
   // Calculate cashback earned
-  const userOrders = db.orders.filter(o => o.userId === req.user.id && o.status !== 'cancelled');
+  const userOrders = db.orders.filter(o => o.userId === req.user.id && !o.parentOrderId && o.status !== 'cancelled');
   const cashbackOrders = sub?.features.cashback > 0 ? userOrders : [];
   const pickupOrders = cashbackOrders.filter(o => o.fulfillment === 'pickup');
+  // Returned items earn no cashback
+  const kept = o => o.subtotal - (o.returnedSubtotal || 0);
   const allCashback = plan.id === 'radar_pro'
-    ? userOrders.reduce((sum, o) => sum + (o.subtotal * plan.features.cashback), 0)
-    : pickupOrders.reduce((sum, o) => sum + (o.subtotal * plan.features.cashback), 0);
+    ? userOrders.reduce((sum, o) => sum + (kept(o) * plan.features.cashback), 0)
+    : pickupOrders.reduce((sum, o) => sum + (kept(o) * plan.features.cashback), 0);
 
   res.json({
     plan: {
@@ -216,13 +236,48 @@ router.post('/cancel', authenticate, (req, res) => {
 // 2. FEE CALCULATOR (used at checkout)
 // ============================================
 
+/**
+ * Price and tax a fee preview. With `items` ([{ inventoryId, quantity }],
+ * checked by rules.feePreview) the lines are taxed exactly as POST /api/orders would; a bare subtotal is taxed
+ * as ordinary goods at `storeId` (or config.tax.defaultLocation).
+ * Returns { subtotal, taxes } or { status, error }.
+ */
+function previewTaxes({ items, subtotal, storeId }) {
+  const allStores = db.getAllStores();
+  const storeFor = id => allStores.find(s => s.storeId === id);
+  let lines;
+  if (Array.isArray(items) && items.length > 0) {
+    lines = [];
+    for (const { inventoryId, quantity = 1 } of items) {
+      const invItem = db.inventory.find(i => i.id === inventoryId);
+      if (!invItem) return { status: 400, error: `Inventory item not found: ${inventoryId}` };
+      lines.push({
+        storeId: invItem.storeId,
+        retailer: invItem.retailer,
+        category: invItem.category || null,
+        price: invItem.price,
+        lineTotal: parseFloat((invItem.price * quantity).toFixed(2)),
+      });
+    }
+  } else {
+    if (!subtotal || subtotal <= 0) return { status: 400, error: 'Valid subtotal or items required' };
+    const store = storeId ? storeFor(storeId) : null;
+    if (storeId && !store) return { status: 404, error: 'Store not found' };
+    lines = [{ storeId: store?.storeId || null, retailer: store?.retailer || null, category: null, price: subtotal, lineTotal: subtotal }];
+  }
+  return {
+    subtotal: parseFloat(lines.reduce((s, l) => s + l.lineTotal, 0).toFixed(2)),
+    taxes: tax.quoteOrder(lines, storeFor),
+  };
+}
+
 // POST /api/monetization/consumer/calculate-fees - Calculate order fees
-router.post('/calculate-fees', optionalAuth, (req, res) => {
-  const { subtotal, fulfillment = 'delivery', itemCount = 1 } = req.body;
+router.post('/calculate-fees', optionalAuth, rules.feePreview, validate, (req, res) => {
+  const { fulfillment = 'delivery', itemCount = 1 } = req.body;
 
-  if (!subtotal || subtotal <= 0) {
-    return res.status(400).json({ error: 'Valid subtotal required' });
-  }
+  const preview = previewTaxes(req.body);
+  if (preview.error) return res.status(preview.status).json({ error: preview.error });
+  const { subtotal, taxes } = preview;
 
   // Get user's plan
   let plan = CONSUMER_PLANS.free;
@@ -247,9 +302,8 @@ router.post('/calculate-fees', optionalAuth, (req, res) => {
     }
   }
 
-  // Tax (NYC rate)
-  const taxRate = 0.08875;
-  const tax = parseFloat((subtotal * taxRate).toFixed(2));
+  // Tax at each selling store's jurisdiction (services/tax)
+  const salesTax = taxes.tax;
 
   // Cashback
   let cashback = 0;
@@ -261,18 +315,25 @@ router.post('/calculate-fees', optionalAuth, (req, res) => {
     }
   }
 
-  const total = parseFloat((subtotal + serviceFee + deliveryFee + tax).toFixed(2));
+  const total = parseFloat((subtotal + serviceFee + deliveryFee + salesTax).toFixed(2));
 
   res.json({
     breakdown: {
       subtotal: parseFloat(subtotal.toFixed(2)),
       serviceFee,
       deliveryFee,
-      tax,
+      tax: salesTax,
       total,
       cashback,
       effectiveTotal: parseFloat((total - cashback).toFixed(2)),
     },
+    taxes: Object.values(taxes.stores).map(q => ({
+      storeId: q.storeId,
+      jurisdiction: q.jurisdiction.code,
+      rate: q.rate,
+      taxable: q.taxable,
+      tax: q.tax,
+    })),
     plan: plan.name,
     savings: plan.id !== 'free' ? {
       deliverySaved: fulfillment === 'delivery' && plan.features.deliveryFee === 0 ? 4.99 : 0,
@@ -354,3 +415,4 @@ router.post('/ad-click', optionalAuth, (req, res) => {
 
 module.exports = router;
 module.exports.CONSUMER_PLANS = CONSUMER_PLANS;
+module.exports.consumerPlanFor = consumerPlanFor;
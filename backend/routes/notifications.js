@@ -1,12 +1,15 @@
 /**
  * Notification System Routes
  * Order updates, new products, promotions
+ * In-app rows live here; services/notifier also delivers each one by email,
+ * SMS and Web Push according to the user's preferences.
  */
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const router = express.Router();
 const { authenticate } = require('../middleware/auth');
-const { notifications } = require('../models/database');
+const { notifications, notificationDeliveries, pushSubscriptions, notifier } = require('../models/database');
+const webPush = require('../services/channels/web-push');
 
 // GET /api/notifications - Get user's notifications
 router.get('/', authenticate, (req, res) => {
@@ -55,4 +58,58 @@ router.delete('/:id', authenticate, (req, res) => {
   res.json({ message: 'Notification deleted' });
 });
 
+// ============================================
+// CHANNELS & PREFERENCES
+// ============================================
+
+// GET /api/notifications/preferences - Channels per category, quiet hours, contact details
+router.get('/preferences', authenticate, (req, res) => {
+  res.json({
+    preferences: notifier.preferencesFor(req.user.id),
+    categories: notifier.CATEGORIES,
+    channels: notifier.CHANNELS,
+    pushSubscriptions: pushSubscriptions.filter(s => s.userId === req.user.id).length,
+  });
+});
+
+// PUT /api/notifications/preferences - Change some of them
+router.put('/preferences', authenticate, (req, res) => {
+  const result = notifier.updatePreferences(req.user.id, req.body || {});
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.json({ message: 'Preferences updated', preferences: result.preferences });
+});
+
+// GET /api/notifications/push/public-key - VAPID key for PushManager.subscribe()
+router.get('/push/public-key', (req, res) => {
+  res.json({ publicKey: webPush.getVapidKeys().publicKey });
+});
+
+// POST /api/notifications/push/subscriptions - Register this browser for Web Push
+router.post('/push/subscriptions', authenticate, (req, res) => {
+  const { endpoint, keys } = req.body || {};
+  if (!/^https:\/\//.test(endpoint || '') || !keys?.p256dh || !keys?.auth) {
+    return res.status(400).json({ error: 'A PushSubscription with an https endpoint and keys.p256dh / keys.auth is required' });
+  }
+  const subscription = notifier.addSubscription(req.user.id, { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } }, req.headers['user-agent'] || null);
+  res.status(201).json({ message: 'Push enabled', subscription: { id: subscription.id, endpoint: subscription.endpoint } });
+});
+
+// DELETE /api/notifications/push/subscriptions - Stop pushing to a browser
+router.delete('/push/subscriptions', authenticate, (req, res) => {
+  const sub = pushSubscriptions.find(s => s.endpoint === req.body?.endpoint && s.userId === req.user.id);
+  if (!sub) return res.status(404).json({ error: 'Push subscription not found' });
+  notifier.removeSubscription(sub);
+  res.json({ message: 'Push disabled' });
+});
+
+// GET /api/notifications/deliveries - Email / SMS / push delivery log
+router.get('/deliveries', authenticate, (req, res) => {
+  const { channel, status, limit = 50 } = req.query;
+  let list = notificationDeliveries.filter(d => d.userId === req.user.id);
+  if (channel) list = list.filter(d => d.channel === channel);
+  if (status) list = list.filter(d => d.status === status);
+  list = [...list].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  res.json({ deliveries: list.slice(0, Math.min(parseInt(limit) || 50, 200)) });
+});
+
 module.exports = router;
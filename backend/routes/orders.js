@@ -1,89 +1,164 @@
 /**
  * Order Management Routes
  * Create, track, update orders. Payment integration stubs.
+ * Checkouts are split into per-store sub-orders with their own lifecycle
+ * (services/order-lifecycle); customers see the parent with its sub-orders.
+ * Checkout holds stock (services/reservations) rather than taking it: holds
+ * are committed when the order is paid or a store confirms its sub-order, and
+ * released on cancellation, failed payment or expiry.
+ * After fulfillment, customers return individual lines (services/returns);
+ * the store decides, and approval restocks, refunds and reverses the payout.
+ * Ready delivery orders are handed to couriers (services/dispatch), and
+ * customers follow them through GET /:id/tracking.
+ * Stores that publish time slots (services/slots) need one booked per
+ * sub-order at checkout; cancelling the sub-order frees it.
+ * New sub-orders and every status move are pushed live (services/realtime)
+ * to the customer and the store.
  */
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
 const router = express.Router();
 const { authenticate } = require('../middleware/auth');
 const { validate, rules } = require('../middleware/validation');
-const { orders, inventory, notifications, persist } = require('../models/database');
+const { orders, inventory, users, returns, persist, reservation, dispatch, slots, realtime, analytics, getAllStores } = require('../models/database');
+const lifecycle = require('../services/order-lifecycle');
+const orderService = require('../services/orders');
+const returnService = require('../services/returns');
+const tax = require('../services/tax');
 
-// POST /api/orders - Create a new order
-router.post('/', authenticate, rules.order, validate, (req, res) => {
-  const { items, fulfillment, deliveryAddress, notes } = req.body;
+const { subOrdersOf, notify, applyStatus } = orderService;
+
+function withSubOrders(order) {
+  return order.parentOrderId ? order : { ...order, subOrders: subOrdersOf(order) };
+}
 
-  const orderItems = [];
-  let subtotal = 0;
+function storeOwnersOf(storeId) {
+  return users.filter(u => (u.claimedStores || []).includes(storeId));
+}
+
+// POST /api/orders - Create a new order (one sub-order per store)
+router.post('/', authenticate, rules.order, validate, (req, res) => {
+  const { items, fulfillment, deliveryAddress, notes, slotId } = req.body;
 
+  // Check everything before touching stock
+  const lines = [];
   for (const item of items) {
     const invItem = inventory.find(i => i.id === item.inventoryId);
     if (!invItem) {
       return res.status(400).json({ error: `Inventory item not found: ${item.inventoryId}` });
     }
-    if (!invItem.inStock || invItem.quantity < item.quantity) {
+    const alreadyInOrder = lines.filter(l => l.inventoryId === invItem.id).reduce((s, l) => s + l.quantity, 0);
+    if (reservation.available(invItem) < item.quantity + alreadyInOrder) {
       return res.status(400).json({ error: `Insufficient stock for ${invItem.productName}` });
     }
-
-    const lineTotal = invItem.price * item.quantity;
-    orderItems.push({
+    lines.push({
       inventoryId: invItem.id,
       storeId: invItem.storeId,
+      retailer: invItem.retailer,
       productName: invItem.productName,
+      category: invItem.category || null,
       price: invItem.price,
       quantity: item.quantity,
-      lineTotal: parseFloat(lineTotal.toFixed(2)),
+      lineTotal: parseFloat((invItem.price * item.quantity).toFixed(2)),
     });
-    subtotal += lineTotal;
-
-    // Decrement inventory
-    invItem.quantity -= item.quantity;
-    if (invItem.quantity <= 0) invItem.inStock = false;
   }
 
-  const deliveryFee = fulfillment === 'delivery' ? 4.99 : 0;
-  const tax = parseFloat((subtotal * 0.08875).toFixed(2)); // NYC tax rate
-  const total = parseFloat((subtotal + deliveryFee + tax).toFixed(2));
+  // One slot per store that schedules this fulfillment; slotId alone will do for a single store
+  const allStores = getAllStores();
+  const storeIds = [...new Set(lines.map(l => l.storeId))];
+  const chosen = req.body.slots || (slotId && storeIds.length === 1 ? { [storeIds[0]]: slotId } : {});
+  const slotFor = {};
+  for (const storeId of storeIds) {
+    if (slots.templatesFor(storeId, fulfillment).length === 0) continue;
+    const store = allStores.find(s => s.storeId === storeId);
+    if (!chosen[storeId]) {
+      return res.status(400).json({
+        error: `Choose a ${fulfillment} slot for store ${storeId}`,
+        storeId,
+        slots: slots.slotsFor(store, { fulfillment }).filter(s => s.remaining > 0).slice(0, 10),
+      });
+    }
+    const slot = slots.findSlot(store, chosen[storeId], { fulfillment });
+    if (!slot) return res.status(400).json({ error: `Slot ${chosen[storeId]} is not available at store ${storeId}`, storeId });
+    if (slot.remaining < 1) return res.status(409).json({ error: `The ${slot.localStart} slot at store ${storeId} is full`, storeId });
+    slotFor[storeId] = slot;
+  }
 
-  const order = {
-    id: uuidv4(),
+  const taxes = tax.quoteOrder(lines, storeId => allStores.find(s => s.storeId === storeId));
+  const { parent, subOrders } = lifecycle.split(lines, {
     userId: req.user.id,
-    items: orderItems,
     fulfillment,
     deliveryAddress: fulfillment === 'delivery' ? deliveryAddress : null,
     notes,
-    subtotal: parseFloat(subtotal.toFixed(2)),
-    deliveryFee,
-    tax,
-    total,
-    status: 'pending',
-    paymentStatus: 'pending', // Integration point for Stripe/Square
-    statusHistory: [{ status: 'pending', timestamp: new Date().toISOString() }],
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString(),
-  };
-
-  orders.push(order);
-
-  // Create notification
-  notifications.push({
-    id: uuidv4(),
-    userId: req.user.id,
-    type: 'order_created',
-    title: 'Order Placed',
-    message: `Your order #${order.id.slice(0, 8)} has been placed. Total: $${order.total}`,
-    orderId: order.id,
-    read: false,
-    createdAt: new Date().toISOString(),
+    deliveryFee: fulfillment === 'delivery' ? 4.99 : 0,
+    taxes,
   });
+  orders.push(parent, ...subOrders);
+
+  for (const sub of subOrders) {
+    const slot = slotFor[sub.storeId];
+    if (!slot) continue;
+    slots.book(slot, { orderId: sub.id, parentOrderId: parent.id, userId: req.user.id });
+    Object.assign(sub, { slotId: slot.id, slotStart: slot.start, slotEnd: slot.end });
+  }
+
+  // Hold the stock until payment or store confirmation
+  for (const sub of subOrders) {
+    for (const line of sub.items) {
+      const invItem = inventory.find(i => i.id === line.inventoryId);
+      const hold = reservation.place(invItem, line.quantity, { orderId: sub.id, parentOrderId: parent.id, userId: req.user.id });
+      line.reservationId = hold.id;
+      parent.holdExpiresAt = hold.expiresAt;
+    }
+  }
+
+  for (const sub of subOrders) {
+    realtime.publish([realtime.storeChannel(sub.storeId)], 'new_order', sub);
+    for (const line of sub.items) {
+      analytics.track({
+        type: 'order',
+        sessionId: req.get('x-session-id') || null,
+        userId: req.user.id,
+        storeId: sub.storeId,
+        productSku: inventory.find(i => i.id === line.inventoryId)?.productSku,
+        category: line.category,
+        quantity: line.quantity,
+        value: line.lineTotal,
+        properties: { orderId: sub.id, parentOrderId: parent.id },
+      });
+    }
+  }
+
+  notify(req.user.id, 'order_created', { orderRef: parent.id.slice(0, 8), storeCount: subOrders.length, total: parent.total }, parent.id);
+
+  res.status(201).json({ message: 'Order created', order: withSubOrders(parent) });
+});
 
-  res.status(201).json({ message: 'Order created', order });
+// GET /api/orders/slots - Pickup / delivery windows for the stores in a cart
+router.get('/slots', authenticate, (req, res) => {
+  const { storeIds = '', fulfillment = 'pickup' } = req.query;
+  if (!slots.FULFILLMENTS.includes(fulfillment)) return res.status(400).json({ error: 'fulfillment must be pickup or delivery' });
+  const ids = String(storeIds).split(',').map(s => s.trim()).filter(Boolean);
+  if (ids.length === 0) return res.status(400).json({ error: 'storeIds required' });
+
+  const allStores = getAllStores();
+  res.json({
+    fulfillment,
+    stores: ids.map(storeId => {
+      const store = allStores.find(s => s.storeId === storeId);
+      if (!store) return { storeId, error: 'Store not found' };
+      return {
+        storeId,
+        slotRequired: slots.templatesFor(storeId, fulfillment).length > 0,
+        slots: slots.slotsFor(store, { fulfillment }),
+      };
+    }),
+  });
 });
 
 // GET /api/orders - List user's orders
 router.get('/', authenticate, (req, res) => {
   const { status, page = 1, limit = 20 } = req.query;
-  let userOrders = orders.filter(o => o.userId === req.user.id);
+  let userOrders = orders.filter(o => o.userId === req.user.id && !o.parentOrderId);
 
   if (status) userOrders = userOrders.filter(o => o.status === status);
 
@@ -95,69 +170,133 @@ router.get('/', authenticate, (req, res) => {
 
   res.json({
     pagination: { page: parseInt(page), limit: parseInt(limit), total },
-    orders: paginated
+    orders: paginated.map(withSubOrders)
   });
 });
 
-// GET /api/orders/:id - Order details
+// GET /api/orders/:id - Order (or sub-order) details
 router.get('/:id', authenticate, (req, res) => {
   const order = orders.find(o => o.id === req.params.id && o.userId === req.user.id);
   if (!order) return res.status(404).json({ error: 'Order not found' });
-  res.json({ order });
+  res.json({ order: withSubOrders(order) });
 });
 
-// PUT /api/orders/:id/status - Update order status (admin/store_owner)
+// GET /api/orders/:id/tracking - Courier position and ETA for each delivery
+router.get('/:id/tracking', authenticate, (req, res) => {
+  const order = orders.find(o => o.id === req.params.id && o.userId === req.user.id);
+  if (!order) return res.status(404).json({ error: 'Order not found' });
+  if (order.fulfillment !== 'delivery') return res.status(400).json({ error: 'Pickup orders are not delivered' });
+
+  const subs = order.parentOrderId ? [order] : subOrdersOf(order);
+  res.json({
+    orderId: order.id,
+    deliveries: subs.map(sub => {
+      const delivery = dispatch.liveDeliveryFor(sub.id) || dispatch.latestDeliveryFor(sub.id);
+      const courier = delivery && delivery.status !== 'declined' ? users.find(u => u.id === delivery.courierId) : null;
+      return {
+        subOrderId: sub.id,
+        storeId: sub.storeId,
+        status: sub.status,
+        courierName: courier?.name || null,
+        tracking: courier ? dispatch.track(delivery) : null,
+      };
+    }),
+  });
+});
+
+// PUT /api/orders/:id/status - Move a sub-order through the lifecycle
+// A parent id is accepted when the order came from a single store.
 router.put('/:id/status', authenticate, (req, res) => {
-  const order = orders.find(o => o.id === req.params.id);
+  let order = orders.find(o => o.id === req.params.id);
   if (!order) return res.status(404).json({ error: 'Order not found' });
 
-  const { status } = req.body;
-  const validStatuses = ['pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery', 'delivered', 'picked_up', 'cancelled'];
-  if (!validStatuses.includes(status)) {
-    return res.status(400).json({ error: `Invalid status. Valid: ${validStatuses.join(', ')}` });
+  if (!order.parentOrderId) {
+    const subs = subOrdersOf(order);
+    if (subs.length !== 1) {
+      return res.status(409).json({
+        error: `Order spans ${subs.length} stores; update each sub-order`,
+        subOrderIds: subs.map(s => s.id),
+      });
+    }
+    order = subs[0];
   }
 
-  order.status = status;
-  order.updatedAt = new Date().toISOString();
-  order.statusHistory.push({ status, timestamp: new Date().toISOString() });
-
-  // Notify customer
-  notifications.push({
-    id: uuidv4(),
-    userId: order.userId,
-    type: 'order_status',
-    title: `Order ${status.replace(/_/g, ' ')}`,
-    message: `Your order #${order.id.slice(0, 8)} is now ${status.replace(/_/g, ' ')}.`,
-    orderId: order.id,
-    read: false,
-    createdAt: new Date().toISOString(),
-  });
+  const { status, note } = req.body;
+  const actor = lifecycle.actorFor(req.user, order, users.find(u => u.id === req.user.id));
+  const problem = lifecycle.checkTransition(order, status, actor);
+  if (problem) {
+    return res.status(problem.status).json({ error: problem.error, allowed: actor ? lifecycle.nextStatuses(order, actor) : [] });
+  }
 
-  res.json({ message: 'Order status updated', order });
+  const parent = applyStatus(order, status, actor, req.user, note);
+  res.json({ message: 'Order status updated', order, parentStatus: parent?.status });
 });
 
-// POST /api/orders/:id/cancel - Cancel order
+// POST /api/orders/:id/cancel - Cancel an order, or one store's part of it
 router.post('/:id/cancel', authenticate, (req, res) => {
   const order = orders.find(o => o.id === req.params.id && o.userId === req.user.id);
   if (!order) return res.status(404).json({ error: 'Order not found' });
-  if (['delivered', 'picked_up', 'cancelled'].includes(order.status)) {
+
+  const targets = order.parentOrderId ? [order] : subOrdersOf(order);
+  const cancellable = targets.filter(s => !lifecycle.checkTransition(s, 'cancelled', 'customer'));
+  if (cancellable.length === 0) {
     return res.status(400).json({ error: 'Cannot cancel this order' });
   }
 
-  order.status = 'cancelled';
-  order.updatedAt = new Date().toISOString();
-  order.statusHistory.push({ status: 'cancelled', timestamp: new Date().toISOString() });
+  for (const sub of cancellable) applyStatus(sub, 'cancelled', 'customer', req.user, req.body?.reason);
 
-  // Restore inventory
-  for (const item of order.items) {
-    const inv = inventory.find(i => i.id === item.inventoryId);
-    if (inv) {
-      inv.quantity += item.quantity;
-      inv.inStock = true;
-    }
+  const parent = order.parentOrderId ? orders.find(o => o.id === order.parentOrderId) : order;
+  const kept = targets.filter(s => s.status !== 'cancelled');
+  res.json({
+    message: kept.length ? `Cancelled ${cancellable.length} of ${targets.length} store orders; the rest are already being prepared` : 'Order cancelled',
+    order: withSubOrders(parent),
+  });
+});
+
+// POST /api/orders/:id/returns - Return some lines of a fulfilled order
+// Lines from several stores become one request per store.
+router.post('/:id/returns', authenticate, rules.returnRequest, validate, (req, res) => {
+  const order = orders.find(o => o.id === req.params.id && o.userId === req.user.id);
+  if (!order) return res.status(404).json({ error: 'Order not found' });
+
+  const subs = order.parentOrderId ? [order] : subOrdersOf(order);
+  const bySub = new Map();
+  for (const item of req.body.items) {
+    const sub = subs.find(s => s.items.some(i => i.inventoryId === item.inventoryId));
+    if (!sub) return res.status(400).json({ error: `Item not in this order: ${item.inventoryId}` });
+    if (!bySub.has(sub)) bySub.set(sub, []);
+    bySub.get(sub).push({ inventoryId: item.inventoryId, quantity: parseInt(item.quantity) });
   }
 
-  res.json({ message: 'Order cancelled', order });
+  // Check every store's part before creating anything
+  const built = [];
+  for (const [sub, requested] of bySub) {
+    const { lines, error } = returnService.buildLines(sub, requested, returns);
+    if (error) return res.status(400).json({ error });
+    built.push([sub, lines]);
+  }
+
+  const created = built.map(([sub, lines]) => {
+    const ret = returnService.create(sub, lines, { userId: req.user.id, reason: req.body.reason });
+    returns.push(ret);
+    persist.returnRequest(ret);
+    for (const owner of storeOwnersOf(sub.storeId)) {
+      notify(owner.id, 'return_requested/store',
+        { count: lines.length, amount: ret.refundAmount, orderRef: sub.parentOrderId.slice(0, 8) }, sub.parentOrderId);
+    }
+    return ret;
+  });
+  notify(req.user.id, 'return_requested/customer', { storeCount: created.length }, created[0].parentOrderId);
+
+  res.status(201).json({ message: 'Return requested', returns: created });
+});
+
+// GET /api/orders/:id/returns - Returns on an order
+router.get('/:id/returns', authenticate, (req, res) => {
+  const order = orders.find(o => o.id === req.params.id && o.userId === req.user.id);
+  if (!order) return res.status(404).json({ error: 'Order not found' });
+  const list = returns.filter(r => order.parentOrderId ? r.orderId === order.id : r.parentOrderId === order.id);
+  res.json({ returns: list });
 });
 
 module.exports = router;
@@ -1,14 +1,18 @@
 /**
  * Payment Routes
  * Handles Stripe checkout, webhooks, billing portal, and payment method management.
+ * One-off order payments go through hosted Checkout or a PaymentIntent; the
+ * webhook ties the result back to the order's stock holds and paymentStatus.
  * Works in mock mode for development and real Stripe in production.
  */
 
 const express = require('express');
 const router = express.Router();
 const stripeService = require('../services/stripe');
+const { subOrdersOf, commitOrder, abandonOrder, refundCancelled } = require('../services/orders');
 const stripeConfig = require('../config/stripe');
 const { authenticate, authorize } = require('../middleware/auth');
+const config = require('../config');
 const db = require('../models/database');
 
 // ============================================
@@ -311,6 +315,149 @@ router.get('/invoices', authenticate, async (req, res) => {
   }
 });
 
+// ============================================
+// ORDER PAYMENTS (one-off)
+// ============================================
+
+const cents = n => Math.round(n * 100);
+
+// Stripe rejects a Checkout expires_at under 30 minutes after the session is created
+const CHECKOUT_MIN_EXPIRY_MINUTES = 31;
+
+// Keep the order's stock held until `expiresAt` while the customer pays
+function holdForPayment(order, expiresAt) {
+  const held = order.subOrderIds.flatMap(id => db.reservation.extend(id, expiresAt.toISOString()));
+  if (held.length) order.holdExpiresAt = held.reduce((max, h) => h.expiresAt > max ? h.expiresAt : max, order.holdExpiresAt || '');
+}
+
+// What the customer pays for: sub-orders a store hasn't cancelled
+function payableSubOrders(order) {
+  return subOrdersOf(order).filter(s => s.status !== 'cancelled');
+}
+
+/**
+ * Stripe line items for the payable sub-orders: one per product line, plus
+ * their delivery fee shares and tax.
+ */
+function orderLineItems(subs) {
+  const lines = subs.flatMap(s => s.items.map(i => ({ name: i.productName, unitAmount: cents(i.price), quantity: i.quantity })));
+  const deliveryFee = subs.reduce((sum, s) => sum + cents(s.deliveryFee), 0);
+  const tax = subs.reduce((sum, s) => sum + cents(s.tax), 0);
+  if (deliveryFee > 0) lines.push({ name: 'Delivery fee', unitAmount: deliveryFee, quantity: 1 });
+  if (tax > 0) lines.push({ name: 'Sales tax', unitAmount: tax, quantity: 1 });
+  return lines;
+}
+
+/**
+ * The parent order a Stripe object belongs to: metadata.orderId, else the
+ * PaymentIntent recorded on the order.
+ */
+function orderForPayment(object) {
+  const orderId = object.metadata?.orderId;
+  const intentId = object.object === 'payment_intent' ? object.id : object.payment_intent;
+  return db.orders.find(o => !o.parentOrderId && (
+    (orderId && o.id === orderId) || (intentId && o.stripePaymentIntentId === intentId)
+  )) || null;
+}
+
+/**
+ * Payment confirmed by Stripe. Sub-orders cancelled meanwhile (hold expired,
+ * store or customer cancelled) keep their cancellation and are refunded.
+ */
+async function markPaid(order, intentId, amount) {
+  if (intentId) order.stripePaymentIntentId = intentId;
+  if (amount !== undefined) order.amountPaid = amount / 100;
+  if (!['paid', 'partially_refunded', 'refunded'].includes(order.paymentStatus)) {
+    order.paidAt = new Date().toISOString();
+    commitOrder(order);
+  }
+  await refundCancelled(order);
+  return order;
+}
+
+// POST /api/payments/orders/:orderId/checkout - Pay for an order
+// method 'checkout' (default) returns a hosted Checkout URL; 'payment_intent'
+// returns a client secret for Stripe Elements.
+router.post('/orders/:orderId/checkout', authenticate, async (req, res) => {
+  try {
+    const { method = 'checkout' } = req.body;
+    if (!['checkout', 'payment_intent'].includes(method)) {
+      return res.status(400).json({ error: 'method must be checkout or payment_intent' });
+    }
+
+    const order = db.orders.find(o => o.id === req.params.orderId && o.userId === req.user.id && !o.parentOrderId);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    if (order.paymentStatus === 'paid') return res.status(409).json({ error: 'Order is already paid' });
+    const payable = payableSubOrders(order);
+    if (order.status === 'cancelled' || payable.length === 0) return res.status(409).json({ error: 'Order was cancelled' });
+
+    holdForPayment(order, new Date(Date.now() + config.reservations.paymentHoldMinutes * 60000));
+
+    // Ensure Stripe customer
+    const user = db.users.find(u => u.id === req.user.id);
+    if (!user.stripeCustomerId) {
+      const customer = await stripeService.createCustomer({
+        email: user.email, name: user.name,
+        metadata: { userId: user.id, role: 'consumer' },
+      });
+      user.stripeCustomerId = customer.id;
+    }
+
+    const metadata = { type: 'order', orderId: order.id, userId: user.id };
+    const amount = payable.reduce((sum, s) => sum + cents(s.total), 0);
+
+    if (method === 'payment_intent') {
+      let intent = order.stripePaymentIntentId && await stripeService.getPaymentIntent(order.stripePaymentIntentId);
+      if (!intent || intent.status === 'canceled' || intent.amount !== amount) {
+        // A store cancelled since: the old amount must not be confirmable any more
+        if (intent && intent.status !== 'canceled') await stripeService.cancelPaymentIntent(intent.id);
+        intent = await stripeService.createPaymentIntent({
+          customerId: user.stripeCustomerId,
+          amount,
+          metadata,
+          description: `Retail Radar order #${order.id.slice(0, 8)}`,
+        });
+      }
+      order.stripePaymentIntentId = intent.id;
+      order.paymentMethod = 'payment_intent';
+      return res.json({
+        orderId: order.id,
+        paymentIntentId: intent.id,
+        clientSecret: intent.client_secret,
+        amount: amount / 100,
+        currency: stripeConfig.currency,
+        holdExpiresAt: order.holdExpiresAt,
+      });
+    }
+
+    // Measured after the customer round-trip, so the session's expiry clears Stripe's minimum
+    const expiresAt = new Date(Date.now() + Math.max(config.reservations.paymentHoldMinutes, CHECKOUT_MIN_EXPIRY_MINUTES) * 60000);
+    holdForPayment(order, expiresAt);
+    const session = await stripeService.createPaymentCheckoutSession({
+      customerId: user.stripeCustomerId,
+      lineItems: orderLineItems(payable),
+      successUrl: `${stripeConfig.appUrl}/?payment=success&order=${order.id}&session_id={CHECKOUT_SESSION_ID}`,
+      cancelUrl: `${stripeConfig.appUrl}/?payment=cancelled&order=${order.id}`,
+      metadata,
+      expiresAt: Math.ceil(expiresAt.getTime() / 1000),
+    });
+    order.stripeCheckoutSessionId = session.id;
+    if (session.payment_intent) order.stripePaymentIntentId = session.payment_intent;
+    order.paymentMethod = 'checkout';
+
+    res.json({
+      orderId: order.id,
+      sessionId: session.id,
+      url: session.url,
+      amount: amount / 100,
+      currency: stripeConfig.currency,
+      holdExpiresAt: order.holdExpiresAt,
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Order checkout failed', detail: err.message });
+  }
+});
+
 // ============================================
 // CHECKOUT SESSION VERIFICATION
 // ============================================
@@ -357,7 +504,11 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
         const session = data.object;
         const meta = session.metadata || {};
 
-        if (meta.type === 'b2b') {
+        if (meta.orderId) {
+          // Order checkout paid: held stock becomes a sale
+          const order = orderForPayment(session);
+          if (order && session.payment_status !== 'unpaid') await markPaid(order, session.payment_intent, session.amount_total);
+        } else if (meta.type === 'b2b') {
           // Activate B2B subscription
           const existing = db.subscriptions.find(s => s.storeId === meta.storeId && s.status === 'active');
           if (existing) existing.status = 'replaced';
@@ -417,14 +568,66 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
         break;
       }
 
+      case 'checkout.session.expired': {
+        // Customer walked away from an order checkout: release its holds
+        const order = data.object.metadata?.orderId && orderForPayment(data.object);
+        if (order && order.paymentStatus !== 'paid') abandonOrder(order, 'expired', 'Checkout session expired');
+        break;
+      }
+
+      case 'payment_intent.succeeded': {
+        const intent = data.object;
+        const order = orderForPayment(intent);
+        if (order) await markPaid(order, intent.id, intent.amount_received ?? intent.amount);
+        break;
+      }
+
+      case 'payment_intent.payment_failed': {
+        const intent = data.object;
+        const order = orderForPayment(intent);
+        if (order && order.paymentStatus !== 'paid') {
+          order.paymentError = intent.last_payment_error?.message || null;
+          abandonOrder(order, 'failed', 'Payment failed');
+        }
+        break;
+      }
+
+      case 'payment_intent.canceled': {
+        const order = orderForPayment(data.object);
+        if (order && order.paymentStatus !== 'paid') abandonOrder(order, 'cancelled', 'Payment cancelled');
+        break;
+      }
+
+      case 'charge.refunded': {
+        const charge = data.object;
+        const order = orderForPayment(charge);
+        if (!order) break;
+        order.amountRefunded = charge.amount_refunded / 100;
+        if (charge.refunded) {
+          // Fully refunded: nothing left to fulfil
+          abandonOrder(order, 'refunded', 'Payment refunded');
+        } else {
+          order.paymentStatus = 'partially_refunded';
+        }
+        order.updatedAt = new Date().toISOString();
+        break;
+      }
+
       case 'invoice.payment_succeeded': {
         console.log(`[Stripe] Payment succeeded: ${data.object.id}`);
+        const order = data.object.metadata?.orderId && orderForPayment(data.object);
+        if (order) await markPaid(order, data.object.payment_intent, data.object.amount_paid);
         break;
       }
 
       case 'invoice.payment_failed': {
         const invoice = data.object;
         console.log(`[Stripe] Payment failed for customer: ${invoice.customer}`);
+        const order = invoice.metadata?.orderId && orderForPayment(invoice);
+        if (order) {
+          abandonOrder(order, 'failed', 'Payment failed');
+          break;
+        }
         // Mark subscription as past_due
         const b2bSub = db.subscriptions.find(s => s.stripeCustomerId === invoice.customer && s.status === 'active');
         if (b2bSub) b2bSub.status = 'past_due';
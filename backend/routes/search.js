@@ -1,16 +1,34 @@
 /**
  * Advanced Search & Filtering Routes
  * Supports: text search, category, price range, distance, sorting, pagination
+ * Query text is spell-corrected and synonym-expanded (services/query-understanding)
+ * Responses carry facet counts for a filter sidebar (services/search-facets)
+ * Per-SKU price history across stores for charts and deal badges (services/price-history)
+ * Every search is logged by normalized query and location cell for store insights (services/search-log)
  */
 const express = require('express');
 const router = express.Router();
 const { validate, rules } = require('../middleware/validation');
-const { optionalAuth } = require('../middleware/auth');
-const { PRODUCTS, inventory, getAllStores } = require('../models/database');
-const { calculateDistance, findNearbyStores, estimateDeliveryTime } = require('../utils/geo');
+const { v4: uuidv4 } = require('uuid');
+const { optionalAuth, authenticate, authorize } = require('../middleware/auth');
+const db = require('../models/database');
+const { PRODUCTS, searchIndex, queryUnderstanding, storeIndex, priceHistory, reservation, affiliate, analytics, searchLog } = db;
+const searchFacets = require('../services/search-facets');
+const basketOptimizer = require('../services/basket-optimizer');
+const routing = require('../services/routing');
+const hours = require('../utils/hours');
+const { estimateDeliveryTime } = require('../utils/geo');
 const { generateProductUrl, generateStoreUrl, brandToKey } = require('../utils/deep-links');
 const config = require('../config');
 
+// Each outbound link gets its own click token as the affiliate sub-ID;
+// the tracking beacon sends it back when the link is followed
+function outboundLink(retailerKey, product) {
+  if (!retailerKey) return { buyUrl: null, clickToken: null };
+  const clickToken = affiliate.newToken();
+  return { buyUrl: generateProductUrl(retailerKey, product.name, { brand: product.brand, subId: clickToken }), clickToken };
+}
+
 // POST /api/search - Advanced product search
 router.post('/', rules.search, validate, optionalAuth, (req, res) => {
   const {
@@ -21,11 +39,17 @@ router.post('/', rules.search, validate, optionalAuth, (req, res) => {
     category,
     minPrice,
     maxPrice,
+    priceBucket,
     sortBy = 'relevance',
     sortOrder = 'asc',
     page = 1,
     limit = config.pagination.defaultLimit,
     retailer,
+    brand,
+    travelMode,
+    maxMinutes,
+    openNow,
+    openAt,
     inStockOnly = true
   } = req.body;
 
@@ -33,70 +57,70 @@ router.post('/', rules.search, validate, optionalAuth, (req, res) => {
   const userLng = parseFloat(lng) || config.defaultLocation.lng;
   const maxRadius = Math.min(parseFloat(radius), config.maxRadius);
 
-  // Step 1: Find matching products by text
-  const searchTerms = q.toLowerCase().split(/\s+/).filter(Boolean);
-  let matchingProducts = PRODUCTS;
-
-  if (searchTerms.length > 0) {
-    matchingProducts = PRODUCTS.map(product => {
-      const nameLower = product.name.toLowerCase();
-      const keywordStr = product.keywords.join(' ').toLowerCase();
-      let score = 0;
-
-      for (const term of searchTerms) {
-        if (nameLower.includes(term)) score += 3;
-        if (keywordStr.includes(term)) score += 2;
-        if (product.category.includes(term)) score += 1;
-      }
-      return { ...product, relevanceScore: score };
-    }).filter(p => p.relevanceScore > 0);
+  // Step 1: Find matching products by text (spell-corrected + synonym-expanded, BM25 scored)
+  let matchingProducts;
+  let understanding = null;
+  if (q.trim()) {
+    understanding = queryUnderstanding.parse(q);
+    matchingProducts = searchIndex.search(understanding.clauses).map(({ doc, score }) => ({ ...doc, relevanceScore: score }));
   } else {
-    matchingProducts = PRODUCTS.map(p => ({ ...p, relevanceScore: 1 }));
-  }
-
-  // Step 2: Filter by category
-  if (category) {
-    matchingProducts = matchingProducts.filter(p => p.category === category.toLowerCase());
+    matchingProducts = searchIndex.getDocuments().map(doc => ({ ...doc, relevanceScore: 1 }));
   }
 
-  // Step 3: Filter by retailer
-  if (retailer) {
-    matchingProducts = matchingProducts.filter(p => p.retailers.includes(retailer.toLowerCase()));
+  // Step 2: Gather in-stock inventory at stores within the widest radius, so
+  // the distance facet can count beyond the requested one
+  const checkHoursAt = openAt ? new Date(openAt) : new Date();
+  const mustBeOpen = openNow === true || openNow === 'true' || Boolean(openAt);
+  let nearbyStores = hours.annotate(storeIndex.withinRadius(userLat, userLng, config.maxRadius), checkHoursAt);
+  if (mustBeOpen) nearbyStores = nearbyStores.filter(s => s.isOpen);
+  const mode = travelMode || (maxMinutes !== undefined || sortBy === 'time' ? 'driving' : null);
+  if (mode) {
+    routing.annotate({ lat: userLat, lng: userLng }, nearbyStores, mode);
   }
-
-  // Step 4: Get all nearby stores
-  const allStores = getAllStores();
-  const nearbyStores = findNearbyStores(allStores, userLat, userLng, maxRadius);
-  const nearbyStoreIds = new Set(nearbyStores.map(s => s.storeId));
   const storeMap = {};
   for (const s of nearbyStores) storeMap[s.storeId] = s;
 
-  // Step 5: Match products to inventory at nearby stores
-  const results = [];
+  const candidates = [];
   for (const product of matchingProducts) {
-    const productInventory = inventory.filter(inv =>
-      inv.productSku === product.sku &&
-      nearbyStoreIds.has(inv.storeId) &&
-      (!inStockOnly || inv.inStock)
-    );
-
-    if (productInventory.length === 0) continue;
-
-    // Apply price filters
-    const filteredInv = productInventory.filter(inv => {
-      if (minPrice !== undefined && inv.price < parseFloat(minPrice)) return false;
-      if (maxPrice !== undefined && inv.price > parseFloat(maxPrice)) return false;
-      return true;
-    });
+    const rows = [];
+    for (const inv of searchIndex.getInventory(product.sku)) {
+      const store = storeMap[inv.storeId];
+      if (!store || (inStockOnly && !inv.inStock)) continue;
+      rows.push({ inv, store, retailerKey: brandToKey(store.brand) || inv.retailer || null });
+    }
+    if (rows.length > 0) candidates.push({ product, rows });
+  }
+
+  // Step 3: Facet counts (each facet ignores its own filter)
+  const activeFilters = {
+    category: category ? category.toLowerCase() : undefined,
+    brand: brand ? brand.toLowerCase() : undefined,
+    retailer: retailer ? retailer.toLowerCase() : undefined,
+    minPrice: minPrice !== undefined ? parseFloat(minPrice) : undefined,
+    maxPrice: maxPrice !== undefined ? parseFloat(maxPrice) : undefined,
+    priceBucket: priceBucket !== undefined ? searchFacets.priceBucket(parseFloat(priceBucket)) : undefined,
+    // A travel-time limit replaces the default radius; an explicit radius still applies
+    radius: maxMinutes !== undefined && req.body.radius === undefined ? undefined : maxRadius,
+    maxMinutes: maxMinutes !== undefined ? parseFloat(maxMinutes) : undefined,
+    travelMode: mode,
+  };
+  const facets = searchFacets.compute(candidates, activeFilters);
 
-    if (filteredInv.length === 0) continue;
+  // Step 4: Apply all filters
+  const results = [];
+  for (const candidate of candidates) {
+    const rows = searchFacets.matchingRows(candidate, activeFilters);
+    if (!rows) continue;
+    const { product } = candidate;
+    const filteredInv = rows.map(r => r.inv);
 
     // Find best price and nearest store
     const sortedByPrice = [...filteredInv].sort((a, b) => a.price - b.price);
     const bestPrice = sortedByPrice[0].price;
-    const nearestInv = [...filteredInv].sort((a, b) =>
-      (storeMap[a.storeId]?.distance || 999) - (storeMap[b.storeId]?.distance || 999)
-    )[0];
+    const proximity = inv => mode
+      ? storeMap[inv.storeId]?.travelMinutes ?? 9999
+      : storeMap[inv.storeId]?.distance || 999;
+    const nearestInv = [...filteredInv].sort((a, b) => proximity(a) - proximity(b))[0];
     const nearestStore = storeMap[nearestInv.storeId];
 
     results.push({
@@ -119,10 +143,14 @@ router.post('/', rules.search, validate, optionalAuth, (req, res) => {
           retailerKey: rKey,
           address: nearestStore.address,
           distance: nearestStore.distance,
+          ...(mode && { travelMode: mode, travelMinutes: nearestStore.travelMinutes }),
+          isOpen: nearestStore.isOpen,
+          closesInMinutes: nearestStore.closesInMinutes,
           deliveryEstimate: estimateDeliveryTime(nearestStore.distance),
           price: nearestInv.price,
           quantity: nearestInv.quantity,
-          buyUrl: rKey ? generateProductUrl(rKey, product.name, { brand: product.brand }) : null,
+          availableQuantity: reservation.available(nearestInv),
+          ...outboundLink(rKey, product),
           storeUrl: rKey ? generateStoreUrl(rKey, userLat, userLng) : null,
         };
       })() : null,
@@ -134,16 +162,20 @@ router.post('/', rules.search, validate, optionalAuth, (req, res) => {
           brand: storeMap[inv.storeId]?.brand,
           retailerKey: rKey,
           distance: storeMap[inv.storeId]?.distance,
+          ...(mode && { travelMinutes: storeMap[inv.storeId]?.travelMinutes }),
+          isOpen: storeMap[inv.storeId]?.isOpen,
+          closesInMinutes: storeMap[inv.storeId]?.closesInMinutes,
           price: inv.price,
           quantity: inv.quantity,
-          buyUrl: rKey ? generateProductUrl(rKey, product.name, { brand: product.brand }) : null,
+          availableQuantity: reservation.available(inv),
+          ...outboundLink(rKey, product),
         };
       }),
       relevanceScore: product.relevanceScore,
     });
   }
 
-  // Step 6: Sort results
+  // Step 5: Sort results
   switch (sortBy) {
     case 'price':
       results.sort((a, b) => sortOrder === 'desc' ? b.bestPrice - a.bestPrice : a.bestPrice - b.bestPrice);
@@ -155,6 +187,13 @@ router.post('/', rules.search, validate, optionalAuth, (req, res) => {
         return sortOrder === 'desc' ? db - da : da - db;
       });
       break;
+    case 'time':
+      results.sort((a, b) => {
+        const ta = a.nearestStore?.travelMinutes ?? 9999;
+        const tb = b.nearestStore?.travelMinutes ?? 9999;
+        return sortOrder === 'desc' ? tb - ta : ta - tb;
+      });
+      break;
     case 'name':
       results.sort((a, b) => sortOrder === 'desc' ? b.product.name.localeCompare(a.product.name) : a.product.name.localeCompare(b.product.name));
       break;
@@ -162,22 +201,72 @@ router.post('/', rules.search, validate, optionalAuth, (req, res) => {
       results.sort((a, b) => b.relevanceScore - a.relevanceScore);
   }
 
-  // Step 7: Paginate
+  // Step 6: Paginate
   const totalResults = results.length;
   const totalPages = Math.ceil(totalResults / limit);
   const offset = (page - 1) * limit;
   const paginatedResults = results.slice(offset, offset + limit);
 
+  const visit = { sessionId: req.get('x-session-id') || null, userId: req.user?.id };
+  analytics.track({
+    ...visit,
+    type: 'search',
+    query: q,
+    category: category || paginatedResults[0]?.product.category,
+    city: nearbyStores[0]?.city,
+    quantity: totalResults,
+  });
+  for (const r of paginatedResults) {
+    if (!r.nearestStore) continue;
+    analytics.track({ ...visit, type: 'impression', productSku: r.product.sku, storeId: r.nearestStore.id, value: r.nearestStore.price });
+  }
+  searchLog.record({
+    ...visit,
+    query: q,
+    rewritten: understanding?.rewritten,
+    lat: userLat,
+    lng: userLng,
+    resultCount: totalResults,
+    productSkus: results.map(r => r.product.sku),
+    category,
+  });
+
   res.json({
     query: q,
-    location: { lat: userLat, lng: userLng, radius: maxRadius },
-    filters: { category, minPrice, maxPrice, retailer, inStockOnly },
+    didYouMean: understanding?.corrections.length ? understanding.rewritten : null,
+    queryUnderstanding: understanding ? {
+      rewritten: understanding.rewritten,
+      corrections: understanding.corrections,
+      synonyms: understanding.synonyms,
+    } : null,
+    location: { lat: userLat, lng: userLng, radius: activeFilters.radius ?? null, travelMode: mode, maxMinutes: activeFilters.maxMinutes ?? null },
+    filters: { category, brand, minPrice, maxPrice, priceBucket, retailer, inStockOnly, openNow: mustBeOpen && !openAt, openAt: openAt || null },
+    facets,
     sorting: { sortBy, sortOrder },
     pagination: { page, limit, totalResults, totalPages },
     results: paginatedResults,
   });
 });
 
+// POST /api/search/basket - Plan where to buy a whole shopping list
+router.post('/basket', rules.basket, validate, optionalAuth, (req, res) => {
+  const { items, lat, lng, radius = config.defaultRadius } = req.body;
+
+  const userLat = parseFloat(lat) || config.defaultLocation.lat;
+  const userLng = parseFloat(lng) || config.defaultLocation.lng;
+  const maxRadius = Math.min(parseFloat(radius), config.maxRadius);
+
+  const nearbyStores = storeIndex.withinRadius(userLat, userLng, maxRadius);
+  const { items: resolved, plans } = basketOptimizer.optimize(items, nearbyStores, { lat: userLat, lng: userLng });
+
+  res.json({
+    location: { lat: userLat, lng: userLng, radius: maxRadius },
+    items: resolved,
+    unresolved: resolved.filter(i => i.matches.length === 0).map(i => i.input),
+    plans,
+  });
+});
+
 // GET /api/search/categories - List all categories
 router.get('/categories', (req, res) => {
   const categories = [...new Set(PRODUCTS.map(p => p.category))].sort();
@@ -203,4 +292,86 @@ router.get('/suggestions', (req, res) => {
   res.json({ suggestions: [...suggestions].slice(0, 10) });
 });
 
+// GET /api/search/price-history?sku=...&storeId=&days=90 - Price time series for a product
+router.get('/price-history', (req, res) => {
+  const sku = (req.query.sku || '').trim();
+  if (!sku) return res.status(400).json({ error: 'sku required' });
+
+  const days = req.query.days === undefined ? 90 : parseInt(req.query.days);
+  if (!Number.isInteger(days) || days < 1 || days > 365) {
+    return res.status(400).json({ error: 'days must be between 1 and 365' });
+  }
+
+  const current = searchIndex.getInventory(sku);
+  const since = new Date(Date.now() - days * 86400000).toISOString();
+  const { stores, daily, stats } = priceHistory.forSku(sku, current, { since, storeId: req.query.storeId });
+  if (stores.length === 0) return res.status(404).json({ error: 'No inventory or price history for this SKU' });
+
+  const product = searchIndex.getDocument(sku);
+  res.json({
+    sku,
+    productName: product?.name || current[0]?.productName || null,
+    days,
+    stats,
+    daily,
+    stores,
+  });
+});
+
+// ============================================
+// SYNONYMS (admin)
+// ============================================
+
+// GET /api/search/synonyms - List synonym groups
+router.get('/synonyms', authenticate, authorize('admin'), (req, res) => {
+  res.json({ synonyms: db.synonyms, total: db.synonyms.length });
+});
+
+// POST /api/search/synonyms - Add a synonym group
+router.post('/synonyms', authenticate, authorize('admin'), rules.synonymGroup, validate, (req, res) => {
+  const now = new Date().toISOString();
+  const group = {
+    id: uuidv4(),
+    terms: normalizeTerms(req.body.terms),
+    createdAt: now,
+    updatedAt: now,
+  };
+  if (group.terms.length < 2) return res.status(400).json({ error: 'A synonym group needs at least 2 distinct terms' });
+
+  db.synonyms.push(group);
+  db.persist.synonym(group);
+  queryUnderstanding.loadSynonyms(db.synonyms);
+  res.status(201).json({ synonym: group });
+});
+
+// PUT /api/search/synonyms/:id - Replace a group's terms
+router.put('/synonyms/:id', authenticate, authorize('admin'), rules.synonymGroup, validate, (req, res) => {
+  const group = db.synonyms.find(s => s.id === req.params.id);
+  if (!group) return res.status(404).json({ error: 'Synonym group not found' });
+
+  const terms = normalizeTerms(req.body.terms);
+  if (terms.length < 2) return res.status(400).json({ error: 'A synonym group needs at least 2 distinct terms' });
+
+  group.terms = terms;
+  group.updatedAt = new Date().toISOString();
+  db.persist.synonym(group);
+  queryUnderstanding.loadSynonyms(db.synonyms);
+  res.json({ synonym: group });
+});
+
+// DELETE /api/search/synonyms/:id - Remove a group
+router.delete('/synonyms/:id', authenticate, authorize('admin'), (req, res) => {
+  const idx = db.synonyms.findIndex(s => s.id === req.params.id);
+  if (idx === -1) return res.status(404).json({ error: 'Synonym group not found' });
+
+  const [removed] = db.synonyms.splice(idx, 1);
+  db.persist.removeSynonym(removed.id);
+  queryUnderstanding.loadSynonyms(db.synonyms);
+  res.json({ message: 'Synonym group deleted', synonym: removed });
+});
+
+function normalizeTerms(terms) {
+  return [...new Set(terms.map(t => t.toLowerCase().replace(/\s+/g, ' ').trim()).filter(Boolean))];
+}
+
 module.exports = router;
@@ -3,24 +3,24 @@
  */
 const express = require('express');
 const router = express.Router();
-const { STORE_CHAINS, inventory, getAllStores } = require('../models/database');
-const { findNearbyStores, estimateDeliveryTime } = require('../utils/geo');
+const { STORE_CHAINS, inventory, getAllStores, storeIndex, reservation } = require('../models/database');
+const { estimateDeliveryTime } = require('../utils/geo');
+const routing = require('../services/routing');
+const hours = require('../utils/hours');
 const config = require('../config');
 
 // GET /api/stores - List all stores (with optional filters)
 router.get('/', (req, res) => {
   const { lat, lng, radius = 10, retailer, city, state, page = 1, limit = 20 } = req.query;
 
-  let stores = getAllStores();
+  let stores = lat && lng
+    ? storeIndex.withinRadius(parseFloat(lat), parseFloat(lng), parseFloat(radius))
+    : getAllStores();
 
   if (retailer) stores = stores.filter(s => s.retailer === retailer.toLowerCase());
   if (city) stores = stores.filter(s => s.city.toLowerCase().includes(city.toLowerCase()));
   if (state) stores = stores.filter(s => s.state.toLowerCase() === state.toLowerCase());
 
-  if (lat && lng) {
-    stores = findNearbyStores(stores, parseFloat(lat), parseFloat(lng), parseFloat(radius));
-  }
-
   const total = stores.length;
   const offset = (parseInt(page) - 1) * parseInt(limit);
   const paginated = stores.slice(offset, offset + parseInt(limit));
@@ -43,29 +43,79 @@ router.get('/retailers', (req, res) => {
 });
 
 // GET /api/stores/nearby - Find stores near coordinates
+// With mode=walking|transit|driving, stores carry travelMinutes and sort by it;
+// maxMinutes then filters by travel time instead of straight-line radius.
+// openNow=true / openAt=<ISO time> keep only stores open at that moment.
 router.get('/nearby', (req, res) => {
-  const { lat, lng, radius = 10 } = req.query;
+  const { lat, lng, radius, mode, maxMinutes, openNow, openAt } = req.query;
   const userLat = parseFloat(lat) || config.defaultLocation.lat;
   const userLng = parseFloat(lng) || config.defaultLocation.lng;
 
-  const stores = findNearbyStores(getAllStores(), userLat, userLng, parseFloat(radius));
+  const travelMode = mode || (maxMinutes ? 'driving' : null);
+  if (travelMode && !routing.MODES.includes(travelMode)) {
+    return res.status(400).json({ error: `mode must be one of: ${routing.MODES.join(', ')}` });
+  }
+  const minutesLimit = maxMinutes ? Math.min(parseFloat(maxMinutes), config.routing.maxMinutes) : null;
+  const searchRadius = radius ? parseFloat(radius) : (minutesLimit ? config.maxRadius : 10);
+
+  const checkHoursAt = openAt ? new Date(openAt) : new Date();
+  if (isNaN(checkHoursAt)) return res.status(400).json({ error: 'openAt must be an ISO 8601 time' });
+
+  let stores = hours.annotate(storeIndex.withinRadius(userLat, userLng, searchRadius), checkHoursAt);
+  if (openNow === 'true' || openAt) stores = stores.filter(s => s.isOpen);
+  if (travelMode) {
+    routing.annotate({ lat: userLat, lng: userLng }, stores, travelMode, minutesLimit || config.routing.maxMinutes);
+    if (minutesLimit) stores = stores.filter(s => s.travelMinutes !== null && s.travelMinutes <= minutesLimit);
+    stores.sort((a, b) => (a.travelMinutes ?? Infinity) - (b.travelMinutes ?? Infinity));
+  }
   const withEstimates = stores.map(s => ({
     ...s,
     deliveryEstimate: estimateDeliveryTime(s.distance)
   }));
 
   res.json({
-    location: { lat: userLat, lng: userLng, radius: parseFloat(radius) },
+    location: { lat: userLat, lng: userLng, radius: searchRadius, mode: travelMode, maxMinutes: minutesLimit },
+    openAt: openAt || (openNow === 'true' ? checkHoursAt.toISOString() : null),
     count: withEstimates.length,
     stores: withEstimates
   });
 });
 
+// GET /api/stores/nearest?lat=&lng=&k= - The k nearest stores, however far
+router.get('/nearest', (req, res) => {
+  const { lat, lng, k = 5, maxDistance } = req.query;
+  const userLat = parseFloat(lat) || config.defaultLocation.lat;
+  const userLng = parseFloat(lng) || config.defaultLocation.lng;
+  const count = Math.min(Math.max(parseInt(k) || 5, 1), 50);
+
+  const stores = storeIndex.nearest(userLat, userLng, count, maxDistance ? parseFloat(maxDistance) : Infinity)
+    .map(s => ({ ...s, deliveryEstimate: estimateDeliveryTime(s.distance) }));
+
+  res.json({ location: { lat: userLat, lng: userLng }, k: count, count: stores.length, stores });
+});
+
+// POST /api/stores/within - Stores inside a polygon (e.g. a drawn delivery area)
+router.post('/within', (req, res) => {
+  const { polygon, lat, lng } = req.body;
+  if (!Array.isArray(polygon) || polygon.length < 3 || polygon.length > 200) {
+    return res.status(400).json({ error: 'polygon must list 3-200 { lat, lng } or [lat, lng] points' });
+  }
+  const points = polygon.map(p => Array.isArray(p) ? { lat: parseFloat(p[0]), lng: parseFloat(p[1]) } : { lat: parseFloat(p?.lat), lng: parseFloat(p?.lng) });
+  if (points.some(p => !Number.isFinite(p.lat) || !Number.isFinite(p.lng))) {
+    return res.status(400).json({ error: 'Every polygon point needs a numeric lat and lng' });
+  }
+
+  const origin = lat !== undefined && lng !== undefined ? { lat: parseFloat(lat), lng: parseFloat(lng) } : null;
+  const stores = storeIndex.withinPolygon(points, origin);
+  res.json({ count: stores.length, stores });
+});
+
 // GET /api/stores/:storeId - Store details with inventory
 router.get('/:storeId', (req, res) => {
   const allStores = getAllStores();
-  const store = allStores.find(s => s.storeId === req.params.storeId);
-  if (!store) return res.status(404).json({ error: 'Store not found' });
+  const found = allStores.find(s => s.storeId === req.params.storeId);
+  if (!found) return res.status(404).json({ error: 'Store not found' });
+  const [store] = hours.annotate([{ ...found }]);
 
   const storeInventory = inventory
     .filter(inv => inv.storeId === store.storeId && inv.inStock)
@@ -74,6 +124,7 @@ router.get('/:storeId', (req, res) => {
       name: inv.productName,
       price: inv.price,
       quantity: inv.quantity,
+      availableQuantity: reservation.available(inv),
       lastUpdated: inv.lastUpdated,
     }));
 
@@ -98,7 +149,7 @@ router.get('/:storeId/inventory', (req, res) => {
   res.json({
     storeId: req.params.storeId,
     pagination: { page: parseInt(page), limit: parseInt(limit), total },
-    inventory: paginated
+    inventory: paginated.map(i => ({ ...i, availableQuantity: reservation.available(i) }))
   });
 });
 
@@ -0,0 +1,127 @@
+/**
+ * Price Watch Routes (Radar+ / Radar Pro)
+ * Price-drop, target-price and back-in-stock watches on a SKU or a search
+ * query near a location. Alerts land in notifications (type 'price_alert')
+ * from the evaluator in services/price-watch.
+ */
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { validate, rules } = require('../middleware/validation');
+const { priceWatches, persist, priceWatch, searchIndex } = require('../models/database');
+const { consumerPlanFor } = require('./monetization-consumer');
+const config = require('../config');
+
+function hasPriceAlerts(userId) {
+  return consumerPlanFor(userId).features.priceDropAlerts;
+}
+
+// Alerts stop (silently) for users whose plan lapses
+priceWatch.configure({ isEntitled: hasPriceAlerts });
+
+function currentState(watch) {
+  return { price: watch.lastPrice, inStock: watch.lastInStock, conditionMet: watch.conditionMet };
+}
+
+// GET /api/watches - List the user's watches
+router.get('/', authenticate, (req, res) => {
+  const plan = consumerPlanFor(req.user.id);
+  const watches = priceWatches
+    .filter(w => w.userId === req.user.id)
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+
+  res.json({
+    plan: { id: plan.id, priceDropAlerts: plan.features.priceDropAlerts },
+    limit: config.watches.maxPerUser,
+    watches,
+  });
+});
+
+// POST /api/watches - Create a watch
+router.post('/', authenticate, rules.watch, validate, (req, res) => {
+  if (!hasPriceAlerts(req.user.id)) {
+    return res.status(403).json({
+      error: 'Price drop alerts are included with Radar+ and Radar Pro',
+      upgrade: '/api/monetization/consumer/plans',
+    });
+  }
+  if (priceWatches.filter(w => w.userId === req.user.id).length >= config.watches.maxPerUser) {
+    return res.status(400).json({ error: `Maximum ${config.watches.maxPerUser} watches per account` });
+  }
+
+  const { condition, sku, query, targetPrice, lat, lng, radius } = req.body;
+  const now = new Date().toISOString();
+  const watch = {
+    id: uuidv4(),
+    userId: req.user.id,
+    sku: sku || null,
+    query: sku ? null : query,
+    lat: lat !== undefined ? parseFloat(lat) : null,
+    lng: lng !== undefined ? parseFloat(lng) : null,
+    radius: lat !== undefined ? parseFloat(radius || config.defaultRadius) : null,
+    condition,
+    targetPrice: condition === 'target_price' ? parseFloat(targetPrice) : null,
+    status: 'active',
+    lastPrice: null,
+    lastInStock: null,
+    conditionMet: false,
+    alertCount: 0,
+    lastAlertAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  if (sku && !searchIndex.getDocument(sku) && searchIndex.getInventory(sku).length === 0) {
+    return res.status(404).json({ error: 'Unknown SKU' });
+  }
+  if (!sku && priceWatch.watchedSkus(watch).length === 0) {
+    return res.status(400).json({ error: 'No products match this query' });
+  }
+
+  priceWatch.prime(watch);
+  priceWatches.push(watch);
+  persist.priceWatch(watch);
+  res.status(201).json({ message: 'Watch created', watch, current: currentState(watch) });
+});
+
+// PUT /api/watches/:id - Change target, radius, or pause/resume
+router.put('/:id', authenticate, (req, res) => {
+  const watch = priceWatches.find(w => w.id === req.params.id && w.userId === req.user.id);
+  if (!watch) return res.status(404).json({ error: 'Watch not found' });
+
+  const { targetPrice, radius, status } = req.body;
+  if (status !== undefined && !['active', 'paused'].includes(status)) {
+    return res.status(400).json({ error: 'status must be active or paused' });
+  }
+  if (targetPrice !== undefined && (watch.condition !== 'target_price' || !(parseFloat(targetPrice) > 0))) {
+    return res.status(400).json({ error: 'targetPrice must be a positive number on a target_price watch' });
+  }
+  if (radius !== undefined && (watch.lat === null || !(parseFloat(radius) >= 0.1 && parseFloat(radius) <= 50))) {
+    return res.status(400).json({ error: 'radius must be 0.1-50 miles on a watch with a location' });
+  }
+  if (status === 'active' && watch.status !== 'active' && !hasPriceAlerts(req.user.id)) {
+    return res.status(403).json({ error: 'Price drop alerts are included with Radar+ and Radar Pro' });
+  }
+
+  if (targetPrice !== undefined) watch.targetPrice = parseFloat(targetPrice);
+  if (radius !== undefined) watch.radius = parseFloat(radius);
+  if (status !== undefined) watch.status = status;
+  // New terms, new baseline: don't alert on what the user can already see
+  priceWatch.prime(watch);
+  watch.updatedAt = new Date().toISOString();
+  persist.priceWatch(watch);
+
+  res.json({ message: 'Watch updated', watch, current: currentState(watch) });
+});
+
+// DELETE /api/watches/:id - Remove a watch
+router.delete('/:id', authenticate, (req, res) => {
+  const idx = priceWatches.findIndex(w => w.id === req.params.id && w.userId === req.user.id);
+  if (idx === -1) return res.status(404).json({ error: 'Watch not found' });
+  priceWatches.splice(idx, 1);
+  persist.removePriceWatch(req.params.id);
+  res.json({ message: 'Watch removed' });
+});
+
+module.exports = router;
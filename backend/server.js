@@ -21,13 +21,17 @@ const searchRoutes = require('./routes/search');
 const storeRoutes = require('./routes/stores');
 const inventoryRoutes = require('./routes/inventory');
 const orderRoutes = require('./routes/orders');
+const courierRoutes = require('./routes/couriers');
 const notificationRoutes = require('./routes/notifications');
+const eventRoutes = require('./routes/events');
+const watchRoutes = require('./routes/watches');
 const monetizationB2BRoutes = require('./routes/monetization-b2b');
 const monetizationConsumerRoutes = require('./routes/monetization-consumer');
 const scraperRoutes = require('./routes/scraper');
 const dashboardRoutes = require('./routes/dashboard');
 const paymentRoutes = require('./routes/payments');
 const clickRoutes = require('./routes/clicks');
+const analyticsRoutes = require('./routes/analytics');
 
 // Import database for stats
 const db = require('./models/database');
@@ -45,7 +49,7 @@ app.use(compression());
 app.use(cors({
   origin: '*', // In production, restrict to your domains
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-Id'],
 }));
 // JSON parsing - skip for Stripe webhook (needs raw body for signature verification)
 app.use((req, res, next) => {
@@ -98,13 +102,15 @@ app.get('/api/health', (req, res) => {
       auth: '/api/auth (register, login, profile)',
       search: '/api/search (advanced search with filters)',
       stores: '/api/stores (browse, nearby, details)',
-      inventory: '/api/inventory (CRUD, batch, stats)',
+      inventory: '/api/inventory (CRUD, batch, stats, history)',
       orders: '/api/orders (create, track, cancel)',
-      notifications: '/api/notifications (list, read, delete)',
+      notifications: '/api/notifications (list, read, delete, channel preferences, web push)',
+      events: '/api/events (live notifications and orders over Server-Sent Events)',
+      watches: '/api/watches (price-drop + back-in-stock alerts, Radar+)',
       monetization_b2b: '/api/monetization/b2b (plans, subscribe, promote, insights, billing)',
       monetization_consumer: '/api/monetization/consumer (plans, subscribe, fees, ads)',
       scraper: '/api/scraper (run, jobs, retailers)',
-      dashboard: '/api/dashboard (overview, inventory, orders, analytics)',
+      dashboard: '/api/dashboard (overview, inventory, orders, time slots, returns, payouts, analytics, demand forecast)',
       payments: '/api/payments (checkout, billing-portal, invoices, webhook)',
     },
     timestamp: new Date().toISOString(),
@@ -119,32 +125,80 @@ app.get('/api/docs', (req, res) => {
     baseUrl: `http://localhost:${config.port}/api`,
     authentication: 'Bearer token (JWT) in Authorization header',
     endpoints: [
-      { method: 'POST', path: '/api/auth/register', desc: 'Register new user', auth: false, body: '{ email, password, name, role? }' },
+      { method: 'POST', path: '/api/auth/register', desc: 'Register new user (locale defaults from Accept-Language)', auth: false, body: '{ email, password, name, role?, locale? }' },
       { method: 'POST', path: '/api/auth/login', desc: 'Login', auth: false, body: '{ email, password }' },
       { method: 'GET', path: '/api/auth/profile', desc: 'Get profile', auth: true },
-      { method: 'PUT', path: '/api/auth/profile', desc: 'Update profile', auth: true },
+      { method: 'PUT', path: '/api/auth/profile', desc: 'Update profile', auth: true, body: '{ name?, email?, locale? }' },
       { method: 'POST', path: '/api/auth/favorites', desc: 'Add favorite', auth: true },
       { method: 'DELETE', path: '/api/auth/favorites/:sku', desc: 'Remove favorite', auth: true },
-      { method: 'POST', path: '/api/search', desc: 'Advanced search', auth: false, body: '{ query, lat?, lng?, radius?, category?, minPrice?, maxPrice?, sortBy?, page?, limit? }' },
+      { method: 'POST', path: '/api/search', desc: 'Advanced search (returns facets + didYouMean)', auth: false, body: '{ query, lat?, lng?, radius?, travelMode?, maxMinutes?, openNow?, openAt?, category?, brand?, retailer?, minPrice?, maxPrice?, priceBucket?, sortBy?, page?, limit? }' },
+      { method: 'POST', path: '/api/search/basket', desc: 'Multi-store basket optimizer', auth: false, body: '{ items: [query | sku | { query?, sku?, quantity? }], lat?, lng?, radius? }' },
       { method: 'GET', path: '/api/search/categories', desc: 'List categories', auth: false },
       { method: 'GET', path: '/api/search/suggestions?q=...', desc: 'Autocomplete', auth: false },
+      { method: 'GET', path: '/api/search/price-history?sku=...', desc: 'Price time series across stores + deal stats', auth: false, query: 'storeId, days (1-365, default 90)' },
+      { method: 'GET', path: '/api/search/synonyms', desc: 'List synonym groups', auth: 'admin' },
+      { method: 'POST', path: '/api/search/synonyms', desc: 'Add synonym group', auth: 'admin', body: '{ terms: [...] }' },
+      { method: 'PUT', path: '/api/search/synonyms/:id', desc: 'Replace synonym group terms', auth: 'admin', body: '{ terms: [...] }' },
+      { method: 'DELETE', path: '/api/search/synonyms/:id', desc: 'Delete synonym group', auth: 'admin' },
       { method: 'GET', path: '/api/stores', desc: 'List stores', auth: false, query: 'lat, lng, radius, retailer, city, state' },
       { method: 'GET', path: '/api/stores/retailers', desc: 'List retailer chains', auth: false },
-      { method: 'GET', path: '/api/stores/nearby', desc: 'Nearby stores', auth: false, query: 'lat, lng, radius' },
+      { method: 'GET', path: '/api/stores/nearby', desc: 'Nearby stores (optionally by travel time)', auth: false, query: 'lat, lng, radius, mode?, maxMinutes?, openNow?, openAt?' },
+      { method: 'GET', path: '/api/stores/nearest', desc: 'k nearest stores', auth: false, query: 'lat, lng, k?, maxDistance?' },
+      { method: 'POST', path: '/api/stores/within', desc: 'Stores inside a polygon', auth: false, body: '{ polygon: [{ lat, lng }...], lat?, lng? }' },
       { method: 'GET', path: '/api/stores/:storeId', desc: 'Store details + inventory', auth: false },
       { method: 'POST', path: '/api/inventory', desc: 'Add item', auth: 'store_owner' },
       { method: 'PUT', path: '/api/inventory/:id', desc: 'Update item', auth: 'store_owner' },
+      { method: 'GET', path: '/api/inventory/:id/history', desc: 'Price/stock change log', auth: 'store_owner', query: 'since, limit' },
       { method: 'DELETE', path: '/api/inventory/:id', desc: 'Remove item', auth: 'store_owner' },
       { method: 'POST', path: '/api/inventory/batch', desc: 'Batch add/update', auth: 'store_owner' },
       { method: 'GET', path: '/api/inventory/stats/:storeId', desc: 'Store analytics', auth: 'store_owner' },
-      { method: 'POST', path: '/api/orders', desc: 'Create order', auth: true, body: '{ items: [{inventoryId, quantity}], fulfillment, deliveryAddress? }' },
+      { method: 'POST', path: '/api/orders', desc: 'Create order (split into per-store sub-orders, each taxed at its store\'s rate; stock held until paid or confirmed; stores with time slots need one booked)', auth: true, body: '{ items: [{inventoryId, quantity}], fulfillment, deliveryAddress?, slotId? | slots?: { storeId: slotId } }' },
+      { method: 'GET', path: '/api/orders/slots', desc: 'Bookable pickup/delivery windows for the stores in a cart', auth: true, query: 'storeIds (comma-separated), fulfillment?' },
       { method: 'GET', path: '/api/orders', desc: 'List orders', auth: true },
-      { method: 'GET', path: '/api/orders/:id', desc: 'Order details', auth: true },
-      { method: 'PUT', path: '/api/orders/:id/status', desc: 'Update status', auth: 'admin/store_owner' },
-      { method: 'POST', path: '/api/orders/:id/cancel', desc: 'Cancel order', auth: true },
+      { method: 'GET', path: '/api/orders/:id', desc: 'Order details (with sub-orders)', auth: true },
+      { method: 'PUT', path: '/api/orders/:id/status', desc: 'Advance a sub-order (pending → confirmed → preparing → ready → out_for_delivery → delivered | picked_up; cancelled)', auth: 'admin/store_owner/courier', body: '{ status, note? }' },
+      { method: 'POST', path: '/api/orders/:id/cancel', desc: 'Cancel order or one store sub-order (before preparing)', auth: true, body: '{ reason? }' },
+      { method: 'POST', path: '/api/orders/:id/returns', desc: 'Request a return of delivered/picked-up lines (one request per store)', auth: true, body: '{ items: [{inventoryId, quantity}], reason? }' },
+      { method: 'GET', path: '/api/orders/:id/returns', desc: 'Returns on an order', auth: true },
+      { method: 'GET', path: '/api/orders/:id/tracking', desc: 'Courier position and ETA per delivery sub-order', auth: true },
+      { method: 'GET', path: '/api/couriers/me', desc: 'Current shift and assigned delivery', auth: 'courier' },
+      { method: 'GET', path: '/api/couriers/shifts', desc: 'Shift history', auth: 'courier' },
+      { method: 'POST', path: '/api/couriers/shifts', desc: 'Start a shift (nearest ready orders are dispatched to available couriers)', auth: 'courier', body: '{ lat, lng, mode? }' },
+      { method: 'PUT', path: '/api/couriers/shifts/current', desc: 'Pause or resume taking deliveries', auth: 'courier', body: '{ availability: available|paused }' },
+      { method: 'POST', path: '/api/couriers/shifts/current/end', desc: 'End the shift', auth: 'courier' },
+      { method: 'POST', path: '/api/couriers/pings', desc: 'Report GPS position', auth: 'courier', body: '{ lat, lng, heading?, speed? }' },
+      { method: 'POST', path: '/api/couriers/deliveries/:id/pickup', desc: 'Collected from store (order out_for_delivery)', auth: 'courier' },
+      { method: 'POST', path: '/api/couriers/deliveries/:id/deliver', desc: 'Handed over (order delivered)', auth: 'courier' },
+      { method: 'POST', path: '/api/couriers/deliveries/:id/decline', desc: 'Decline an assignment; offered to the next nearest courier', auth: 'courier', body: '{ reason? }' },
+      { method: 'GET', path: '/api/couriers', desc: 'Couriers on shift and unassigned ready orders', auth: 'admin' },
+      { method: 'POST', path: '/api/couriers/accounts', desc: 'Create a courier account (couriers cannot self-register)', auth: 'admin', body: '{ email, password, name, locale? }' },
+      { method: 'POST', path: '/api/couriers/dispatch', desc: 'Run courier assignment now', auth: 'admin' },
       { method: 'GET', path: '/api/notifications', desc: 'List notifications', auth: true },
       { method: 'PUT', path: '/api/notifications/:id/read', desc: 'Mark read', auth: true },
       { method: 'PUT', path: '/api/notifications/read-all', desc: 'Mark all read', auth: true },
+      { method: 'GET', path: '/api/notifications/preferences', desc: 'Email / SMS / push per category, quiet hours', auth: true },
+      { method: 'PUT', path: '/api/notifications/preferences', desc: 'Update notification preferences', auth: true, body: '{ channels?: { orders|price_drops|promotions|account: { email?, sms?, push? } }, quietHours?: { start, end, timezone? } | null, phone?, email? }' },
+      { method: 'GET', path: '/api/notifications/push/public-key', desc: 'VAPID public key for Web Push', auth: false },
+      { method: 'POST', path: '/api/notifications/push/subscriptions', desc: 'Register a browser PushSubscription', auth: true, body: '{ endpoint, keys: { p256dh, auth } }' },
+      { method: 'DELETE', path: '/api/notifications/push/subscriptions', desc: 'Remove a PushSubscription', auth: true, body: '{ endpoint }' },
+      { method: 'GET', path: '/api/notifications/deliveries', desc: 'Delivery log (queued, sent, failed) across channels', auth: true, query: 'channel?, status?, limit?' },
+      { method: 'GET', path: '/api/events', desc: 'Server-Sent Events stream: notification, order and new_order events (Last-Event-ID replays missed ones)', auth: 'true (header or ?token= stream token)', query: 'storeIds? (store owners default to their claimed stores)' },
+      { method: 'POST', path: '/api/events/token', desc: 'Short-lived stream token for EventSource (?token=)', auth: true },
+      { method: 'GET', path: '/api/watches', desc: 'List price watches', auth: true },
+      { method: 'POST', path: '/api/watches', desc: 'Create price watch (Radar+ / Radar Pro)', auth: true, body: '{ condition: target_price|any_drop|back_in_stock, sku | query, targetPrice?, lat?, lng?, radius? }' },
+      { method: 'PUT', path: '/api/watches/:id', desc: 'Update target/radius, pause or resume', auth: true, body: '{ targetPrice?, radius?, status? }' },
+      { method: 'DELETE', path: '/api/watches/:id', desc: 'Remove price watch', auth: true },
+      // Click tracking & affiliate attribution
+      { method: 'POST', path: '/api/click/track', desc: 'Tracking beacon for an outbound retailer link', auth: false, body: '{ clickToken, sessionId?, productSku, productName, retailerKey, storeId, price, action? }' },
+      { method: 'GET', path: '/api/click/go', desc: 'Log a click and redirect to the retailer with its sub-ID', auth: false, query: 'retailer, product, brand?, sku?, storeId?, price?, action?, session?' },
+      { method: 'GET', path: '/api/click/stats', desc: 'Clicks by retailer and action (analytics rollups)', auth: false, query: 'days?' },
+      { method: 'GET', path: '/api/click/affiliate-stats', desc: 'Clicks, conversions and commission by retailer / store', auth: 'admin', query: 'days?' },
+      { method: 'POST', path: '/api/click/conversions/import', desc: 'Import an affiliate network conversion report (CSV body)', auth: 'admin', query: 'network: impact|cj|rakuten|generic' },
+      { method: 'GET', path: '/api/click/conversions', desc: 'Imported conversions', auth: 'admin', query: 'network?, status?, storeId?, matched?, limit?' },
+      // Analytics
+      { method: 'POST', path: '/api/analytics/events', desc: 'Report client-side events (X-Session-Id header groups a visit)', auth: false, body: '{ events: [{ type: impression|add_to_cart, productSku, storeId?, quantity?, value? }] }' },
+      { method: 'GET', path: '/api/analytics/query', desc: 'Event totals from hourly / daily rollups, grouped, with a comparison period', auth: 'store_owner (own stores) | admin', query: 'from?, to?, granularity? (day|hour), groupBy? (type,retailer,store,category,city,action,date), types?, retailer?, store?, category?, city?, action?, compare? (previous|year), limit?' },
+      { method: 'POST', path: '/api/analytics/rollup', desc: 'Run the rollup job now', auth: 'admin' },
       // B2B Monetization
       { method: 'GET', path: '/api/monetization/b2b/plans', desc: 'List store subscription plans + inventory software tiers', auth: false },
       { method: 'POST', path: '/api/monetization/b2b/subscribe', desc: 'Subscribe store to platform plan', auth: 'store_owner', body: '{ storeId, planId, inventoryPlanId? }' },
@@ -152,14 +206,15 @@ app.get('/api/docs', (req, res) => {
       { method: 'POST', path: '/api/monetization/b2b/cancel', desc: 'Cancel store subscription', auth: 'store_owner', body: '{ storeId }' },
       { method: 'POST', path: '/api/monetization/b2b/promote', desc: 'Create promoted listing / ad', auth: 'store_owner', body: '{ storeId, productSkus?, placement, dailyBudget, startDate?, endDate? }' },
       { method: 'GET', path: '/api/monetization/b2b/promotions/:storeId', desc: 'List store promotions & ad stats', auth: 'store_owner' },
-      { method: 'GET', path: '/api/monetization/b2b/insights/:storeId', desc: 'Market insights (Professional+)', auth: 'store_owner' },
+      { method: 'GET', path: '/api/monetization/b2b/insights/:storeId', desc: 'Market insights from nearby searches: top terms, trends, missed opportunities (Professional+)', auth: 'store_owner' },
+      { method: 'GET', path: '/api/monetization/b2b/insights/:storeId/benchmarks.csv', desc: 'Per-SKU price index against stores within ?radius (Enterprise)', auth: 'store_owner' },
       { method: 'GET', path: '/api/monetization/b2b/billing/:storeId', desc: 'Store billing summary', auth: 'store_owner' },
       // Consumer Monetization
       { method: 'GET', path: '/api/monetization/consumer/plans', desc: 'List consumer membership plans', auth: false },
       { method: 'POST', path: '/api/monetization/consumer/subscribe', desc: 'Subscribe to consumer plan', auth: true, body: '{ planId, billingInterval? }' },
       { method: 'GET', path: '/api/monetization/consumer/membership', desc: 'Get current membership + stats', auth: true },
       { method: 'POST', path: '/api/monetization/consumer/cancel', desc: 'Cancel consumer membership', auth: true },
-      { method: 'POST', path: '/api/monetization/consumer/calculate-fees', desc: 'Calculate order fees based on plan', auth: false, body: '{ subtotal, fulfillment?, itemCount? }' },
+      { method: 'POST', path: '/api/monetization/consumer/calculate-fees', desc: 'Calculate order fees based on plan, with sales tax by store jurisdiction', auth: false, body: '{ items?: [{inventoryId, quantity}] | subtotal, storeId?, fulfillment? }' },
       { method: 'GET', path: '/api/monetization/consumer/ad-placements', desc: 'Get ad slots for page context', auth: false, query: 'page, category?, query?' },
       { method: 'POST', path: '/api/monetization/consumer/ad-click', desc: 'Track ad click', auth: false, body: '{ promotionId }' },
       // Payments (Stripe)
@@ -174,8 +229,9 @@ app.get('/api/docs', (req, res) => {
       { method: 'POST', path: '/api/payments/billing-portal', desc: 'Get Stripe billing portal URL', auth: true, body: '{ returnUrl? }' },
       { method: 'GET', path: '/api/payments/payment-methods', desc: 'List payment methods', auth: true },
       { method: 'GET', path: '/api/payments/invoices', desc: 'List invoices', auth: true },
+      { method: 'POST', path: '/api/payments/orders/:orderId/checkout', desc: 'Pay for an order (hosted Checkout URL or PaymentIntent client secret)', auth: true, body: '{ method?: checkout|payment_intent }' },
       { method: 'GET', path: '/api/payments/session/:sessionId', desc: 'Verify checkout session', auth: true },
-      { method: 'POST', path: '/api/payments/webhook', desc: 'Stripe webhook endpoint', auth: false },
+      { method: 'POST', path: '/api/payments/webhook', desc: 'Stripe webhook endpoint (checkout, payment_intent.*, charge.refunded; metadata.orderId settles order holds)', auth: false },
     ]
   });
 });
@@ -188,13 +244,17 @@ app.use('/api/search', searchRoutes);
 app.use('/api/stores', storeRoutes);
 app.use('/api/inventory', inventoryRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/couriers', courierRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/watches', watchRoutes);
 app.use('/api/monetization/b2b', monetizationB2BRoutes);
 app.use('/api/monetization/consumer', monetizationConsumerRoutes);
 app.use('/api/scraper', scraperRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/click', clickRoutes);
+app.use('/api/analytics', analyticsRoutes);
 
 // ============================================
 // Serve portal
@@ -0,0 +1,355 @@
+/**
+ * Affiliate Attribution
+ * Every outbound retailer link carries a click token as the network sub-ID
+ * (utils/deep-links subIdParam). The click is stored when the shopper
+ * follows it, via the tracking beacon or the /go redirect, with session,
+ * user, product and store. The network's conversion report echoes the
+ * sub-ID back, so importing it ties each sale and commission to that click.
+ *
+ * Reports are CSV in the network's own layout (REPORT_FORMATS). Rows are keyed
+ * by network + transaction id: re-importing a report updates status and
+ * amounts (pending → approved, or reversed) instead of duplicating rows.
+ * Unconverted clicks older than config.affiliate.clickRetentionDays are pruned.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const csv = require('../utils/csv');
+
+// Wired by models/database (storage)
+const hooks = {
+  clicks: [],
+  conversions: [],
+  save: { click: () => {}, conversion: () => {} },
+  removeClick: () => {},
+};
+
+const TOKEN_PATTERN = /^rr[0-9a-f]{12}$/;
+const ACTIONS = ['click', 'delivery', 'pickup'];
+
+// Column names per network, tried in order (matched ignoring case and punctuation)
+const REPORT_FORMATS = {
+  impact: {
+    transactionId: ['Action Id', 'ActionId'],
+    subId: ['SubId1', 'Sub Id 1'],
+    saleAmount: ['Sale Amount', 'Amount'],
+    commission: ['Payout', 'Action Earnings'],
+    status: ['Status', 'Action Status'],
+    occurredAt: ['Event Date', 'Action Date'],
+    currency: ['Currency'],
+  },
+  cj: {
+    transactionId: ['Action ID', 'Commission ID', 'Order ID'],
+    subId: ['SID'],
+    saleAmount: ['Sale Amount'],
+    commission: ['Commission Amount', 'Publisher Commission', 'Commission'],
+    status: ['Action Status', 'Status'],
+    occurredAt: ['Event Date', 'Posting Date'],
+    currency: ['Currency'],
+  },
+  rakuten: {
+    transactionId: ['Order ID', 'Transaction ID'],
+    subId: ['Member ID (U1)', 'U1'],
+    saleAmount: ['Sales', 'Sale Amount'],
+    commission: ['Total Commission', 'Commissions'],
+    status: ['Status'],
+    occurredAt: ['Transaction Date', 'Process Date'],
+    currency: ['Currency'],
+  },
+  generic: {
+    transactionId: ['transactionId', 'transaction_id', 'orderId', 'order_id'],
+    subId: ['subId', 'sub_id', 'clickToken'],
+    saleAmount: ['saleAmount', 'sale_amount', 'amount'],
+    commission: ['commission'],
+    status: ['status'],
+    occurredAt: ['occurredAt', 'date'],
+    currency: ['currency'],
+  },
+};
+const NETWORKS = Object.keys(REPORT_FORMATS);
+
+const STATUS_WORDS = {
+  pending: ['pending', 'new', 'open', 'extended', 'locked'],
+  approved: ['approved', 'closed', 'paid', 'confirmed', 'active'],
+  reversed: ['reversed', 'declined', 'rejected', 'corrected', 'void', 'cancelled', 'canceled', 'returned'],
+};
+
+let sweepTimer = null;
+
+function configure(options) {
+  Object.assign(hooks, options);
+}
+
+// ============================================
+// CLICKS
+// ============================================
+
+/**
+ * A fresh sub-ID for one outbound link ("rr" + 12 hex digits; networks
+ * differ on which punctuation they accept, so none is used).
+ */
+function newToken() {
+  return `rr${crypto.randomBytes(6).toString('hex')}`;
+}
+
+function isToken(value) {
+  return TOKEN_PATTERN.test(String(value || ''));
+}
+
+/**
+ * Store a followed link. `token` is the sub-ID the link was issued with;
+ * one is minted when it's missing or malformed.
+ */
+function recordClick(input) {
+  const click = {
+    id: uuidv4(),
+    token: isToken(input.token) ? input.token : newToken(),
+    sessionId: input.sessionId ? String(input.sessionId).slice(0, 64) : null,
+    userId: input.userId || null,
+    productSku: input.productSku || null,
+    productName: input.productName ? String(input.productName).slice(0, 200) : null,
+    retailerKey: input.retailerKey || null,
+    storeId: input.storeId || null,
+    price: Number.isFinite(parseFloat(input.price)) ? parseFloat(input.price) : null,
+    action: ACTIONS.includes(input.action) ? input.action : 'click',
+    source: input.source || 'beacon',
+    userAgent: input.userAgent ? String(input.userAgent).slice(0, 300) : null,
+    createdAt: (input.now || new Date()).toISOString(),
+  };
+  hooks.clicks.push(click);
+  hooks.save.click(click);
+  return click;
+}
+
+/**
+ * The latest click followed with `token` (a link can be followed twice).
+ */
+function clickFor(token) {
+  for (let i = hooks.clicks.length - 1; i >= 0; i--) {
+    if (hooks.clicks[i].token === token) return hooks.clicks[i];
+  }
+  return null;
+}
+
+/**
+ * Drop unconverted clicks past the retention window. Returns how many.
+ */
+function prune(now = new Date()) {
+  const cutoff = new Date(now.getTime() - config.affiliate.clickRetentionDays * 86400000).toISOString();
+  const converted = new Set(hooks.conversions.map(c => c.clickToken).filter(Boolean));
+  let removed = 0;
+  for (let i = hooks.clicks.length - 1; i >= 0; i--) {
+    const click = hooks.clicks[i];
+    if (click.createdAt >= cutoff || converted.has(click.token)) continue;
+    hooks.clicks.splice(i, 1);
+    hooks.removeClick(click.id);
+    removed++;
+  }
+  return removed;
+}
+
+function start() {
+  if (sweepTimer) return;
+  prune();
+  sweepTimer = setInterval(() => prune(), config.affiliate.sweepHours * 60 * 60 * 1000);
+  if (sweepTimer.unref) sweepTimer.unref();
+}
+
+// ============================================
+// CONVERSION REPORTS
+// ============================================
+
+const normalizeHeader = h => h.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Map each report field to the CSV header that holds it (or undefined).
+ */
+function columnsFor(network, headers) {
+  const byKey = new Map(headers.map(h => [normalizeHeader(h), h]));
+  const columns = {};
+  for (const [field, names] of Object.entries(REPORT_FORMATS[network])) {
+    columns[field] = names.map(n => byKey.get(normalizeHeader(n))).find(Boolean);
+  }
+  return columns;
+}
+
+function parseAmount(text) {
+  if (text === undefined || text === '') return 0;
+  // "$1,234.50", "(12.00)" for negatives
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const value = parseFloat(text.replace(/[^0-9.]/g, ''));
+  if (!Number.isFinite(value)) return NaN;
+  return negative ? -value : value;
+}
+
+function parseStatus(text, commission) {
+  const word = String(text || '').trim().toLowerCase();
+  for (const [status, words] of Object.entries(STATUS_WORDS)) {
+    if (words.includes(word)) return status;
+  }
+  // Networks without a status column report reversals as negative rows
+  if (commission < 0) return 'reversed';
+  return word ? null : 'pending';
+}
+
+/**
+ * Import one network report. Returns { summary: { imported, updated, matched,
+ * unmatched, errors: [{ row, error }] } } or { status, error } when the file
+ * can't be read as that network's report at all.
+ */
+function importReport(network, text, { importedBy = null, now = new Date() } = {}) {
+  if (!REPORT_FORMATS[network]) {
+    return { status: 400, error: `Unknown network ${network}. Use: ${NETWORKS.join(', ')}` };
+  }
+  let parsed;
+  try {
+    parsed = csv.parse(text);
+  } catch (err) {
+    return { status: 400, error: `Unreadable CSV: ${err.message}` };
+  }
+  const columns = columnsFor(network, parsed.headers);
+  const missing = ['transactionId', 'subId', 'commission'].filter(f => !columns[f]);
+  if (missing.length) {
+    return {
+      status: 400,
+      error: `Report is missing ${missing.map(f => REPORT_FORMATS[network][f][0]).join(', ')} column(s) for ${network}`,
+    };
+  }
+
+  const importId = uuidv4();
+  const stamp = now.toISOString();
+  const summary = { importId, network, rows: parsed.records.length, imported: 0, updated: 0, matched: 0, unmatched: 0, errors: [] };
+
+  for (const record of parsed.records) {
+    const transactionId = record[columns.transactionId];
+    const subId = record[columns.subId] || null;
+    const commission = parseAmount(record[columns.commission]);
+    const saleAmount = columns.saleAmount ? parseAmount(record[columns.saleAmount]) : 0;
+    const status = parseStatus(columns.status ? record[columns.status] : '', commission);
+    const occurred = columns.occurredAt && record[columns.occurredAt] ? new Date(record[columns.occurredAt]) : null;
+
+    if (!transactionId) { summary.errors.push({ row: record.row, error: 'Missing transaction id' }); continue; }
+    if (!Number.isFinite(commission) || !Number.isFinite(saleAmount)) {
+      summary.errors.push({ row: record.row, error: 'Amounts must be numbers' });
+      continue;
+    }
+    if (!status) { summary.errors.push({ row: record.row, error: `Unknown status "${record[columns.status]}"` }); continue; }
+    if (occurred && isNaN(occurred)) { summary.errors.push({ row: record.row, error: 'Unreadable date' }); continue; }
+
+    const click = subId ? clickFor(subId) : null;
+    const fields = {
+      clickToken: subId,
+      clickId: click?.id || null,
+      userId: click?.userId || null,
+      sessionId: click?.sessionId || null,
+      productSku: click?.productSku || null,
+      storeId: click?.storeId || null,
+      retailerKey: click?.retailerKey || null,
+      saleAmount: Math.round(saleAmount * 100) / 100,
+      commission: Math.round(commission * 100) / 100,
+      currency: (columns.currency && record[columns.currency]) || 'USD',
+      status,
+      occurredAt: occurred ? occurred.toISOString() : stamp,
+      importId,
+      importedBy,
+      updatedAt: stamp,
+    };
+
+    let conversion = hooks.conversions.find(c => c.network === network && c.transactionId === transactionId);
+    if (conversion) {
+      Object.assign(conversion, fields);
+      summary.updated++;
+    } else {
+      conversion = { id: uuidv4(), network, transactionId, ...fields, createdAt: stamp };
+      hooks.conversions.push(conversion);
+      summary.imported++;
+    }
+    hooks.save.conversion(conversion);
+    if (click) summary.matched++;
+    else summary.unmatched++;
+  }
+  return { summary };
+}
+
+// ============================================
+// REPORTING
+// ============================================
+
+function bump(map, key, init) {
+  if (!map[key]) map[key] = init();
+  return map[key];
+}
+
+/**
+ * Clicks and attributed earnings since `since`, by retailer, store and action.
+ * Reversed conversions count toward `reversed`, not earnings.
+ */
+function summarize(since) {
+  const iso = since.toISOString();
+  const clicks = hooks.clicks.filter(c => c.createdAt >= iso);
+  const conversions = hooks.conversions.filter(c => c.occurredAt >= iso);
+  const blank = () => ({ clicks: 0, conversions: 0, sales: 0, commission: 0, pending: 0, reversed: 0 });
+
+  const byRetailer = {};
+  const byStore = {};
+  const byAction = {};
+  const productClicks = {};
+  const sessions = new Set();
+  for (const click of clicks) {
+    bump(byRetailer, click.retailerKey || 'unknown', blank).clicks++;
+    if (click.storeId) bump(byStore, click.storeId, blank).clicks++;
+    byAction[click.action] = (byAction[click.action] || 0) + 1;
+    const key = click.productName || click.productSku || 'unknown';
+    productClicks[key] = (productClicks[key] || 0) + 1;
+    if (click.sessionId) sessions.add(click.sessionId);
+  }
+
+  const totals = blank();
+  totals.clicks = clicks.length;
+  for (const conv of conversions) {
+    const rows = [totals, bump(byRetailer, conv.retailerKey || 'unattributed', blank)];
+    if (conv.storeId) rows.push(bump(byStore, conv.storeId, blank));
+    for (const row of rows) {
+      if (conv.status === 'reversed') { row.reversed++; continue; }
+      row.conversions++;
+      row.sales += conv.saleAmount;
+      row.commission += conv.commission;
+      if (conv.status === 'pending') row.pending += conv.commission;
+    }
+  }
+
+  const finish = row => ({
+    ...row,
+    sales: Math.round(row.sales * 100) / 100,
+    commission: Math.round(row.commission * 100) / 100,
+    pending: Math.round(row.pending * 100) / 100,
+    conversionRate: row.clicks ? Math.round((row.conversions / row.clicks) * 10000) / 10000 : null,
+  });
+  const finishAll = map => Object.fromEntries(Object.entries(map).map(([k, v]) => [k, finish(v)]));
+
+  return {
+    totals: { ...finish(totals), sessions: sessions.size, unmatchedConversions: conversions.filter(c => !c.clickId).length },
+    byRetailer: finishAll(byRetailer),
+    byStore: finishAll(byStore),
+    byAction,
+    topProducts: Object.entries(productClicks)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 20)
+      .map(([name, count]) => ({ name, clicks: count })),
+  };
+}
+
+module.exports = {
+  NETWORKS,
+  REPORT_FORMATS,
+  configure,
+  newToken,
+  isToken,
+  recordClick,
+  clickFor,
+  prune,
+  start,
+  importReport,
+  summarize,
+};
@@ -0,0 +1,328 @@
+/**
+ * Analytics Warehouse
+ * Raw events go to an append-only log (analytics_events). A background job
+ * folds everything past its cursor into hourly and daily rollups: one row per
+ * bucket × event type × retailer × store × category × city × action, holding
+ * event, quantity and value sums. Queries read the rollups, never the raw log.
+ *
+ *   search       a search request          quantity = results returned
+ *   impression   a result shown             value = price
+ *   click        an outbound link followed  value = price, action = click | delivery | pickup
+ *   add_to_cart  reported by the client     quantity, value = line total
+ *   order        an order line              quantity, value = line total
+ *
+ * Buckets are UTC: hours "2026-10-18T14", days "2026-10-18". Retailer,
+ * category and city are filled in from the store and product when the
+ * caller only knows their ids.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+
+// Wired by models/database (storage, catalog lookups)
+const hooks = {
+  rollups: [],
+  append: () => {},
+  eventsAfter: () => [],
+  pruneEvents: () => {},
+  cursor: { get: () => 0, set: () => {} },
+  save: () => {},
+  removeRollup: () => {},
+  findStore: () => null,
+  findProduct: () => null,
+};
+
+const EVENT_TYPES = ['search', 'impression', 'click', 'add_to_cart', 'order'];
+// What browsers may report through POST /api/analytics/events
+const CLIENT_TYPES = ['impression', 'add_to_cart'];
+const GRANULARITIES = ['hour', 'day'];
+// Query group-by names → rollup fields
+const DIMENSIONS = {
+  type: 'type',
+  retailer: 'retailerKey',
+  store: 'storeId',
+  category: 'category',
+  city: 'city',
+  action: 'action',
+  date: 'bucket',
+};
+const BATCH_SIZE = 5000;
+const DAY_MS = 86400000;
+
+const byKey = new Map();   // rollup id -> row
+let rollupTimer = null;
+
+function reindex() {
+  byKey.clear();
+  for (const row of hooks.rollups) byKey.set(row.id, row);
+}
+
+function configure(options) {
+  Object.assign(hooks, options);
+  if (options.rollups) reindex();
+}
+
+// ============================================
+// EVENTS
+// ============================================
+
+const amount = (value, fallback) => (Number.isFinite(parseFloat(value)) ? parseFloat(value) : fallback);
+
+/**
+ * Append one event ({ type, sessionId?, userId?, storeId?, productSku?,
+ * retailerKey?, category?, city?, action?, quantity?, value?, query?, properties? }).
+ */
+function track(input) {
+  if (!EVENT_TYPES.includes(input.type)) throw new Error(`Unknown analytics event type ${input.type}`);
+  const store = input.storeId ? hooks.findStore(input.storeId) : null;
+  const product = input.productSku ? hooks.findProduct(input.productSku) : null;
+  const event = {
+    id: uuidv4(),
+    type: input.type,
+    occurredAt: (input.now || new Date()).toISOString(),
+    sessionId: input.sessionId ? String(input.sessionId).slice(0, 64) : null,
+    userId: input.userId || null,
+    retailerKey: input.retailerKey || store?.retailer || null,
+    storeId: input.storeId || null,
+    productSku: input.productSku || null,
+    category: (input.category || product?.category || '').toLowerCase() || null,
+    city: input.city || store?.city || null,
+    action: input.action ? String(input.action).slice(0, 32) : null,
+    quantity: amount(input.quantity, input.type === 'search' ? 0 : 1),
+    value: Math.round(amount(input.value, 0) * 100) / 100,
+    query: input.query ? String(input.query).slice(0, 200) : null,
+    properties: input.properties || null,
+  };
+  hooks.append(event);
+  return event;
+}
+
+// ============================================
+// ROLLUPS
+// ============================================
+
+function bucketOf(granularity, iso) {
+  return granularity === 'hour' ? iso.slice(0, 13) : iso.slice(0, 10);
+}
+
+function addToRollup(granularity, event, touched) {
+  const bucket = bucketOf(granularity, event.occurredAt);
+  const id = [granularity, bucket, event.type, event.retailerKey, event.storeId, event.category, event.city, event.action]
+    .map(v => v ?? '')
+    .join('|');
+  let row = byKey.get(id);
+  if (!row) {
+    row = {
+      id,
+      granularity,
+      bucket,
+      type: event.type,
+      retailerKey: event.retailerKey,
+      storeId: event.storeId,
+      category: event.category,
+      city: event.city,
+      action: event.action ?? null,
+      events: 0,
+      quantity: 0,
+      value: 0,
+      updatedAt: null,
+    };
+    byKey.set(id, row);
+    hooks.rollups.push(row);
+  }
+  row.events++;
+  row.quantity += event.quantity || 0;
+  row.value = Math.round((row.value + (event.value || 0)) * 100) / 100;
+  touched.add(row);
+}
+
+/**
+ * Fold every event past the cursor into the rollups. Returns how many events
+ * were rolled up.
+ */
+function rollup() {
+  let count = 0;
+  for (;;) {
+    const events = hooks.eventsAfter(hooks.cursor.get(), BATCH_SIZE);
+    if (events.length === 0) break;
+    const touched = new Set();
+    for (const event of events) {
+      for (const granularity of GRANULARITIES) addToRollup(granularity, event, touched);
+    }
+    const now = new Date().toISOString();
+    for (const row of touched) {
+      row.updatedAt = now;
+      hooks.save(row);
+    }
+    hooks.cursor.set(events[events.length - 1].seq);
+    count += events.length;
+  }
+  return count;
+}
+
+/**
+ * Drop raw events and hourly rollups past retention (raw events only once
+ * they've been rolled up).
+ */
+function prune(now = new Date()) {
+  const { rawRetentionDays, hourlyRetentionDays } = config.analytics;
+  hooks.pruneEvents(new Date(now.getTime() - rawRetentionDays * DAY_MS).toISOString(), hooks.cursor.get());
+
+  const oldestHour = bucketOf('hour', new Date(now.getTime() - hourlyRetentionDays * DAY_MS).toISOString());
+  for (let i = hooks.rollups.length - 1; i >= 0; i--) {
+    const row = hooks.rollups[i];
+    if (row.granularity !== 'hour' || row.bucket >= oldestHour) continue;
+    hooks.rollups.splice(i, 1);
+    byKey.delete(row.id);
+    hooks.removeRollup(row.id);
+  }
+}
+
+function start() {
+  if (rollupTimer) return;
+  rollupTimer = setInterval(() => {
+    try {
+      rollup();
+      prune();
+    } catch (err) {
+      console.error('[Analytics] Rollup failed:', err.message);
+    }
+  }, config.analytics.rollupSeconds * 1000);
+  if (rollupTimer.unref) rollupTimer.unref();
+}
+
+// ============================================
+// QUERIES
+// ============================================
+
+const isDate = text => /^\d{4}-\d{2}-\d{2}$/.test(text || '') && !isNaN(new Date(`${text}T00:00:00Z`));
+const shiftDate = (date, days) => new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+
+// Comparison periods: the same number of days just before, or 52 weeks
+// earlier (keeps weekdays lined up)
+const COMPARISONS = {
+  previous: (from, to) => -(daysBetween(from, to) + 1),
+  year: () => -364,
+};
+
+function shiftBucket(bucket, days) {
+  return shiftDate(bucket.slice(0, 10), days) + bucket.slice(10);
+}
+
+function aggregate(rows, groupBy, bucketShift = 0) {
+  const groups = new Map();
+  for (const row of rows) {
+    const keys = groupBy.map(dim => {
+      const value = row[DIMENSIONS[dim]];
+      return dim === 'date' && bucketShift ? shiftBucket(value, bucketShift) : value;
+    });
+    const id = JSON.stringify(keys);
+    let group = groups.get(id);
+    if (!group) {
+      group = { keys, events: 0, quantity: 0, value: 0 };
+      groups.set(id, group);
+    }
+    group.events += row.events;
+    group.quantity += row.quantity;
+    group.value += row.value;
+  }
+  return groups;
+}
+
+const change = (current, previous) => (previous ? Math.round(((current - previous) / previous) * 10000) / 10000 : null);
+const round2 = n => Math.round(n * 100) / 100;
+
+/**
+ * Query the rollups:
+ *   { from, to }        UTC dates (inclusive), default the last 7 days
+ *   granularity         'day' (default) or 'hour'; sets what `date` groups by
+ *   groupBy             any of type, retailer, store, category, city, action, date
+ *   types               event types to include (default all)
+ *   filters             { retailer?, store?, category?, city?, action? } — each a value or list
+ *   compare             'previous' or 'year'
+ *   limit               groups returned, largest first (default 100)
+ * Returns { rows, totals, period, comparison? } or { status, error }.
+ */
+function query(options = {}, now = new Date()) {
+  const granularity = options.granularity || 'day';
+  if (!GRANULARITIES.includes(granularity)) return { status: 400, error: `granularity must be ${GRANULARITIES.join(' or ')}` };
+
+  const to = options.to || now.toISOString().slice(0, 10);
+  const from = options.from || shiftDate(to, -6);
+  if (!isDate(from) || !isDate(to)) return { status: 400, error: 'from and to must be dates (YYYY-MM-DD)' };
+  if (from > to) return { status: 400, error: 'from must not be after to' };
+
+  const groupBy = options.groupBy || [];
+  const unknownDim = groupBy.find(d => !DIMENSIONS[d]);
+  if (unknownDim) return { status: 400, error: `Unknown groupBy ${unknownDim}. Use: ${Object.keys(DIMENSIONS).join(', ')}` };
+  const types = options.types?.length ? options.types : EVENT_TYPES;
+  const unknownType = types.find(t => !EVENT_TYPES.includes(t));
+  if (unknownType) return { status: 400, error: `Unknown event type ${unknownType}. Use: ${EVENT_TYPES.join(', ')}` };
+  if (options.compare && !COMPARISONS[options.compare]) {
+    return { status: 400, error: `compare must be ${Object.keys(COMPARISONS).join(' or ')}` };
+  }
+
+  const filters = Object.entries(options.filters || {})
+    .filter(([, v]) => v !== undefined && v !== null && !(Array.isArray(v) && v.length === 0))
+    .map(([dim, v]) => [DIMENSIONS[dim], new Set([].concat(v))]);
+  const select = (start, end) => hooks.rollups.filter(row => {
+    if (row.granularity !== granularity || !types.includes(row.type)) return false;
+    const date = row.bucket.slice(0, 10);
+    if (date < start || date > end) return false;
+    return filters.every(([field, allowed]) => allowed.has(row[field]));
+  });
+
+  const current = aggregate(select(from, to), groupBy);
+  let previous = null;
+  let comparison = null;
+  if (options.compare) {
+    const shift = COMPARISONS[options.compare](from, to);
+    comparison = { from: shiftDate(from, shift), to: shiftDate(to, shift) };
+    // Shift comparison dates forward so they land on the current period's rows
+    previous = aggregate(select(comparison.from, comparison.to), groupBy, -shift);
+  }
+
+  const metrics = g => ({ events: g?.events || 0, quantity: round2(g?.quantity || 0), value: round2(g?.value || 0) });
+  const ids = new Set([...current.keys(), ...(previous ? previous.keys() : [])]);
+  const rows = [...ids].map(id => {
+    const group = current.get(id) || previous.get(id);
+    const row = Object.fromEntries(groupBy.map((dim, i) => [dim, group.keys[i] ?? null]));
+    Object.assign(row, metrics(current.get(id)));
+    if (previous) {
+      row.previous = metrics(previous.get(id));
+      row.change = { events: change(row.events, row.previous.events), value: change(row.value, row.previous.value) };
+    }
+    return row;
+  });
+  rows.sort((a, b) => b.events - a.events || b.value - a.value || String(a.date).localeCompare(String(b.date)));
+
+  const sum = list => list.reduce((t, r) => ({ events: t.events + r.events, quantity: t.quantity + r.quantity, value: t.value + r.value }), { events: 0, quantity: 0, value: 0 });
+  const totals = metrics(sum(rows));
+  if (previous) {
+    totals.previous = metrics(sum(rows.map(r => r.previous)));
+    totals.change = { events: change(totals.events, totals.previous.events), value: change(totals.value, totals.previous.value) };
+  }
+
+  return {
+    period: { from, to, granularity },
+    ...(comparison && { comparison: { ...comparison, compare: options.compare } }),
+    groupBy,
+    types,
+    totals,
+    rows: rows.slice(0, options.limit || 100),
+    groups: rows.length,
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  CLIENT_TYPES,
+  DIMENSIONS: Object.keys(DIMENSIONS),
+  configure,
+  track,
+  rollup,
+  prune,
+  start,
+  query,
+};
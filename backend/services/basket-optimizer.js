@@ -0,0 +1,200 @@
+/**
+ * Basket Optimizer
+ * Turns a shopping list ("drill, work gloves, duct tape") into ranked store
+ * plans for POST /api/search/basket:
+ *
+ * - single_store: one stop covering as much of the list as possible
+ * - two_store:    best pair of stops, each item bought where it is cheaper
+ * - cheapest:     every item at its cheapest nearby store, however many stops
+ *
+ * Plans rank by missing items, then total price, then stops. Distance is the
+ * driving order user → nearest unvisited store → ..., straight-line miles.
+ */
+
+const { calculateDistance, estimateDeliveryTime } = require('../utils/geo');
+const searchIndex = require('./search-index');
+const queryUnderstanding = require('./query-understanding');
+
+const MATCHES_PER_QUERY = 5;      // products that may satisfy one list entry
+const MIN_RELATIVE_SCORE = 0.75;  // ...scoring close to the top match (AA, not AAA)
+const PAIR_CANDIDATES = 20;       // stores considered for two-store plans
+const PLANS_PER_TYPE = 3;
+
+/**
+ * Resolve list entries (strings or { query?, sku?, quantity? }) to candidate
+ * products. An entry that exactly names an indexed SKU resolves to it alone.
+ */
+function resolveItems(entries) {
+  return entries.map((entry, index) => {
+    const spec = typeof entry === 'string' ? { query: entry } : entry;
+    const quantity = Math.max(1, parseInt(spec.quantity, 10) || 1);
+    const text = String(spec.sku || spec.query || '').trim();
+
+    const exact = searchIndex.getDocument(spec.sku || text.toUpperCase());
+    if (exact) {
+      return { index, input: text, quantity, matches: [exact] };
+    }
+    if (spec.sku) return { index, input: text, quantity, matches: [] };
+
+    const hits = searchIndex.search(queryUnderstanding.parse(text).clauses);
+    const top = hits[0]?.score || 0;
+    const matches = hits
+      .filter(h => h.score >= top * MIN_RELATIVE_SCORE)
+      .slice(0, MATCHES_PER_QUERY)
+      .map(h => h.doc);
+    return { index, input: text, quantity, matches };
+  });
+}
+
+/**
+ * For each item, the cheapest qualifying offer at every nearby store:
+ * Map(storeId -> { product, inv, unitPrice })
+ */
+function offersByStore(item, storeMap) {
+  const offers = new Map();
+  for (const product of item.matches) {
+    for (const inv of searchIndex.getInventory(product.sku)) {
+      if (!storeMap[inv.storeId] || !inv.inStock || inv.quantity < item.quantity) continue;
+      const current = offers.get(inv.storeId);
+      if (!current || inv.price < current.unitPrice) {
+        offers.set(inv.storeId, { product, inv, unitPrice: inv.price });
+      }
+    }
+  }
+  return offers;
+}
+
+/**
+ * Total straight-line trip from the user through the stores, nearest first.
+ */
+function tripDistance(origin, stores) {
+  let total = 0;
+  let here = origin;
+  const remaining = [...stores];
+  const order = [];
+  while (remaining.length > 0) {
+    remaining.sort((a, b) =>
+      calculateDistance(here.lat, here.lng, a.lat, a.lng) - calculateDistance(here.lat, here.lng, b.lat, b.lng));
+    const next = remaining.shift();
+    total += calculateDistance(here.lat, here.lng, next.lat, next.lng);
+    order.push(next);
+    here = next;
+  }
+  return { totalDistance: parseFloat(total.toFixed(1)), order };
+}
+
+/**
+ * Build a plan where each item is bought at the cheapest of `storeIds`.
+ */
+function buildPlan(type, storeIds, items, offers, storeMap, origin) {
+  const lines = [];
+  const missing = [];
+  const used = new Set();
+
+  items.forEach((item, i) => {
+    let best = null;
+    for (const storeId of storeIds) {
+      const offer = offers[i].get(storeId);
+      if (offer && (!best || offer.unitPrice < best.unitPrice)) best = { ...offer, storeId };
+    }
+    if (!best) {
+      missing.push({ index: item.index, input: item.input, quantity: item.quantity });
+      return;
+    }
+    used.add(best.storeId);
+    lines.push({
+      index: item.index,
+      input: item.input,
+      sku: best.product.sku,
+      name: best.product.name,
+      storeId: best.storeId,
+      inventoryId: best.inv.id,
+      quantity: item.quantity,
+      unitPrice: best.unitPrice,
+      lineTotal: parseFloat((best.unitPrice * item.quantity).toFixed(2)),
+    });
+  });
+
+  const { totalDistance, order } = tripDistance(origin, [...used].map(id => storeMap[id]));
+  const farthest = Math.max(0, ...order.map(s => s.distance));
+
+  return {
+    type,
+    stops: order.length,
+    stores: order.map(s => ({
+      storeId: s.storeId,
+      name: s.name,
+      brand: s.brand,
+      address: s.address,
+      distance: s.distance,
+      itemCount: lines.filter(l => l.storeId === s.storeId).length,
+    })),
+    items: lines,
+    missing,
+    totalPrice: parseFloat(lines.reduce((sum, l) => sum + l.lineTotal, 0).toFixed(2)),
+    totalDistance,
+    deliveryEstimate: estimateDeliveryTime(farthest),
+  };
+}
+
+function comparePlans(a, b) {
+  return a.missing.length - b.missing.length
+    || a.totalPrice - b.totalPrice
+    || a.stops - b.stops
+    || a.totalDistance - b.totalDistance;
+}
+
+/**
+ * Optimize a shopping list against nearby stores (from storeIndex.withinRadius).
+ * Returns { items, plans } with plans ranked best first.
+ */
+function optimize(entries, nearbyStores, origin) {
+  const items = resolveItems(entries);
+  const storeMap = {};
+  for (const s of nearbyStores) storeMap[s.storeId] = s;
+
+  const offers = items.map(item => offersByStore(item, storeMap));
+  // storeMap also dedupes repeated store ids
+  const stocking = Object.values(storeMap)
+    .filter(s => offers.some(o => o.has(s.storeId)))
+    .sort((a, b) => a.distance - b.distance);
+
+  const singles = stocking
+    .map(s => buildPlan('single_store', [s.storeId], items, offers, storeMap, origin))
+    .sort(comparePlans);
+
+  const pairs = [];
+  const pairPool = singles.slice(0, PAIR_CANDIDATES).map(p => p.stores[0].storeId);
+  for (let i = 0; i < pairPool.length; i++) {
+    for (let j = i + 1; j < pairPool.length; j++) {
+      const plan = buildPlan('two_store', [pairPool[i], pairPool[j]], items, offers, storeMap, origin);
+      // Only worth a second stop if both stores contribute
+      if (plan.stops === 2) pairs.push(plan);
+    }
+  }
+  pairs.sort(comparePlans);
+
+  const plans = [
+    ...singles.slice(0, PLANS_PER_TYPE),
+    ...pairs.slice(0, PLANS_PER_TYPE),
+  ];
+  if (stocking.length > 0) {
+    plans.push(buildPlan('cheapest', stocking.map(s => s.storeId), items, offers, storeMap, origin));
+  }
+  plans.sort(comparePlans);
+
+  return {
+    items: items.map(item => ({
+      index: item.index,
+      input: item.input,
+      quantity: item.quantity,
+      matches: item.matches.map(p => ({ sku: p.sku, name: p.name })),
+    })),
+    plans: plans.map((plan, i) => ({ rank: i + 1, ...plan })),
+  };
+}
+
+module.exports = {
+  resolveItems,
+  optimize,
+};
@@ -0,0 +1,83 @@
+/**
+ * Email Channel
+ * Transports (config.notifications.email.transport):
+ *   smtp     nodemailer: implicit TLS or STARTTLS, authenticating when a
+ *            user is configured
+ *   file     append to the outbox (services/channels/outbox)
+ *   console  log a line
+ *
+ * send(to, { title, message }) resolves { id } or rejects; 5xx replies are
+ * permanent, anything else is worth retrying.
+ */
+
+const nodemailer = require('nodemailer');
+const config = require('../../config');
+const outbox = require('./outbox');
+
+// ============================================
+// SMTP
+// ============================================
+
+function smtpClient() {
+  const { host, port, secure, user, pass, timeoutMs } = config.notifications.email.smtp;
+  return nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+    connectionTimeout: timeoutMs,
+    greetingTimeout: timeoutMs,
+    socketTimeout: timeoutMs,
+  });
+}
+
+const smtpTransport = {
+  name: 'smtp',
+  async send(to, message) {
+    const client = smtpClient();
+    try {
+      const info = await client.sendMail({
+        from: config.notifications.email.from,
+        to,
+        subject: message.title,
+        text: message.message,
+      });
+      return { id: info.messageId };
+    } catch (err) {
+      if (err.responseCode >= 500) err.permanent = true;
+      throw err;
+    } finally {
+      client.close();
+    }
+  },
+};
+
+// ============================================
+// TRANSPORT SELECTION
+// ============================================
+
+const transports = {
+  smtp: smtpTransport,
+  file: outbox.fileTransport('email'),
+  console: outbox.consoleTransport('email', to => to),
+};
+let override = null;
+
+/**
+ * Replace the configured transport: a name above or any { send(to, message) }.
+ * null goes back to config.
+ */
+function useTransport(transport) {
+  override = typeof transport === 'string' ? transports[transport] : transport;
+}
+
+function send(to, message) {
+  const transport = override || transports[config.notifications.email.transport] || transports.console;
+  return transport.send(to, message);
+}
+
+module.exports = {
+  name: 'email',
+  send,
+  useTransport,
+};
@@ -0,0 +1,64 @@
+/**
+ * Offline Transports
+ * Every channel can deliver to the console or to a JSON-lines file
+ * (config.notifications.outboxDir/<channel>.jsonl) instead of a provider,
+ * so notifications can be exercised without accounts or network access.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../config');
+
+function fileFor(channel) {
+  return path.join(config.notifications.outboxDir, `${channel}.jsonl`);
+}
+
+function consoleTransport(channel, describe) {
+  return {
+    name: 'console',
+    async send(to, message) {
+      const id = `${channel}_console_${uuidv4().slice(0, 8)}`;
+      console.log(`[Notify:${channel}] → ${describe(to)}: ${message.title}`);
+      return { id };
+    },
+  };
+}
+
+function fileTransport(channel) {
+  return {
+    name: 'file',
+    async send(to, message) {
+      const id = `${channel}_file_${uuidv4().slice(0, 8)}`;
+      fs.mkdirSync(config.notifications.outboxDir, { recursive: true });
+      fs.appendFileSync(fileFor(channel), JSON.stringify({ id, to, message, sentAt: new Date().toISOString() }) + '\n');
+      return { id };
+    },
+  };
+}
+
+/**
+ * Messages a file transport has written for `channel`, oldest first.
+ */
+function read(channel) {
+  if (!fs.existsSync(fileFor(channel))) return [];
+  return fs.readFileSync(fileFor(channel), 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+/**
+ * Error a transport throws for rejections retrying can't fix (bad address,
+ * expired push subscription); the dispatcher fails the delivery at once.
+ */
+function permanent(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+module.exports = {
+  consoleTransport,
+  fileTransport,
+  fileFor,
+  read,
+  permanent,
+};
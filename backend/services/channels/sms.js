@@ -0,0 +1,85 @@
+/**
+ * SMS Channel
+ * Messages go through a provider: any object with
+ *
+ *   send(to, { title, message, text }) → Promise<{ id }>
+ *
+ * where `text` is the ready-to-send body (config.notifications.sms.maxLength).
+ * Built in (config.notifications.sms.transport): twilio (REST API), file
+ * (outbox) and console. registerProvider() adds others under a name.
+ */
+
+const config = require('../../config');
+const outbox = require('./outbox');
+
+const twilioProvider = {
+  name: 'twilio',
+  async send(to, message) {
+    const { from, twilio } = config.notifications.sms;
+    if (!twilio.accountSid || !twilio.authToken) throw outbox.permanent('Twilio credentials not configured');
+    const res = await fetch(`${twilio.apiBase}/2010-04-01/Accounts/${twilio.accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${twilio.accountSid}:${twilio.authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams({ To: to, From: from, Body: message.text }).toString(),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const err = new Error(`Twilio ${res.status}: ${data.message || 'request failed'}`);
+      // 4xx other than rate limiting won't succeed on retry (bad number, unverified sender)
+      if (res.status >= 400 && res.status < 500 && res.status !== 429) err.permanent = true;
+      throw err;
+    }
+    return { id: data.sid };
+  },
+};
+
+const providers = {
+  twilio: twilioProvider,
+  file: outbox.fileTransport('sms'),
+  console: outbox.consoleTransport('sms', to => to),
+};
+let override = null;
+
+function registerProvider(name, provider) {
+  providers[name] = provider;
+}
+
+/**
+ * Replace the configured provider: a registered name or a provider object.
+ * null goes back to config.
+ */
+function useTransport(provider) {
+  override = typeof provider === 'string' ? providers[provider] : provider;
+}
+
+function textFor({ title, message }) {
+  const text = `${title}: ${message}`;
+  const max = config.notifications.sms.maxLength;
+  return text.length > max ? text.slice(0, max - 1) + '…' : text;
+}
+
+function send(to, message) {
+  const provider = override || providers[config.notifications.sms.transport] || providers.console;
+  return provider.send(to, { ...message, text: textFor(message) });
+}
+
+/**
+ * E.164 phone number ("+15551234567"), or null.
+ */
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/[\s().-]/g, '');
+  if (/^\+[1-9]\d{7,14}$/.test(digits)) return digits;
+  if (/^\d{10}$/.test(digits)) return `+1${digits}`;   // US numbers without country code
+  return null;
+}
+
+module.exports = {
+  name: 'sms',
+  send,
+  useTransport,
+  registerProvider,
+  normalizePhone,
+};
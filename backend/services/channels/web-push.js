@@ -0,0 +1,120 @@
+/**
+ * Web Push Channel
+ * Browser push (RFC 8030) through the `web-push` package: VAPID
+ * authentication (RFC 8292) and aes128gcm payload encryption (RFC 8291).
+ *
+ * `to` is a PushSubscription as the browser serialises it:
+ * { endpoint, keys: { p256dh, auth } }. The payload is JSON
+ * { title, body, type, orderId, notificationId } for the service worker.
+ * A 404 / 410 from the push service means the subscription is gone
+ * (permanent error with `expired: true`).
+ *
+ * Transports (config.notifications.push.transport): webpush, file, console.
+ */
+
+const webpush = require('web-push');
+const config = require('../../config');
+const outbox = require('./outbox');
+
+let vapidKeys = null;
+
+/**
+ * A fresh P-256 key pair in the base64url form VAPID uses.
+ */
+function generateVapidKeys() {
+  return webpush.generateVAPIDKeys();
+}
+
+/**
+ * Configured keys, or ephemeral ones (subscriptions won't survive a restart).
+ */
+function getVapidKeys() {
+  if (vapidKeys) return vapidKeys;
+  const { publicKey, privateKey } = config.notifications.push.vapid;
+  if (publicKey && privateKey) {
+    vapidKeys = { publicKey, privateKey };
+  } else {
+    if (config.notifications.push.transport === 'webpush') {
+      console.warn('[Notify:push] VAPID keys not configured; using ephemeral keys');
+    }
+    vapidKeys = generateVapidKeys();
+  }
+  return vapidKeys;
+}
+
+function payloadFor(message) {
+  return JSON.stringify({
+    title: message.title,
+    body: message.message,
+    type: message.type || null,
+    orderId: message.orderId || null,
+    notificationId: message.notificationId || null,
+  });
+}
+
+function optionsFor(message) {
+  const { subject } = config.notifications.push.vapid;
+  return {
+    vapidDetails: { subject, ...getVapidKeys() },
+    TTL: config.notifications.push.ttlSeconds,
+    urgency: message.type === 'order_status' ? 'high' : 'normal',
+    contentEncoding: 'aes128gcm',
+  };
+}
+
+/**
+ * The push service request for a message, without sending it:
+ * { method, endpoint, headers, body }.
+ */
+function requestFor(subscription, message) {
+  return webpush.generateRequestDetails(subscription, payloadFor(message), optionsFor(message));
+}
+
+const webpushTransport = {
+  name: 'webpush',
+  async send(subscription, message) {
+    try {
+      const res = await webpush.sendNotification(subscription, payloadFor(message), optionsFor(message));
+      return { id: res.headers.location || null };
+    } catch (err) {
+      if (!(err instanceof webpush.WebPushError)) throw err;
+      if (err.statusCode === 404 || err.statusCode === 410) {
+        const gone = outbox.permanent(`Push subscription expired (${err.statusCode})`);
+        gone.expired = true;
+        throw gone;
+      }
+      const failed = new Error(`Push service ${err.statusCode}`);
+      if (err.statusCode >= 400 && err.statusCode < 500 && err.statusCode !== 429) failed.permanent = true;
+      throw failed;
+    }
+  },
+};
+
+const transports = {
+  webpush: webpushTransport,
+  file: outbox.fileTransport('push'),
+  console: outbox.consoleTransport('push', to => new URL(to.endpoint).host),
+};
+let override = null;
+
+/**
+ * Replace the configured transport: a name above or any { send(subscription, message) }.
+ * null goes back to config.
+ */
+function useTransport(transport) {
+  override = typeof transport === 'string' ? transports[transport] : transport;
+}
+
+function send(subscription, message) {
+  const transport = override || transports[config.notifications.push.transport] || transports.console;
+  return transport.send(subscription, message);
+}
+
+module.exports = {
+  name: 'push',
+  send,
+  useTransport,
+  generateVapidKeys,
+  getVapidKeys,
+  requestFor,
+};
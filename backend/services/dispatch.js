@@ -0,0 +1,335 @@
+/**
+ * Delivery Dispatch
+ * Couriers work shifts; while on shift they post GPS pings and are either
+ * available, busy (carrying a delivery) or paused. Each `ready` delivery
+ * sub-order is offered to the nearest available courier (straight-line miles
+ * from the store, within config.dispatch.maxPickupMiles, pinged within
+ * config.dispatch.staleMinutes):
+ *
+ *   assigned → picked_up → delivered
+ *       └→ declined (offered to the next courier) | cancelled
+ *
+ * An assignment whose courier stops pinging (staleMinutes) or ends the shift
+ * before pickup is declined on their behalf by the next dispatch pass.
+ *
+ * Delivery status follows the sub-order: services/orders reports every move
+ * through orderMoved (out_for_delivery = picked up). Orders no courier could
+ * take are retried every config.dispatch.intervalSeconds.
+ *
+ * ETAs use the routing cost model in the shift's travel mode: courier → store
+ * → drop-off before pickup, courier → drop-off after. Drop-off is the
+ * address's lat/lng when given, else its city's centre (approximate).
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const routing = require('./routing');
+const { calculateDistance } = require('../utils/geo');
+const { CITIES } = require('../data/catalog');
+
+// Wired by models/database (storage, stores, and services/orders for orders and assignment)
+const hooks = {
+  shifts: [],
+  deliveries: [],
+  findStore: () => null,
+  readyOrders: () => [],
+  onAssign: () => {},
+  onRelease: () => {},
+  save: { shift: () => {}, delivery: () => {} },
+};
+
+const LIVE = ['assigned', 'picked_up'];
+const trails = new Map();   // deliveryId -> recent pings
+let dispatchTimer = null;
+
+function configure(options) {
+  Object.assign(hooks, options);
+}
+
+function touch(record, fields) {
+  Object.assign(record, fields, { updatedAt: new Date().toISOString() });
+}
+
+// ============================================
+// SHIFTS
+// ============================================
+
+function activeShift(courierId) {
+  return hooks.shifts.find(s => s.courierId === courierId && s.status === 'active') || null;
+}
+
+function startShift(courierId, { lat, lng, mode = 'driving' }) {
+  const now = new Date().toISOString();
+  const shift = {
+    id: uuidv4(),
+    courierId,
+    status: 'active',
+    availability: 'available',
+    mode,
+    lat,
+    lng,
+    lastPingAt: now,
+    deliveryCount: 0,
+    startedAt: now,
+    endedAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  hooks.shifts.push(shift);
+  hooks.save.shift(shift);
+  dispatch();
+  return shift;
+}
+
+/**
+ * Pause or resume taking orders. Busy couriers change on completion instead.
+ */
+function setAvailability(shift, availability) {
+  touch(shift, { availability });
+  hooks.save.shift(shift);
+  if (availability === 'available') dispatch();
+  return shift;
+}
+
+function endShift(shift) {
+  touch(shift, { status: 'ended', availability: 'offline', endedAt: new Date().toISOString() });
+  hooks.save.shift(shift);
+  return shift;
+}
+
+/**
+ * Record a GPS ping ({ lat, lng, heading?, speed? }) on the courier's shift
+ * and the trail of the delivery they're carrying.
+ */
+function ping(shift, { lat, lng, heading = null, speed = null }) {
+  const at = new Date().toISOString();
+  touch(shift, { lat, lng, lastPingAt: at });
+  hooks.save.shift(shift);
+
+  const delivery = activeDelivery(shift.courierId);
+  if (delivery) {
+    const trail = trails.get(delivery.id) || [];
+    trail.push({ lat, lng, heading, speed, at });
+    if (trail.length > config.dispatch.trailLength) trail.shift();
+    trails.set(delivery.id, trail);
+  }
+  if (shift.availability === 'available') dispatch();
+  return delivery;
+}
+
+// ============================================
+// ASSIGNMENT
+// ============================================
+
+function activeDelivery(courierId) {
+  return hooks.deliveries.find(d => d.courierId === courierId && LIVE.includes(d.status)) || null;
+}
+
+function liveDeliveryFor(orderId) {
+  return hooks.deliveries.find(d => d.orderId === orderId && LIVE.includes(d.status)) || null;
+}
+
+function latestDeliveryFor(orderId) {
+  return hooks.deliveries
+    .filter(d => d.orderId === orderId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null;
+}
+
+/**
+ * Where an order is going: { lat, lng, approximate }, or null when unknown.
+ */
+function dropoffFor(address) {
+  if (!address) return null;
+  const lat = parseFloat(address.lat);
+  const lng = parseFloat(address.lng);
+  if (Number.isFinite(lat) && Number.isFinite(lng)) return { lat, lng, approximate: false };
+  const city = CITIES.find(c => c.city.toLowerCase() === String(address.city || '').toLowerCase()
+    && (!address.state || c.state === address.state));
+  return city ? { lat: city.lat, lng: city.lng, approximate: true } : null;
+}
+
+/**
+ * Nearest available courier to `point` with a fresh position, skipping `exclude`
+ * courier ids. Returns { shift, distance } or null.
+ */
+function nearestCourier(point, { exclude = [], now = new Date() } = {}) {
+  const freshSince = new Date(now.getTime() - config.dispatch.staleMinutes * 60000).toISOString();
+  return hooks.shifts
+    .filter(s => s.status === 'active' && s.availability === 'available' && s.lastPingAt >= freshSince && !exclude.includes(s.courierId))
+    .map(shift => ({ shift, distance: calculateDistance(point.lat, point.lng, shift.lat, shift.lng) }))
+    .filter(c => c.distance <= config.dispatch.maxPickupMiles)
+    .sort((a, b) => a.distance - b.distance)[0] || null;
+}
+
+function assign(order, store, { shift, distance }) {
+  const now = new Date().toISOString();
+  const delivery = {
+    id: uuidv4(),
+    orderId: order.id,
+    parentOrderId: order.parentOrderId,
+    storeId: order.storeId,
+    userId: order.userId,
+    courierId: shift.courierId,
+    shiftId: shift.id,
+    status: 'assigned',
+    pickup: { lat: store.lat, lng: store.lng },
+    dropoff: dropoffFor(order.deliveryAddress),
+    assignDistance: distance,
+    reason: null,
+    assignedAt: now,
+    pickedUpAt: null,
+    deliveredAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  hooks.deliveries.push(delivery);
+  hooks.save.delivery(delivery);
+  touch(shift, { availability: 'busy' });
+  hooks.save.shift(shift);
+  hooks.onAssign(delivery, order);
+  return delivery;
+}
+
+/**
+ * Decline assignments not yet picked up whose courier has gone quiet, so the
+ * pass that follows can offer them again. Returns the deliveries released.
+ */
+function releaseStale(now = new Date()) {
+  const freshSince = new Date(now.getTime() - config.dispatch.staleMinutes * 60000).toISOString();
+  const stale = hooks.deliveries.filter(d => {
+    if (d.status !== 'assigned') return false;
+    const shift = hooks.shifts.find(s => s.id === d.shiftId);
+    return shift?.status !== 'active' || shift.lastPingAt < freshSince;
+  });
+  for (const delivery of stale) {
+    close(delivery, 'declined', { reason: 'Courier stopped responding' });
+    hooks.onRelease(delivery);
+  }
+  return stale;
+}
+
+/**
+ * Offer every ready, unassigned delivery order to its nearest courier, oldest
+ * first, after releasing stale assignments. Returns the deliveries created.
+ */
+function dispatch(now = new Date()) {
+  releaseStale(now);
+  const assigned = [];
+  const waiting = hooks.readyOrders()
+    .filter(o => o.fulfillment === 'delivery' && !liveDeliveryFor(o.id))
+    .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+  for (const order of waiting) {
+    const store = hooks.findStore(order.storeId);
+    if (!store) continue;
+    const declined = hooks.deliveries.filter(d => d.orderId === order.id && d.status === 'declined').map(d => d.courierId);
+    const courier = nearestCourier(store, { exclude: declined, now });
+    if (courier) assigned.push(assign(order, store, courier));
+  }
+  return assigned;
+}
+
+function close(delivery, status, fields = {}) {
+  touch(delivery, { status, ...fields });
+  hooks.save.delivery(delivery);
+  trails.delete(delivery.id);
+  const shift = hooks.shifts.find(s => s.id === delivery.shiftId);
+  if (shift?.status === 'active') {
+    touch(shift, { availability: 'available', deliveryCount: shift.deliveryCount + (status === 'delivered' ? 1 : 0) });
+    hooks.save.shift(shift);
+  }
+}
+
+/**
+ * The courier turns an assignment down; the order goes to the next nearest.
+ */
+function decline(delivery, reason = null) {
+  close(delivery, 'declined', { reason });
+  hooks.onRelease(delivery);
+  dispatch();
+  return delivery;
+}
+
+/**
+ * Keep the delivery in step with its sub-order's status.
+ */
+function orderMoved(order) {
+  const delivery = liveDeliveryFor(order.id);
+  const now = new Date().toISOString();
+  if (order.status === 'ready') dispatch();
+  else if (!delivery) return null;
+  else if (order.status === 'out_for_delivery' && delivery.status === 'assigned') {
+    touch(delivery, { status: 'picked_up', pickedUpAt: now });
+    hooks.save.delivery(delivery);
+  } else if (order.status === 'delivered' || order.status === 'cancelled') {
+    close(delivery, order.status, order.status === 'delivered' ? { deliveredAt: now } : { reason: 'Order cancelled' });
+    dispatch();   // the courier is free again
+  }
+  return delivery;
+}
+
+// ============================================
+// TRACKING
+// ============================================
+
+function minutesBetween(from, to, mode) {
+  if (!from || !to) return null;
+  return routing.getModel().travelTimes(from, [to], mode, config.routing.maxMinutes)[0];
+}
+
+/**
+ * Where the courier is and when the order should arrive:
+ * { status, phase, courier: { lat, lng, lastPingAt }, etaMinutes, eta, trail }.
+ * etaMinutes is null when the drop-off can't be placed or reached.
+ */
+function track(delivery, now = new Date()) {
+  const shift = hooks.shifts.find(s => s.id === delivery.shiftId);
+  const live = LIVE.includes(delivery.status) && shift;
+  const position = live ? { lat: shift.lat, lng: shift.lng, lastPingAt: shift.lastPingAt } : null;
+
+  let etaMinutes = null;
+  if (live && delivery.status === 'assigned') {
+    const toStore = minutesBetween(position, delivery.pickup, shift.mode);
+    const toCustomer = minutesBetween(delivery.pickup, delivery.dropoff, shift.mode);
+    if (toStore !== null && toCustomer !== null) etaMinutes = toStore + config.dispatch.pickupMinutes + toCustomer;
+  } else if (live) {
+    etaMinutes = minutesBetween(position, delivery.dropoff, shift.mode);
+  }
+  if (etaMinutes !== null) etaMinutes = Math.ceil(etaMinutes);
+
+  return {
+    deliveryId: delivery.id,
+    status: delivery.status,
+    phase: !live ? null : delivery.status === 'assigned' ? 'to_store' : 'to_customer',
+    courier: position,
+    dropoff: delivery.dropoff,
+    etaMinutes,
+    eta: etaMinutes !== null ? new Date(now.getTime() + etaMinutes * 60000).toISOString() : null,
+    approximate: !!delivery.dropoff?.approximate,
+    trail: trails.get(delivery.id) || [],
+  };
+}
+
+function start() {
+  if (dispatchTimer) return;
+  dispatchTimer = setInterval(() => dispatch(), config.dispatch.intervalSeconds * 1000);
+  if (dispatchTimer.unref) dispatchTimer.unref();
+}
+
+module.exports = {
+  configure,
+  activeShift,
+  startShift,
+  setAvailability,
+  endShift,
+  ping,
+  activeDelivery,
+  liveDeliveryFor,
+  latestDeliveryFor,
+  nearestCourier,
+  dispatch,
+  releaseStale,
+  decline,
+  orderMoved,
+  track,
+  start,
+};
@@ -0,0 +1,215 @@
+/**
+ * Demand Forecasting
+ * Daily demand per store SKU for the Inventory Pro / AI plans, from two
+ * sources (salesFrom derives them from what the caller gathers):
+ *
+ * - order lines (online sales)
+ * - stock drops in the inventory change log that no order or return
+ *   explains (in-store sales picked up by POS syncs, scraper runs, edits)
+ *
+ * Each SKU's daily series runs from when it was first stocked (or the start
+ * of the history window) to yesterday plus today so far. With two full weeks
+ * of it, Holt-Winters additive smoothing with a weekly season forecasts the
+ * horizon; with less, simple exponential smoothing gives a flat forecast.
+ *
+ * Reorder suggestions follow a reorder-point / order-up-to policy:
+ *   safety stock   z × σ(one-step forecast errors) × √lead time
+ *   reorder point  forecast demand over the lead time + safety stock
+ *   order up to    forecast demand over lead time + review period + safety stock
+ */
+
+const config = require('../config');
+
+const DAY_MS = 86400000;
+
+const dayOf = date => new Date(date).toISOString().slice(0, 10);
+const addDays = (day, n) => dayOf(new Date(`${day}T00:00:00Z`).getTime() + n * DAY_MS);
+const round = (n, places = 2) => Math.round(n * 10 ** places) / 10 ** places;
+const sum = values => values.reduce((s, v) => s + v, 0);
+const mean = values => (values.length ? sum(values) / values.length : 0);
+
+// Stock changes that are not sales: orders are counted from their lines, returns add stock back
+const NON_SALE_SOURCES = ['initial', 'order', 'return'];
+
+// ============================================
+// SALES
+// ============================================
+
+/**
+ * Sales of a store's inventory rows since `since` (ISO), and when each row
+ * was first stocked inside the window.
+ *   inventory  the rows to forecast
+ *   orders     the store's sub-orders (cancelled ones are skipped)
+ *   history    its inventory change log entries (services/price-history)
+ * Returns { sales: [{ sku, quantity, at }], stockedAt: Map(inventoryId -> ISO) }.
+ */
+function salesFrom({ inventory, orders, history, since }) {
+  const byId = new Map(inventory.map(i => [i.id, i]));
+  const sales = [];
+  for (const order of orders) {
+    if (order.status === 'cancelled' || order.createdAt < since) continue;
+    for (const line of order.items || []) {
+      const item = byId.get(line.inventoryId);
+      if (item) sales.push({ sku: item.productSku, quantity: line.quantity, at: order.createdAt });
+    }
+  }
+
+  const stockedAt = new Map();
+  for (const entry of history) {
+    if (!byId.has(entry.inventoryId) || entry.recordedAt < since) continue;
+    if (entry.source === 'initial') stockedAt.set(entry.inventoryId, entry.recordedAt);
+    if (NON_SALE_SOURCES.includes(entry.source) || entry.previousQuantity === null) continue;
+    if (entry.quantity < entry.previousQuantity) {
+      sales.push({ sku: entry.productSku, quantity: entry.previousQuantity - entry.quantity, at: entry.recordedAt });
+    }
+  }
+  return { sales, stockedAt };
+}
+
+// ============================================
+// SMOOTHING
+// ============================================
+
+/**
+ * Simple exponential smoothing: a flat forecast at the smoothed level.
+ */
+function simpleSmoothing(series, horizon, { alpha }) {
+  let level = series[0];
+  const errors = [];
+  for (let t = 1; t < series.length; t++) {
+    errors.push(series[t] - level);
+    level = alpha * series[t] + (1 - alpha) * level;
+  }
+  return { forecast: Array(horizon).fill(Math.max(level, 0)), errors };
+}
+
+/**
+ * Holt-Winters additive (level, trend, `season`-day seasonal indexes),
+ * initialised from the first two seasons.
+ */
+function holtWinters(series, horizon, { alpha, beta, gamma, season }) {
+  const first = mean(series.slice(0, season));
+  const second = mean(series.slice(season, 2 * season));
+  let level = first;
+  let trend = (second - first) / season;
+  const seasonal = series.slice(0, season).map(y => y - first);
+  const errors = [];
+
+  for (let t = 0; t < series.length; t++) {
+    const y = series[t];
+    const s = seasonal[t % season];
+    if (t >= season) errors.push(y - (level + trend + s));
+    const previous = level;
+    level = alpha * (y - s) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previous) + (1 - beta) * trend;
+    seasonal[t % season] = gamma * (y - level) + (1 - gamma) * s;
+  }
+
+  const forecast = [];
+  for (let h = 1; h <= horizon; h++) {
+    forecast.push(Math.max(level + h * trend + seasonal[(series.length + h - 1) % season], 0));
+  }
+  return { forecast, errors };
+}
+
+function deviation(errors) {
+  if (errors.length < 2) return null;
+  const avg = mean(errors);
+  return Math.sqrt(sum(errors.map(e => (e - avg) ** 2)) / (errors.length - 1));
+}
+
+// ============================================
+// FORECASTS
+// ============================================
+
+/**
+ * Forecast each item and suggest reorders.
+ *   items    [{ sku, productName, category, onHand, since? }] — since: when
+ *            the SKU was first stocked (ISO), if inside the history window
+ *   sales    [{ sku, quantity, at }] within the history window
+ *   options  horizonDays?, leadTimeDays?, now?
+ */
+function forecastStore({ items, sales, horizonDays, leadTimeDays, now = new Date() }) {
+  const settings = config.forecast;
+  const horizon = horizonDays || settings.horizonDays;
+  const leadTime = leadTimeDays ?? settings.leadTimeDays;
+  const today = dayOf(now);
+  const windowStart = addDays(today, -(settings.historyDays - 1));
+
+  const daily = new Map();   // sku -> Map(day -> units)
+  for (const sale of sales) {
+    const day = dayOf(sale.at);
+    if (day < windowStart || day > today) continue;
+    if (!daily.has(sale.sku)) daily.set(sale.sku, new Map());
+    const days = daily.get(sale.sku);
+    days.set(day, (days.get(day) || 0) + sale.quantity);
+  }
+
+  const forecasts = items.map(item => {
+    const start = item.since && dayOf(item.since) > windowStart ? dayOf(item.since) : windowStart;
+    const units = daily.get(item.sku) || new Map();
+    const series = [];
+    for (let day = start; day <= today; day = addDays(day, 1)) series.push(units.get(day) || 0);
+
+    const seasonal = series.length >= 2 * settings.seasonLength;
+    const { forecast, errors } = seasonal
+      ? holtWinters(series, horizon, { ...settings.smoothing, season: settings.seasonLength })
+      : simpleSmoothing(series, horizon, settings.smoothing);
+
+    const perDay = mean(forecast);
+    const sigma = deviation(errors) ?? Math.sqrt(perDay);   // Poisson spread until there are errors to measure
+    const safetyStock = settings.serviceLevelZ * sigma * Math.sqrt(leadTime);
+    const demandOver = days => perDay * days;
+    const reorderPoint = Math.ceil(demandOver(leadTime) + safetyStock);
+    const orderUpTo = Math.ceil(demandOver(leadTime + settings.reviewDays) + safetyStock);
+    const status = perDay === 0 ? 'no_demand' : item.onHand <= reorderPoint ? 'reorder' : 'ok';
+
+    return {
+      sku: item.sku,
+      productName: item.productName,
+      category: item.category,
+      onHand: item.onHand,
+      history: {
+        from: start,
+        days: series.length,
+        unitsSold: sum(series),
+        averageDailyDemand: round(mean(series)),
+      },
+      method: seasonal ? 'holt_winters' : 'exponential_smoothing',
+      forecast: forecast.map((demand, i) => ({ date: addDays(today, i + 1), demand: round(demand) })),
+      forecastDemand: round(sum(forecast)),
+      daysOfCover: perDay > 0 ? round(item.onHand / perDay, 1) : null,
+      safetyStock: round(safetyStock),
+      reorderPoint,
+      suggestedOrderQuantity: status === 'reorder' ? Math.max(orderUpTo - item.onHand, 0) : 0,
+      status,
+    };
+  });
+
+  // Most urgent first: reorders by days of cover, then the rest
+  const rank = { reorder: 0, ok: 1, no_demand: 2 };
+  forecasts.sort((a, b) => rank[a.status] - rank[b.status]
+    || (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity)
+    || a.sku.localeCompare(b.sku));
+
+  return {
+    horizonDays: horizon,
+    leadTimeDays: leadTime,
+    reviewDays: settings.reviewDays,
+    historyDays: settings.historyDays,
+    summary: {
+      skus: forecasts.length,
+      reorder: forecasts.filter(f => f.status === 'reorder').length,
+      noDemand: forecasts.filter(f => f.status === 'no_demand').length,
+      suggestedUnits: sum(forecasts.map(f => f.suggestedOrderQuantity)),
+    },
+    items: forecasts,
+  };
+}
+
+module.exports = {
+  salesFrom,
+  holtWinters,
+  simpleSmoothing,
+  forecastStore,
+};
@@ -0,0 +1,336 @@
+/**
+ * Notification Dispatcher
+ * Every in-app notification is also offered to the user's other channels
+ * (services/channels): email, SMS and Web Push. What goes where is a per-user
+ * preference by category:
+ *
+ *   orders       order_created, order_status, returns, refunds, couriers
+ *   price_drops  price_alert
+ *   promotions   promotion
+ *   account      subscription and anything uncategorised
+ *
+ * Channels in config.notifications.quietChannels wait out the user's quiet
+ * hours (local HH:MM window, may span midnight). Each channel / recipient is
+ * a delivery row; failed sends retry with exponential backoff up to
+ * config.notifications.retry.maxAttempts, permanent errors fail at once and
+ * expired push subscriptions are dropped.
+ *
+ *   queued → sending → sent
+ *      └───────┴→ failed
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const hours = require('../utils/hours');
+const email = require('./channels/email');
+const sms = require('./channels/sms');
+const push = require('./channels/web-push');
+
+// Wired by models/database (storage, users)
+const hooks = {
+  preferences: [],
+  subscriptions: [],
+  deliveries: [],
+  findUser: () => null,
+  save: { preference: () => {}, subscription: () => {}, delivery: () => {} },
+  deleteSubscription: () => {},
+};
+
+const channels = { email, sms, push };
+const CHANNELS = Object.keys(channels);
+const CATEGORIES = ['orders', 'price_drops', 'promotions', 'account'];
+const TYPE_CATEGORIES = {
+  order_created: 'orders',
+  order_status: 'orders',
+  return_requested: 'orders',
+  return_approved: 'orders',
+  return_rejected: 'orders',
+  refund_issued: 'orders',
+  courier_assigned: 'orders',
+  delivery_assigned: 'orders',
+  price_alert: 'price_drops',
+  promotion: 'promotions',
+  subscription: 'account',
+};
+// Promotions are opt-in; SMS costs money so it's opt-in everywhere
+const DEFAULT_CHANNELS = {
+  orders: { email: true, sms: false, push: true },
+  price_drops: { email: true, sms: false, push: true },
+  promotions: { email: false, sms: false, push: false },
+  account: { email: true, sms: false, push: false },
+};
+
+let flushTimer = null;
+let flushing = null;
+
+function configure(options) {
+  Object.assign(hooks, options);
+}
+
+function categoryOf(type) {
+  return TYPE_CATEGORIES[type] || 'account';
+}
+
+// ============================================
+// PREFERENCES
+// ============================================
+
+function clockMinutes(text) {
+  const m = String(text).match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || parseInt(m[1], 10) > 23 || parseInt(m[2], 10) > 59) return null;
+  return parseInt(m[1], 10) * 60 + parseInt(m[2], 10);
+}
+
+/**
+ * The user's stored preferences, or the defaults (not saved until changed).
+ */
+function preferencesFor(userId) {
+  const stored = hooks.preferences.find(p => p.userId === userId);
+  if (stored) return stored;
+  return {
+    userId,
+    email: null,
+    phone: null,
+    channels: JSON.parse(JSON.stringify(DEFAULT_CHANNELS)),
+    quietHours: null,
+    createdAt: null,
+    updatedAt: null,
+  };
+}
+
+/**
+ * Apply { channels?: { category: { channel: bool } }, quietHours?: { start,
+ * end, timezone } | null, phone?, email? } over the current preferences.
+ * Returns { preferences } or { status, error }.
+ */
+function updatePreferences(userId, input) {
+  const current = preferencesFor(userId);
+  const next = { ...current, channels: JSON.parse(JSON.stringify(current.channels)) };
+
+  for (const [category, toggles] of Object.entries(input.channels || {})) {
+    if (!CATEGORIES.includes(category)) return { status: 400, error: `Unknown category ${category}. Use: ${CATEGORIES.join(', ')}` };
+    for (const [channel, on] of Object.entries(toggles || {})) {
+      if (!CHANNELS.includes(channel)) return { status: 400, error: `Unknown channel ${channel}. Use: ${CHANNELS.join(', ')}` };
+      if (typeof on !== 'boolean') return { status: 400, error: `${category}.${channel} must be true or false` };
+      next.channels[category][channel] = on;
+    }
+  }
+
+  if (input.quietHours === null) next.quietHours = null;
+  else if (input.quietHours !== undefined) {
+    const { start, end, timezone = 'America/New_York' } = input.quietHours;
+    if (clockMinutes(start) === null || clockMinutes(end) === null || start === end) {
+      return { status: 400, error: 'quietHours needs distinct start and end as HH:MM' };
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (e) {
+      return { status: 400, error: `Unknown time zone ${timezone}` };
+    }
+    next.quietHours = { start, end, timezone };
+  }
+
+  if (input.phone !== undefined) {
+    next.phone = input.phone === null ? null : sms.normalizePhone(input.phone);
+    if (input.phone !== null && !next.phone) return { status: 400, error: 'phone must be a valid number, e.g. +15551234567' };
+  }
+  if (input.email !== undefined) {
+    if (input.email !== null && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input.email)) return { status: 400, error: 'Invalid email' };
+    next.email = input.email;
+  }
+
+  const now = new Date().toISOString();
+  const stored = hooks.preferences.find(p => p.userId === userId);
+  if (stored) Object.assign(stored, next, { updatedAt: now });
+  else hooks.preferences.push(Object.assign(next, { createdAt: now, updatedAt: now }));
+  const preferences = stored || next;
+  hooks.save.preference(preferences);
+  return { preferences };
+}
+
+/**
+ * When the user's quiet hours end, if `now` falls inside them; else null.
+ */
+function quietUntil(preferences, now = new Date()) {
+  const quiet = preferences.quietHours;
+  if (!quiet) return null;
+  const start = clockMinutes(quiet.start);
+  const end = clockMinutes(quiet.end);
+  const local = hours.localTime(now, quiet.timezone);
+  const inside = start < end
+    ? local.minutes >= start && local.minutes < end
+    : local.minutes >= start || local.minutes < end;
+  if (!inside) return null;
+  // Past midnight the window ends today; before midnight, tomorrow
+  const endDate = start > end && local.minutes >= start ? hours.shiftDate(local.date, 1) : local.date;
+  return hours.instantAt(endDate, end, quiet.timezone);
+}
+
+// ============================================
+// PUSH SUBSCRIPTIONS
+// ============================================
+
+/**
+ * Register a browser PushSubscription ({ endpoint, keys: { p256dh, auth } });
+ * re-registering an endpoint updates it.
+ */
+function addSubscription(userId, { endpoint, keys }, userAgent = null) {
+  const now = new Date().toISOString();
+  let sub = hooks.subscriptions.find(s => s.endpoint === endpoint);
+  if (sub) Object.assign(sub, { userId, keys, userAgent, updatedAt: now });
+  else {
+    sub = { id: uuidv4(), userId, endpoint, keys, userAgent, createdAt: now, updatedAt: now };
+    hooks.subscriptions.push(sub);
+  }
+  hooks.save.subscription(sub);
+  return sub;
+}
+
+function removeSubscription(sub) {
+  const idx = hooks.subscriptions.indexOf(sub);
+  if (idx !== -1) hooks.subscriptions.splice(idx, 1);
+  hooks.deleteSubscription(sub.id);
+}
+
+// ============================================
+// DELIVERIES
+// ============================================
+
+/**
+ * Where a notification can go on each enabled channel: [{ channel, target }].
+ */
+function recipientsFor(userId, category) {
+  const preferences = preferencesFor(userId);
+  const user = hooks.findUser(userId);
+  const enabled = preferences.channels[category] || {};
+  const out = [];
+  if (enabled.email && (preferences.email || user?.email)) out.push({ channel: 'email', target: preferences.email || user.email });
+  if (enabled.sms && preferences.phone) out.push({ channel: 'sms', target: preferences.phone });
+  if (enabled.push) {
+    for (const sub of hooks.subscriptions.filter(s => s.userId === userId)) out.push({ channel: 'push', target: sub.id });
+  }
+  return { preferences, recipients: out };
+}
+
+/**
+ * Queue a notification ({ id, userId, type, title, message, orderId? }) on the
+ * user's channels and try the due ones straight away. Returns the deliveries.
+ */
+function enqueue(notification, now = new Date()) {
+  if (!notification.userId) return [];
+  const category = categoryOf(notification.type);
+  const { preferences, recipients } = recipientsFor(notification.userId, category);
+  const quietEnd = quietUntil(preferences, now);
+  const created = now.toISOString();
+
+  const queued = recipients.map(({ channel, target }) => {
+    const held = quietEnd && config.notifications.quietChannels.includes(channel);
+    const delivery = {
+      id: uuidv4(),
+      notificationId: notification.id,
+      userId: notification.userId,
+      channel,
+      type: notification.type,
+      category,
+      target,
+      message: {
+        title: notification.title,
+        message: notification.message,
+        type: notification.type,
+        orderId: notification.orderId || null,
+        notificationId: notification.id,
+      },
+      status: 'queued',
+      attempts: 0,
+      nextAttemptAt: held ? quietEnd.toISOString() : created,
+      heldForQuietHours: !!held,
+      lastError: null,
+      providerId: null,
+      sentAt: null,
+      createdAt: created,
+      updatedAt: created,
+    };
+    hooks.deliveries.push(delivery);
+    hooks.save.delivery(delivery);
+    return delivery;
+  });
+
+  if (queued.some(d => !d.heldForQuietHours)) flush(now).catch(err => console.error('[Notify] Send failed:', err.message));
+  return queued;
+}
+
+function touch(delivery, fields) {
+  Object.assign(delivery, fields, { updatedAt: new Date().toISOString() });
+  hooks.save.delivery(delivery);
+}
+
+async function attempt(delivery, now) {
+  let to = delivery.target;
+  let sub = null;
+  if (delivery.channel === 'push') {
+    sub = hooks.subscriptions.find(s => s.id === delivery.target);
+    if (!sub) return touch(delivery, { status: 'failed', lastError: 'Push subscription removed' });
+    to = { endpoint: sub.endpoint, keys: sub.keys };
+  }
+
+  touch(delivery, { status: 'sending', attempts: delivery.attempts + 1 });
+  try {
+    const result = await channels[delivery.channel].send(to, delivery.message);
+    touch(delivery, { status: 'sent', providerId: result?.id || null, sentAt: new Date().toISOString(), lastError: null });
+  } catch (err) {
+    if (err.expired && sub) removeSubscription(sub);
+    const { maxAttempts, baseSeconds } = config.notifications.retry;
+    if (err.permanent || delivery.attempts >= maxAttempts) {
+      touch(delivery, { status: 'failed', lastError: err.message });
+    } else {
+      const backoff = baseSeconds * 1000 * 2 ** (delivery.attempts - 1);
+      touch(delivery, { status: 'queued', lastError: err.message, nextAttemptAt: new Date(now.getTime() + backoff).toISOString() });
+    }
+  }
+}
+
+/**
+ * Send every queued delivery that's due. Runs one pass at a time; a call
+ * during a pass waits for it. Returns counts by resulting status.
+ */
+async function flush(now = new Date()) {
+  while (flushing) await flushing;
+  const due = hooks.deliveries.filter(d => d.status === 'queued' && d.nextAttemptAt <= now.toISOString());
+  flushing = (async () => {
+    for (const delivery of due) await attempt(delivery, now);
+  })();
+  try {
+    await flushing;
+  } finally {
+    flushing = null;
+  }
+  const counts = { sent: 0, queued: 0, failed: 0 };
+  for (const d of due) counts[d.status] = (counts[d.status] || 0) + 1;
+  return counts;
+}
+
+function start() {
+  if (flushTimer) return;
+  // Sends cut off by a restart go again
+  for (const d of hooks.deliveries.filter(d => d.status === 'sending')) touch(d, { status: 'queued' });
+  flushTimer = setInterval(() => {
+    flush().catch(err => console.error('[Notify] Retry pass failed:', err.message));
+  }, config.notifications.intervalSeconds * 1000);
+  if (flushTimer.unref) flushTimer.unref();
+}
+
+module.exports = {
+  CHANNELS,
+  CATEGORIES,
+  channels,
+  configure,
+  categoryOf,
+  preferencesFor,
+  updatePreferences,
+  quietUntil,
+  addSubscription,
+  removeSubscription,
+  enqueue,
+  flush,
+  start,
+};
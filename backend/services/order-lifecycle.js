@@ -0,0 +1,217 @@
+/**
+ * Order Lifecycle
+ * Status state machine, actor permissions and per-store splitting.
+ *
+ * A checkout creates one parent order (what the customer sees and pays for)
+ * and one sub-order per store, each with its own storeId, status and
+ * statusHistory. Stores work their sub-orders; the parent's status is rolled
+ * up from them and never set directly.
+ *
+ *   pending → confirmed → preparing → ready → out_for_delivery → delivered
+ *                                          └→ picked_up
+ *   any state before out_for_delivery → cancelled
+ *
+ * Actors: the customer who placed the order, a store owner who has claimed
+ * the sub-order's store, the courier dispatched to deliver it, or an admin.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const STATUSES = ['pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery', 'delivered', 'picked_up', 'cancelled'];
+const TERMINAL = ['delivered', 'picked_up', 'cancelled'];
+
+const STORE = ['store_owner', 'admin'];
+const ANYONE = ['customer', 'store_owner', 'admin'];
+const CARRIER = ['store_owner', 'admin', 'courier'];
+
+// from -> to -> actors allowed to make the move
+const TRANSITIONS = {
+  pending: { confirmed: STORE, cancelled: ANYONE },
+  confirmed: { preparing: STORE, cancelled: ANYONE },
+  preparing: { ready: STORE, cancelled: STORE },
+  ready: { out_for_delivery: CARRIER, picked_up: STORE, cancelled: STORE },
+  out_for_delivery: { delivered: CARRIER },
+  delivered: {},
+  picked_up: {},
+  cancelled: {},
+};
+
+// Statuses that only make sense for one fulfillment type
+const FULFILLMENT_ONLY = { out_for_delivery: 'delivery', delivered: 'delivery', picked_up: 'pickup' };
+
+// ============================================
+// PERMISSIONS
+// ============================================
+
+/**
+ * How `user` (req.user) relates to an order: 'admin', 'store_owner' (has
+ * claimed the order's store), 'courier' (dispatched to it), 'customer'
+ * (placed it) or null. `account` is the stored user record, which carries
+ * claimedStores.
+ */
+function actorFor(user, order, account) {
+  if (!user) return null;
+  if (user.role === 'admin') return 'admin';
+  if (user.role === 'store_owner' && order.storeId && (account?.claimedStores || []).includes(order.storeId)) {
+    return 'store_owner';
+  }
+  if (user.role === 'courier' && order.courierId && order.courierId === user.id) return 'courier';
+  if (order.userId === user.id) return 'customer';
+  return null;
+}
+
+/**
+ * Statuses `actor` may move this sub-order to.
+ */
+function nextStatuses(order, actor) {
+  return Object.entries(TRANSITIONS[order.status] || {})
+    .filter(([to, actors]) => actors.includes(actor))
+    .filter(([to]) => !FULFILLMENT_ONLY[to] || FULFILLMENT_ONLY[to] === order.fulfillment)
+    .map(([to]) => to);
+}
+
+/**
+ * Check a move. Returns null if allowed, else { status, error } for the response.
+ */
+function checkTransition(order, to, actor) {
+  if (!STATUSES.includes(to)) {
+    return { status: 400, error: `Invalid status. Valid: ${STATUSES.join(', ')}` };
+  }
+  if (!actor) return { status: 403, error: 'Not allowed to update this order' };
+  const actors = TRANSITIONS[order.status]?.[to];
+  if (!actors || (FULFILLMENT_ONLY[to] && FULFILLMENT_ONLY[to] !== order.fulfillment)) {
+    return { status: 409, error: `Cannot move a ${order.fulfillment} order from ${order.status} to ${to}` };
+  }
+  if (!actors.includes(actor)) {
+    return { status: 403, error: `A ${actor.replace('_', ' ')} cannot move an order from ${order.status} to ${to}` };
+  }
+  return null;
+}
+
+// ============================================
+// TRANSITIONS + ROLLUP
+// ============================================
+
+function stamp(order, status, extra = {}) {
+  const now = new Date().toISOString();
+  order.status = status;
+  order.updatedAt = now;
+  order.statusHistory.push({ status, timestamp: now, ...extra });
+}
+
+/**
+ * Apply an already-checked move to a sub-order.
+ */
+function transition(subOrder, to, { actor, userId, note } = {}) {
+  stamp(subOrder, to, { actor, by: userId || null, ...(note && { note }) });
+  return subOrder;
+}
+
+/**
+ * Parent status from its sub-orders: cancelled if all are, otherwise the
+ * least advanced of the live ones (so "delivered" means everything arrived).
+ */
+function rollupStatus(subOrders) {
+  const live = subOrders.filter(s => s.status !== 'cancelled');
+  if (live.length === 0) return 'cancelled';
+  return live.reduce((least, s) => STATUSES.indexOf(s.status) < STATUSES.indexOf(least) ? s.status : least, live[0].status);
+}
+
+/**
+ * Recompute the parent's status; appends to its history when it changes.
+ */
+function rollup(parent, subOrders) {
+  const status = rollupStatus(subOrders);
+  if (status !== parent.status) stamp(parent, status);
+  return parent;
+}
+
+// ============================================
+// SPLITTING
+// ============================================
+
+const round2 = n => parseFloat(n.toFixed(2));
+
+/**
+ * Build a parent order and one sub-order per store from priced lines
+ * ({ inventoryId, storeId, productName, price, quantity, lineTotal }).
+ * The delivery fee is shared evenly across stores (cents remainder on the first).
+ * `taxes` is the checkout's services/tax quoteOrder result; each sub-order
+ * takes its store's tax and each line its own share.
+ */
+function split(lines, { userId, fulfillment, deliveryAddress = null, notes = null, deliveryFee = 0, taxes = null }) {
+  const now = new Date().toISOString();
+  const parentId = uuidv4();
+
+  const byStore = new Map();
+  lines.forEach((line, i) => {
+    if (taxes) Object.assign(line, { taxRate: taxes.lines[i].rate, tax: taxes.lines[i].tax });
+    if (!byStore.has(line.storeId)) byStore.set(line.storeId, []);
+    byStore.get(line.storeId).push(line);
+  });
+
+  const feeCents = Math.round(deliveryFee * 100);
+  const shareCents = Math.floor(feeCents / byStore.size);
+  const subOrders = [...byStore.entries()].map(([storeId, items], i) => {
+    const subtotal = round2(items.reduce((s, l) => s + l.lineTotal, 0));
+    const fee = (shareCents + (i === 0 ? feeCents - shareCents * byStore.size : 0)) / 100;
+    const storeTax = taxes?.stores[storeId];
+    const tax = storeTax ? storeTax.tax : 0;
+    return {
+      id: uuidv4(),
+      parentOrderId: parentId,
+      userId,
+      storeId,
+      items,
+      fulfillment,
+      deliveryAddress,
+      subtotal,
+      deliveryFee: fee,
+      tax,
+      taxRate: storeTax ? storeTax.rate : 0,
+      taxJurisdiction: storeTax ? storeTax.jurisdiction.code : null,
+      total: round2(subtotal + fee + tax),
+      status: 'pending',
+      statusHistory: [{ status: 'pending', timestamp: now }],
+      createdAt: now,
+      updatedAt: now,
+    };
+  });
+
+  const subtotal = round2(subOrders.reduce((s, o) => s + o.subtotal, 0));
+  const tax = round2(subOrders.reduce((s, o) => s + o.tax, 0));
+  const parent = {
+    id: parentId,
+    userId,
+    storeId: null,
+    items: lines,
+    fulfillment,
+    deliveryAddress,
+    notes,
+    subtotal,
+    deliveryFee,
+    tax,
+    total: round2(subtotal + deliveryFee + tax),
+    status: 'pending',
+    paymentStatus: 'pending', // Integration point for Stripe/Square
+    statusHistory: [{ status: 'pending', timestamp: now }],
+    subOrderIds: subOrders.map(s => s.id),
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  return { parent, subOrders };
+}
+
+module.exports = {
+  STATUSES,
+  TERMINAL,
+  TRANSITIONS,
+  actorFor,
+  nextStatuses,
+  checkTransition,
+  transition,
+  rollupStatus,
+  rollup,
+  split,
+};
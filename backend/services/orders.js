@@ -0,0 +1,339 @@
+/**
+ * Order Mutations
+ * The side effects of moving orders along, shared by every route that does
+ * it (orders, dashboard, payments, couriers):
+ *
+ * - applyStatus:  a sub-order status move (services/order-lifecycle) plus its
+ *                 stock, slot, payout, dispatch, notification and live-update
+ *                 consequences
+ * - commitOrder / abandonOrder: payment landed or failed for a checkout
+ * - refundCancelled: give back a paid order's cancelled sub-orders
+ * - decideReturn: a store's approve / reject on a return request
+ *
+ * Also handles expired holds (services/reservations) and courier assignment
+ * (services/dispatch) on their behalf.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const lifecycle = require('./order-lifecycle');
+const reservation = require('./reservations');
+const priceHistory = require('./price-history');
+const payouts = require('./payouts');
+const dispatch = require('./dispatch');
+const slots = require('./slots');
+const realtime = require('./realtime');
+const stripeService = require('./stripe');
+const templates = require('./templates');
+
+// Wired by models/database (storage, users, notifications)
+const hooks = {
+  orders: [],
+  inventory: [],
+  users: [],
+  notify: () => {},
+  saveReturn: () => {},
+};
+
+const round2 = n => parseFloat(n.toFixed(2));
+const cents = n => Math.round(n * 100);
+
+function paidOnline(parent) {
+  return !!parent?.stripePaymentIntentId && ['paid', 'partially_refunded'].includes(parent.paymentStatus);
+}
+
+function configure(options) {
+  Object.assign(hooks, options);
+}
+
+function subOrdersOf(parent) {
+  return hooks.orders.filter(o => o.parentOrderId === parent.id);
+}
+
+/**
+ * Notify a user with a template (services/templates) in their locale.
+ */
+function notify(userId, template, vars, orderId) {
+  const { type, title, message } = templates.render(template, vars, templates.localeFor(hooks.users.find(u => u.id === userId)));
+  hooks.notify({
+    id: uuidv4(),
+    userId,
+    type,
+    title,
+    message,
+    orderId,
+    read: false,
+    createdAt: new Date().toISOString(),
+  });
+}
+
+// ============================================
+// STATUS
+// ============================================
+
+/**
+ * Move a sub-order (already checked) and keep inventory, parent and customer in step.
+ * `user` is null for system moves (expired holds, failed payments).
+ */
+function applyStatus(subOrder, status, actor, user, note) {
+  const userId = user?.id || null;
+  lifecycle.transition(subOrder, status, { actor, userId, note });
+
+  // The store has accepted it: held stock is now sold
+  if (status === 'confirmed') reservation.commitOrder(subOrder.id, { userId });
+
+  if (status === 'cancelled') {
+    slots.release(subOrder.id);
+    for (const item of subOrder.items) {
+      // Held (or already released) stock never left the shelf; committed and pre-reservation lines go back
+      const hold = reservation.get(item.reservationId);
+      if (hold && hold.status !== 'committed') {
+        reservation.release(hold, 'cancelled');
+        continue;
+      }
+      const inv = hooks.inventory.find(i => i.id === item.inventoryId);
+      if (inv) {
+        const before = priceHistory.snapshot(inv);
+        inv.quantity += item.quantity;
+        inv.inStock = true;
+        priceHistory.record(inv, before, { source: 'order', userId });
+      }
+    }
+  }
+
+  const parent = hooks.orders.find(o => o.id === subOrder.parentOrderId);
+  if (parent) lifecycle.rollup(parent, subOrdersOf(parent));
+  payouts.recordSale(subOrder, parent);
+  if (status === 'cancelled' && paidOnline(parent)) {
+    refundCancelled(parent).catch(err => console.error(`[Orders] Refund for ${subOrder.id} failed:`, err.message));
+  }
+
+  if (actor !== 'customer') {
+    notify(subOrder.userId, 'order_status',
+      { orderRef: subOrder.parentOrderId.slice(0, 8), storeId: subOrder.storeId, status }, subOrder.parentOrderId);
+  }
+  dispatch.orderMoved(subOrder);
+  realtime.publish([realtime.userChannel(subOrder.userId), realtime.storeChannel(subOrder.storeId)], 'order', {
+    orderId: subOrder.id,
+    parentOrderId: subOrder.parentOrderId,
+    storeId: subOrder.storeId,
+    status,
+    parentStatus: parent?.status || null,
+    actor,
+    updatedAt: subOrder.updatedAt,
+  });
+  return parent;
+}
+
+/**
+ * Sub-orders still waiting when their holds run out are cancelled.
+ */
+function expireHolds(subOrderIds) {
+  for (const id of subOrderIds) {
+    const sub = hooks.orders.find(o => o.id === id);
+    if (sub?.status !== 'pending') continue;
+    const parent = applyStatus(sub, 'cancelled', 'system', null, 'Reservation expired');
+    if (parent?.status === 'cancelled' && !paidOnline(parent)) cancelPayment(parent);
+  }
+}
+
+// ============================================
+// PAYMENT
+// ============================================
+
+/**
+ * Payment went through: every held line becomes a sale.
+ */
+function commitOrder(parent) {
+  parent.paymentStatus = 'paid';
+  parent.holdExpiresAt = null;
+  parent.updatedAt = new Date().toISOString();
+  for (const sub of subOrdersOf(parent)) {
+    reservation.commitOrder(sub.id);
+    payouts.recordSale(sub, parent);   // already fulfilled before the payment landed
+  }
+  return parent;
+}
+
+/**
+ * Payment failed or the checkout was abandoned: cancel whatever can still be
+ * cancelled, releasing holds and restocking committed lines, and cancel the
+ * PaymentIntent so a late confirmation can't charge the customer.
+ */
+function abandonOrder(parent, paymentStatus, note) {
+  parent.paymentStatus = paymentStatus;
+  parent.holdExpiresAt = null;
+  for (const sub of subOrdersOf(parent)) {
+    if (!lifecycle.checkTransition(sub, 'cancelled', 'admin')) applyStatus(sub, 'cancelled', 'system', null, note);
+  }
+  if (['expired', 'failed'].includes(paymentStatus)) cancelPayment(parent);
+  return parent;
+}
+
+// An unpaid order's open PaymentIntent; Stripe refuses (harmlessly) once it has no open state left
+function cancelPayment(parent) {
+  if (!parent.stripePaymentIntentId) return;
+  stripeService.cancelPaymentIntent(parent.stripePaymentIntentId)
+    .catch(err => console.warn(`[Orders] Could not cancel ${parent.stripePaymentIntentId}:`, err.message));
+}
+
+/**
+ * Refund what a paid order no longer owes: each cancelled sub-order's total,
+ * as far as the charge covers it (one cancelled before the customer paid was
+ * never charged). One Stripe refund per sub-order, keyed on it; the sub-order
+ * keeps refundAmount / refundStatus. Returns the sub-orders refunded.
+ */
+async function refundCancelled(parent) {
+  if (!paidOnline(parent)) return [];
+  const subs = subOrdersOf(parent);
+  const owed = subs.filter(s => s.status !== 'cancelled').reduce((sum, s) => sum + cents(s.total), 0);
+  const claimed = subs.reduce((sum, s) => sum + cents(s.refundAmount || 0), 0);
+  let excess = cents(parent.amountPaid ?? parent.total) - owed - claimed;
+
+  const refunded = [];
+  for (const sub of subs.filter(s => s.status === 'cancelled' && !s.refundStatus)) {
+    const amount = Math.min(cents(sub.total), excess);
+    if (amount <= 0) {
+      sub.refundStatus = 'not_charged';
+      continue;
+    }
+    excess -= amount;
+    // Claimed before the await, so a concurrent pass doesn't refund it again
+    Object.assign(sub, { refundAmount: amount / 100, refundStatus: 'pending' });
+    try {
+      const refund = await stripeService.createRefund({
+        paymentIntentId: parent.stripePaymentIntentId,
+        amount,
+        metadata: { orderId: parent.id, subOrderId: sub.id },
+        idempotencyKey: `cancel_${sub.id}`,
+      });
+      Object.assign(sub, { stripeRefundId: refund.id, refundStatus: refund.status || 'succeeded' });
+    } catch (err) {
+      Object.assign(sub, { refundAmount: null, refundStatus: null, refundError: err.message });
+      throw err;
+    }
+    parent.amountRefunded = round2((parent.amountRefunded || 0) + amount / 100);
+    parent.paymentStatus = parent.amountRefunded >= (parent.amountPaid ?? parent.total) ? 'refunded' : 'partially_refunded';
+    parent.updatedAt = new Date().toISOString();
+    refunded.push(sub);
+  }
+  return refunded;
+}
+
+// ============================================
+// DELIVERY
+// ============================================
+
+function readyForDelivery() {
+  return hooks.orders.filter(o => o.parentOrderId && o.status === 'ready');
+}
+
+function courierAssigned(delivery, sub) {
+  sub.courierId = delivery.courierId;
+  const courier = hooks.users.find(u => u.id === delivery.courierId);
+  const orderRef = sub.parentOrderId.slice(0, 8);
+  notify(delivery.courierId, 'delivery_assigned', { orderRef, storeId: sub.storeId, distance: delivery.assignDistance }, sub.id);
+  notify(sub.userId, 'courier_assigned', { courierName: courier?.name, orderRef, storeId: sub.storeId }, sub.parentOrderId);
+}
+
+function courierReleased(delivery) {
+  const sub = hooks.orders.find(o => o.id === delivery.orderId);
+  if (sub?.courierId === delivery.courierId) sub.courierId = null;
+}
+
+// ============================================
+// RETURNS
+// ============================================
+
+/**
+ * Store decision on a return request. Approval refunds through Stripe when
+ * the order was paid there, then restocks, adjusts the order totals and
+ * reverses the store's payout. The return is 'processing' while the refund is
+ * in flight, so a second decision gets a 409; it goes back to 'requested' if
+ * the refund fails.
+ * Returns { ret } or { status, error }.
+ */
+async function decideReturn(ret, decision, user, { note = null, restock = true } = {}) {
+  if (ret.status !== 'requested') return { status: 409, error: `Return already ${ret.status}` };
+  const sub = hooks.orders.find(o => o.id === ret.orderId);
+  const parent = hooks.orders.find(o => o.id === ret.parentOrderId);
+  const now = new Date().toISOString();
+  const short = ret.parentOrderId.slice(0, 8);
+
+  if (decision === 'reject') {
+    Object.assign(ret, { status: 'rejected', decisionNote: note, decidedBy: user.id, decidedAt: now, updatedAt: now });
+    hooks.saveReturn(ret);
+    notify(ret.userId, 'return_rejected', { storeId: ret.storeId, orderRef: short, note }, ret.parentOrderId);
+    return { ret };
+  }
+
+  const paid = paidOnline(parent);
+  if (paid) {
+    Object.assign(ret, { status: 'processing', updatedAt: now });
+    hooks.saveReturn(ret);
+    try {
+      const refund = await stripeService.createRefund({
+        paymentIntentId: parent.stripePaymentIntentId,
+        amount: Math.round(ret.refundAmount * 100),
+        metadata: { orderId: parent.id, returnId: ret.id },
+        idempotencyKey: `return_${ret.id}`,
+      });
+      ret.stripeRefundId = refund.id;
+      ret.refundStatus = refund.status || 'succeeded';
+    } catch (err) {
+      Object.assign(ret, { status: 'requested', updatedAt: new Date().toISOString() });
+      hooks.saveReturn(ret);
+      return { status: 502, error: `Refund failed: ${err.message}` };
+    }
+  } else {
+    ret.refundStatus = 'not_required';
+  }
+
+  if (restock) {
+    for (const line of ret.items) {
+      const inv = hooks.inventory.find(i => i.id === line.inventoryId);
+      if (!inv) continue;
+      const before = priceHistory.snapshot(inv);
+      inv.quantity += line.quantity;
+      inv.inStock = true;
+      priceHistory.record(inv, before, { source: 'return', userId: user.id });
+    }
+  }
+
+  // Cashback and commissions are worked out from what was kept
+  for (const order of [sub, parent]) {
+    if (order) order.returnedSubtotal = round2((order.returnedSubtotal || 0) + ret.subtotal);
+  }
+  if (paid) {
+    parent.amountRefunded = round2((parent.amountRefunded || 0) + ret.refundAmount);
+    parent.paymentStatus = parent.amountRefunded >= (parent.amountPaid ?? parent.total) ? 'refunded' : 'partially_refunded';
+  }
+  payouts.recordRefund(sub, ret);
+
+  Object.assign(ret, { status: 'approved', restocked: restock, decisionNote: note, decidedBy: user.id, decidedAt: now, updatedAt: now });
+  hooks.saveReturn(ret);
+
+  notify(ret.userId, 'return_approved', {
+    storeId: ret.storeId,
+    items: ret.items.map(l => `${l.quantity} x ${l.productName}`),
+    orderRef: short,
+  }, ret.parentOrderId);
+  if (paid) {
+    notify(ret.userId, 'refund_issued', { amount: ret.refundAmount, orderRef: short }, ret.parentOrderId);
+  }
+  return { ret };
+}
+
+module.exports = {
+  configure,
+  subOrdersOf,
+  notify,
+  applyStatus,
+  expireHolds,
+  commitOrder,
+  abandonOrder,
+  refundCancelled,
+  readyForDelivery,
+  courierAssigned,
+  courierReleased,
+  decideReturn,
+};
@@ -0,0 +1,313 @@
+/**
+ * Store Payouts
+ * Ledger of what the marketplace owes each store, settled weekly by transfer
+ * to the store's connected account (services/stripe).
+ *
+ * A sub-order earns one 'sale' entry once it is both paid through the
+ * platform and fulfilled (delivered / picked up):
+ *   gross      what the customer paid for this store's part (subtotal + delivery + tax)
+ *   commission subtotal x plan commission, plus delivery fee x plan deliveryCommission
+ *   net        gross - commission, owed to the store
+ * Rates come from the store's plan when the entry is recorded. An approved
+ * return adds a negative 'refund' entry that gives back the commission on the
+ * returned lines at the sale's rate.
+ *
+ * Entries land in the store's batch for their UTC week (Monday to Monday).
+ * Once a week has ended its batch is settled: transferred when the store has
+ * a payout-enabled account, otherwise left 'awaiting_account' and retried on
+ * the next run; failed transfers are retried too. A batch that ends in the
+ * red (refunds outweigh sales) is closed and its balance carried into the
+ * following week as a 'carry_forward' entry.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const stripeService = require('./stripe');
+
+// Wired by models/database (storage) and routes/monetization-b2b (plan rates)
+const hooks = {
+  entries: [],
+  batches: [],
+  accounts: [],
+  save: { entry: () => {}, batch: () => {}, account: () => {} },
+  planFor: () => ({ id: 'free', commission: 0, deliveryCommission: 0 }),
+};
+
+const SETTLEABLE = ['open', 'awaiting_account', 'failed'];
+const round2 = n => parseFloat(n.toFixed(2));
+let settleTimer = null;
+
+function configure(options) {
+  Object.assign(hooks, options);
+}
+
+// ============================================
+// BATCHES
+// ============================================
+
+/**
+ * [start, end) of the UTC week (Monday 00:00) containing `at`.
+ */
+function weekOf(at) {
+  const d = new Date(at);
+  const start = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - ((d.getUTCDay() + 6) % 7)));
+  const end = new Date(start.getTime() + 7 * 86400000);
+  return { periodStart: start.toISOString(), periodEnd: end.toISOString() };
+}
+
+/**
+ * Unsettled batch for the store's week containing `at`; a week whose batch
+ * has already been paid out starts a second one.
+ */
+function openBatch(storeId, at) {
+  const { periodStart, periodEnd } = weekOf(at);
+  let batch = hooks.batches.find(b => b.storeId === storeId && b.periodStart === periodStart && SETTLEABLE.includes(b.status));
+  if (!batch) {
+    const now = new Date().toISOString();
+    batch = {
+      id: uuidv4(),
+      storeId,
+      periodStart,
+      periodEnd,
+      status: 'open',
+      entryCount: 0,
+      gross: 0,
+      commission: 0,
+      net: 0,
+      transferId: null,
+      failureReason: null,
+      paidAt: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    hooks.batches.push(batch);
+  }
+  return batch;
+}
+
+function addToBatch(batch, entry) {
+  batch.entryCount++;
+  batch.gross = round2(batch.gross + entry.gross);
+  batch.commission = round2(batch.commission + entry.commission);
+  batch.net = round2(batch.net + entry.net);
+  batch.updatedAt = new Date().toISOString();
+  hooks.save.batch(batch);
+}
+
+// ============================================
+// LEDGER
+// ============================================
+
+/**
+ * Append an entry to the store's batch for the week containing `at`.
+ */
+function addEntry(fields, at = new Date().toISOString()) {
+  const batch = openBatch(fields.storeId, at);
+  const entry = { id: uuidv4(), ...fields, batchId: batch.id, recordedAt: new Date().toISOString() };
+  hooks.entries.push(entry);
+  hooks.save.entry(entry);
+  addToBatch(batch, entry);
+  return entry;
+}
+
+/**
+ * Record the sale entry for a sub-order if it is paid and fulfilled and has
+ * none yet. Safe to call on every payment or status change. Returns the entry or null.
+ * A partial refund (another store cancelled, or a return) still leaves this one paid.
+ */
+function recordSale(subOrder, parent) {
+  if (!['delivered', 'picked_up'].includes(subOrder.status)) return null;
+  if (!['paid', 'partially_refunded'].includes(parent?.paymentStatus)) return null;
+  if (hooks.entries.some(e => e.orderId === subOrder.id && e.type === 'sale')) return null;
+
+  const plan = hooks.planFor(subOrder.storeId);
+  const deliveryFee = subOrder.deliveryFee || 0;
+  const commission = round2(subOrder.subtotal * plan.commission + deliveryFee * plan.deliveryCommission);
+  const gross = round2(subOrder.subtotal + deliveryFee + (subOrder.tax || 0));
+  return addEntry({
+    storeId: subOrder.storeId,
+    orderId: subOrder.id,
+    parentOrderId: subOrder.parentOrderId,
+    type: 'sale',
+    planId: plan.id,
+    commissionRate: plan.commission,
+    deliveryCommissionRate: plan.deliveryCommission,
+    subtotal: subOrder.subtotal,
+    deliveryFee,
+    tax: subOrder.tax || 0,
+    gross,
+    commission,
+    net: round2(gross - commission),
+  });
+}
+
+/**
+ * Reverse part of a sale for an approved return ({ id, subtotal, tax }).
+ * Returns the entry, or null when the sub-order never earned a payout.
+ */
+function recordRefund(subOrder, ret) {
+  const sale = hooks.entries.find(e => e.orderId === subOrder.id && e.type === 'sale');
+  if (!sale) return null;
+  if (hooks.entries.some(e => e.returnId === ret.id)) return null;
+
+  const gross = -round2(ret.subtotal + ret.tax);
+  const commission = -round2(ret.subtotal * sale.commissionRate);
+  return addEntry({
+    storeId: subOrder.storeId,
+    orderId: subOrder.id,
+    parentOrderId: subOrder.parentOrderId,
+    returnId: ret.id,
+    type: 'refund',
+    planId: sale.planId,
+    commissionRate: sale.commissionRate,
+    deliveryCommissionRate: sale.deliveryCommissionRate,
+    subtotal: -ret.subtotal,
+    deliveryFee: 0,
+    tax: -ret.tax,
+    gross,
+    commission,
+    net: round2(gross - commission),
+  });
+}
+
+function accountFor(storeId) {
+  return hooks.accounts.find(a => a.storeId === storeId) || null;
+}
+
+/**
+ * Connected account for a store, created on first use. Returns { account, onboardingUrl }.
+ */
+async function ensureAccount(storeId, { email, userId }) {
+  let account = accountFor(storeId);
+  if (!account) {
+    const remote = await stripeService.createConnectedAccount({ email, metadata: { storeId, userId } });
+    account = {
+      storeId,
+      userId,
+      stripeAccountId: remote.id,
+      payoutsEnabled: !!remote.payouts_enabled,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+    hooks.accounts.push(account);
+    hooks.save.account(account);
+  } else if (!account.payoutsEnabled) {
+    const remote = await stripeService.getConnectedAccount(account.stripeAccountId);
+    account.payoutsEnabled = !!remote?.payouts_enabled;
+    account.updatedAt = new Date().toISOString();
+    hooks.save.account(account);
+  }
+  const link = account.payoutsEnabled ? null : await stripeService.createAccountLink(account.stripeAccountId);
+  return { account, onboardingUrl: link?.url || null };
+}
+
+// ============================================
+// SETTLEMENT
+// ============================================
+
+async function settleBatch(batch) {
+  const now = new Date().toISOString();
+  batch.updatedAt = now;
+
+  if (batch.net <= 0) {
+    batch.status = 'closed';
+    hooks.save.batch(batch);
+    if (batch.net < 0) {
+      addEntry({
+        storeId: batch.storeId,
+        orderId: null,
+        parentOrderId: null,
+        fromBatchId: batch.id,
+        type: 'carry_forward',
+        gross: batch.net,
+        commission: 0,
+        net: batch.net,
+      }, batch.periodEnd);
+    }
+    return batch;
+  }
+
+  const account = accountFor(batch.storeId);
+  if (!account?.payoutsEnabled) {
+    batch.status = 'awaiting_account';
+    hooks.save.batch(batch);
+    return batch;
+  }
+
+  try {
+    const transfer = await stripeService.createTransfer({
+      amount: Math.round(batch.net * 100),
+      destination: account.stripeAccountId,
+      transferGroup: `payout_${batch.id}`,
+      metadata: { storeId: batch.storeId, batchId: batch.id, periodStart: batch.periodStart },
+      idempotencyKey: `payout_${batch.id}`,
+    });
+    batch.status = 'paid';
+    batch.transferId = transfer.id;
+    batch.failureReason = null;
+    batch.paidAt = now;
+  } catch (err) {
+    batch.status = 'failed';
+    batch.failureReason = err.message;
+  }
+  hooks.save.batch(batch);
+  return batch;
+}
+
+/**
+ * Settle every batch whose week ended by `now` (optionally one store's).
+ * Returns the batches touched.
+ */
+async function settle(now = new Date(), { storeId } = {}) {
+  const cutoff = now.toISOString();
+  const due = hooks.batches.filter(b =>
+    SETTLEABLE.includes(b.status) && b.periodEnd <= cutoff && (!storeId || b.storeId === storeId));
+  for (const batch of due) await settleBatch(batch);
+  return due;
+}
+
+function start() {
+  if (settleTimer) return;
+  settleTimer = setInterval(() => {
+    settle().catch(err => console.error('[Payouts] Settlement failed:', err.message));
+  }, config.payouts.settleIntervalMinutes * 60000);
+  if (settleTimer.unref) settleTimer.unref();
+}
+
+/**
+ * Payout overview for a store: { account, balance, batches } — balance.pending
+ * is net not yet transferred, balance.paid what has been.
+ */
+function summary(storeId) {
+  const batches = hooks.batches
+    .filter(b => b.storeId === storeId)
+    .sort((a, b) => b.periodStart.localeCompare(a.periodStart));
+  const pending = batches.filter(b => b.status !== 'paid' && b.status !== 'closed').reduce((s, b) => s + b.net, 0);
+  const paid = batches.filter(b => b.status === 'paid').reduce((s, b) => s + b.net, 0);
+  const account = accountFor(storeId);
+  return {
+    account: account ? { stripeAccountId: account.stripeAccountId, payoutsEnabled: account.payoutsEnabled } : null,
+    balance: { pending: round2(pending), paid: round2(paid) },
+    batches,
+  };
+}
+
+function entriesFor({ storeId, batchId, limit = 50 }) {
+  return hooks.entries
+    .filter(e => e.storeId === storeId && (!batchId || e.batchId === batchId))
+    .sort((a, b) => b.recordedAt.localeCompare(a.recordedAt))
+    .slice(0, limit);
+}
+
+module.exports = {
+  configure,
+  weekOf,
+  recordSale,
+  recordRefund,
+  ensureAccount,
+  accountFor,
+  settle,
+  start,
+  summary,
+  entriesFor,
+};
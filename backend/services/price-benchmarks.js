@@ -0,0 +1,103 @@
+/**
+ * Competitor Price Benchmarks
+ * Compares one store's shelf prices with the stores around it, for the
+ * Enterprise market-insights tier:
+ *
+ * - per SKU:      your price against the area's average, low and high
+ *                 (price index = yours / area average; 1.05 is 5% above)
+ * - per category: the average index of the SKUs compared in it
+ * - most expensive: SKUs where every nearby store carrying it is cheaper
+ * - coverage:     share of the area's top-searched SKUs you have in stock
+ *
+ * Only SKUs at least one competitor also carries are compared.
+ */
+
+const round = (n, places = 2) => Math.round(n * 10 ** places) / 10 ** places;
+
+function average(values) {
+  return values.reduce((s, v) => s + v, 0) / values.length;
+}
+
+/**
+ * Benchmark `storeId` against `competitors` (stores within the radius, not
+ * including it).
+ *   inventory     inventory rows (any stores; others are ignored)
+ *   topSkus       the area's most-searched SKUs, [{ sku, searches }]
+ *   productFor    catalog lookup for SKUs the store doesn't carry
+ */
+function benchmark({ storeId, competitors, inventory, topSkus = [], productFor = () => null }) {
+  const rivals = new Set(competitors.map(s => s.storeId));
+  const yours = new Map();
+  const area = new Map();   // sku -> competitor prices
+  for (const row of inventory) {
+    if (row.storeId === storeId) {
+      yours.set(row.productSku, row);
+    } else if (rivals.has(row.storeId) && row.price > 0) {
+      if (!area.has(row.productSku)) area.set(row.productSku, []);
+      area.get(row.productSku).push(row.price);
+    }
+  }
+
+  const skus = [];
+  for (const [sku, row] of yours) {
+    const prices = area.get(sku);
+    if (!prices || !(row.price > 0)) continue;
+    const areaAvgPrice = average(prices);
+    const areaMaxPrice = Math.max(...prices);
+    skus.push({
+      sku,
+      productName: row.productName,
+      category: row.category,
+      yourPrice: row.price,
+      areaAvgPrice: round(areaAvgPrice),
+      areaMinPrice: Math.min(...prices),
+      areaMaxPrice,
+      competitorsCarrying: prices.length,
+      priceIndex: round(row.price / areaAvgPrice, 3),
+      mostExpensive: row.price > areaMaxPrice,
+    });
+  }
+  skus.sort((a, b) => b.priceIndex - a.priceIndex || a.sku.localeCompare(b.sku));
+
+  const byCategory = new Map();
+  for (const s of skus) {
+    if (!byCategory.has(s.category)) byCategory.set(s.category, []);
+    byCategory.get(s.category).push(s);
+  }
+  const categories = [...byCategory.entries()]
+    .map(([category, list]) => ({
+      category,
+      skus: list.length,
+      priceIndex: round(average(list.map(s => s.priceIndex)), 3),
+      cheaperThanArea: list.filter(s => s.priceIndex < 1).length,
+      pricierThanArea: list.filter(s => s.priceIndex > 1).length,
+    }))
+    .sort((a, b) => b.priceIndex - a.priceIndex);
+
+  const inStock = sku => {
+    const row = yours.get(sku);
+    return !!row && row.inStock && row.quantity > 0;
+  };
+  const carried = topSkus.filter(t => inStock(t.sku));
+
+  return {
+    areaCompetitors: competitors.length,
+    comparedSkus: skus.length,
+    avgPriceIndex: skus.length ? round(average(skus.map(s => s.priceIndex)), 3) : null,
+    categories,
+    skus,
+    mostExpensive: skus.filter(s => s.mostExpensive),
+    topSearchedCoverage: {
+      skus: topSkus.length,
+      inStock: carried.length,
+      coverage: topSkus.length ? round(carried.length / topSkus.length, 3) : null,
+      missing: topSkus
+        .filter(t => !inStock(t.sku))
+        .map(t => ({ ...t, productName: yours.get(t.sku)?.productName || productFor(t.sku)?.name || t.sku })),
+    },
+  };
+}
+
+module.exports = {
+  benchmark,
+};
@@ -0,0 +1,177 @@
+/**
+ * Price History
+ * Append-only log of price and stock changes per inventory record
+ * (price_history table), plus the summaries behind the history endpoints:
+ * time series for charts and simple deal detection.
+ *
+ * Every write path that touches price/quantity/inStock takes a snapshot()
+ * before the change and calls record() after it, tagging the source:
+ *   initial  - record created (API, dashboard, scraper)
+ *   manual   - single-item edit by a store owner / admin
+ *   bulk     - batch or bulk-update endpoints
+ *   scraper  - scraper ingestion
+ *   order    - stock taken or restored by an order
+ *   return   - stock put back by an approved return
+ * Seeded inventory has no 'initial' row; its first entry's previousPrice is
+ * the seed price.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const sqlite = require('../db/sqlite');
+const queries = require('../db/queries');
+
+const DEAL_PERCENT = 10;   // current price this far below the average counts as a deal
+
+const listeners = [];
+
+/**
+ * Call `listener(item, entry)` after every logged change (price watches hook in here).
+ */
+function onChange(listener) {
+  listeners.push(listener);
+}
+
+function snapshot(item) {
+  return { price: item.price, quantity: item.quantity, inStock: !!item.inStock };
+}
+
+/**
+ * Log the change from `before` (a snapshot, or null for a new record) to the
+ * item's current state. Returns the entry, or null if nothing changed.
+ */
+function record(item, before, { source = 'manual', userId = null } = {}) {
+  const after = snapshot(item);
+  let changeType = 'initial';
+  if (before) {
+    const priceChanged = before.price !== after.price;
+    const stockChanged = before.quantity !== after.quantity || before.inStock !== after.inStock;
+    if (!priceChanged && !stockChanged) return null;
+    changeType = priceChanged && stockChanged ? 'price_stock' : priceChanged ? 'price' : 'stock';
+  }
+
+  const entry = {
+    id: uuidv4(),
+    inventoryId: item.id,
+    storeId: item.storeId,
+    productSku: item.productSku,
+    price: after.price,
+    previousPrice: before ? before.price : null,
+    quantity: after.quantity,
+    previousQuantity: before ? before.quantity : null,
+    inStock: after.inStock,
+    changeType,
+    source: before ? source : 'initial',
+    userId,
+    recordedAt: new Date().toISOString(),
+  };
+  sqlite.save.priceHistory(entry);
+  for (const listener of listeners) listener(item, entry);
+  return entry;
+}
+
+// ============================================
+// SUMMARIES
+// ============================================
+
+/**
+ * Min / max / average over every price observed in `entries` (including the
+ * price before the first logged change) and the current price.
+ */
+function summarize(entries, currentPrice) {
+  const prices = entries.map(e => e.price);
+  if (entries.length && entries[0].previousPrice != null) prices.push(entries[0].previousPrice);
+  if (currentPrice != null) prices.push(currentPrice);
+  if (!prices.length) return null;
+
+  const min = Math.min(...prices);
+  const max = Math.max(...prices);
+  const average = prices.reduce((s, p) => s + p, 0) / prices.length;
+  const current = currentPrice ?? entries[entries.length - 1].price;
+  const percentBelowAverage = parseFloat(((average - current) / average * 100).toFixed(1));
+
+  return {
+    current,
+    min,
+    max,
+    average: parseFloat(average.toFixed(2)),
+    priceChanges: entries.filter(e => e.changeType === 'price' || e.changeType === 'price_stock').length,
+    allTimeLow: current <= min && min < max,
+    percentBelowAverage,
+    isDeal: percentBelowAverage >= DEAL_PERCENT || (current <= min && min < max),
+  };
+}
+
+function point(e) {
+  return { recordedAt: e.recordedAt, price: e.price, quantity: e.quantity, inStock: e.inStock, changeType: e.changeType, source: e.source };
+}
+
+/**
+ * History of one inventory record: { history, stats }.
+ */
+function forInventory(item, { since, limit } = {}) {
+  const entries = queries.getPriceHistory({ inventoryId: item.id, since, limit });
+  return {
+    history: entries.map(e => ({ ...point(e), previousPrice: e.previousPrice, previousQuantity: e.previousQuantity, userId: e.userId })),
+    stats: summarize(entries, item.price),
+  };
+}
+
+/**
+ * History of a SKU across stores. `currentItems` are the live inventory
+ * records for the SKU; logged records that no longer exist are still listed.
+ * Returns { stores: [{ storeId, inventoryId, currentPrice, inStock, series }],
+ * daily: [{ date, low, high, observations }], stats } — stats compare the
+ * cheapest in-stock price now against everything observed.
+ */
+function forSku(sku, currentItems, { since, storeId } = {}) {
+  const entries = queries.getPriceHistory({ productSku: sku, storeId, since, limit: 5000 });
+  const live = currentItems.filter(i => !storeId || i.storeId === storeId);
+
+  const byInventory = new Map();
+  for (const item of live) {
+    byInventory.set(item.id, { storeId: item.storeId, inventoryId: item.id, currentPrice: item.price, inStock: !!item.inStock, series: [] });
+  }
+  for (const e of entries) {
+    if (!byInventory.has(e.inventoryId)) {
+      byInventory.set(e.inventoryId, { storeId: e.storeId, inventoryId: e.inventoryId, currentPrice: null, inStock: false, series: [] });
+    }
+    byInventory.get(e.inventoryId).series.push(point(e));
+  }
+
+  const days = new Map();
+  for (const e of entries) {
+    const date = e.recordedAt.slice(0, 10);
+    const day = days.get(date) || { date, low: e.price, high: e.price, observations: 0 };
+    day.low = Math.min(day.low, e.price);
+    day.high = Math.max(day.high, e.price);
+    day.observations++;
+    days.set(date, day);
+  }
+
+  const inStockPrices = live.filter(i => i.inStock).map(i => i.price);
+  const cheapest = inStockPrices.length ? Math.min(...inStockPrices) : null;
+
+  return {
+    stores: [...byInventory.values()].sort((a, b) => (a.currentPrice ?? Infinity) - (b.currentPrice ?? Infinity)),
+    daily: [...days.values()].sort((a, b) => a.date.localeCompare(b.date)),
+    stats: summarize(entries, cheapest),
+  };
+}
+
+/**
+ * Every logged change at a store since `since` (ISO), oldest first.
+ */
+function forStore(storeId, { since } = {}) {
+  return queries.getPriceHistory({ storeId, since, limit: 100000 }).reverse();
+}
+
+module.exports = {
+  DEAL_PERCENT,
+  onChange,
+  snapshot,
+  record,
+  summarize,
+  forInventory,
+  forSku,
+  forStore,
+};
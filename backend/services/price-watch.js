@@ -0,0 +1,213 @@
+/**
+ * Price Watches
+ * Radar+ / Radar Pro price-drop and back-in-stock alerts. A watch follows a
+ * SKU or a search query, optionally limited to stores near a location, and
+ * fires on one condition:
+ *
+ * - target_price:  cheapest in-stock offer at or below targetPrice
+ * - any_drop:      cheapest in-stock offer below the last price seen
+ * - back_in_stock: some offer in stock after none were
+ *
+ * Alerts are edge-triggered: each watch keeps the last state it saw
+ * (lastPrice, lastInStock, conditionMet) and only notifies on a transition.
+ * Every logged price/stock change (services/price-history) queues its SKU;
+ * after config.watches.evaluateDelayMs the queued SKUs are checked against
+ * active watches in one pass, so bulk updates and scraper runs raise one
+ * alert per watch rather than one per row.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const searchIndex = require('./search-index');
+const storeIndex = require('./store-index');
+const { resolveItems } = require('./basket-optimizer');
+const templates = require('./templates');
+
+const CONDITIONS = ['target_price', 'any_drop', 'back_in_stock'];
+const DEFAULT_RADIUS = 10;
+
+// Wired by models/database (storage, locales) and routes/watches (plan gate)
+const hooks = {
+  watches: [],
+  notify: () => {},
+  localeFor: () => undefined,
+  save: () => {},
+  isEntitled: () => true,
+};
+
+const pending = new Set();
+let timer = null;
+
+function configure(options) {
+  Object.assign(hooks, options);
+}
+
+// ============================================
+// MATCHING
+// ============================================
+
+/**
+ * SKUs a watch covers: its SKU, or the products its query resolves to.
+ */
+function watchedSkus(watch) {
+  if (watch.sku) return [watch.sku];
+  return resolveItems([watch.query])[0].matches.map(p => p.sku);
+}
+
+/**
+ * Inventory rows for the watch at stores in range: [{ inv, store }].
+ */
+function offersFor(watch) {
+  const nearby = watch.lat != null && watch.lng != null
+    ? new Map(storeIndex.withinRadius(watch.lat, watch.lng, watch.radius || DEFAULT_RADIUS).map(s => [s.storeId, s]))
+    : null;
+
+  const offers = [];
+  for (const sku of watchedSkus(watch)) {
+    for (const inv of searchIndex.getInventory(sku)) {
+      if (nearby && !nearby.has(inv.storeId)) continue;
+      offers.push({ inv, store: nearby ? nearby.get(inv.storeId) : storeIndex.get(inv.storeId) });
+    }
+  }
+  return offers;
+}
+
+/**
+ * Cheapest in-stock offer, or null when nothing is in stock.
+ */
+function bestOffer(offers) {
+  let best = null;
+  for (const offer of offers) {
+    if (!offer.inv.inStock || offer.inv.quantity <= 0) continue;
+    if (!best || offer.inv.price < best.inv.price) best = offer;
+  }
+  return best;
+}
+
+// ============================================
+// EVALUATION
+// ============================================
+
+/**
+ * Move a watch to the current state of its offers. Returns
+ * { price, previousPrice, offer } when the transition should alert, else null.
+ */
+function evaluate(watch, offers = offersFor(watch)) {
+  const best = bestOffer(offers);
+  const price = best ? best.inv.price : null;
+  const previousPrice = watch.lastPrice ?? null;
+
+  let fire = false;
+  let met = false;
+  if (watch.condition === 'target_price') {
+    met = price !== null && price <= watch.targetPrice;
+    fire = met && !watch.conditionMet;
+  } else if (watch.condition === 'any_drop') {
+    met = price !== null && previousPrice !== null && price < previousPrice;
+    fire = met;
+  } else if (watch.condition === 'back_in_stock') {
+    met = price !== null;
+    fire = met && watch.lastInStock === false;
+  }
+
+  watch.lastPrice = price;
+  watch.lastInStock = price !== null;
+  watch.conditionMet = met;
+  return fire ? { price, previousPrice, offer: best } : null;
+}
+
+/**
+ * Record the current state as the baseline without alerting (new or edited watches).
+ */
+function prime(watch) {
+  watch.lastPrice = null;
+  watch.lastInStock = null;
+  watch.conditionMet = false;
+  evaluate(watch);
+  return watch;
+}
+
+/**
+ * { title, message } in the watcher's locale.
+ */
+function alertText(watch, alert) {
+  const { inv, store } = alert.offer;
+  const { title, message } = templates.render(`price_alert/${watch.condition}`, {
+    product: inv.productName,
+    storeName: store?.name,
+    price: alert.price,
+    target: watch.targetPrice,
+    previousPrice: alert.previousPrice,
+  }, hooks.localeFor(watch.userId));
+  return { title, message };
+}
+
+function raise(watch, alert) {
+  const now = new Date().toISOString();
+  hooks.notify({
+    id: uuidv4(),
+    userId: watch.userId,
+    type: 'price_alert',
+    ...alertText(watch, alert),
+    read: false,
+    createdAt: now,
+  });
+  watch.alertCount = (watch.alertCount || 0) + 1;
+  watch.lastAlertAt = now;
+}
+
+// ============================================
+// BACKGROUND EVALUATOR
+// ============================================
+
+/**
+ * Queue a changed inventory row; watches on its SKU are checked shortly.
+ */
+function enqueue(item) {
+  if (!item?.productSku) return;
+  pending.add(item.productSku);
+  if (!timer) {
+    timer = setTimeout(flush, config.watches.evaluateDelayMs);
+    if (timer.unref) timer.unref();
+  }
+}
+
+/**
+ * Check every active watch touching a queued SKU. Users whose plan no longer
+ * includes alerts keep their watches, but the baseline moves silently.
+ * Returns the number of alerts raised.
+ */
+function flush() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+  if (pending.size === 0) return 0;
+  const changed = new Set(pending);
+  pending.clear();
+
+  let raised = 0;
+  for (const watch of hooks.watches) {
+    if (watch.status !== 'active') continue;
+    const skus = watchedSkus(watch);
+    if (!skus.some(sku => changed.has(sku))) continue;
+
+    const alert = evaluate(watch);
+    if (alert && hooks.isEntitled(watch.userId)) {
+      raise(watch, alert);
+      raised++;
+    }
+    watch.updatedAt = new Date().toISOString();
+    hooks.save(watch);
+  }
+  return raised;
+}
+
+module.exports = {
+  CONDITIONS,
+  configure,
+  watchedSkus,
+  offersFor,
+  evaluate,
+  prime,
+  enqueue,
+  flush,
+};
@@ -0,0 +1,167 @@
+/**
+ * Query Understanding
+ * Rewrites raw search text into weighted clauses for the search index:
+ *
+ * - Spelling correction: unknown words snap to the closest indexed word by
+ *   edit distance ("extention" → "extension")
+ * - Compound words: "lightbulb" splits into "light bulb" when only the parts
+ *   are indexed; adjacent words also try their joined form
+ * - Plural/singular folding comes from the shared stemmer (utils/text.js)
+ * - Synonyms: admin-editable groups ("flashlight" ↔ "torch"), matched on
+ *   stemmed phrases of up to MAX_PHRASE_WORDS words
+ *
+ * The returned `corrections` drive the "did you mean" block in POST /api/search.
+ */
+
+const { words, stem, editDistance } = require('../utils/text');
+const searchIndex = require('./search-index');
+
+const SYNONYM_WEIGHT = 0.8;   // synonym matches rank slightly below the user's own words
+const MAX_PHRASE_WORDS = 3;
+
+let phraseGroups = new Map(); // stemmed phrase -> synonym group
+
+/**
+ * Load synonym groups ({ id, terms: [...] }) into the phrase lookup.
+ * Called at startup and after every admin edit.
+ */
+function loadSynonyms(groups) {
+  const next = new Map();
+  for (const group of groups) {
+    for (const term of group.terms || []) {
+      const key = phraseKey(words(term));
+      if (key) next.set(key, group);
+    }
+  }
+  phraseGroups = next;
+}
+
+function phraseKey(phraseWords) {
+  return phraseWords.map(stem).join(' ');
+}
+
+/**
+ * Max edits allowed when correcting a word of this length. Words of four
+ * letters or fewer are left alone: one edit away there is usually a different
+ * real word ("bits" → "bins").
+ */
+function maxEdits(length) {
+  if (length <= 4) return 0;
+  return length <= 7 ? 1 : 2;
+}
+
+/**
+ * Closest vocabulary word within the edit budget, preferring common words.
+ */
+function correctSpelling(word) {
+  const budget = maxEdits(word.length);
+  if (budget === 0) return null;
+
+  let best = null;
+  for (const [candidate, df] of searchIndex.getVocabulary()) {
+    if (/^\d/.test(candidate)) continue;
+    const distance = editDistance(word, candidate, budget);
+    if (distance > budget) continue;
+    if (!best || distance < best.distance || (distance === best.distance && df > best.df)) {
+      best = { word: candidate, distance, df };
+    }
+  }
+  return best ? best.word : null;
+}
+
+/**
+ * "lightbulb" → ["light", "bulb"] when both halves are indexed words.
+ */
+function splitCompound(word) {
+  const vocabulary = searchIndex.getVocabulary();
+  for (let i = 3; i <= word.length - 3; i++) {
+    const left = word.slice(0, i);
+    const right = word.slice(i);
+    if (vocabulary.has(left) && vocabulary.has(right)) return [left, right];
+  }
+  return null;
+}
+
+/**
+ * Parse a raw query.
+ * Returns { original, rewritten, corrections, synonyms, clauses }.
+ */
+function parse(query) {
+  const original = String(query || '');
+  const corrections = [];
+  const synonyms = [];
+  const corrected = [];
+
+  // 1. Correct unknown words
+  for (const word of words(original)) {
+    if (/^\d/.test(word) || searchIndex.isKnownWord(word) || phraseGroups.has(stem(word))) {
+      corrected.push(word);
+      continue;
+    }
+    const parts = splitCompound(word);
+    if (parts) {
+      corrections.push({ original: word, corrected: parts.join(' '), type: 'compound' });
+      corrected.push(...parts);
+      continue;
+    }
+    const fixed = correctSpelling(word);
+    if (fixed) {
+      corrections.push({ original: word, corrected: fixed, type: 'spelling' });
+      corrected.push(fixed);
+    } else {
+      corrected.push(word);
+    }
+  }
+
+  // 2. Group into clauses: synonym phrases (longest first), joined compounds, single words
+  const clauses = [];
+  const vocabulary = searchIndex.getVocabulary();
+  for (let i = 0; i < corrected.length;) {
+    let consumed = 0;
+
+    for (let n = Math.min(MAX_PHRASE_WORDS, corrected.length - i); n >= 1; n--) {
+      const phrase = corrected.slice(i, i + n);
+      const group = phraseGroups.get(phraseKey(phrase));
+      if (!group) continue;
+
+      const key = phraseKey(phrase);
+      const others = group.terms.filter(t => phraseKey(words(t)) !== key);
+      clauses.push([
+        { words: phrase, weight: 1 },
+        ...others.map(t => ({ words: words(t), weight: SYNONYM_WEIGHT, requireAll: true, prefix: false })),
+      ]);
+      synonyms.push({ phrase: phrase.join(' '), expandedTo: others, groupId: group.id });
+      consumed = n;
+      break;
+    }
+
+    if (!consumed && i + 1 < corrected.length && vocabulary.has(corrected[i] + corrected[i + 1])) {
+      const pair = corrected.slice(i, i + 2);
+      clauses.push([
+        { words: pair, weight: 1 },
+        { words: [pair.join('')], weight: 1, prefix: false },
+      ]);
+      consumed = 2;
+    }
+
+    if (!consumed) {
+      clauses.push([{ words: [corrected[i]], weight: 1 }]);
+      consumed = 1;
+    }
+    i += consumed;
+  }
+
+  let rewritten = original;
+  for (const c of corrections) {
+    rewritten = rewritten.replace(new RegExp(`\\b${c.original}\\b`, 'i'), c.corrected);
+  }
+
+  return { original, rewritten, corrections, synonyms, clauses };
+}
+
+module.exports = {
+  loadSynonyms,
+  parse,
+  correctSpelling,
+  splitCompound,
+};
@@ -0,0 +1,103 @@
+/**
+ * Real-time Push
+ * Server-Sent Events hub. A stream subscribes to channels:
+ *
+ *   user:<userId>     the user's notifications and their orders' status moves
+ *   store:<storeId>   new orders and status moves at a store (owners, admins)
+ *
+ * publish() writes an event to every open stream on its channels right away
+ * and keeps the last config.realtime.replaySize events, so a client that
+ * reconnects with Last-Event-ID gets what it missed. Streams send a comment
+ * line every config.realtime.heartbeatSeconds to stay open through proxies.
+ */
+
+const config = require('../config');
+
+const clients = new Set();
+const recent = [];   // [{ id, channels, event, data }]
+let lastId = 0;
+
+function write(client, { id, event, data }) {
+  client.res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  if (client.res.flush) client.res.flush();   // compression buffers otherwise
+}
+
+function wants(client, channels) {
+  return channels.some(c => client.channels.has(c));
+}
+
+/**
+ * Turn `res` into an event stream on `channels`. Sends a `ready` event (with
+ * any `ready` fields), then anything after `lastEventId` still buffered.
+ * Cleans up when the client goes.
+ */
+function subscribe(req, res, channels, { lastEventId = null, ready = {} } = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${config.realtime.retryMs}\n\n`);
+
+  const client = { res, channels: new Set(channels), userId: req.user?.id || null, connectedAt: new Date().toISOString() };
+  clients.add(client);
+
+  write(client, { id: lastId, event: 'ready', data: { channels, ...ready } });
+  const since = parseInt(lastEventId, 10);
+  if (Number.isFinite(since)) {
+    for (const entry of recent) {
+      if (entry.id > since && wants(client, entry.channels)) write(client, entry);
+    }
+  }
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+    if (res.flush) res.flush();
+  }, config.realtime.heartbeatSeconds * 1000);
+  if (heartbeat.unref) heartbeat.unref();
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+  return client;
+}
+
+/**
+ * Send `event` with `data` to every stream on any of `channels`.
+ * Returns how many streams received it.
+ */
+function publish(channels, event, data) {
+  const entry = { id: ++lastId, channels: channels.filter(Boolean), event, data };
+  recent.push(entry);
+  if (recent.length > config.realtime.replaySize) recent.shift();
+
+  let sent = 0;
+  for (const client of clients) {
+    if (!wants(client, entry.channels)) continue;
+    write(client, entry);
+    sent++;
+  }
+  return sent;
+}
+
+function userChannel(userId) {
+  return userId ? `user:${userId}` : null;
+}
+
+function storeChannel(storeId) {
+  return storeId ? `store:${storeId}` : null;
+}
+
+function stats() {
+  return { connections: clients.size, lastEventId: lastId };
+}
+
+module.exports = {
+  subscribe,
+  publish,
+  userChannel,
+  storeChannel,
+  stats,
+};
@@ -0,0 +1,217 @@
+/**
+ * Inventory Reservations
+ * Time-limited holds placed on inventory rows at checkout. A hold sets stock
+ * aside without touching on-hand quantity; it ends one of two ways:
+ *
+ * - committed: payment succeeded or the store accepted the order, so the
+ *              held units come off on-hand quantity (logged as source 'order')
+ * - released:  expiry, cancellation, failed payment or an abandoned Stripe
+ *              session; the units become available to sell again
+ *
+ * Available-to-sell = on-hand quantity minus units still held. Expired holds
+ * are swept every config.reservations.sweepSeconds; the sub-orders they
+ * belonged to are handed to the onExpire hook (services/orders cancels them).
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const priceHistory = require('./price-history');
+
+// Wired by models/database (storage, and services/orders for expiry handling)
+const hooks = {
+  reservations: [],
+  findInventory: () => null,
+  save: () => {},
+  onExpire: () => {},
+};
+
+const heldByInventory = new Map();   // inventoryId -> units currently held
+const openHolds = new Map();         // id -> hold still held
+const byId = new Map();              // id -> hold, open or closed
+const byOrder = new Map();           // sub-order id -> its holds
+let sweepTimer = null;
+
+function index(hold) {
+  byId.set(hold.id, hold);
+  if (!byOrder.has(hold.orderId)) byOrder.set(hold.orderId, []);
+  byOrder.get(hold.orderId).push(hold);
+}
+
+function reindex() {
+  heldByInventory.clear();
+  openHolds.clear();
+  byId.clear();
+  byOrder.clear();
+  for (const hold of hooks.reservations) {
+    index(hold);
+    if (hold.status !== 'held') continue;
+    adjust(hold.inventoryId, hold.quantity);
+    openHolds.set(hold.id, hold);
+  }
+}
+
+function configure(options) {
+  Object.assign(hooks, options);
+  if (options.reservations) reindex();
+}
+
+function adjust(inventoryId, delta) {
+  const next = (heldByInventory.get(inventoryId) || 0) + delta;
+  if (next > 0) heldByInventory.set(inventoryId, next);
+  else heldByInventory.delete(inventoryId);
+}
+
+// ============================================
+// QUANTITIES
+// ============================================
+
+function held(inventoryId) {
+  return heldByInventory.get(inventoryId) || 0;
+}
+
+/**
+ * Units that can still be sold: on-hand minus held (0 when out of stock).
+ */
+function available(item) {
+  if (!item?.inStock) return 0;
+  return Math.max(0, item.quantity - held(item.id));
+}
+
+// ============================================
+// HOLDS
+// ============================================
+
+function get(id) {
+  return byId.get(id) || null;
+}
+
+function forOrder(orderId) {
+  return [...(byOrder.get(orderId) || [])];
+}
+
+/**
+ * Hold `quantity` units of an inventory row for a sub-order. The caller has
+ * already checked available(); expiry defaults to config.reservations.holdMinutes.
+ */
+function place(item, quantity, { orderId, parentOrderId = null, userId = null, expiresAt } = {}) {
+  const now = new Date();
+  const hold = {
+    id: uuidv4(),
+    inventoryId: item.id,
+    storeId: item.storeId,
+    orderId,
+    parentOrderId,
+    userId,
+    quantity,
+    status: 'held',
+    reason: null,
+    expiresAt: expiresAt || new Date(now.getTime() + config.reservations.holdMinutes * 60000).toISOString(),
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+  };
+  hooks.reservations.push(hold);
+  index(hold);
+  openHolds.set(hold.id, hold);
+  adjust(hold.inventoryId, hold.quantity);
+  hooks.save(hold);
+  return hold;
+}
+
+function close(hold, status, reason) {
+  hold.status = status;
+  hold.reason = reason;
+  hold.updatedAt = new Date().toISOString();
+  openHolds.delete(hold.id);
+  adjust(hold.inventoryId, -hold.quantity);
+  hooks.save(hold);
+}
+
+/**
+ * Turn a hold into a sale: on-hand drops by the held units. No-op unless held.
+ */
+function commit(hold, { userId = null, reason = 'committed' } = {}) {
+  if (hold?.status !== 'held') return false;
+  close(hold, 'committed', reason);
+  const item = hooks.findInventory(hold.inventoryId);
+  if (item) {
+    const before = priceHistory.snapshot(item);
+    item.quantity = Math.max(0, item.quantity - hold.quantity);
+    if (item.quantity <= 0) item.inStock = false;
+    priceHistory.record(item, before, { source: 'order', userId });
+  }
+  return true;
+}
+
+/**
+ * Give held units back to available-to-sell. No-op unless held.
+ */
+function release(hold, reason = 'released') {
+  if (hold?.status !== 'held') return false;
+  close(hold, 'released', reason);
+  return true;
+}
+
+/**
+ * Push back the expiry of a sub-order's live holds (never shortens them).
+ * Returns the holds still held.
+ */
+function extend(orderId, expiresAt) {
+  const live = forOrder(orderId).filter(h => h.status === 'held');
+  for (const hold of live) {
+    if (hold.expiresAt >= expiresAt) continue;
+    hold.expiresAt = expiresAt;
+    hold.updatedAt = new Date().toISOString();
+    hooks.save(hold);
+  }
+  return live;
+}
+
+/**
+ * Commit / release every hold of a sub-order. Returns how many changed.
+ */
+function commitOrder(orderId, options) {
+  return forOrder(orderId).filter(h => commit(h, options)).length;
+}
+
+function releaseOrder(orderId, reason) {
+  return forOrder(orderId).filter(h => release(h, reason)).length;
+}
+
+// ============================================
+// EXPIRY
+// ============================================
+
+/**
+ * Release holds past expiresAt and pass their sub-order ids to onExpire.
+ * Only open holds are scanned, however many closed ones have piled up.
+ * Returns the released holds.
+ */
+function sweep(now = new Date()) {
+  const cutoff = now.toISOString();
+  const expired = [...openHolds.values()].filter(h => h.expiresAt <= cutoff);
+  for (const hold of expired) release(hold, 'expired');
+  if (expired.length) hooks.onExpire([...new Set(expired.map(h => h.orderId))]);
+  return expired;
+}
+
+function start() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => sweep(), config.reservations.sweepSeconds * 1000);
+  if (sweepTimer.unref) sweepTimer.unref();
+}
+
+module.exports = {
+  configure,
+  held,
+  available,
+  get,
+  forOrder,
+  place,
+  commit,
+  release,
+  extend,
+  commitOrder,
+  releaseOrder,
+  sweep,
+  start,
+};
@@ -0,0 +1,102 @@
+/**
+ * Returns
+ * Line-level returns against fulfilled sub-orders. A customer asks to send
+ * back some of the items from one store; that store approves or rejects.
+ *
+ *   requested → approved (restocked, refunded) | rejected
+ *   (processing while an approval waits on its Stripe refund)
+ *
+ * A refund covers the returned lines plus the tax charged on them (the line's
+ * own tax from services/tax, or a share of the sub-order's on orders placed
+ * before per-line tax); delivery fees are not refunded. Quantities already requested or approved
+ * can't be asked for again, rejected ones can.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const STATUSES = ['requested', 'processing', 'approved', 'rejected'];
+const RETURNABLE = ['delivered', 'picked_up'];
+
+const round2 = n => parseFloat(n.toFixed(2));
+
+/**
+ * Units of each inventory line still open to a return: { inventoryId: qty }.
+ */
+function returnable(subOrder, returns) {
+  const left = {};
+  for (const item of subOrder.items) left[item.inventoryId] = (left[item.inventoryId] || 0) + item.quantity;
+  for (const ret of returns) {
+    if (ret.orderId !== subOrder.id || ret.status === 'rejected') continue;
+    for (const line of ret.items) left[line.inventoryId] -= line.quantity;
+  }
+  return left;
+}
+
+/**
+ * Validate requested { inventoryId, quantity } lines against a sub-order.
+ * Returns { lines } priced from the order, or { error }.
+ */
+function buildLines(subOrder, requested, returns) {
+  if (!RETURNABLE.includes(subOrder.status)) {
+    return { error: `Only delivered or picked-up orders can be returned (this one is ${subOrder.status})` };
+  }
+  const left = returnable(subOrder, returns);
+  const lines = [];
+  for (const { inventoryId, quantity } of requested) {
+    const item = subOrder.items.find(i => i.inventoryId === inventoryId);
+    if (!item) return { error: `Item not in this order: ${inventoryId}` };
+    const already = lines.filter(l => l.inventoryId === inventoryId).reduce((s, l) => s + l.quantity, 0);
+    if (quantity + already > left[inventoryId]) {
+      return { error: `Only ${left[inventoryId]} of ${item.productName} can still be returned` };
+    }
+    lines.push({
+      inventoryId,
+      productName: item.productName,
+      price: item.price,
+      quantity,
+      lineTotal: round2(item.price * quantity),
+      tax: item.tax !== undefined ? round2(item.tax * quantity / item.quantity) : null,
+    });
+  }
+  return { lines };
+}
+
+/**
+ * New return request for one sub-order.
+ */
+function create(subOrder, lines, { userId, reason = null }) {
+  const now = new Date().toISOString();
+  const subtotal = round2(lines.reduce((s, l) => s + l.lineTotal, 0));
+  const tax = lines.every(l => l.tax !== null)
+    ? round2(lines.reduce((s, l) => s + l.tax, 0))
+    : subOrder.subtotal > 0 ? round2(subOrder.tax * subtotal / subOrder.subtotal) : 0;
+  return {
+    id: uuidv4(),
+    orderId: subOrder.id,
+    parentOrderId: subOrder.parentOrderId,
+    storeId: subOrder.storeId,
+    userId,
+    items: lines,
+    reason,
+    status: 'requested',
+    subtotal,
+    tax,
+    refundAmount: round2(subtotal + tax),
+    restocked: false,
+    refundStatus: null,
+    stripeRefundId: null,
+    decisionNote: null,
+    decidedBy: null,
+    decidedAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+module.exports = {
+  STATUSES,
+  RETURNABLE,
+  returnable,
+  buildLines,
+  create,
+};
@@ -0,0 +1,317 @@
+/**
+ * Routing Cost Model
+ * Estimated travel minutes from a shopper to stores, by mode (walking,
+ * transit, driving), so location filters can use time instead of
+ * straight-line miles. Works offline with one of two pluggable models:
+ *
+ * - matrix: straight-line miles × circuity ÷ mode speed + fixed overhead
+ *   (config.routing.modes). Default.
+ * - graph:  shortest path over a road network loaded from an OSM XML extract
+ *   (or a prebuilt JSON graph) set in config.routing.graphFile. Rivers,
+ *   bridges and one-way streets come from the data. Destinations outside the
+ *   graph fall back to the matrix estimate.
+ *
+ * A model is { name, travelTimes(origin, destinations, mode, maxMinutes) }
+ * returning minutes (or null when unreachable within maxMinutes) per destination.
+ */
+
+const fs = require('fs');
+const config = require('../config');
+const { calculateDistance } = require('../utils/geo');
+
+const MODES = Object.keys(config.routing.modes);
+
+// Free-flow driving speeds by OSM highway class (mph)
+const DRIVING_MPH = {
+  motorway: 50, motorway_link: 30, trunk: 40, trunk_link: 25,
+  primary: 25, primary_link: 20, secondary: 22, secondary_link: 18,
+  tertiary: 20, tertiary_link: 15, unclassified: 15, residential: 15,
+  living_street: 8, service: 10,
+};
+const NO_WALKING = new Set(['motorway', 'motorway_link', 'trunk', 'trunk_link']);
+const NO_DRIVING = new Set(['footway', 'path', 'pedestrian', 'steps', 'cycleway', 'bridleway', 'corridor']);
+
+const SNAP_CELL_DEGREES = 0.005;
+const MAX_SNAP_RINGS = 20;         // ~0.7 mi: farther than that, the point is off the graph
+
+let activeModel = null;
+
+// ============================================
+// MATRIX MODEL
+// ============================================
+
+function createMatrixModel(modes = config.routing.modes) {
+  function minutesFor(miles, mode) {
+    const m = modes[mode];
+    return parseFloat((miles * m.circuity / m.mph * 60 + m.overheadMinutes).toFixed(1));
+  }
+
+  return {
+    name: 'matrix',
+    minutesFor,
+    travelTimes(origin, destinations, mode, maxMinutes = Infinity) {
+      return destinations.map(d => {
+        const minutes = minutesFor(calculateDistance(origin.lat, origin.lng, d.lat, d.lng), mode);
+        return minutes <= maxMinutes ? minutes : null;
+      });
+    },
+  };
+}
+
+// ============================================
+// GRAPH MODEL
+// ============================================
+
+/**
+ * Parse an OSM XML extract into { nodes: Map(id -> {lat, lng}), ways: [{ nodes, highway, oneway }] }.
+ * Only ways tagged `highway` are kept.
+ */
+function parseOsm(xml) {
+  const nodes = new Map();
+  const attr = (tag, name) => {
+    const m = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return m ? m[1] : null;
+  };
+
+  for (const m of xml.matchAll(/<node\b[^>]*>/g)) {
+    const id = attr(m[0], 'id');
+    const lat = parseFloat(attr(m[0], 'lat'));
+    const lng = parseFloat(attr(m[0], 'lon'));
+    if (id && Number.isFinite(lat) && Number.isFinite(lng)) nodes.set(id, { lat, lng });
+  }
+
+  const ways = [];
+  for (const m of xml.matchAll(/<way\b[^>]*>([\s\S]*?)<\/way>/g)) {
+    const body = m[1];
+    const refs = [...body.matchAll(/<nd\s+ref="([^"]+)"/g)].map(r => r[1]);
+    const tags = {};
+    for (const t of body.matchAll(/<tag\s+k="([^"]+)"\s+v="([^"]*)"/g)) tags[t[1]] = t[2];
+    if (!tags.highway || refs.length < 2) continue;
+    ways.push({ nodes: refs, highway: tags.highway, oneway: tags.oneway === 'yes' || tags.oneway === '1' });
+  }
+  return { nodes, ways };
+}
+
+/**
+ * Load a road graph file: .osm (XML) or .json ({ nodes: [[id, lat, lng]], ways: [{ nodes, highway, oneway }] }).
+ */
+function loadGraphFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (file.endsWith('.json')) {
+    const data = JSON.parse(text);
+    return {
+      nodes: new Map(data.nodes.map(([id, lat, lng]) => [String(id), { lat, lng }])),
+      ways: data.ways.map(w => ({ ...w, nodes: w.nodes.map(String) })),
+    };
+  }
+  return parseOsm(text);
+}
+
+function createGraphModel({ nodes, ways }, modes = config.routing.modes) {
+  const adjacency = new Map();   // nodeId -> [{ to, miles, highway, against }] (against: wrong way up a one-way)
+  const link = (from, to, edge) => {
+    if (!adjacency.has(from)) adjacency.set(from, []);
+    adjacency.get(from).push({ to, ...edge });
+  };
+
+  let edgeCount = 0;
+  for (const way of ways) {
+    for (let i = 1; i < way.nodes.length; i++) {
+      const a = nodes.get(way.nodes[i - 1]);
+      const b = nodes.get(way.nodes[i]);
+      if (!a || !b) continue;
+      const miles = haversine(a, b);
+      link(way.nodes[i - 1], way.nodes[i], { miles, highway: way.highway, against: false });
+      link(way.nodes[i], way.nodes[i - 1], { miles, highway: way.highway, against: way.oneway });
+      edgeCount++;
+    }
+  }
+
+  // Snap grid over routable nodes
+  const grid = new Map();
+  for (const id of adjacency.keys()) {
+    const n = nodes.get(id);
+    const key = snapKey(Math.floor(n.lat / SNAP_CELL_DEGREES), Math.floor(n.lng / SNAP_CELL_DEGREES));
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(id);
+  }
+
+  function snap(point) {
+    const row0 = Math.floor(point.lat / SNAP_CELL_DEGREES);
+    const col0 = Math.floor(point.lng / SNAP_CELL_DEGREES);
+    let best = null;
+    let foundAt = null;
+    for (let ring = 0; ring <= MAX_SNAP_RINGS; ring++) {
+      for (let row = row0 - ring; row <= row0 + ring; row++) {
+        for (let col = col0 - ring; col <= col0 + ring; col++) {
+          if (Math.max(Math.abs(row - row0), Math.abs(col - col0)) !== ring) continue;
+          for (const id of grid.get(snapKey(row, col)) || []) {
+            const miles = haversine(point, nodes.get(id));
+            if (!best || miles < best.miles) best = { id, miles };
+          }
+        }
+      }
+      // One more ring can still hold a closer node than one found near a cell edge
+      if (best && foundAt === null) foundAt = ring;
+      else if (best && ring > foundAt) break;
+    }
+    return best;
+  }
+
+  function edgeMinutes(edge, mode) {
+    if (mode === 'driving') {
+      if (NO_DRIVING.has(edge.highway) || edge.against) return null;
+      return edge.miles / (DRIVING_MPH[edge.highway] || modes.driving.mph) * 60;
+    }
+    if (NO_WALKING.has(edge.highway)) return null;
+    return edge.miles / modes[mode].mph * 60;
+  }
+
+  /**
+   * Dijkstra from the origin's snapped node, cut off at maxMinutes.
+   */
+  function isochrone(startId, mode, maxMinutes) {
+    const best = new Map([[startId, 0]]);
+    const heap = [[0, startId]];
+    while (heap.length > 0) {
+      const [minutes, id] = heapPop(heap);
+      if (minutes > best.get(id)) continue;
+      for (const edge of adjacency.get(id) || []) {
+        const cost = edgeMinutes(edge, mode);
+        if (cost === null) continue;
+        const next = minutes + cost;
+        if (next > maxMinutes || next >= (best.get(edge.to) ?? Infinity)) continue;
+        best.set(edge.to, next);
+        heapPush(heap, [next, edge.to]);
+      }
+    }
+    return best;
+  }
+
+  const fallback = createMatrixModel(modes);
+
+  return {
+    name: 'graph',
+    stats: { nodes: adjacency.size, edges: edgeCount },
+    snap,
+    travelTimes(origin, destinations, mode, maxMinutes = config.routing.maxMinutes) {
+      const start = snap(origin);
+      if (!start) return fallback.travelTimes(origin, destinations, mode, maxMinutes);
+
+      const m = modes[mode];
+      const access = miles => miles * m.circuity / m.mph * 60;
+      const overhead = m.overheadMinutes;
+      const reached = isochrone(start.id, mode, maxMinutes);
+
+      return destinations.map(d => {
+        const end = snap(d);
+        if (!end) return fallback.travelTimes(origin, [d], mode, maxMinutes)[0];
+        const onGraph = reached.get(end.id);
+        if (onGraph === undefined) return null;
+        const minutes = parseFloat((onGraph + access(start.miles) + access(end.miles) + overhead).toFixed(1));
+        return minutes <= maxMinutes ? minutes : null;
+      });
+    },
+  };
+}
+
+function snapKey(row, col) {
+  return row + ':' + col;
+}
+
+// Unrounded haversine (calculateDistance rounds to 0.1 mi, too coarse for street segments)
+function haversine(a, b) {
+  const rad = d => d * Math.PI / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 3959 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+function heapPush(heap, item) {
+  heap.push(item);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent][0] <= heap[i][0]) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const l = 2 * i + 1, r = l + 1;
+      let smallest = i;
+      if (l < heap.length && heap[l][0] < heap[smallest][0]) smallest = l;
+      if (r < heap.length && heap[r][0] < heap[smallest][0]) smallest = r;
+      if (smallest === i) break;
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+  }
+  return top;
+}
+
+// ============================================
+// ACTIVE MODEL
+// ============================================
+
+/**
+ * Load a road graph file and make it the active model.
+ */
+function loadGraph(file) {
+  activeModel = createGraphModel(loadGraphFile(file));
+  console.log(`[Routing] Road graph loaded from ${file}: ${activeModel.stats.nodes} nodes, ${activeModel.stats.edges} edges`);
+  return activeModel;
+}
+
+function useModel(model) {
+  activeModel = model;
+}
+
+/**
+ * The active model: the configured road graph if it loads, else the speed matrix.
+ */
+function getModel() {
+  if (activeModel) return activeModel;
+  if (config.routing.graphFile) {
+    try {
+      return loadGraph(config.routing.graphFile);
+    } catch (err) {
+      console.error(`[Routing] Could not load ${config.routing.graphFile}, using speed matrix:`, err.message);
+    }
+  }
+  activeModel = createMatrixModel();
+  return activeModel;
+}
+
+/**
+ * Set travelMode/travelMinutes on each store (objects with lat/lng).
+ * travelMinutes is null when the store can't be reached within maxMinutes.
+ */
+function annotate(origin, stores, mode, maxMinutes = config.routing.maxMinutes) {
+  const minutes = getModel().travelTimes(origin, stores, mode, maxMinutes);
+  stores.forEach((store, i) => {
+    store.travelMode = mode;
+    store.travelMinutes = minutes[i];
+  });
+  return stores;
+}
+
+module.exports = {
+  MODES,
+  createMatrixModel,
+  createGraphModel,
+  parseOsm,
+  loadGraphFile,
+  loadGraph,
+  useModel,
+  getModel,
+  annotate,
+};
@@ -0,0 +1,152 @@
+/**
+ * Search Facets
+ * Filter-sidebar counts for POST /api/search: category, brand, retailer,
+ * price buckets, distance bands and (with a travel mode) travel-time bands.
+ *
+ * Counts are disjunctive: each facet is counted with every active filter
+ * applied except its own, so picking a value shows exactly `count` results
+ * and the other values of the same facet stay visible.
+ *
+ * Candidates are { product, rows } where rows are the product's in-stock
+ * inventory at nearby stores: { inv, store, retailerKey }.
+ */
+
+const PRICE_BUCKETS = [0, 10, 25, 50, 100, 250, 500];  // lower edges; [min, next edge), last bucket is open-ended
+const DISTANCE_BANDS = [1, 3, 5, 10, 25, 50];          // miles, cumulative ("within N mi")
+const TIME_BANDS = [10, 20, 30, 45, 60];               // minutes, cumulative, when a travel mode is set
+
+/**
+ * The price bucket starting at `min` ({ min, max, label }), or null.
+ * Buckets are half-open, so a $25 item is in $25 - $49.99 only.
+ */
+function priceBucket(min) {
+  const i = PRICE_BUCKETS.indexOf(min);
+  if (i === -1) return null;
+  const max = PRICE_BUCKETS[i + 1] ?? null;
+  const label = max === null ? `$${min}+` : min === 0 ? `Under $${max}` : `$${min} - $${(max - 0.01).toFixed(2)}`;
+  return { min, max, label };
+}
+
+function inPriceBucket(price, bucket) {
+  return price >= bucket.min && (bucket.max === null || price < bucket.max);
+}
+
+/**
+ * Product-level filters (category, brand). `skip` names a facet to ignore.
+ */
+function productMatches(product, filters, skip = null) {
+  if (filters.category && skip !== 'category' && product.category !== filters.category) return false;
+  if (filters.brand && skip !== 'brand' && (product.brand || '').toLowerCase() !== filters.brand) return false;
+  return true;
+}
+
+/**
+ * Row-level filters (retailer, price range or bucket, radius / travel time). `skip` names a
+ * facet to ignore; 'distance' covers both location filters.
+ */
+function rowMatches(row, filters, skip = null) {
+  if (filters.retailer && skip !== 'retailer' && row.retailerKey !== filters.retailer) return false;
+  if (skip !== 'price') {
+    if (filters.minPrice !== undefined && row.inv.price < filters.minPrice) return false;
+    if (filters.maxPrice !== undefined && row.inv.price > filters.maxPrice) return false;
+    if (filters.priceBucket && !inPriceBucket(row.inv.price, filters.priceBucket)) return false;
+  }
+  if (skip !== 'distance') {
+    if (filters.radius !== undefined && row.store.distance > filters.radius) return false;
+    if (filters.maxMinutes !== undefined && (row.store.travelMinutes == null || row.store.travelMinutes > filters.maxMinutes)) return false;
+  }
+  return true;
+}
+
+/**
+ * Rows of a candidate that pass all filters but `skip`, or null if the
+ * product itself is filtered out.
+ */
+function matchingRows(candidate, filters, skip = null) {
+  if (!productMatches(candidate.product, filters, skip)) return null;
+  const rows = candidate.rows.filter(row => rowMatches(row, filters, skip));
+  return rows.length > 0 ? rows : null;
+}
+
+function countValues(map) {
+  return [...map.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+}
+
+/**
+ * Compute all facets for a candidate list.
+ */
+function compute(candidates, filters) {
+  const categories = new Map();
+  const brands = new Map();
+  const retailers = new Map();
+  const price = PRICE_BUCKETS.map(min => ({ ...priceBucket(min), count: 0 }));
+  const distance = DISTANCE_BANDS.map(miles => ({ maxMiles: miles, label: `Within ${miles} mi`, count: 0 }));
+  const travelTime = filters.travelMode
+    ? TIME_BANDS.map(minutes => ({ maxMinutes: minutes, label: `Within ${minutes} min ${filters.travelMode}`, count: 0 }))
+    : null;
+
+  for (const candidate of candidates) {
+    const { product } = candidate;
+
+    if (matchingRows(candidate, filters, 'category')) {
+      categories.set(product.category, (categories.get(product.category) || 0) + 1);
+    }
+
+    if (product.brand && matchingRows(candidate, filters, 'brand')) {
+      brands.set(product.brand, (brands.get(product.brand) || 0) + 1);
+    }
+
+    const retailerRows = matchingRows(candidate, filters, 'retailer');
+    if (retailerRows) {
+      for (const key of new Set(retailerRows.map(r => r.retailerKey).filter(Boolean))) {
+        retailers.set(key, (retailers.get(key) || 0) + 1);
+      }
+    }
+
+    const priceRows = matchingRows(candidate, filters, 'price');
+    if (priceRows) {
+      for (const bucket of price) {
+        if (priceRows.some(r => inPriceBucket(r.inv.price, bucket))) {
+          bucket.count++;
+        }
+      }
+    }
+
+    const distanceRows = matchingRows(candidate, filters, 'distance');
+    if (distanceRows) {
+      const nearest = Math.min(...distanceRows.map(r => r.store.distance));
+      for (const band of distance) {
+        if (nearest <= band.maxMiles) band.count++;
+      }
+      if (travelTime) {
+        const quickest = Math.min(...distanceRows.map(r => r.store.travelMinutes ?? Infinity));
+        for (const band of travelTime) {
+          if (quickest <= band.maxMinutes) band.count++;
+        }
+      }
+    }
+  }
+
+  return {
+    categories: countValues(categories),
+    brands: countValues(brands),
+    retailers: countValues(retailers),
+    price,
+    distance,
+    ...(travelTime && { travelTime }),
+  };
+}
+
+module.exports = {
+  PRICE_BUCKETS,
+  DISTANCE_BANDS,
+  TIME_BANDS,
+  priceBucket,
+  inPriceBucket,
+  productMatches,
+  rowMatches,
+  matchingRows,
+  compute,
+};
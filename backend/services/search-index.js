@@ -0,0 +1,340 @@
+/**
+ * Product Search Index
+ * In-memory inverted index over catalog products plus scraped/custom inventory
+ * rows, replacing the per-request linear scan in POST /api/search.
+ *
+ * - Tokenized + stemmed terms (see utils/text.js)
+ * - BM25 scoring with per-field weights (name > keywords > brand/category)
+ * - Prefix matching for partial words ("ham" → hammer)
+ * - productSku → inventory rows map, so search never filters the full inventory
+ *
+ * Built once in database.init() and kept current by the inventory routes,
+ * dashboard and scraper ingestion via indexInventory / unindexInventory.
+ */
+
+const { words, stem, tokenize } = require('../utils/text');
+
+const FIELD_WEIGHTS = { name: 3, keywords: 2, brand: 1, category: 1 };
+const BM25 = { k1: 1.2, b: 0.75 };
+const PREFIX_WEIGHT = 0.5;     // a prefix expansion scores half of an exact term match
+const MIN_PREFIX_LENGTH = 2;
+const MAX_PREFIX_EXPANSIONS = 50;
+
+const docs = new Map();           // sku -> document
+const postings = new Map();       // term -> Map(sku -> weighted term frequency)
+const inventoryBySku = new Map(); // sku -> Set of inventory rows (live references)
+const vocabulary = new Map();     // surface word -> document frequency (for spelling correction)
+let totalLength = 0;
+let sortedTerms = null;           // rebuilt lazily for prefix lookups
+
+// ============================================
+// BUILD / MAINTAIN
+// ============================================
+
+function clear() {
+  docs.clear();
+  postings.clear();
+  inventoryBySku.clear();
+  vocabulary.clear();
+  totalLength = 0;
+  sortedTerms = null;
+}
+
+/**
+ * Rebuild the whole index from the catalog and the inventory array.
+ */
+function build(products, inventory) {
+  clear();
+  for (const product of products) addProduct(product);
+  for (const item of inventory) indexInventory(item);
+}
+
+/**
+ * Add (or replace) a product document.
+ * source: 'catalog' for catalog.PRODUCTS, 'inventory' for documents derived
+ * from scraped/custom inventory rows whose SKU is not in the catalog.
+ */
+function addProduct(product, source = 'catalog') {
+  if (!product?.sku) return;
+  const previous = docs.get(product.sku);
+  if (previous) removeProduct(product.sku);
+
+  const terms = new Map();
+  addField(terms, product.name, FIELD_WEIGHTS.name);
+  addField(terms, (product.keywords || []).join(' '), FIELD_WEIGHTS.keywords);
+  addField(terms, product.brand, FIELD_WEIGHTS.brand);
+  addField(terms, product.category, FIELD_WEIGHTS.category);
+
+  let length = 0;
+  for (const tf of terms.values()) length += tf;
+
+  const surfaceWords = new Set(words([product.name, ...(product.keywords || []), product.brand].join(' ')));
+
+  const doc = {
+    sku: product.sku,
+    name: product.name,
+    category: product.category || 'uncategorized',
+    brand: product.brand || null,
+    image: product.image || product.imageUrl || null,
+    price: product.price,
+    keywords: product.keywords || [],
+    retailers: new Set([...(product.retailers || []), ...(previous ? previous.retailers : [])]),
+    source,
+    terms,
+    words: surfaceWords,
+    length,
+  };
+  docs.set(doc.sku, doc);
+  totalLength += length;
+
+  for (const [term, tf] of terms) {
+    if (!postings.has(term)) {
+      postings.set(term, new Map());
+      sortedTerms = null;
+    }
+    postings.get(term).set(doc.sku, tf);
+  }
+  for (const word of surfaceWords) vocabulary.set(word, (vocabulary.get(word) || 0) + 1);
+  return doc;
+}
+
+function addField(terms, text, weight) {
+  for (const term of tokenize(text)) {
+    terms.set(term, (terms.get(term) || 0) + weight);
+  }
+}
+
+function removeProduct(sku) {
+  const doc = docs.get(sku);
+  if (!doc) return false;
+  for (const term of doc.terms.keys()) {
+    const list = postings.get(term);
+    if (!list) continue;
+    list.delete(sku);
+    if (list.size === 0) {
+      postings.delete(term);
+      sortedTerms = null;
+    }
+  }
+  for (const word of doc.words) {
+    const count = vocabulary.get(word) - 1;
+    if (count > 0) vocabulary.set(word, count); else vocabulary.delete(word);
+  }
+  totalLength -= doc.length;
+  docs.delete(sku);
+  return true;
+}
+
+/**
+ * Register an inventory row. Creates a product document for SKUs that are not
+ * in the catalog (scraped or store-added items).
+ */
+function indexInventory(item) {
+  if (!item?.productSku) return;
+  const sku = item.productSku;
+
+  if (!inventoryBySku.has(sku)) inventoryBySku.set(sku, new Set());
+  inventoryBySku.get(sku).add(item);
+
+  const doc = docs.get(sku);
+  if (!doc) {
+    addProduct(inventoryDocument(item), 'inventory');
+  } else if (item.retailer) {
+    doc.retailers.add(item.retailer);
+  }
+}
+
+/**
+ * Drop an inventory row. Inventory-derived documents disappear with their last row.
+ */
+function unindexInventory(item) {
+  if (!item?.productSku) return;
+  const rows = inventoryBySku.get(item.productSku);
+  if (!rows) return;
+  rows.delete(item);
+  if (rows.size > 0) return;
+
+  inventoryBySku.delete(item.productSku);
+  if (docs.get(item.productSku)?.source === 'inventory') removeProduct(item.productSku);
+}
+
+/**
+ * Re-index an inventory row after an in-place edit (e.g. productName changed).
+ * Catalog documents are left alone; inventory-derived ones follow the row.
+ */
+function refreshInventory(item) {
+  if (!item?.productSku) return;
+  const doc = docs.get(item.productSku);
+  if (!doc) return indexInventory(item);
+  if (doc.source === 'inventory' && (doc.name !== item.productName || doc.category !== (item.category || 'uncategorized'))) {
+    addProduct(inventoryDocument(item), 'inventory');
+  }
+}
+
+function inventoryDocument(item) {
+  return {
+    sku: item.productSku,
+    name: item.productName,
+    category: item.category,
+    brand: item.brand,
+    keywords: Array.isArray(item.keywords) ? item.keywords : [],
+    imageUrl: item.imageUrl,
+    price: item.price,
+    retailers: item.retailer ? [item.retailer] : [],
+  };
+}
+
+// ============================================
+// QUERY
+// ============================================
+
+/**
+ * Terms in the index starting with prefix (binary search over sorted terms).
+ */
+function termsWithPrefix(prefix, limit = MAX_PREFIX_EXPANSIONS) {
+  if (!sortedTerms) sortedTerms = [...postings.keys()].sort();
+  let lo = 0, hi = sortedTerms.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sortedTerms[mid] < prefix) lo = mid + 1; else hi = mid;
+  }
+  const out = [];
+  for (let i = lo; i < sortedTerms.length && out.length < limit; i++) {
+    if (!sortedTerms[i].startsWith(prefix)) break;
+    out.push(sortedTerms[i]);
+  }
+  return out;
+}
+
+function idf(term) {
+  const df = postings.get(term)?.size || 0;
+  return Math.log(1 + (docs.size - df + 0.5) / (df + 0.5));
+}
+
+/**
+ * Score documents for a query.
+ *
+ * `query` is either free text or a list of clauses from the query
+ * understanding layer. A clause is a list of alternatives
+ * ({ words, weight, requireAll?, prefix? }) — e.g. a word and its synonyms —
+ * and scores the best alternative per document. requireAll alternatives only
+ * count when every one of their words matches (so the synonym "hdmi cable"
+ * doesn't pull in every cable). Clauses are OR'ed: any matching clause qualifies
+ * a document. Free text becomes one single-word clause per word.
+ * Returns [{ sku, score, doc }] sorted by score descending.
+ */
+function search(query, { prefix = true } = {}) {
+  const clauses = typeof query === 'string'
+    ? words(query).map(word => [{ words: [word], weight: 1 }])
+    : query;
+  if (!clauses || clauses.length === 0 || docs.size === 0) return [];
+
+  const avgLength = totalLength / docs.size;
+  const scores = new Map();
+
+  for (const alternatives of clauses) {
+    const best = new Map();
+    for (const alternative of alternatives) {
+      const altScores = new Map();
+      const hits = new Map();
+      const usePrefix = prefix && alternative.prefix !== false;
+      for (const word of alternative.words) {
+        for (const [sku, score] of scoreWord(word, usePrefix, avgLength)) {
+          altScores.set(sku, (altScores.get(sku) || 0) + score * alternative.weight);
+          hits.set(sku, (hits.get(sku) || 0) + 1);
+        }
+      }
+      for (const [sku, score] of altScores) {
+        if (alternative.requireAll && hits.get(sku) < alternative.words.length) continue;
+        if (score > (best.get(sku) || 0)) best.set(sku, score);
+      }
+    }
+    for (const [sku, score] of best) scores.set(sku, (scores.get(sku) || 0) + score);
+  }
+
+  return [...scores.entries()]
+    .map(([sku, score]) => ({ sku, score: parseFloat(score.toFixed(4)), doc: docs.get(sku) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * BM25 contribution of one query word per document: its best exact-stem or
+ * prefix match.
+ */
+function scoreWord(word, prefix, avgLength) {
+  const expansions = new Map([[stem(word), 1]]);
+  if (prefix && word.length >= MIN_PREFIX_LENGTH) {
+    for (const term of termsWithPrefix(word)) {
+      if (!expansions.has(term)) expansions.set(term, PREFIX_WEIGHT);
+    }
+  }
+
+  const best = new Map();
+  for (const [term, weight] of expansions) {
+    const list = postings.get(term);
+    if (!list) continue;
+    const termIdf = idf(term);
+    for (const [sku, tf] of list) {
+      const doc = docs.get(sku);
+      const norm = tf * (BM25.k1 + 1) / (tf + BM25.k1 * (1 - BM25.b + BM25.b * doc.length / avgLength));
+      const score = weight * termIdf * norm;
+      if (score > (best.get(sku) || 0)) best.set(sku, score);
+    }
+  }
+  return best;
+}
+
+/**
+ * Whether a query word matches anything in the index (exactly, by stem or as a prefix).
+ */
+function isKnownWord(word) {
+  if (vocabulary.has(word) || postings.has(stem(word))) return true;
+  return word.length >= 3 && termsWithPrefix(word, 1).length > 0;
+}
+
+/**
+ * Surface words seen in product names/keywords/brands, with document frequency.
+ */
+function getVocabulary() {
+  return vocabulary;
+}
+
+function getDocument(sku) {
+  return docs.get(sku) || null;
+}
+
+function getDocuments() {
+  return [...docs.values()];
+}
+
+/**
+ * Inventory rows for a SKU (live objects — price/stock edits are visible immediately).
+ */
+function getInventory(sku) {
+  const rows = inventoryBySku.get(sku);
+  return rows ? [...rows] : [];
+}
+
+function stats() {
+  let rows = 0;
+  for (const set of inventoryBySku.values()) rows += set.size;
+  return { documents: docs.size, terms: postings.size, words: vocabulary.size, inventoryRows: rows };
+}
+
+module.exports = {
+  build,
+  clear,
+  addProduct,
+  removeProduct,
+  indexInventory,
+  unindexInventory,
+  refreshInventory,
+  search,
+  termsWithPrefix,
+  isKnownWord,
+  getVocabulary,
+  getDocument,
+  getDocuments,
+  getInventory,
+  stats,
+};
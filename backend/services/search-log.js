@@ -0,0 +1,282 @@
+/**
+ * Search Query Log
+ * One entry per POST /api/search: the query as typed, its normalized form
+ * (spell-corrected words, stopwords dropped) and a stemmed key that groups
+ * "drills" with "drill", the geohash cell it came from (never the exact
+ * point), how many products it found and the top SKUs it returned.
+ *
+ * Store market insights read it back for the cells within a radius of the
+ * store: what people nearby search for, how that moved against the previous
+ * period, searches nobody could serve, and "missed opportunities" — searches
+ * that found products, just not at this store.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const text = require('../utils/text');
+const { geohash, geohashCenter, calculateDistance } = require('../utils/geo');
+
+// Wired by models/database (storage)
+const hooks = {
+  entries: [],
+  save: () => {},
+  remove: () => {},
+};
+
+// Result SKUs kept per search, in result order
+const MAX_SKUS = 10;
+const TOP_TERMS = 10;
+const DAY_MS = 86400000;
+
+const cellCenters = new Map();
+let sweepTimer = null;
+
+function configure(options) {
+  Object.assign(hooks, options);
+}
+
+// ============================================
+// LOGGING
+// ============================================
+
+/**
+ * Log a search: { query, rewritten?, lat, lng, resultCount, productSkus,
+ * category?, sessionId?, userId? }.
+ */
+function record(input) {
+  const terms = text.words(input.rewritten ?? input.query);
+  const entry = {
+    id: uuidv4(),
+    query: String(input.query || '').trim().slice(0, 200),
+    normalizedQuery: terms.join(' '),
+    queryKey: terms.map(text.stem).join(' '),
+    cell: geohash(input.lat, input.lng, config.searchLog.cellPrecision),
+    resultCount: input.resultCount,
+    zeroResults: input.resultCount === 0,
+    category: input.category || null,
+    productSkus: (input.productSkus || []).slice(0, MAX_SKUS),
+    sessionId: input.sessionId || null,
+    userId: input.userId || null,
+    createdAt: (input.now || new Date()).toISOString(),
+  };
+  hooks.entries.push(entry);
+  hooks.save(entry);
+  return entry;
+}
+
+function prune(now = new Date()) {
+  const cutoff = new Date(now.getTime() - config.searchLog.retentionDays * DAY_MS).toISOString();
+  let removed = 0;
+  for (let i = hooks.entries.length - 1; i >= 0; i--) {
+    if (hooks.entries[i].createdAt >= cutoff) continue;
+    hooks.remove(hooks.entries[i].id);
+    hooks.entries.splice(i, 1);
+    removed++;
+  }
+  return removed;
+}
+
+function start() {
+  if (sweepTimer) return;
+  prune();
+  sweepTimer = setInterval(() => prune(), config.searchLog.sweepHours * 60 * 60 * 1000);
+  if (sweepTimer.unref) sweepTimer.unref();
+}
+
+// ============================================
+// INSIGHTS
+// ============================================
+
+function centerOf(cell) {
+  if (!cellCenters.has(cell)) cellCenters.set(cell, geohashCenter(cell));
+  return cellCenters.get(cell);
+}
+
+// Predicate: does an entry's cell lie within `radius` miles of the point?
+function areaFilter(lat, lng, radius) {
+  const inside = new Map();
+  return entry => {
+    if (!inside.has(entry.cell)) {
+      const center = centerOf(entry.cell);
+      inside.set(entry.cell, calculateDistance(lat, lng, center.lat, center.lng) <= radius);
+    }
+    return inside.get(entry.cell);
+  };
+}
+
+function trendOf(current, previous) {
+  if (previous === 0) return { trend: current > 0 ? 'new' : 'stable', change: null };
+  const change = (current - previous) / previous;
+  const { trendThreshold } = config.insights;
+  return {
+    trend: change > trendThreshold ? 'rising' : change < -trendThreshold ? 'falling' : 'stable',
+    change: Math.round(change * 100) / 100,
+  };
+}
+
+function mostCommon(counts) {
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+function bump(counts, key, by = 1) {
+  counts.set(key, (counts.get(key) || 0) + by);
+}
+
+/**
+ * Demand signals around a store.
+ *   lat, lng, radius   the area (miles)
+ *   inventory          the store's inventory rows
+ *   productFor(sku)    catalog lookup ({ name, price })
+ *   days               period length (default config.insights.periodDays)
+ */
+function insightsFor({ lat, lng, radius, inventory, productFor, days = config.insights.periodDays, now = new Date() }) {
+  const to = now.toISOString();
+  const from = new Date(now.getTime() - days * DAY_MS).toISOString();
+  const previousFrom = new Date(now.getTime() - 2 * days * DAY_MS).toISOString();
+  const stock = new Map(inventory.map(i => [i.productSku, i.inStock && i.quantity > 0]));
+
+  const nearby = areaFilter(lat, lng, radius);
+  const groups = new Map();   // queryKey -> aggregate
+  let searches = 0;
+  let zeroResultSearches = 0;
+
+  for (const entry of hooks.entries) {
+    if (entry.createdAt < previousFrom || entry.createdAt > to || !entry.queryKey) continue;
+    if (!nearby(entry)) continue;
+
+    let group = groups.get(entry.queryKey);
+    if (!group) {
+      group = { labels: new Map(), current: 0, previous: 0, zero: 0, missed: 0, skus: new Map(), missedSkus: new Map() };
+      groups.set(entry.queryKey, group);
+    }
+    if (entry.createdAt < from) {
+      group.previous++;
+      continue;
+    }
+
+    searches++;
+    group.current++;
+    bump(group.labels, entry.normalizedQuery);
+    for (const sku of entry.productSkus) bump(group.skus, sku);
+    if (entry.zeroResults) {
+      group.zero++;
+      zeroResultSearches++;
+    } else if (!entry.productSkus.some(sku => stock.get(sku))) {
+      // Found elsewhere, not on this store's shelves
+      group.missed++;
+      for (const sku of entry.productSkus) if (!stock.has(sku)) bump(group.missedSkus, sku);
+    }
+  }
+
+  const terms = [...groups.values()].filter(g => g.current > 0 || g.previous > 0);
+  const label = g => mostCommon(g.labels) || '';
+
+  const inventoryStatus = g => {
+    const skus = [...g.skus.keys()];
+    if (skus.some(sku => stock.get(sku))) return 'in_stock';
+    if (skus.some(sku => stock.has(sku))) return 'out_of_stock';
+    return 'missing';
+  };
+
+  const topSearches = terms
+    .filter(g => g.current > 0)
+    .sort((a, b) => b.current - a.current)
+    .slice(0, TOP_TERMS)
+    .map(g => ({
+      term: label(g),
+      searchVolume: g.current,
+      previousVolume: g.previous,
+      ...trendOf(g.current, g.previous),
+      zeroResultSearches: g.zero,
+      yourInventory: inventoryStatus(g),
+    }));
+
+  const monthly = 30 / days;
+  const missedOpportunities = terms
+    .filter(g => g.missed > 0)
+    .sort((a, b) => b.missed - a.missed)
+    .slice(0, TOP_TERMS)
+    .map(g => {
+      const products = [...g.missedSkus.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([sku]) => ({ sku, name: productFor(sku)?.name || sku, price: productFor(sku)?.price ?? null }));
+      const prices = products.map(p => p.price).filter(p => p !== null);
+      const avgPrice = prices.length ? prices.reduce((s, p) => s + p, 0) / prices.length : 0;
+      return {
+        term: label(g),
+        searchVolume: g.missed,
+        reason: 'Found at other stores nearby, not in your inventory',
+        products,
+        estimatedMonthlyRevenue: Math.round(g.missed * monthly * config.insights.captureRate * avgPrice * 100) / 100,
+      };
+    });
+
+  const unserved = terms
+    .filter(g => g.zero > 0)
+    .sort((a, b) => b.zero - a.zero)
+    .slice(0, TOP_TERMS)
+    .map(g => ({ term: label(g), searchVolume: g.zero }));
+
+  return {
+    period: { from, to, days },
+    area: { radius, searches, zeroResultSearches },
+    topSearches,
+    missedOpportunities,
+    zeroResultSearches: unserved,
+  };
+}
+
+/**
+ * The SKUs searches within `radius` miles turned up most over the last `days`,
+ * as [{ sku, searches }] — a search counts once for each SKU it returned.
+ */
+function topSkusNear({ lat, lng, radius, days = config.insights.periodDays, limit = 50, now = new Date() }) {
+  const from = new Date(now.getTime() - days * DAY_MS).toISOString();
+  const nearby = areaFilter(lat, lng, radius);
+  const counts = new Map();
+  for (const entry of hooks.entries) {
+    if (entry.createdAt < from || !entry.queryKey || !nearby(entry)) continue;
+    for (const sku of entry.productSkus) bump(counts, sku);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([sku, searches]) => ({ sku, searches }));
+}
+
+/**
+ * Plain-language next steps from insightsFor() output, most valuable first.
+ */
+function recommendationsFrom(signals) {
+  const out = [];
+  for (const miss of signals.missedOpportunities.slice(0, 2)) {
+    out.push({
+      type: 'stock',
+      message: `Stock ${miss.products[0]?.name || miss.term}: ${miss.searchVolume} nearby searches for "${miss.term}" found it only at other stores`,
+      impact: miss.estimatedMonthlyRevenue >= 100 ? 'high' : 'medium',
+    });
+  }
+  for (const top of signals.topSearches) {
+    if (top.yourInventory === 'out_of_stock') {
+      out.push({ type: 'restock', message: `Restock "${top.term}": ${top.searchVolume} searches nearby while you're out of stock`, impact: 'high' });
+    } else if (top.trend === 'rising' && top.yourInventory === 'in_stock') {
+      out.push({ type: 'promotion', message: `Run a promoted listing for "${top.term}": searches are up ${Math.round(top.change * 100)}% on the previous period`, impact: 'medium' });
+    }
+  }
+  const gap = signals.zeroResultSearches[0];
+  if (gap) {
+    out.push({ type: 'assortment', message: `"${gap.term}" found nothing at any store nearby (${gap.searchVolume} searches)`, impact: 'low' });
+  }
+  return out.slice(0, 5);
+}
+
+module.exports = {
+  configure,
+  record,
+  prune,
+  start,
+  insightsFor,
+  topSkusNear,
+  recommendationsFrom,
+};
@@ -0,0 +1,256 @@
+/**
+ * Fulfillment Time Slots
+ * Stores publish slot templates per fulfillment type, e.g. "pickup every 30
+ * minutes, 4 orders per window, from 9:00 to 20:00 on weekdays". Concrete
+ * slots are generated on demand for the next config.slots.horizonDays, cut to
+ * the store's opening hours (utils/hours, store time zone, holidays included)
+ * and starting at least the template's lead time from now.
+ *
+ * Slot ids are `${templateId}:${localDate}:${startMinute}`, so a slot needs
+ * no row of its own; checkout books one per store sub-order and the booking
+ * is released when that sub-order is cancelled. Capacity counts live bookings.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const hours = require('../utils/hours');
+
+// Wired by models/database (storage)
+const hooks = {
+  templates: [],
+  bookings: [],
+  save: { template: () => {}, booking: () => {} },
+};
+
+const FULFILLMENTS = ['pickup', 'delivery'];
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+function configure(options) {
+  Object.assign(hooks, options);
+}
+
+// ============================================
+// TEMPLATES
+// ============================================
+
+/**
+ * "HH:MM" (00:00 to 23:59) → minutes past midnight, or null. A window's end
+ * may also be "24:00", the end of the day.
+ */
+function parseClock(text, { end = false } = {}) {
+  const m = String(text).match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || parseInt(m[2], 10) > 59) return null;
+  const minutes = parseInt(m[1], 10) * 60 + parseInt(m[2], 10);
+  return minutes < 1440 || (end && minutes === 1440) ? minutes : null;
+}
+
+function clock(minutes) {
+  const m = minutes % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+function templatesFor(storeId, fulfillment) {
+  return hooks.templates.filter(t => t.storeId === storeId && t.active && (!fulfillment || t.fulfillment === fulfillment));
+}
+
+/**
+ * Check template fields ({ fulfillment, intervalMinutes, capacity, days?,
+ * windowStart?, windowEnd?, leadMinutes? }) against the store's other active templates.
+ * Returns { fields } normalised, or { status, error }.
+ */
+function checkTemplate(storeId, input, existing = null) {
+  const merged = { ...(existing || {}), ...input };
+  const { fulfillment, intervalMinutes, capacity } = merged;
+  const limits = config.slots;
+  if (!FULFILLMENTS.includes(fulfillment)) return { status: 400, error: 'fulfillment must be pickup or delivery' };
+  if (!Number.isInteger(intervalMinutes) || intervalMinutes < limits.minIntervalMinutes || intervalMinutes > limits.maxIntervalMinutes) {
+    return { status: 400, error: `intervalMinutes must be a whole number from ${limits.minIntervalMinutes} to ${limits.maxIntervalMinutes}` };
+  }
+  if (!Number.isInteger(capacity) || capacity < 1 || capacity > limits.maxCapacity) {
+    return { status: 400, error: `capacity must be a whole number from 1 to ${limits.maxCapacity}` };
+  }
+  const days = merged.days ?? ALL_DAYS;
+  if (!Array.isArray(days) || days.length === 0 || days.some(d => !ALL_DAYS.includes(d))) {
+    return { status: 400, error: 'days must list weekdays 0 (Sunday) to 6' };
+  }
+  const start = merged.windowStart == null ? null : parseClock(merged.windowStart);
+  const end = merged.windowEnd == null ? null : parseClock(merged.windowEnd, { end: true });
+  if ((merged.windowStart != null && start === null) || (merged.windowEnd != null && end === null)) {
+    return { status: 400, error: 'windowStart and windowEnd are local times as HH:MM' };
+  }
+  if (start !== null && end !== null && end - start < intervalMinutes) {
+    return { status: 400, error: 'windowEnd must be at least one interval after windowStart' };
+  }
+  const leadMinutes = merged.leadMinutes ?? limits.defaultLeadMinutes;
+  if (!Number.isInteger(leadMinutes) || leadMinutes < 0) return { status: 400, error: 'leadMinutes must be a whole number >= 0' };
+
+  // Two templates producing the same windows would double the capacity
+  const window = [start ?? 0, end ?? 1440];
+  const clash = templatesFor(storeId, fulfillment).find(t => {
+    if (t.id === existing?.id || !t.days.some(d => days.includes(d))) return false;
+    const other = [t.windowStart === null ? 0 : parseClock(t.windowStart), t.windowEnd === null ? 1440 : parseClock(t.windowEnd, { end: true })];
+    return window[0] < other[1] && other[0] < window[1];
+  });
+  if (clash) return { status: 409, error: `Overlaps ${fulfillment} template ${clash.id}` };
+
+  return {
+    fields: {
+      fulfillment,
+      intervalMinutes,
+      capacity,
+      days: [...new Set(days)].sort(),
+      windowStart: start === null ? null : clock(start),
+      windowEnd: end === null ? null : end === 1440 ? '24:00' : clock(end),
+      leadMinutes,
+    },
+  };
+}
+
+function createTemplate(storeId, fields, userId) {
+  const now = new Date().toISOString();
+  const template = { id: uuidv4(), storeId, ...fields, active: true, createdBy: userId, createdAt: now, updatedAt: now };
+  hooks.templates.push(template);
+  hooks.save.template(template);
+  return template;
+}
+
+function updateTemplate(template, fields) {
+  Object.assign(template, fields, { updatedAt: new Date().toISOString() });
+  hooks.save.template(template);
+  return template;
+}
+
+// ============================================
+// SLOTS
+// ============================================
+
+function bookedCount(slotId) {
+  return hooks.bookings.filter(b => b.slotId === slotId && b.status === 'booked').length;
+}
+
+function toSlot(template, store, date, startMinute) {
+  const id = `${template.id}:${date}:${startMinute}`;
+  const booked = bookedCount(id);
+  return {
+    id,
+    templateId: template.id,
+    storeId: store.storeId,
+    fulfillment: template.fulfillment,
+    date,
+    localStart: clock(startMinute),
+    localEnd: clock(startMinute + template.intervalMinutes),
+    start: hours.instantAt(date, startMinute, store.schedule.timezone).toISOString(),
+    end: hours.instantAt(date, startMinute + template.intervalMinutes, store.schedule.timezone).toISOString(),
+    capacity: template.capacity,
+    booked,
+    remaining: Math.max(0, template.capacity - booked),
+  };
+}
+
+/**
+ * Start minutes a template yields on a local date, inside the store's hours.
+ */
+function startsOn(template, schedule, date) {
+  const weekday = new Date(date + 'T12:00:00Z').getUTCDay();
+  if (!template.days.includes(weekday)) return [];
+  const from = template.windowStart === null ? 0 : parseClock(template.windowStart);
+  const to = template.windowEnd === null ? Infinity : parseClock(template.windowEnd, { end: true });
+  const starts = [];
+  for (const [open, close] of hours.intervalsOn(schedule, date)) {
+    const last = Math.min(close, to) - template.intervalMinutes;
+    for (let m = Math.max(open, from); m <= last; m += template.intervalMinutes) starts.push(m);
+  }
+  return starts;
+}
+
+/**
+ * Upcoming slots at a store (record with `schedule`), soonest first.
+ */
+function slotsFor(store, { fulfillment, now = new Date(), days = config.slots.horizonDays } = {}) {
+  if (!store?.schedule?.weekly) return [];
+  const today = hours.localTime(now, store.schedule.timezone).date;
+  const slots = [];
+  for (const template of templatesFor(store.storeId, fulfillment)) {
+    const earliest = new Date(now.getTime() + template.leadMinutes * 60000).toISOString();
+    for (let offset = 0; offset < days; offset++) {
+      const date = hours.shiftDate(today, offset);
+      for (const minute of startsOn(template, store.schedule, date)) {
+        const slot = toSlot(template, store, date, minute);
+        if (slot.start >= earliest) slots.push(slot);
+      }
+    }
+  }
+  return slots.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/**
+ * Resolve a slot id offered by slotsFor. Returns the slot or null when it
+ * doesn't exist, belongs elsewhere or is no longer bookable.
+ */
+function findSlot(store, slotId, { fulfillment, now = new Date() } = {}) {
+  const [templateId, date, minuteText] = String(slotId || '').split(':');
+  const template = hooks.templates.find(t => t.id === templateId && t.active && t.storeId === store?.storeId);
+  if (!template || (fulfillment && template.fulfillment !== fulfillment) || !store.schedule?.weekly) return null;
+  const minute = parseInt(minuteText, 10);
+  if (!startsOn(template, store.schedule, date).includes(minute)) return null;
+
+  const slot = toSlot(template, store, date, minute);
+  const earliest = new Date(now.getTime() + template.leadMinutes * 60000).toISOString();
+  const latest = new Date(now.getTime() + config.slots.horizonDays * 86400000).toISOString();
+  return slot.start >= earliest && slot.start <= latest ? slot : null;
+}
+
+// ============================================
+// BOOKINGS
+// ============================================
+
+/**
+ * Book a place in a slot for a sub-order. Returns the booking, or null when full.
+ */
+function book(slot, { orderId, parentOrderId = null, userId = null }) {
+  if (bookedCount(slot.id) >= slot.capacity) return null;
+  const now = new Date().toISOString();
+  const booking = {
+    id: uuidv4(),
+    slotId: slot.id,
+    templateId: slot.templateId,
+    storeId: slot.storeId,
+    orderId,
+    parentOrderId,
+    userId,
+    fulfillment: slot.fulfillment,
+    slotStart: slot.start,
+    slotEnd: slot.end,
+    status: 'booked',
+    createdAt: now,
+    updatedAt: now,
+  };
+  hooks.bookings.push(booking);
+  hooks.save.booking(booking);
+  return booking;
+}
+
+/**
+ * Free a sub-order's place. Returns whether anything was released.
+ */
+function release(orderId) {
+  const booking = hooks.bookings.find(b => b.orderId === orderId && b.status === 'booked');
+  if (!booking) return false;
+  booking.status = 'released';
+  booking.updatedAt = new Date().toISOString();
+  hooks.save.booking(booking);
+  return true;
+}
+
+module.exports = {
+  FULFILLMENTS,
+  configure,
+  templatesFor,
+  checkTemplate,
+  createTemplate,
+  updateTemplate,
+  slotsFor,
+  findSlot,
+  book,
+  release,
+};
@@ -0,0 +1,209 @@
+/**
+ * Store Spatial Index
+ * Grid-bucket index over store locations, shared by search, store browsing,
+ * the basket optimizer and the extension endpoints instead of scanning every
+ * store per request.
+ *
+ * - withinRadius(lat, lng, miles): stores with `distance`, nearest first
+ *   (same shape as utils/geo.findNearbyStores)
+ * - nearest(lat, lng, k): k nearest stores, expanding ring by ring
+ * - withinPolygon(points): stores inside a lat/lng polygon
+ *
+ * Cells hold live store objects, so claims and other non-location edits are
+ * visible immediately; add/update/remove handle new, moved and dropped stores.
+ */
+
+const { calculateDistance } = require('../utils/geo');
+
+const CELL_DEGREES = 0.1;          // ~6.9 mi of latitude per cell
+const MILES_PER_DEGREE = 69.0;
+
+const cells = new Map();           // "row:col" -> Set of stores
+const cellOf = new Map();          // store -> cell key
+const byId = new Map();            // storeId -> Set of stores (catalog ids are not unique across chains)
+
+function cellCoords(lat, lng) {
+  return [Math.floor(lat / CELL_DEGREES), Math.floor(lng / CELL_DEGREES)];
+}
+
+function cellKey(row, col) {
+  return row + ':' + col;
+}
+
+// ============================================
+// BUILD / MAINTAIN
+// ============================================
+
+function clear() {
+  cells.clear();
+  cellOf.clear();
+  byId.clear();
+}
+
+function build(stores) {
+  clear();
+  for (const store of stores) add(store);
+}
+
+/**
+ * Insert a store, or re-bucket it if already indexed (moved). A different
+ * object with the same storeId and retailer replaces the old one.
+ */
+function add(store) {
+  if (!store?.storeId || typeof store.lat !== 'number' || typeof store.lng !== 'number') return false;
+  if (cellOf.has(store)) unlink(store);
+  for (const other of byId.get(store.storeId) || []) {
+    if (other.retailer === store.retailer) unlink(other);
+  }
+
+  const key = cellKey(...cellCoords(store.lat, store.lng));
+  if (!cells.has(key)) cells.set(key, new Set());
+  cells.get(key).add(store);
+  cellOf.set(store, key);
+  if (!byId.has(store.storeId)) byId.set(store.storeId, new Set());
+  byId.get(store.storeId).add(store);
+  return true;
+}
+
+const update = add;
+
+/**
+ * Drop every store with this id.
+ */
+function remove(storeId) {
+  const stores = byId.get(storeId);
+  if (!stores) return false;
+  for (const store of [...stores]) unlink(store);
+  return true;
+}
+
+function unlink(store) {
+  const key = cellOf.get(store);
+  const cell = cells.get(key);
+  cell.delete(store);
+  if (cell.size === 0) cells.delete(key);
+  cellOf.delete(store);
+  const same = byId.get(store.storeId);
+  same.delete(store);
+  if (same.size === 0) byId.delete(store.storeId);
+}
+
+// ============================================
+// QUERIES
+// ============================================
+
+function storesInCells(minRow, maxRow, minCol, maxCol) {
+  const out = [];
+  for (let row = minRow; row <= maxRow; row++) {
+    for (let col = minCol; col <= maxCol; col++) {
+      const cell = cells.get(cellKey(row, col));
+      if (cell) out.push(...cell.values());
+    }
+  }
+  return out;
+}
+
+function withDistance(stores, lat, lng) {
+  return stores.map(s => ({ ...s, distance: calculateDistance(lat, lng, s.lat, s.lng) }));
+}
+
+/**
+ * Stores within radiusMiles of a point, nearest first.
+ */
+function withinRadius(lat, lng, radiusMiles) {
+  const latDelta = radiusMiles / MILES_PER_DEGREE;
+  const lngDelta = radiusMiles / (MILES_PER_DEGREE * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+  const [minRow, minCol] = cellCoords(lat - latDelta, lng - lngDelta);
+  const [maxRow, maxCol] = cellCoords(lat + latDelta, lng + lngDelta);
+
+  return withDistance(storesInCells(minRow, maxRow, minCol, maxCol), lat, lng)
+    .filter(s => s.distance <= radiusMiles)
+    .sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * The k stores nearest a point (optionally capped at maxMiles).
+ * Scans rings of cells outward and stops once no unscanned cell can hold a
+ * closer store than the k-th found.
+ */
+function nearest(lat, lng, k = 5, maxMiles = Infinity) {
+  if (cellOf.size === 0 || k <= 0) return [];
+  const [row0, col0] = cellCoords(lat, lng);
+  const cellMiles = CELL_DEGREES * MILES_PER_DEGREE * Math.max(Math.cos(lat * Math.PI / 180), 0.01);
+  const maxRing = Math.ceil(180 / CELL_DEGREES);
+
+  const found = [];
+  for (let ring = 0; ring <= maxRing; ring++) {
+    for (let row = row0 - ring; row <= row0 + ring; row++) {
+      for (let col = col0 - ring; col <= col0 + ring; col++) {
+        if (Math.max(Math.abs(row - row0), Math.abs(col - col0)) !== ring) continue;
+        const cell = cells.get(cellKey(row, col));
+        if (cell) found.push(...withDistance([...cell], lat, lng));
+      }
+    }
+
+    // Anything in a later ring is at least `ring` whole cells away
+    const reach = ring * cellMiles;
+    found.sort((a, b) => a.distance - b.distance);
+    if (found.length >= k && found[k - 1].distance <= reach) break;
+    if (reach > maxMiles || found.length === cellOf.size) break;
+  }
+
+  return found.filter(s => s.distance <= maxMiles).slice(0, k);
+}
+
+/**
+ * Stores inside a polygon given as [{ lat, lng }] or [[lat, lng]] vertices.
+ * Distances are measured from `origin` when given.
+ */
+function withinPolygon(points, origin = null) {
+  const polygon = points.map(p => Array.isArray(p) ? { lat: p[0], lng: p[1] } : p);
+  if (polygon.length < 3) return [];
+
+  const lats = polygon.map(p => p.lat);
+  const lngs = polygon.map(p => p.lng);
+  const [minRow, minCol] = cellCoords(Math.min(...lats), Math.min(...lngs));
+  const [maxRow, maxCol] = cellCoords(Math.max(...lats), Math.max(...lngs));
+
+  const inside = storesInCells(minRow, maxRow, minCol, maxCol).filter(s => pointInPolygon(s, polygon));
+  if (!origin) return inside;
+  return withDistance(inside, origin.lat, origin.lng).sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Ray casting (lng as x, lat as y) — fine at city scale.
+ */
+function pointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i], b = polygon[j];
+    if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+        point.lng < (b.lng - a.lng) * (point.lat - a.lat) / (b.lat - a.lat) + a.lng) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function get(storeId) {
+  const stores = byId.get(storeId);
+  return stores ? [...stores][0] : null;
+}
+
+function stats() {
+  return { stores: cellOf.size, cells: cells.size, cellDegrees: CELL_DEGREES };
+}
+
+module.exports = {
+  build,
+  clear,
+  add,
+  update,
+  remove,
+  withinRadius,
+  nearest,
+  withinPolygon,
+  pointInPolygon,
+  get,
+  stats,
+};
@@ -3,17 +3,23 @@
  * Wraps the Stripe SDK with a mock fallback for development.
  * When STRIPE_SECRET_KEY starts with 'sk_test_mock', all calls
  * return simulated responses so the app works without a real account.
+ * Set STRIPE_API_BASE to run the real SDK against a local stripe-mock.
  */
 
 const stripeConfig = require('../config/stripe');
 const { v4: uuidv4 } = require('uuid');
 
-const isMock = stripeConfig.secretKey.includes('mock');
+const isMock = !stripeConfig.apiBase && stripeConfig.secretKey.includes('mock');
 let stripe = null;
 
 if (!isMock) {
   const Stripe = require('stripe');
-  stripe = new Stripe(stripeConfig.secretKey, { apiVersion: '2024-06-20' });
+  const options = { apiVersion: '2024-06-20' };
+  if (stripeConfig.apiBase) {
+    const base = new URL(stripeConfig.apiBase);
+    Object.assign(options, { host: base.hostname, port: base.port, protocol: base.protocol.replace(':', '') });
+  }
+  stripe = new Stripe(stripeConfig.secretKey, options);
 }
 
 // ========== MOCK STORE (in-memory for dev) ==========
@@ -21,6 +27,10 @@ const mockCustomers = {};
 const mockSubscriptions = {};
 const mockSessions = {};
 const mockPaymentMethods = {};
+const mockPaymentIntents = {};
+const mockAccounts = {};
+const mockTransfers = {};
+const mockRefunds = {};
 
 // ========== CUSTOMERS ==========
 
@@ -106,6 +116,119 @@ async function getCheckoutSession(sessionId) {
   return stripe.checkout.sessions.retrieve(sessionId, { expand: ['subscription', 'line_items'] });
 }
 
+// ========== ONE-OFF PAYMENTS (orders) ==========
+
+function mockPaymentIntent({ customerId, amount, metadata, description }) {
+  const id = `pi_mock_${uuidv4().slice(0, 12)}`;
+  mockPaymentIntents[id] = {
+    id,
+    object: 'payment_intent',
+    amount,
+    amount_received: 0,
+    currency: stripeConfig.currency,
+    customer: customerId,
+    description,
+    metadata,
+    status: 'requires_payment_method',
+    client_secret: `${id}_secret_${uuidv4().slice(0, 8)}`,
+  };
+  return mockPaymentIntents[id];
+}
+
+/**
+ * Hosted Checkout for a one-off payment. lineItems: [{ name, unitAmount (cents), quantity }].
+ * metadata is copied onto the PaymentIntent so payment_intent.* events can be matched too.
+ */
+async function createPaymentCheckoutSession({
+  customerId, lineItems, successUrl, cancelUrl, metadata = {}, expiresAt,
+}) {
+  const amount = lineItems.reduce((s, l) => s + l.unitAmount * l.quantity, 0);
+  if (isMock) {
+    const id = `cs_mock_${uuidv4().slice(0, 12)}`;
+    const intent = mockPaymentIntent({ customerId, amount, metadata });
+    const session = {
+      id,
+      object: 'checkout.session',
+      url: `${stripeConfig.appUrl}/portal?stripe_session=${id}`,
+      customer: customerId,
+      mode: 'payment',
+      metadata,
+      amount_total: amount,
+      currency: stripeConfig.currency,
+      payment_intent: intent.id,
+      payment_status: 'unpaid',
+      status: 'open',
+      expires_at: expiresAt,
+      subscription: null,
+      line_items: lineItems,
+    };
+    mockSessions[id] = session;
+    return session;
+  }
+
+  return stripe.checkout.sessions.create({
+    customer: customerId,
+    mode: 'payment',
+    line_items: lineItems.map(l => ({
+      price_data: { currency: stripeConfig.currency, product_data: { name: l.name }, unit_amount: l.unitAmount },
+      quantity: l.quantity,
+    })),
+    success_url: successUrl || `${stripeConfig.appUrl}/?payment=success&session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: cancelUrl || `${stripeConfig.appUrl}/?payment=cancelled`,
+    metadata,
+    payment_intent_data: { metadata },
+    ...(expiresAt && { expires_at: expiresAt }),
+  });
+}
+
+/**
+ * PaymentIntent for clients that collect the card themselves (Stripe Elements).
+ */
+async function createPaymentIntent({ customerId, amount, metadata = {}, description }) {
+  if (isMock) return mockPaymentIntent({ customerId, amount, metadata, description });
+  return stripe.paymentIntents.create({
+    customer: customerId,
+    amount,
+    currency: stripeConfig.currency,
+    description,
+    metadata,
+    automatic_payment_methods: { enabled: true },
+  });
+}
+
+async function getPaymentIntent(paymentIntentId) {
+  if (isMock) return mockPaymentIntents[paymentIntentId] || null;
+  return stripe.paymentIntents.retrieve(paymentIntentId);
+}
+
+async function cancelPaymentIntent(paymentIntentId) {
+  if (isMock) {
+    const intent = mockPaymentIntents[paymentIntentId];
+    if (intent) intent.status = 'canceled';
+    return intent;
+  }
+  return stripe.paymentIntents.cancel(paymentIntentId);
+}
+
+/**
+ * Refund all or part (amount in cents) of a PaymentIntent.
+ */
+async function createRefund({ paymentIntentId, amount, metadata = {}, idempotencyKey }) {
+  if (isMock) {
+    const intent = mockPaymentIntents[paymentIntentId];
+    if (!intent) throw new Error(`No such payment_intent: ${paymentIntentId}`);
+    const refunded = Object.values(mockRefunds).filter(r => r.payment_intent === paymentIntentId).reduce((s, r) => s + r.amount, 0);
+    if (amount > intent.amount - refunded) throw new Error('Refund amount exceeds the remaining charge');
+    const id = `re_mock_${uuidv4().slice(0, 12)}`;
+    mockRefunds[id] = { id, object: 'refund', amount, currency: intent.currency, payment_intent: paymentIntentId, metadata, status: 'succeeded' };
+    return mockRefunds[id];
+  }
+  return stripe.refunds.create(
+    { payment_intent: paymentIntentId, amount, metadata },
+    idempotencyKey ? { idempotencyKey } : undefined,
+  );
+}
+
 // ========== SUBSCRIPTIONS ==========
 
 async function getSubscription(subscriptionId) {
@@ -225,6 +348,67 @@ async function listInvoices(customerId, limit = 10) {
   return stripe.invoices.list({ customer: customerId, limit });
 }
 
+// ========== CONNECTED ACCOUNTS (store payouts) ==========
+
+/**
+ * Express connected account for a store. Mock accounts are ready for payouts
+ * straight away so settlement can be exercised offline.
+ */
+async function createConnectedAccount({ email, metadata = {} }) {
+  if (isMock) {
+    const id = `acct_mock_${uuidv4().slice(0, 12)}`;
+    mockAccounts[id] = {
+      id, object: 'account', type: 'express', email, metadata,
+      charges_enabled: true, payouts_enabled: true, details_submitted: true,
+    };
+    return mockAccounts[id];
+  }
+  return stripe.accounts.create({
+    type: 'express',
+    email,
+    metadata,
+    capabilities: { transfers: { requested: true } },
+  });
+}
+
+async function getConnectedAccount(accountId) {
+  if (isMock) return mockAccounts[accountId] || null;
+  return stripe.accounts.retrieve(accountId);
+}
+
+async function createAccountLink(accountId, { refreshUrl, returnUrl } = {}) {
+  if (isMock) {
+    return { object: 'account_link', url: `${stripeConfig.appUrl}/portal?stripe_onboarding=${accountId}`, expires_at: Math.floor(Date.now() / 1000) + 300 };
+  }
+  return stripe.accountLinks.create({
+    account: accountId,
+    refresh_url: refreshUrl || `${stripeConfig.appUrl}/portal?onboarding=refresh`,
+    return_url: returnUrl || `${stripeConfig.appUrl}/portal?onboarding=done`,
+    type: 'account_onboarding',
+  });
+}
+
+/**
+ * Move platform funds to a connected account. idempotencyKey guards retries.
+ */
+async function createTransfer({ amount, destination, transferGroup, metadata = {}, idempotencyKey }) {
+  if (isMock) {
+    const existing = idempotencyKey && Object.values(mockTransfers).find(t => t.idempotencyKey === idempotencyKey);
+    if (existing) return existing;
+    if (!mockAccounts[destination]) throw new Error(`No such destination: ${destination}`);
+    const id = `tr_mock_${uuidv4().slice(0, 12)}`;
+    mockTransfers[id] = {
+      id, object: 'transfer', amount, currency: stripeConfig.currency, destination,
+      transfer_group: transferGroup, metadata, idempotencyKey, created: Math.floor(Date.now() / 1000),
+    };
+    return mockTransfers[id];
+  }
+  return stripe.transfers.create(
+    { amount, currency: stripeConfig.currency, destination, transfer_group: transferGroup, metadata },
+    idempotencyKey ? { idempotencyKey } : undefined,
+  );
+}
+
 // ========== WEBHOOKS ==========
 
 function constructWebhookEvent(payload, signature) {
@@ -249,6 +433,12 @@ module.exports = {
   // Checkout
   createCheckoutSession,
   getCheckoutSession,
+  // One-off payments
+  createPaymentCheckoutSession,
+  createPaymentIntent,
+  getPaymentIntent,
+  cancelPaymentIntent,
+  createRefund,
   // Subscriptions
   getSubscription,
   updateSubscription,
@@ -262,8 +452,13 @@ module.exports = {
   attachPaymentMethod,
   // Invoices
   listInvoices,
+  // Connected accounts
+  createConnectedAccount,
+  getConnectedAccount,
+  createAccountLink,
+  createTransfer,
   // Webhooks
   constructWebhookEvent,
   // Mock internals (for testing)
-  _mock: { mockCustomers, mockSubscriptions, mockSessions, mockPaymentMethods },
+  _mock: { mockCustomers, mockSubscriptions, mockSessions, mockPaymentMethods, mockPaymentIntents, mockAccounts, mockTransfers, mockRefunds },
 };
@@ -0,0 +1,179 @@
+/**
+ * Sales Tax
+ * Rates by the selling store's jurisdiction, from the table in
+ * config.tax.ratesFile (data/tax-rates.json by default):
+ *
+ *   states    "NY"            { name, rate, exempt }
+ *   counties  "NY/Kings"      { rate, exempt }
+ *   cities    "NY/Brooklyn"   { county, rate, exempt }
+ *
+ * A store's rate is the sum of its state, county and city rates. Exemption
+ * classes (e.g. grocery: category groceries; pharmacy: category health sold
+ * by cvs / walgreens) are defined once under `exemptions`; each level's
+ * `exempt` map names the classes it honours and the rate charged instead,
+ * either a number or { rate, priceBelow } for per-item caps. A county or
+ * city without its own `exempt` follows the state's.
+ *
+ * Tax is charged on item lines only (not delivery or service fees) and
+ * rounded once per store. Order creation and the fee preview both go through
+ * quoteOrder so the two always agree.
+ */
+
+const fs = require('fs');
+const config = require('../config');
+
+const round2 = n => parseFloat(n.toFixed(2));
+const round5 = n => parseFloat(n.toFixed(5));
+
+let table = null;
+const jurisdictions = new Map();   // "STATE/City" -> resolved jurisdiction
+
+// ============================================
+// RATE TABLE
+// ============================================
+
+/**
+ * Load (or replace) the rate table. Returns it.
+ */
+function load(file = config.tax.ratesFile) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  table = {
+    updated: data.updated || null,
+    exemptions: data.exemptions || {},
+    states: data.states || {},
+    counties: data.counties || {},
+    cities: data.cities || {},
+  };
+  jurisdictions.clear();
+  return table;
+}
+
+function getTable() {
+  return table || load();
+}
+
+/**
+ * Taxing levels for a store location ({ state, city }), with the combined rate.
+ * An unknown city is taxed at state level only; an unknown state at zero (known: false).
+ */
+function jurisdictionFor({ state, city } = {}) {
+  const key = `${state}/${city}`;
+  if (jurisdictions.has(key)) return jurisdictions.get(key);
+
+  const { states, counties, cities } = getTable();
+  const stateRow = states[state];
+  const cityRow = stateRow ? cities[key] : null;
+  const countyRow = cityRow?.county ? counties[`${state}/${cityRow.county}`] : null;
+  const stateExempt = stateRow?.exempt || {};
+
+  const levels = [];
+  if (stateRow) levels.push({ level: 'state', name: stateRow.name || state, rate: stateRow.rate, exempt: stateExempt });
+  if (cityRow?.county) levels.push({ level: 'county', name: cityRow.county, rate: countyRow?.rate || 0, exempt: countyRow?.exempt || stateExempt });
+  if (cityRow) levels.push({ level: 'city', name: city, rate: cityRow.rate, exempt: cityRow.exempt || stateExempt });
+
+  const jurisdiction = {
+    code: [state, cityRow?.county, cityRow && city].filter(Boolean).join('/'),
+    state: state || null,
+    county: cityRow?.county || null,
+    city: cityRow ? city : null,
+    known: !!stateRow,
+    rate: round5(levels.reduce((s, l) => s + l.rate, 0)),
+    levels,
+  };
+  jurisdictions.set(key, jurisdiction);
+  return jurisdiction;
+}
+
+/**
+ * The exemption class (and replacement rate) a level applies to a line, or null.
+ */
+function exemptionFor(line, exempt) {
+  const { exemptions } = getTable();
+  for (const [name, terms] of Object.entries(exempt)) {
+    const cls = exemptions[name];
+    if (!cls?.categories?.includes(line.category)) continue;
+    if (cls.retailers && !cls.retailers.includes(line.retailer)) continue;
+    const { rate = 0, priceBelow } = typeof terms === 'number' ? { rate: terms } : terms;
+    if (priceBelow !== undefined && !(line.price < priceBelow)) continue;
+    return { name, rate };
+  }
+  return null;
+}
+
+/**
+ * Effective rate for one line ({ category, retailer, price }) and the
+ * exemption classes that lowered it.
+ */
+function lineRate(line, jurisdiction) {
+  let rate = 0;
+  const applied = new Set();
+  for (const level of jurisdiction.levels) {
+    const exemption = exemptionFor(line, level.exempt);
+    if (exemption) applied.add(exemption.name);
+    rate += exemption ? exemption.rate : level.rate;
+  }
+  return { rate: round5(rate), exemptions: [...applied] };
+}
+
+// ============================================
+// QUOTES
+// ============================================
+
+/**
+ * Tax on one store's lines ({ category, retailer, price, lineTotal }) at
+ * `location` ({ state, city }; config.tax.defaultLocation when missing).
+ * Returns { jurisdiction, rate, taxable, tax, lines: [{ rate, tax, exemptions }] }.
+ */
+function quote(lines, location) {
+  const jurisdiction = jurisdictionFor(location?.state ? location : config.tax.defaultLocation);
+  let exact = 0;
+  let taxable = 0;
+  const taxed = lines.map(line => {
+    const { rate, exemptions } = lineRate(line, jurisdiction);
+    exact += line.lineTotal * rate;
+    if (rate > 0) taxable += line.lineTotal;
+    return { rate, tax: round2(line.lineTotal * rate), exemptions };
+  });
+  return {
+    jurisdiction: { code: jurisdiction.code, state: jurisdiction.state, county: jurisdiction.county, city: jurisdiction.city, known: jurisdiction.known },
+    rate: jurisdiction.rate,
+    taxable: round2(taxable),
+    tax: round2(exact),
+    lines: taxed,
+  };
+}
+
+/**
+ * Tax for a checkout spanning stores. Lines carry storeId; `storeFor(storeId)`
+ * returns the store record (with state / city).
+ * Returns { tax, lines (aligned with the input), stores: { storeId: { storeId, ...quote } } }.
+ */
+function quoteOrder(lines, storeFor) {
+  const byStore = new Map();
+  lines.forEach((line, i) => {
+    if (!byStore.has(line.storeId)) byStore.set(line.storeId, []);
+    byStore.get(line.storeId).push(i);
+  });
+
+  const stores = {};
+  const taxedLines = new Array(lines.length);
+  for (const [storeId, indexes] of byStore) {
+    const { lines: storeLines, ...summary } = quote(indexes.map(i => lines[i]), storeFor(storeId));
+    indexes.forEach((lineIndex, j) => { taxedLines[lineIndex] = storeLines[j]; });
+    stores[storeId] = { storeId, ...summary };
+  }
+
+  return {
+    tax: round2(Object.values(stores).reduce((s, q) => s + q.tax, 0)),
+    lines: taxedLines,
+    stores,
+  };
+}
+
+module.exports = {
+  load,
+  jurisdictionFor,
+  lineRate,
+  quote,
+  quoteOrder,
+};
@@ -0,0 +1,178 @@
+/**
+ * Notification Templates
+ * Renders the registry in data/notification-templates into a notification's
+ * { title, message } for a locale. Patterns use a small ICU MessageFormat
+ * subset (see the registry header); plural categories come from
+ * Intl.PluralRules and numbers, amounts and lists from Intl formatters, so
+ * adding a locale is a matter of adding its strings.
+ *
+ * register() adds or replaces templates at runtime; unknown locales fall
+ * back to config.i18n.defaultLocale.
+ */
+
+const config = require('../config');
+const { TEMPLATES, TERMS } = require('../data/notification-templates');
+
+const registry = new Map(Object.entries(TEMPLATES));
+
+// ============================================
+// LOCALES
+// ============================================
+
+function isSupported(locale) {
+  return config.i18n.locales.includes(locale);
+}
+
+/**
+ * Best supported locale for a user record (its `locale`, else the default).
+ */
+function localeFor(user) {
+  return user?.locale && isSupported(user.locale) ? user.locale : config.i18n.defaultLocale;
+}
+
+/**
+ * Best supported locale for an Accept-Language header ("es-MX,es;q=0.9,en;q=0.8").
+ */
+function fromAcceptLanguage(header) {
+  const ranked = String(header || '')
+    .split(',')
+    .map(part => {
+      const [tag, q] = part.trim().split(';q=');
+      return { lang: tag.split('-')[0].toLowerCase(), q: q === undefined ? 1 : parseFloat(q) };
+    })
+    .filter(p => p.lang && p.q > 0)
+    .sort((a, b) => b.q - a.q);
+  return ranked.find(p => isSupported(p.lang))?.lang || config.i18n.defaultLocale;
+}
+
+// ============================================
+// FORMATTING
+// ============================================
+
+/**
+ * Split "key {text} key {text}" branch lists into { key: text }.
+ */
+function parseBranches(text) {
+  const branches = {};
+  let i = 0;
+  while (i < text.length) {
+    const open = text.indexOf('{', i);
+    if (open === -1) break;
+    const key = text.slice(i, open).trim();
+    const close = matching(text, open);
+    branches[key] = text.slice(open + 1, close);
+    i = close + 1;
+  }
+  return branches;
+}
+
+function matching(text, open) {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    else if (text[i] === '}' && --depth === 0) return i;
+  }
+  throw new Error(`Unbalanced braces in template: ${text}`);
+}
+
+/**
+ * Replace a plural branch's own # signs (not those in nested placeholders).
+ */
+function countSign(branch, count) {
+  let depth = 0;
+  let out = '';
+  for (const ch of branch) {
+    if (ch === '{') depth++;
+    else if (ch === '}') depth--;
+    out += ch === '#' && depth === 0 ? count : ch;
+  }
+  return out;
+}
+
+function formatArgument(arg, vars, locale) {
+  const [name, type, ...rest] = arg.split(',').map(s => s.trim());
+  const value = vars[name];
+  const options = arg.slice(arg.indexOf(',', arg.indexOf(',') + 1) + 1);
+
+  switch (type) {
+    case undefined:
+      return value === undefined || value === null ? '' : String(value);
+    case 'number':
+      return new Intl.NumberFormat(locale, { maximumFractionDigits: 2 }).format(value);
+    case 'currency':
+      return new Intl.NumberFormat(locale, { style: 'currency', currency: 'USD' }).format(value);
+    case 'list':
+      return new Intl.ListFormat(locale, { style: 'long', type: 'conjunction' }).format((value || []).map(String));
+    case 'term': {
+      const terms = (TERMS[locale] || TERMS[config.i18n.defaultLocale])[rest[0]] || {};
+      return terms[value] || String(value).replace(/_/g, ' ');
+    }
+    case 'plural': {
+      const branches = parseBranches(options);
+      const branch = branches[`=${value}`] ?? branches[new Intl.PluralRules(locale).select(value)] ?? branches.other ?? '';
+      return format(countSign(branch, new Intl.NumberFormat(locale).format(value)), vars, locale);
+    }
+    case 'select': {
+      const branches = parseBranches(options);
+      const key = value === undefined || value === null || value === '' ? 'none' : String(value);
+      return format(branches[key] ?? branches.other ?? '', vars, locale);
+    }
+    default:
+      throw new Error(`Unknown placeholder type "${type}" in {${arg}}`);
+  }
+}
+
+/**
+ * Fill `pattern`'s placeholders from `vars` in `locale`.
+ */
+function format(pattern, vars = {}, locale = config.i18n.defaultLocale) {
+  let out = '';
+  let i = 0;
+  while (i < pattern.length) {
+    const open = pattern.indexOf('{', i);
+    if (open === -1) {
+      out += pattern.slice(i);
+      break;
+    }
+    const close = matching(pattern, open);
+    out += pattern.slice(i, open) + formatArgument(pattern.slice(open + 1, close), vars, locale);
+    i = close + 1;
+  }
+  return out;
+}
+
+// ============================================
+// REGISTRY
+// ============================================
+
+/**
+ * Add or replace a template: { [locale]: { title, message } }.
+ */
+function register(id, variants) {
+  registry.set(id, variants);
+}
+
+/**
+ * { type, title, message, locale } for template `id` ("type" or "type/variant").
+ */
+function render(id, vars = {}, locale = config.i18n.defaultLocale) {
+  const variants = registry.get(id);
+  if (!variants) throw new Error(`No notification template "${id}"`);
+  const used = variants[locale] ? locale : config.i18n.defaultLocale;
+  const { title, message } = variants[used];
+  return {
+    type: id.split('/')[0],
+    title: format(title, vars, used),
+    message: format(message, vars, used),
+    locale: used,
+  };
+}
+
+module.exports = {
+  localeFor,
+  fromAcceptLanguage,
+  isSupported,
+  format,
+  register,
+  render,
+};
@@ -0,0 +1,82 @@
+/**
+ * CSV (RFC 4180): quoted fields may hold commas, doubled quotes and line
+ * breaks. Accepts CRLF or LF line endings and a leading byte-order mark.
+ */
+
+/**
+ * Rows of `text` as arrays of strings. Blank lines are skipped.
+ */
+function parseRows(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  const endField = () => { row.push(field); field = ''; };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i += 2; continue; }
+      if (ch === '"') quoted = false;
+      else field += ch;
+      i++;
+      continue;
+    }
+    if (ch === '"' && field === '') quoted = true;
+    else if (ch === ',') endField();
+    else if (ch === '\n' || ch === '\r') {
+      endRow();
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+    } else field += ch;
+    i++;
+  }
+  if (quoted) throw new Error('Unterminated quoted field');
+  if (field !== '' || row.length) endRow();
+  return rows;
+}
+
+/**
+ * { headers, records } where each record maps header → value and carries
+ * its 1-based `row` number (the header is row 1).
+ */
+function parse(text) {
+  const [headers = [], ...rows] = parseRows(text);
+  const names = headers.map(h => h.trim());
+  const records = rows.map((cells, idx) => {
+    const record = { row: idx + 2 };
+    names.forEach((name, col) => { record[name] = (cells[col] ?? '').trim(); });
+    return record;
+  });
+  return { headers: names, records };
+}
+
+/**
+ * CSV text for `records` (objects) under `headers` (keys, in column order).
+ * Quotes fields that need it; null and undefined become empty fields. Text
+ * that a spreadsheet would run as a formula (=, +, -, @) is prefixed with '.
+ */
+function stringify(headers, records) {
+  const field = value => {
+    if (value === null || value === undefined) return '';
+    let out = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(out)) out = `'${out}`;
+    return /[",\r\n]/.test(out) ? `"${out.replace(/"/g, '""')}"` : out;
+  };
+  const lines = [headers.map(field).join(',')];
+  for (const record of records) lines.push(headers.map(h => field(record[h])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseRows,
+  parse,
+  stringify,
+};
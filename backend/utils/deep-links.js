@@ -16,6 +16,9 @@
 //   - searchUrl: template for product search ({{QUERY}} placeholder)
 //   - affiliateParam: query param for affiliate/partner tracking
 //   - affiliateTag: your affiliate ID (set via env var or defaults)
+//   - network: affiliate network whose conversion reports cover it (impact, cj,
+//     rakuten), or null when the tag is plain campaign tracking
+//   - subIdParam: query param the network echoes back in reports as the sub-ID
 //   - storeLocator: URL pattern to find specific store (optional)
 
 const RETAILER_LINKS = {
@@ -24,6 +27,8 @@ const RETAILER_LINKS = {
     searchUrl: 'https://www.homedepot.com/s/{{QUERY}}',
     affiliateParam: 'cm_mmc',
     affiliateTag: process.env.HOMEDEPOT_AFFILIATE || 'RetailRadar-_-partner',
+    network: 'impact',
+    subIdParam: 'subId1',
     storeLocator: 'https://www.homedepot.com/l/search/{{LAT}}/{{LNG}}/',
     homepage: 'https://www.homedepot.com',
   },
@@ -32,6 +37,8 @@ const RETAILER_LINKS = {
     searchUrl: 'https://www.lowes.com/search?searchTerm={{QUERY}}',
     affiliateParam: 'cm_mmc',
     affiliateTag: process.env.LOWES_AFFILIATE || 'RetailRadar-_-partner',
+    network: 'impact',
+    subIdParam: 'subId1',
     storeLocator: 'https://www.lowes.com/store',
     homepage: 'https://www.lowes.com',
   },
@@ -40,6 +47,8 @@ const RETAILER_LINKS = {
     searchUrl: 'https://www.target.com/s?searchTerm={{QUERY}}',
     affiliateParam: 'afid',
     affiliateTag: process.env.TARGET_AFFILIATE || 'RetailRadar',
+    network: 'impact',
+    subIdParam: 'subId1',
     storeLocator: 'https://www.target.com/store-locator/find-stores',
     homepage: 'https://www.target.com',
   },
@@ -48,6 +57,8 @@ const RETAILER_LINKS = {
     searchUrl: 'https://www.walmart.com/search?q={{QUERY}}',
     affiliateParam: 'affiliates_ad_id',
     affiliateTag: process.env.WALMART_AFFILIATE || 'RetailRadar',
+    network: 'impact',
+    subIdParam: 'subId1',
     storeLocator: 'https://www.walmart.com/store/finder',
     homepage: 'https://www.walmart.com',
   },
@@ -56,6 +67,8 @@ const RETAILER_LINKS = {
     searchUrl: 'https://www.bestbuy.com/site/searchpage.jsp?st={{QUERY}}',
     affiliateParam: 'ref',
     affiliateTag: process.env.BESTBUY_AFFILIATE || 'RetailRadar',
+    network: 'impact',
+    subIdParam: 'subId1',
     storeLocator: 'https://www.bestbuy.com/site/store-locator',
     homepage: 'https://www.bestbuy.com',
   },
@@ -64,6 +77,8 @@ const RETAILER_LINKS = {
     searchUrl: 'https://www.cvs.com/search?searchTerm={{QUERY}}',
     affiliateParam: 'cid',
     affiliateTag: process.env.CVS_AFFILIATE || 'RetailRadar',
+    network: 'cj',
+    subIdParam: 'sid',
     homepage: 'https://www.cvs.com',
   },
   walgreens: {
@@ -71,6 +86,8 @@ const RETAILER_LINKS = {
     searchUrl: 'https://www.walgreens.com/search/results.jsp?Ntt={{QUERY}}',
     affiliateParam: 'ext',
     affiliateTag: process.env.WALGREENS_AFFILIATE || 'RetailRadar',
+    network: 'rakuten',
+    subIdParam: 'u1',
     homepage: 'https://www.walgreens.com',
   },
   acehardware: {
@@ -78,6 +95,8 @@ const RETAILER_LINKS = {
     searchUrl: 'https://www.acehardware.com/search?query={{QUERY}}',
     affiliateParam: 'utm_source',
     affiliateTag: process.env.ACEHARDWARE_AFFILIATE || 'RetailRadar',
+    network: 'cj',
+    subIdParam: 'sid',
     homepage: 'https://www.acehardware.com',
   },
   staples: {
@@ -85,6 +104,8 @@ const RETAILER_LINKS = {
     searchUrl: 'https://www.staples.com/{{QUERY}}/directory_{{QUERY}}',
     affiliateParam: 'akaession',
     affiliateTag: process.env.STAPLES_AFFILIATE || 'RetailRadar',
+    network: 'cj',
+    subIdParam: 'sid',
     homepage: 'https://www.staples.com',
   },
   ikea: {
@@ -92,6 +113,8 @@ const RETAILER_LINKS = {
     searchUrl: 'https://www.ikea.com/us/en/search/?q={{QUERY}}',
     affiliateParam: 'utm_source',
     affiliateTag: process.env.IKEA_AFFILIATE || 'RetailRadar',
+    network: 'rakuten',
+    subIdParam: 'u1',
     homepage: 'https://www.ikea.com/us/en/',
   },
   costco: {
@@ -99,6 +122,8 @@ const RETAILER_LINKS = {
     searchUrl: 'https://www.costco.com/CatalogSearch?dept=All&keyword={{QUERY}}',
     affiliateParam: 'utm_source',
     affiliateTag: process.env.COSTCO_AFFILIATE || 'RetailRadar',
+    network: 'rakuten',
+    subIdParam: 'u1',
     homepage: 'https://www.costco.com',
   },
   wholefoods: {
@@ -106,6 +131,8 @@ const RETAILER_LINKS = {
     searchUrl: 'https://www.wholefoodsmarket.com/search?text={{QUERY}}',
     affiliateParam: 'utm_source',
     affiliateTag: process.env.WHOLEFOODS_AFFILIATE || 'RetailRadar',
+    network: null,
+    subIdParam: 'utm_content',
     homepage: 'https://www.wholefoodsmarket.com',
   },
   traderjoes: {
@@ -114,6 +141,8 @@ const RETAILER_LINKS = {
     searchUrl: 'https://www.traderjoes.com/home/search?q={{QUERY}}&global=yes',
     affiliateParam: 'utm_source',
     affiliateTag: process.env.TRADERJOES_AFFILIATE || 'RetailRadar',
+    network: null,
+    subIdParam: 'utm_content',
     homepage: 'https://www.traderjoes.com',
   },
   dollargeneral: {
@@ -121,6 +150,8 @@ const RETAILER_LINKS = {
     searchUrl: 'https://www.dollargeneral.com/search?q={{QUERY}}',
     affiliateParam: 'utm_source',
     affiliateTag: process.env.DOLLARGENERAL_AFFILIATE || 'RetailRadar',
+    network: 'impact',
+    subIdParam: 'subId1',
     homepage: 'https://www.dollargeneral.com',
   },
   menards: {
@@ -128,6 +159,8 @@ const RETAILER_LINKS = {
     searchUrl: 'https://www.menards.com/main/search.html?search={{QUERY}}',
     affiliateParam: 'utm_source',
     affiliateTag: process.env.MENARDS_AFFILIATE || 'RetailRadar',
+    network: null,
+    subIdParam: 'utm_content',
     homepage: 'https://www.menards.com',
   },
 };
@@ -140,14 +173,15 @@ const RETAILER_LINKS = {
  * Generate a deep link URL to a retailer's product search
  * @param {string} retailerKey - e.g. 'homedepot', 'lowes'
  * @param {string} productName - full product name
- * @param {object} options - { includeAffiliate: true, brand: string }
+ * @param {object} options - { includeAffiliate: true, brand: string, subId: string }
+ *   subId is the click token the network reports conversions against
  * @returns {string|null} Full URL or null if retailer unknown
  */
 function generateProductUrl(retailerKey, productName, options = {}) {
   const retailer = RETAILER_LINKS[retailerKey];
   if (!retailer) return null;
 
-  const { includeAffiliate = true, brand } = options;
+  const { includeAffiliate = true, brand, subId } = options;
 
   // Build search query — use product name, optionally prepend brand
   let searchQuery = productName;
@@ -165,6 +199,9 @@ function generateProductUrl(retailerKey, productName, options = {}) {
     const separator = url.includes('?') ? '&' : '?';
     url += `${separator}${retailer.affiliateParam}=${encodeURIComponent(retailer.affiliateTag)}`;
   }
+  if (includeAffiliate && subId && retailer.subIdParam) {
+    url += `${url.includes('?') ? '&' : '?'}${retailer.subIdParam}=${encodeURIComponent(subId)}`;
+  }
 
   // Add UTM tracking
   const utmSep = url.includes('?') ? '&' : '?';
@@ -59,9 +59,67 @@ function estimateDeliveryTime(distanceMiles) {
   return { pickup: '45-60 min', delivery: '75-90 min' };
 }
 
+// ============================================
+// GEOHASH CELLS
+// ============================================
+// Coarse location cells for logging where demand comes from without keeping
+// the exact point. Precision 5 is about 3 x 3 miles.
+
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Geohash of a point at `precision` characters.
+ */
+function geohash(lat, lng, precision = 5) {
+  const range = { lat: [-90, 90], lng: [-180, 180] };
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+  while (hash.length < precision) {
+    const axis = evenBit ? 'lng' : 'lat';
+    const point = evenBit ? lng : lat;
+    const mid = (range[axis][0] + range[axis][1]) / 2;
+    value <<= 1;
+    if (point >= mid) {
+      value |= 1;
+      range[axis][0] = mid;
+    } else {
+      range[axis][1] = mid;
+    }
+    evenBit = !evenBit;
+    if (++bits === 5) {
+      hash += GEOHASH_BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  return hash;
+}
+
+/**
+ * Center { lat, lng } of a geohash cell.
+ */
+function geohashCenter(hash) {
+  const range = { lat: [-90, 90], lng: [-180, 180] };
+  let evenBit = true;
+  for (const ch of hash) {
+    const value = GEOHASH_BASE32.indexOf(ch);
+    for (let bit = 4; bit >= 0; bit--) {
+      const axis = evenBit ? 'lng' : 'lat';
+      const mid = (range[axis][0] + range[axis][1]) / 2;
+      range[axis][(value >> bit) & 1 ? 0 : 1] = mid;
+      evenBit = !evenBit;
+    }
+  }
+  return { lat: (range.lat[0] + range.lat[1]) / 2, lng: (range.lng[0] + range.lng[1]) / 2 };
+}
+
 module.exports = {
   calculateDistance,
   getBoundingBox,
   findNearbyStores,
-  estimateDeliveryTime
+  estimateDeliveryTime,
+  geohash,
+  geohashCenter,
 };
@@ -0,0 +1,270 @@
+/**
+ * Store opening hours: parse the free-text `hours` column into a weekly
+ * schedule, apply holiday exceptions, and answer "open at time T?" in the
+ * store's own time zone.
+ *
+ * Understood formats (case-insensitive, en/em dashes or "to" as separators):
+ *   "6:00 AM - 10:00 PM"                       every day
+ *   "Mon-Fri 7am-9pm, Sat 8am-8pm, Sun closed" per-day segments, later ones win
+ *   "24 hours", "Open 24/7", "10pm-2am"        all day / overnight ranges
+ *
+ * Times are minutes since local midnight; a close past 1440 runs into the next day.
+ */
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const ALL_DAY = [0, 1440];
+const LOOKAHEAD_DAYS = 7;
+
+const STATE_TIMEZONES = {
+  CT: 'America/New_York', DC: 'America/New_York', DE: 'America/New_York', FL: 'America/New_York',
+  GA: 'America/New_York', MA: 'America/New_York', MD: 'America/New_York', ME: 'America/New_York',
+  MI: 'America/Detroit', NC: 'America/New_York', NH: 'America/New_York', NJ: 'America/New_York',
+  NY: 'America/New_York', OH: 'America/New_York', PA: 'America/New_York', RI: 'America/New_York',
+  SC: 'America/New_York', VA: 'America/New_York', VT: 'America/New_York', WV: 'America/New_York',
+  IN: 'America/Indiana/Indianapolis', KY: 'America/New_York',
+  AL: 'America/Chicago', AR: 'America/Chicago', IA: 'America/Chicago', IL: 'America/Chicago',
+  KS: 'America/Chicago', LA: 'America/Chicago', MN: 'America/Chicago', MO: 'America/Chicago',
+  MS: 'America/Chicago', ND: 'America/Chicago', NE: 'America/Chicago', OK: 'America/Chicago',
+  SD: 'America/Chicago', TN: 'America/Chicago', TX: 'America/Chicago', WI: 'America/Chicago',
+  AZ: 'America/Phoenix', CO: 'America/Denver', ID: 'America/Boise', MT: 'America/Denver',
+  NM: 'America/Denver', UT: 'America/Denver', WY: 'America/Denver',
+  CA: 'America/Los_Angeles', NV: 'America/Los_Angeles', OR: 'America/Los_Angeles', WA: 'America/Los_Angeles',
+  AK: 'America/Anchorage', HI: 'Pacific/Honolulu',
+};
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+// ============================================
+// PARSING
+// ============================================
+
+function parseTime(text) {
+  const t = text.trim();
+  if (t === 'noon') return 720;
+  if (t === 'midnight') return 0;
+  const m = t.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a|p)?\.?$/);
+  if (!m) return null;
+  let hour = parseInt(m[1], 10);
+  const minute = m[2] ? parseInt(m[2], 10) : 0;
+  if (hour > 24 || minute > 59) return null;
+  if (m[3]?.startsWith('p') && hour < 12) hour += 12;
+  if (m[3]?.startsWith('a') && hour === 12) hour = 0;
+  return hour * 60 + minute;
+}
+
+function parseRange(text) {
+  const t = text.trim();
+  if (/^(open\s+)?(24\s*(hours|hrs|h)|24\/7)$/.test(t)) return [ALL_DAY];
+  if (t === 'closed') return [];
+  const parts = t.split(/\s*-\s*/);
+  if (parts.length !== 2) return null;
+  const open = parseTime(parts[0]);
+  let close = parseTime(parts[1]);
+  if (open === null || close === null) return null;
+  if (close <= open) close += 1440;   // overnight, or "12am" meaning end of day
+  return [[open, close]];
+}
+
+function parseDays(text) {
+  const days = new Set();
+  for (const part of text.split(/\s*[&/]\s*|\s+and\s+/)) {
+    const [from, to] = part.split(/\s*-\s*/).map(d => DAY_NAMES.indexOf(d.slice(0, 3)));
+    if (from === -1 || to === -1) return null;
+    if (to === undefined) { days.add(from); continue; }
+    for (let d = from; ; d = (d + 1) % 7) {
+      days.add(d);
+      if (d === to) break;
+    }
+  }
+  return [...days];
+}
+
+/**
+ * Parse an hours string into a weekly schedule: 7 arrays (Sunday first) of
+ * [openMinute, closeMinute] intervals. Returns null when the text can't be read.
+ */
+function parseHours(text) {
+  if (!text || typeof text !== 'string') return null;
+  const normalized = text.toLowerCase()
+    .replace(/[–—]/g, '-')
+    .replace(/\s+to\s+/g, '-')
+    .replace(/\beveryday\b|\bdaily\b/g, '')
+    .trim();
+  if (!normalized) return null;
+
+  const weekly = Array.from({ length: 7 }, () => []);
+  const segments = normalized.split(/\s*[,;|\n]\s*/).filter(Boolean);
+
+  for (const segment of segments) {
+    const m = segment.match(/^((?:(?:sun|mon|tue|wed|thu|fri|sat)[a-z]*\.?\s*(?:-|&|\/|and)?\s*)+):?\s*(.*)$/);
+    const days = m ? parseDays(m[1].replace(/\./g, '').trim().replace(/\s*-\s*$/, '')) : [0, 1, 2, 3, 4, 5, 6];
+    const range = parseRange(m ? m[2] : segment);
+    if (!days || !range) return null;
+    for (const d of days) weekly[d] = range.map(r => [...r]);
+  }
+  return weekly;
+}
+
+// ============================================
+// TIME ZONES + HOLIDAYS
+// ============================================
+
+function timezoneForState(state) {
+  return STATE_TIMEZONES[String(state || '').toUpperCase()] || DEFAULT_TIMEZONE;
+}
+
+function nthWeekday(year, month, weekday, n) {
+  const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+  const day = 1 + ((weekday - first + 7) % 7) + (n - 1) * 7;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Chain-wide holiday exceptions for a year: { date, name, closed? , intervals? }.
+ */
+function defaultHolidays(year) {
+  return [
+    { date: `${year}-01-01`, name: "New Year's Day", intervals: [[600, 1080]] },
+    { date: nthWeekday(year, 11, 4, 4), name: 'Thanksgiving', closed: true },
+    { date: `${year}-12-24`, name: 'Christmas Eve', intervals: [[360, 1080]] },
+    { date: `${year}-12-25`, name: 'Christmas Day', closed: true },
+  ];
+}
+
+/**
+ * Structured hours for a store: { timezone, weekly, exceptions, text }.
+ * store.hoursExceptions (same shape as defaultHolidays, `hours` text allowed
+ * instead of intervals) overrides the chain holidays for matching dates.
+ */
+function buildSchedule(store) {
+  const exceptions = (store.hoursExceptions || []).map(e => ({
+    date: e.date,
+    name: e.name || null,
+    ...(e.closed ? { closed: true } : { intervals: e.intervals || parseRange(String(e.hours || '').toLowerCase()) || [] }),
+  }));
+  return {
+    timezone: store.timezone || timezoneForState(store.state),
+    weekly: parseHours(store.hours),
+    exceptions,
+    text: store.hours || null,
+  };
+}
+
+// ============================================
+// QUERIES
+// ============================================
+
+const formatters = new Map();
+
+/**
+ * Wall-clock date/weekday/minute of an instant in a time zone.
+ */
+function localTime(at, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', hourCycle: 'h23', weekday: 'short',
+    }));
+  }
+  const parts = {};
+  for (const p of formatters.get(timezone).formatToParts(at)) parts[p.type] = p.value;
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase().slice(0, 3)),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+  };
+}
+
+function shiftDate(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * The instant at which a time zone's wall clock reads `minutes` past midnight
+ * on a local date (minutes may run past 1440 into the next day).
+ */
+function instantAt(date, minutes, timezone) {
+  const [y, m, d] = date.split('-').map(Number);
+  const wall = Date.UTC(y, m - 1, d, 0, minutes);
+  let guess = wall;
+  // Two passes settle the offset, including across a DST change
+  for (let i = 0; i < 2; i++) {
+    const local = localTime(new Date(guess), timezone);
+    const [ly, lm, ld] = local.date.split('-').map(Number);
+    guess += wall - Date.UTC(ly, lm - 1, ld, 0, local.minutes);
+  }
+  return new Date(guess);
+}
+
+/**
+ * Intervals for a local date: an exception if one applies, else the weekly schedule.
+ */
+function intervalsOn(schedule, date) {
+  const year = parseInt(date.slice(0, 4), 10);
+  const exception = schedule.exceptions.find(e => e.date === date)
+    || defaultHolidays(year).find(e => e.date === date);
+  if (exception) return exception.closed ? [] : exception.intervals;
+  const weekday = new Date(date + 'T12:00:00Z').getUTCDay();
+  return schedule.weekly[weekday];
+}
+
+/**
+ * Open/closed status at an instant:
+ * { open, closesInMinutes, opensInMinutes } — closesInMinutes is null for
+ * stores that stay open through the lookahead week; open is null when the
+ * hours couldn't be parsed.
+ */
+function statusAt(schedule, at = new Date()) {
+  if (!schedule?.weekly) return { open: null, closesInMinutes: null, opensInMinutes: null };
+  const { date, minutes } = localTime(at, schedule.timezone);
+
+  // Day offset → intervals, relative to today's midnight
+  const spans = [];
+  for (let offset = -1; offset <= LOOKAHEAD_DAYS; offset++) {
+    for (const [open, close] of intervalsOn(schedule, shiftDate(date, offset))) {
+      spans.push([open + offset * 1440, close + offset * 1440]);
+    }
+  }
+  spans.sort((a, b) => a[0] - b[0]);
+
+  const current = spans.find(([open, close]) => open <= minutes && minutes < close);
+  if (current) {
+    // Follow back-to-back intervals (e.g. 24-hour days) to the real closing time
+    let closeAt = current[1];
+    for (const [open, close] of spans) {
+      if (open <= closeAt && close > closeAt) closeAt = close;
+    }
+    const horizon = LOOKAHEAD_DAYS * 1440;
+    return { open: true, closesInMinutes: closeAt >= horizon ? null : closeAt - minutes, opensInMinutes: 0 };
+  }
+
+  const next = spans.find(([open]) => open > minutes);
+  return { open: false, closesInMinutes: null, opensInMinutes: next ? next[0] - minutes : null };
+}
+
+/**
+ * Set isOpen / closesInMinutes / opensInMinutes on each store (objects with `schedule`).
+ */
+function annotate(stores, at = new Date()) {
+  for (const store of stores) {
+    const status = statusAt(store.schedule, at);
+    store.isOpen = status.open;
+    store.closesInMinutes = status.closesInMinutes;
+    store.opensInMinutes = status.opensInMinutes;
+  }
+  return stores;
+}
+
+module.exports = {
+  STATE_TIMEZONES,
+  parseHours,
+  timezoneForState,
+  defaultHolidays,
+  buildSchedule,
+  localTime,
+  shiftDate,
+  instantAt,
+  intervalsOn,
+  statusAt,
+  annotate,
+};
@@ -0,0 +1,94 @@
+/**
+ * Text utilities for search: tokenization and light English stemming.
+ * Shared by the search index and anything that needs to normalize queries
+ * the same way products are indexed.
+ */
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'with', 'in', 'to', 'by', 'or', 'on', 'at']);
+
+// Plurals the suffix rules below can't fold onto their singular
+const IRREGULAR_PLURALS = {
+  knives: 'knife', leaves: 'leaf', shelves: 'shelf', halves: 'half', loaves: 'loaf',
+  wolves: 'wolf', scarves: 'scarf', men: 'man', women: 'woman', children: 'child',
+  feet: 'foot', teeth: 'tooth', mice: 'mouse', geese: 'goose', dice: 'die',
+};
+
+/**
+ * Split text into lowercase alphanumeric words (stopwords removed, not stemmed).
+ */
+function words(text) {
+  if (!text) return [];
+  return String(text)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(w => w && !STOPWORDS.has(w));
+}
+
+/**
+ * Light suffix-stripping stemmer. Not a full Porter stemmer, but maps the
+ * common plural/verb forms in product names onto a shared root
+ * (drills → drill, batteries → battery, boxes → box, lighting → light).
+ */
+function stem(word) {
+  let w = IRREGULAR_PLURALS[word] || word;
+  if (w.length <= 3 || /^\d/.test(w)) return w;
+
+  if (w.endsWith('ies') && w.length > 4) w = w.slice(0, -3) + 'y';
+  else if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (/(x|z|ch|sh)es$/.test(w)) w = w.slice(0, -2);
+  else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+  if (w.endsWith('ing') && /[aeiouy]/.test(w.slice(0, -3)) && w.length > 5) w = undouble(w.slice(0, -3));
+  else if (w.endsWith('ed') && !w.endsWith('eed') && /[aeiouy]/.test(w.slice(0, -2)) && w.length > 5) w = undouble(w.slice(0, -2));
+
+  // Drop a trailing silent 'e' so "cable"/"cables" and "insulate"/"insulated" meet
+  if (w.length > 4 && w.endsWith('e') && !w.endsWith('ee')) w = w.slice(0, -1);
+  return w;
+}
+
+function undouble(w) {
+  return /([^aeiouylsz])\1$/.test(w) ? w.slice(0, -1) : w;
+}
+
+/**
+ * Optimal-string-alignment edit distance (Levenshtein + adjacent transposition).
+ * Stops early and returns max + 1 once the distance is known to exceed max.
+ */
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
+      }
+      row.push(d);
+      if (d < rowMin) rowMin = d;
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Tokenize + stem: the normalized terms used as index keys.
+ */
+function tokenize(text) {
+  return words(text).map(stem);
+}
+
+module.exports = {
+  STOPWORDS,
+  IRREGULAR_PLURALS,
+  words,
+  stem,
+  tokenize,
+  editDistance,
+};
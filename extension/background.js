@@ -1,8 +1,11 @@
 /**
  * Retail Radar - Background Service Worker
- * Handles: extension install, location caching, badge updates
+ * Handles: extension install, location caching, badge updates, live
+ * notifications (Server-Sent Events from /api/events while signed in)
  */
 
+const EVENTS_URL = 'http://localhost:3001/api/events';
+
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
     // Set default settings
@@ -32,3 +35,71 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     chrome.action.setBadgeBackgroundColor({ color: '#E53935' });
   }
 });
+
+// ===== LIVE NOTIFICATIONS =====
+// Service workers have no EventSource, so read the stream with fetch.
+let live = null;          // AbortController of the open stream
+let lastEventId = null;
+let unread = 0;
+let retryMs = 3000;
+
+function setBadge(count) {
+  chrome.action.setBadgeText({ text: count > 0 ? String(count) : '' });
+  chrome.action.setBadgeBackgroundColor({ color: '#E53935' });
+}
+
+function handleEvent(event, data) {
+  if (event === 'ready') unread = data.unreadCount || 0;
+  else if (event === 'notification') unread++;
+  else return;
+  setBadge(unread);
+}
+
+async function connectLive() {
+  if (live) live.abort();
+  live = null;
+  const { rr_token: token, rr_settings: settings } = await chrome.storage.local.get(['rr_token', 'rr_settings']);
+  if (!token || settings?.notifications === false) return setBadge(0);
+
+  const controller = new AbortController();
+  live = controller;
+  try {
+    const headers = { Authorization: `Bearer ${token}` };
+    if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+    const res = await fetch(EVENTS_URL, { headers, signal: controller.signal });
+    if (res.status === 401) return setBadge(0);   // signed out or expired; wait for a new token
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      let end;
+      while ((end = buffer.indexOf('\n\n')) >= 0) {
+        const fields = {};
+        for (const line of buffer.slice(0, end).split('\n')) {
+          const at = line.indexOf(': ');
+          if (at > 0) fields[line.slice(0, at)] = line.slice(at + 2);
+        }
+        buffer = buffer.slice(end + 2);
+        if (fields.retry) retryMs = parseInt(fields.retry, 10) || retryMs;
+        if (fields.id) lastEventId = fields.id;
+        if (fields.event && fields.data) handleEvent(fields.event, JSON.parse(fields.data));
+      }
+    }
+  } catch (e) {
+    if (controller.signal.aborted) return;
+  }
+  if (live === controller) setTimeout(connectLive, retryMs);
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && (changes.rr_token || changes.rr_settings)) {
+    lastEventId = null;
+    connectLive();
+  }
+});
+
+chrome.runtime.onStartup.addListener(connectLive);
+connectLive();
@@ -176,7 +176,7 @@ class ScraperRunner {
   ingestIntoDatabase(db) {
     console.log('\n📥 Ingesting into Retail Radar database...');
     let storesAdded = 0, storesUpdated = 0;
-    let productsAdded = 0;
+    let productsAdded = 0, productsUpdated = 0;
 
     // Get all existing stores for comparison
     const existingStores = db.getAllStores();
@@ -192,18 +192,25 @@ class ScraperRunner {
       );
 
       if (!exists) {
-        // Add new store to the appropriate chain
+        // Add new store to the appropriate chain (and the spatial index via db.addStore)
         const chainKey = scrapedStore.retailerKey;
         if (db.STORE_CHAINS[chainKey]) {
-          db.STORE_CHAINS[chainKey].stores.push({
-            id: internalId,
+          const store = {
+            storeId: internalId,
+            retailer: chainKey,
             name: scrapedStore.name,
             address: scrapedStore.address || `${scrapedStore.city}, ${scrapedStore.state}`,
             lat: scrapedStore.lat,
             lng: scrapedStore.lng,
             city: scrapedStore.city,
             state: scrapedStore.state,
-          });
+            phone: scrapedStore.phone || null,
+            hours: scrapedStore.hours || null,
+            source: 'scraper',
+            scrapedAt: new Date().toISOString(),
+          };
+          if (db.addStore) db.addStore(store);
+          else db.STORE_CHAINS[chainKey].stores.push(store);
           storesAdded++;
         }
       } else {
@@ -227,7 +234,7 @@ class ScraperRunner {
         );
 
         if (!existingItem) {
-          db.inventory.push({
+          const item = {
             id: uuidv4(),
             storeId: store.storeId,
             retailer: product.retailerKey,
@@ -242,16 +249,28 @@ class ScraperRunner {
             imageUrl: product.imageUrl || '',
             lastUpdated: new Date().toISOString(),
             source: 'scraper',
-          });
+          };
+          db.inventory.push(item);
+          if (db.priceHistory) db.priceHistory.record(item, null, { source: 'scraper' });
+          if (db.searchIndex) db.searchIndex.indexInventory(item);
           productsAdded++;
+        } else if (existingItem.price !== product.price || existingItem.inStock !== !!product.inStock) {
+          // Refresh price/availability; quantity is a store-side number the scraper doesn't know
+          const before = db.priceHistory ? db.priceHistory.snapshot(existingItem) : null;
+          existingItem.price = product.price;
+          existingItem.inStock = !!product.inStock;
+          existingItem.lastUpdated = new Date().toISOString();
+          if (db.priceHistory) db.priceHistory.record(existingItem, before, { source: 'scraper' });
+          if (db.searchIndex) db.searchIndex.refreshInventory(existingItem);
+          productsUpdated++;
         }
       }
     }
 
     console.log(`  🏪 Stores: ${storesAdded} added, ${storesUpdated} already existed`);
-    console.log(`  📦 Products: ${productsAdded} inventory items added`);
+    console.log(`  📦 Products: ${productsAdded} inventory items added, ${productsUpdated} updated`);
 
-    return { storesAdded, storesUpdated, productsAdded };
+    return { storesAdded, storesUpdated, productsAdded, productsUpdated };
   }
 
   /**
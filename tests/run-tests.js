@@ -4,11 +4,14 @@
  */
 
 process.env.NODE_ENV = 'test';
+// Email / SMS / push land in a throwaway outbox instead of the console
+process.env.EMAIL_TRANSPORT = process.env.SMS_TRANSPORT = process.env.PUSH_TRANSPORT = 'file';
+process.env.NOTIFY_OUTBOX_DIR = require('path').join(require('os').tmpdir(), `retail-radar-outbox-${process.pid}`);
 
 const BASE_URL = 'http://localhost:3001/api';
 let server;
 let passed = 0, failed = 0, total = 0;
-let customerToken, storeOwnerToken;
+let customerToken, storeOwnerToken, adminToken;
 let testStoreId;
 let testPromotionId;
 
@@ -21,6 +24,15 @@ async function request(method, path, body = null, token = null) {
   return { status: res.status, data };
 }
 
+async function webhook(type, object) {
+  const res = await fetch(`${BASE_URL}/payments/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'stripe-signature': 'mock_sig' },
+    body: JSON.stringify({ type, data: { object } }),
+  });
+  return res.status;
+}
+
 function assert(condition, message) {
   total++;
   if (condition) { passed++; console.log(`  ✅ ${message}`); }
@@ -95,6 +107,146 @@ async function testStores() {
   assert(res.status === 200 && res.data.store, 'Store detail by ID');
 }
 
+async function testStoreIndex() {
+  console.log('\n🗺️ Store Spatial Index');
+  const db = require('../backend/models/database');
+  const { findNearbyStores, calculateDistance } = require('../backend/utils/geo');
+  const here = { lat: 40.6892, lng: -73.9857 };
+
+  const indexed = db.storeIndex.withinRadius(here.lat, here.lng, 15);
+  const scanned = findNearbyStores(db.getAllStores(), here.lat, here.lng, 15);
+  assert(indexed.length === scanned.length && indexed.length > 0, `Radius query matches linear scan (${indexed.length} stores)`);
+
+  const brute = db.getAllStores()
+    .map(s => calculateDistance(here.lat, here.lng, s.lat, s.lng))
+    .sort((a, b) => a - b);
+  const knn = db.storeIndex.nearest(here.lat, here.lng, 8);
+  assert(knn.length === 8 && knn.every((s, i) => s.distance === brute[i]), 'k-nearest matches brute force');
+
+  const far = db.storeIndex.nearest(64.8, -147.7, 3);  // Fairbanks: no stores for hundreds of miles
+  assert(far.length === 3 && far[0].distance > 100, 'k-nearest expands until k stores are found');
+
+  const box = [[40.60, -74.05], [40.60, -73.90], [40.75, -73.90], [40.75, -74.05]];
+  const inBox = db.storeIndex.withinPolygon(box);
+  assert(inBox.length > 0 && inBox.every(s => s.lat >= 40.60 && s.lat <= 40.75 && s.lng >= -74.05 && s.lng <= -73.90),
+    `Polygon query returns only stores inside (${inBox.length})`);
+
+  // Incremental add
+  const added = db.addStore({
+    storeId: 'TST_IDX01', retailer: 'homedepot', name: 'Home Depot Test Spot', address: '1 Test Ave',
+    lat: 40.7001, lng: -73.9901, city: 'Brooklyn', state: 'NY',
+  });
+  assert(db.storeIndex.nearest(40.7001, -73.9901, 1)[0]?.storeId === 'TST_IDX01', 'Added store is indexed immediately');
+  assert(added.brand === 'Home Depot' && db.STORE_CHAINS.homedepot.stores.some(s => s.storeId === 'TST_IDX01'), 'Added store joins its chain');
+
+  let res = await request('GET', '/stores/nearest?lat=40.7001&lng=-73.9901&k=3');
+  assert(res.status === 200 && res.data.stores.length === 3 && res.data.stores[0].storeId === 'TST_IDX01', 'GET /stores/nearest');
+
+  res = await request('POST', '/stores/within', { polygon: box.map(([lat, lng]) => ({ lat, lng })), ...here });
+  assert(res.status === 200 && res.data.count === inBox.length + 1, 'POST /stores/within includes the new store');
+  assert(res.data.stores.every((s, i) => i === 0 || res.data.stores[i - 1].distance <= s.distance), 'Polygon results sorted by distance from origin');
+
+  res = await request('POST', '/stores/within', { polygon: [[40, -74], [41, -73]] });
+  assert(res.status === 400, 'Degenerate polygon rejected');
+
+  db.storeIndex.remove('TST_IDX01');
+  assert(!db.storeIndex.nearest(40.7001, -73.9901, 1).some(s => s.storeId === 'TST_IDX01'), 'Removed store leaves the index');
+  db.storeIndex.add(added);
+}
+
+async function testRouting() {
+  console.log('\n🚶 Travel-Time Routing');
+  const routing = require('../backend/services/routing');
+  const here = { lat: 40.6892, lng: -73.9857 };
+
+  // Speed matrix (default model)
+  let res = await request('GET', `/stores/nearby?lat=${here.lat}&lng=${here.lng}&mode=walking&maxMinutes=30`);
+  assert(res.status === 200 && res.data.stores.length > 0, `Stores within a 30 min walk: ${res.data.count}`);
+  assert(res.data.stores.every((s, i) => s.travelMinutes <= 30 && (i === 0 || res.data.stores[i - 1].travelMinutes <= s.travelMinutes)),
+    'Nearby stores filtered + sorted by walking minutes');
+  const walkStore = res.data.stores[0];
+  res = await request('GET', `/stores/nearby?lat=${here.lat}&lng=${here.lng}&mode=driving&radius=5`);
+  const driveStore = res.data.stores.find(s => s.storeId === walkStore.storeId);
+  assert(driveStore && driveStore.travelMinutes < walkStore.travelMinutes, 'Driving beats walking for the same store');
+
+  res = await request('GET', '/stores/nearby?mode=teleport');
+  assert(res.status === 400, 'Unknown travel mode rejected');
+
+  res = await request('POST', '/search', { query: 'drill', ...here, travelMode: 'transit', maxMinutes: 25, sortBy: 'time', limit: 100 });
+  assert(res.status === 200 && res.data.results.length > 0, 'Search by transit time returns results');
+  assert(res.data.results.every((r, i) => r.nearestStore.travelMinutes <= 25 &&
+    (i === 0 || res.data.results[i - 1].nearestStore.travelMinutes <= r.nearestStore.travelMinutes)), 'Search filtered + sorted by travel minutes');
+  assert(res.data.facets.travelTime?.length > 0, 'Travel-time facet bands returned');
+
+  // Road graph: two streets split by a river, joined by one bridge to the north
+  const nodes = [];
+  const ways = [];
+  for (const [side, lng] of [['w', -74.000], ['e', -73.990]]) {
+    const ids = [];
+    for (let i = 0; i <= 15; i++) {
+      nodes.push(`<node id="${side}${i}" lat="${(40.690 + i * 0.002).toFixed(3)}" lon="${lng}"/>`);
+      ids.push(`${side}${i}`);
+    }
+    ways.push(`<way id="${side}st">${ids.map(id => `<nd ref="${id}"/>`).join('')}<tag k="highway" v="residential"/></way>`);
+  }
+  ways.push('<way id="bridge"><nd ref="w15"/><nd ref="e15"/><tag k="highway" v="primary"/></way>');
+  const file = require('path').join(require('os').tmpdir(), `rr-test-graph-${process.pid}.osm`);
+  require('fs').writeFileSync(file, `<?xml version="1.0"?><osm>${nodes.join('')}${ways.join('')}</osm>`);
+
+  const graph = routing.loadGraph(file);
+  require('fs').unlinkSync(file);
+  assert(graph.name === 'graph' && graph.stats.nodes === 32, 'OSM extract loaded as road graph');
+
+  const origin = { lat: 40.700, lng: -74.000 };
+  const acrossRiver = { lat: 40.700, lng: -73.990 };   // ~0.5 mi straight line
+  const sameBank = { lat: 40.708, lng: -74.000 };      // ~0.55 mi straight line
+  const [across, same] = graph.travelTimes(origin, [acrossRiver, sameBank], 'walking');
+  const matrix = routing.createMatrixModel().travelTimes(origin, [acrossRiver, sameBank], 'walking');
+  assert(Math.abs(matrix[0] - matrix[1]) < 3, 'Speed matrix treats both stores alike');
+  assert(across > 2 * same, `Graph routes around the river (${across} vs ${same} min)`);
+  assert(graph.travelTimes(origin, [acrossRiver], 'walking', 20)[0] === null, 'Unreachable within maxMinutes → null');
+
+  routing.useModel(routing.createMatrixModel());
+}
+
+async function testStoreHours() {
+  console.log('\n🕘 Store Hours');
+  const hours = require('../backend/utils/hours');
+  const here = { lat: 40.6892, lng: -73.9857 };
+
+  const weekly = hours.parseHours('Mon-Fri 7am-9pm, Sat 8am-8pm, Sun closed');
+  assert(weekly[1][0][0] === 420 && weekly[6][0][1] === 1200 && weekly[0].length === 0, 'Parses per-day hours + closed days');
+  assert(hours.parseHours('10pm-2am')[3][0][1] === 1560, 'Overnight range runs past midnight');
+  assert(hours.parseHours('whenever') === null, 'Unreadable hours → null');
+
+  const overnight = hours.buildSchedule({ hours: '10pm-2am', state: 'TX' });
+  const lateNight = hours.statusAt(overnight, new Date('2026-10-18T06:30:00Z'));   // 1:30 AM Central
+  assert(lateNight.open === true && lateNight.closesInMinutes === 30, 'Open after midnight on an overnight schedule');
+
+  const noonNY = '2026-10-14T16:00:00Z';   // Wednesday 12:00 PM Eastern
+  const threeAmNY = '2026-10-14T07:00:00Z';
+  let res = await request('GET', `/stores/nearby?lat=${here.lat}&lng=${here.lng}&openAt=${noonNY}`);
+  assert(res.status === 200 && res.data.count > 0 && res.data.stores.every(s => s.isOpen && s.closesInMinutes === 600),
+    'openAt noon: stores open, closing in 600 min');
+  res = await request('GET', `/stores/nearby?lat=${here.lat}&lng=${here.lng}&openAt=${threeAmNY}`);
+  assert(res.data.count === 0, 'openAt 3 AM: nothing open');
+  res = await request('GET', `/stores/nearby?lat=${here.lat}&lng=${here.lng}&openAt=2026-11-26T17:00:00Z`);
+  assert(res.data.count === 0, 'Closed on Thanksgiving (holiday exception)');
+  res = await request('GET', '/stores/nearby?openAt=yesterday');
+  assert(res.status === 400, 'Invalid openAt rejected');
+
+  res = await request('POST', '/search', { query: 'drill', ...here, openAt: noonNY });
+  assert(res.data.results.length > 0 && res.data.results[0].nearestStore.closesInMinutes === 600, 'Search results carry closesInMinutes');
+  res = await request('POST', '/search', { query: 'drill', ...here, openAt: threeAmNY });
+  assert(res.status === 200 && res.data.results.length === 0, 'Search openAt 3 AM returns nothing');
+  res = await request('POST', '/search', { query: 'drill', ...here, openNow: true });
+  assert(res.status === 200 && res.data.results.every(r => r.nearestStore.isOpen), 'Search openNow keeps only open stores');
+
+  res = await request('GET', `/stores/${testStoreId}`);
+  assert(res.data.store.schedule?.timezone === 'America/New_York' && typeof res.data.store.isOpen === 'boolean',
+    'Store details include structured schedule + open status');
+}
+
 async function testInventory() {
   console.log('\n📦 Inventory');
   let res = await request('POST', '/inventory', {
@@ -113,6 +265,222 @@ async function testInventory() {
   assert(res.status === 200 && res.data.totalProducts > 0, 'Inventory stats');
 }
 
+async function testPriceHistory() {
+  console.log('\n📈 Price History');
+  let res = await request('POST', '/inventory', {
+    storeId: testStoreId, productSku: 'TST-PH-001', productName: 'History Widget',
+    category: 'hardware', price: 20, quantity: 10
+  }, storeOwnerToken);
+  const itemId = res.data.item.id;
+
+  await request('PUT', `/inventory/${itemId}`, { price: 24 }, storeOwnerToken);
+  await request('PUT', `/inventory/${itemId}`, { price: 15 }, storeOwnerToken);
+  await request('PUT', `/inventory/${itemId}`, { price: 15, quantity: 0 }, storeOwnerToken);
+  await request('PUT', `/inventory/${itemId}`, { productName: 'History Widget Pro' }, storeOwnerToken);
+
+  // The owner hasn't claimed the store yet; admins see any store's log
+  res = await request('GET', `/inventory/${itemId}/history`, null, storeOwnerToken);
+  assert(res.status === 403, "Store owner denied an unclaimed store's item history");
+  const { generateToken } = require('../backend/middleware/auth');
+  const admin = generateToken({ id: 'test-admin', email: 'admin@test.com', role: 'admin', name: 'Test Admin' });
+  res = await request('GET', `/inventory/${itemId}/history`, null, admin);
+  assert(res.status === 200 && res.data.history.length === 4, 'Every price/stock change logged, no-op edits skipped');
+  assert(res.data.history.map(h => h.changeType).join() === 'initial,price,price,stock', 'Change types recorded in order');
+  assert(res.data.history[2].previousPrice === 24 && res.data.history[2].source === 'manual', 'Previous price + source kept');
+  assert(res.data.stats.min === 15 && res.data.stats.max === 24 && res.data.stats.allTimeLow, 'Stats track low/high');
+  assert(res.data.stats.isDeal && res.data.stats.percentBelowAverage > 10, 'Price well below average flagged as deal');
+
+  res = await request('GET', `/inventory/${itemId}/history`, null, customerToken);
+  assert(res.status === 403, 'Customer denied item history');
+
+  res = await request('GET', '/search/price-history?sku=TST-PH-001');
+  assert(res.status === 200 && res.data.stores.length === 1 && res.data.stores[0].series.length === 4, 'SKU history returns per-store series');
+  assert(res.data.daily.length === 1 && res.data.daily[0].low === 15 && res.data.daily[0].high === 24, 'Daily low/high series');
+
+  // Seeded item changed through the dashboard bulk update
+  const db = require('../backend/models/database');
+  const seeded = db.inventory.find(i => i.source === 'seed' && i.storeId !== testStoreId);
+  const seedPrice = seeded.price;
+  await request('POST', `/dashboard/inventory/${seeded.storeId}/bulk-update`, {
+    updates: [{ itemId: seeded.id, price: parseFloat((seedPrice * 0.5).toFixed(2)) }]
+  }, storeOwnerToken);
+  res = await request('GET', `/search/price-history?sku=${seeded.productSku}&storeId=${seeded.storeId}`);
+  const series = res.data.stores.find(s => s.inventoryId === seeded.id).series;
+  assert(series.length === 1 && series[0].source === 'bulk' && res.data.stats.max === seedPrice, 'Bulk update logged against seed price');
+  assert(res.data.stats.isDeal, 'Half-price seeded item is a deal');
+  await request('POST', `/dashboard/inventory/${seeded.storeId}/bulk-update`, {
+    updates: [{ itemId: seeded.id, price: seedPrice }]
+  }, storeOwnerToken);
+
+  res = await request('GET', '/search/price-history');
+  assert(res.status === 400, 'SKU required');
+  res = await request('GET', '/search/price-history?sku=TST-PH-001&days=0');
+  assert(res.status === 400, 'Invalid days rejected');
+  res = await request('GET', '/search/price-history?sku=NO-SUCH-SKU');
+  assert(res.status === 404, 'Unknown SKU 404');
+}
+
+async function testSearchIndex() {
+  console.log('\n🗂️ Search Index');
+  const { stem, tokenize } = require('../backend/utils/text');
+  const searchIndex = require('../backend/services/search-index');
+
+  assert(stem('batteries') === 'battery' && stem('drills') === 'drill', 'Stemmer folds plurals');
+  assert(tokenize('Extension Cords for the Garage').join(' ') === 'extension cord garag', 'Tokenizer drops stopwords + stems');
+
+  const stats = searchIndex.stats();
+  assert(stats.documents > 0 && stats.terms > 0, `Index built: ${stats.documents} products, ${stats.terms} terms`);
+
+  const drills = searchIndex.search('drills');
+  assert(drills.length > 0 && /drill/i.test(drills[0].doc.name), 'Plural query matches singular product name');
+  assert(drills.every((r, i) => i === 0 || drills[i - 1].score >= r.score), 'Results sorted by BM25 score');
+
+  const prefix = searchIndex.search('hamm');
+  assert(prefix.some(r => /hammer/i.test(r.doc.name)), 'Prefix "hamm" matches hammer');
+  assert(searchIndex.getInventory(drills[0].sku).length > 0, 'SKU → inventory rows lookup');
+
+  // Live updates from /api/inventory
+  const store = (await request('GET', `/stores/${testStoreId}`)).data.store;
+  const add = await request('POST', '/inventory', {
+    storeId: testStoreId, productSku: 'TST-IDX-001', productName: 'Zyzzogeton Sprocket',
+    category: 'hardware', price: 12.5, quantity: 4
+  }, storeOwnerToken);
+  assert(add.status === 201, 'Add custom inventory item');
+
+  let res = await request('POST', '/search', { query: 'zyzzogeton', lat: store.lat, lng: store.lng, radius: 5 });
+  assert(res.status === 200 && res.data.results.some(r => r.product.sku === 'TST-IDX-001'), 'New inventory item is searchable');
+
+  await request('PUT', `/inventory/${add.data.item.id}`, { productName: 'Quillback Sprocket' }, storeOwnerToken);
+  res = await request('POST', '/search', { query: 'quillback', lat: store.lat, lng: store.lng, radius: 5 });
+  assert(res.data.results.some(r => r.product.sku === 'TST-IDX-001'), 'Renamed item re-indexed');
+
+  await request('DELETE', `/inventory/${add.data.item.id}`, null, storeOwnerToken);
+  res = await request('POST', '/search', { query: 'quillback', lat: store.lat, lng: store.lng, radius: 5 });
+  assert(res.data.results.length === 0, 'Deleted item removed from index');
+  assert(searchIndex.getDocument('TST-IDX-001') === null, 'Inventory-only document dropped with last row');
+}
+
+async function testQueryUnderstanding() {
+  console.log('\n🔤 Query Understanding');
+  const store = (await request('GET', `/stores/${testStoreId}`)).data.store;
+  const near = { lat: store.lat, lng: store.lng, radius: 25 };
+
+  let res = await request('POST', '/search', { query: 'extention cord', ...near });
+  assert(res.data.didYouMean === 'extension cord', 'Typo corrected: "extention cord" → did you mean "extension cord"');
+  assert(res.data.results.some(r => /extension cord/i.test(r.product.name)), 'Corrected query returns extension cords');
+
+  const singular = await request('POST', '/search', { query: 'AA battery', ...near });
+  const plural = await request('POST', '/search', { query: 'AA batteries', ...near });
+  assert(singular.data.results.length > 0 && singular.data.results[0].product.sku === plural.data.results[0]?.product.sku,
+    '"AA battery" and "AA batteries" find the same top product');
+  assert(singular.data.didYouMean === null, 'No did-you-mean for a correctly spelled query');
+
+  res = await request('POST', '/search', { query: 'lightbulb', ...near });
+  assert(res.data.results.some(r => /bulb/i.test(r.product.name)), 'Compound "lightbulb" matches light bulbs');
+
+  res = await request('POST', '/search', { query: 'torch', ...near });
+  assert(res.data.results.some(r => /flashlight/i.test(r.product.name)), 'Synonym "torch" finds flashlights');
+  assert(res.data.queryUnderstanding.synonyms.some(s => s.expandedTo.includes('flashlight')), 'Synonym expansion reported');
+
+  // Admin synonym management
+  const { generateToken } = require('../backend/middleware/auth');
+  adminToken = generateToken({ id: 'test-admin', email: 'admin@test.com', role: 'admin', name: 'Test Admin' });
+
+  res = await request('GET', '/search/synonyms', null, customerToken);
+  assert(res.status === 403, 'Customer denied synonym admin');
+
+  res = await request('GET', '/search/synonyms', null, adminToken);
+  assert(res.status === 200 && res.data.total > 0, `Default synonym groups seeded: ${res.data.total}`);
+
+  res = await request('POST', '/search/synonyms', { terms: ['Zorbly'] }, adminToken);
+  assert(res.status === 400, 'Synonym group needs 2+ terms');
+
+  res = await request('POST', '/search', { query: 'mallet', ...near });
+  assert(!res.data.results.some(r => /hammer/i.test(r.product.name)), 'Before synonym: "mallet" does not find hammers');
+
+  res = await request('POST', '/search/synonyms', { terms: ['Mallet', 'hammer'] }, adminToken);
+  assert(res.status === 201 && res.data.synonym.terms[0] === 'mallet', 'Admin adds synonym group');
+  const groupId = res.data.synonym.id;
+
+  res = await request('POST', '/search', { query: 'mallet', ...near });
+  assert(res.data.results.some(r => /hammer/i.test(r.product.name)), 'New synonym applies immediately');
+
+  res = await request('PUT', `/search/synonyms/${groupId}`, { terms: ['mallet', 'sledge'] }, adminToken);
+  assert(res.status === 200 && res.data.synonym.terms.includes('sledge'), 'Admin edits synonym group');
+
+  res = await request('DELETE', `/search/synonyms/${groupId}`, null, adminToken);
+  assert(res.status === 200, 'Admin deletes synonym group');
+  res = await request('DELETE', `/search/synonyms/${groupId}`, null, adminToken);
+  assert(res.status === 404, 'Deleted group is gone');
+}
+
+async function testSearchFacets() {
+  console.log('\n🧮 Search Facets');
+  const base = { query: 'drill', lat: 40.6892, lng: -73.9857, radius: 10, limit: 100 };
+
+  let res = await request('POST', '/search', base);
+  const { facets } = res.data;
+  assert(facets && Array.isArray(facets.categories) && facets.categories.length > 0, 'Facets include categories');
+  assert(facets.brands.length > 0 && facets.retailers.length > 0, 'Facets include brands and retailers');
+  assert(facets.price.length > 0 && facets.price[0].min === 0, 'Facets include price buckets');
+  assert(facets.distance.some(b => b.maxMiles === 10), 'Facets include distance bands');
+  const total = res.data.pagination.totalResults;
+  assert(facets.categories.reduce((sum, c) => sum + c.count, 0) === total, 'Category counts add up to total results');
+  assert(facets.distance.find(b => b.maxMiles === 10).count === total, 'Distance band at current radius matches total');
+
+  const topRetailer = facets.retailers[0];
+  res = await request('POST', '/search', { ...base, retailer: topRetailer.value });
+  assert(res.data.pagination.totalResults === topRetailer.count, `Retailer facet count matches filtered results (${topRetailer.value}: ${topRetailer.count})`);
+  assert(res.data.facets.retailers.length === facets.retailers.length, 'Retailer facet ignores its own filter');
+  assert(res.data.facets.categories.reduce((sum, c) => sum + c.count, 0) === topRetailer.count, 'Other facets respect the retailer filter');
+
+  const bucket = facets.price.find(b => b.count > 0 && b.max !== null);
+  res = await request('POST', '/search', { ...base, priceBucket: bucket.min });
+  assert(res.data.pagination.totalResults === bucket.count, `Price bucket count matches filtered results (${bucket.label})`);
+  res = await request('POST', '/search', { ...base, priceBucket: 12 });
+  assert(res.status === 400, 'Unknown price bucket rejected');
+
+  // Buckets are half-open: a price on an edge counts in the upper bucket only
+  const searchFacets = require('../backend/services/search-facets');
+  const edge = { product: { category: 'tools' }, rows: [{ inv: { price: 25 }, store: { distance: 1 }, retailerKey: 'x' }] };
+  const counted = searchFacets.compute([edge], {}).price.filter(b => b.count > 0);
+  assert(counted.length === 1 && counted[0].min === 25 && counted[0].label === '$25 - $49.99', 'Edge price counted in one bucket');
+  assert(searchFacets.matchingRows(edge, { priceBucket: searchFacets.priceBucket(10) }) === null, 'Bucket filter excludes its upper edge');
+  assert(searchFacets.priceBucket(0).label === 'Under $10' && searchFacets.priceBucket(500).label === '$500+', 'Bucket labels do not overlap');
+
+  const topBrand = facets.brands[0];
+  res = await request('POST', '/search', { ...base, brand: topBrand.value });
+  assert(res.data.pagination.totalResults === topBrand.count && res.data.results.every(r => r.product.brand === topBrand.value),
+    'Brand filter matches brand facet count');
+}
+
+async function testBasketOptimizer() {
+  console.log('\n🧺 Basket Optimizer');
+  const loc = { lat: 40.6892, lng: -73.9857, radius: 10 };
+
+  let res = await request('POST', '/search/basket', { items: ['drill', 'work gloves', 'duct tape'], ...loc });
+  assert(res.status === 200 && res.data.plans.length > 0, 'Basket returns plans');
+  assert(res.data.items.every(i => i.matches.length > 0), 'Every list entry resolved to products');
+  const types = new Set(res.data.plans.map(p => p.type));
+  assert(types.has('single_store') && types.has('cheapest'), 'Single-store and cheapest plans offered');
+  const cheapest = res.data.plans.find(p => p.type === 'cheapest');
+  assert(res.data.plans.every(p => p.missing.length > cheapest.missing.length || p.totalPrice >= cheapest.totalPrice),
+    'Cheapest plan is never beaten on price at equal coverage');
+  const top = res.data.plans[0];
+  assert(top.rank === 1 && top.totalDistance > 0 && top.deliveryEstimate, 'Plans include distance + delivery estimate');
+  assert(top.items.reduce((s, l) => s + l.lineTotal, 0).toFixed(2) === top.totalPrice.toFixed(2), 'Plan total = sum of lines');
+  assert(res.data.plans.filter(p => p.type === 'single_store').every(p => p.stops === 1), 'Single-store plans make one stop');
+
+  res = await request('POST', '/search/basket', { items: [{ sku: 'RR-FS-005', quantity: 2 }, 'zzqqxx'], ...loc });
+  assert(res.status === 200 && res.data.unresolved.includes('zzqqxx'), 'Unknown entry reported as unresolved');
+  const line = res.data.plans[0].items.find(l => l.sku === 'RR-FS-005');
+  assert(line && line.quantity === 2 && line.lineTotal === parseFloat((line.unitPrice * 2).toFixed(2)), 'SKU entry honours quantity');
+  assert(res.data.plans[0].missing.some(m => m.input === 'zzqqxx'), 'Missing items listed on plans');
+
+  res = await request('POST', '/search/basket', { items: [] });
+  assert(res.status === 400, 'Empty basket rejected');
+}
+
 async function testOrders() {
   console.log('\n🛒 Orders');
   const db = require('../backend/models/database');
@@ -136,6 +504,791 @@ async function testOrders() {
   }
 }
 
+async function testOrderLifecycle() {
+  console.log('\n🔁 Order Lifecycle');
+  const db = require('../backend/models/database');
+  const storeA = db.inventory.find(i => i.storeId === testStoreId && i.quantity > 2);
+  const storeB = db.inventory.find(i => i.storeId !== testStoreId && i.quantity > 2 && i.inStock);
+
+  let res = await request('POST', '/orders', {
+    items: [{ inventoryId: storeA.id, quantity: 1 }, { inventoryId: storeB.id, quantity: 2 }],
+    fulfillment: 'pickup',
+  }, customerToken);
+  const order = res.data.order;
+  assert(res.status === 201 && order.subOrders.length === 2, 'Two-store order split into two sub-orders');
+  const subA = order.subOrders.find(s => s.storeId === testStoreId);
+  const subB = order.subOrders.find(s => s.storeId === storeB.storeId);
+  assert(subA.items.length === 1 && subB.items[0].quantity === 2 && subA.statusHistory.length === 1, 'Each sub-order has its own items and history');
+  assert(Math.abs(subA.total + subB.total - order.total) < 0.011, 'Sub-order totals add up to the order total');
+
+  res = await request('PUT', `/orders/${order.id}/status`, { status: 'confirmed' }, adminToken);
+  assert(res.status === 409 && res.data.subOrderIds.length === 2, 'Multi-store parent must be updated per sub-order');
+
+  res = await request('PUT', `/orders/${subA.id}/status`, { status: 'confirmed' }, customerToken);
+  assert(res.status === 403, 'Customer cannot confirm');
+  res = await request('PUT', `/orders/${subB.id}/status`, { status: 'confirmed' }, storeOwnerToken);
+  assert(res.status === 403, 'Store owner cannot touch an unclaimed store\'s order');
+  res = await request('PUT', `/orders/${subA.id}/status`, { status: 'confirmed' }, storeOwnerToken);
+  assert(res.status === 200 && res.data.order.statusHistory.at(-1).actor === 'store_owner', 'Store owner confirms own store sub-order');
+  res = await request('PUT', `/orders/${subA.id}/status`, { status: 'out_for_delivery' }, storeOwnerToken);
+  assert(res.status === 409, 'Delivery step rejected on pickup order');
+  for (const status of ['preparing', 'ready', 'picked_up']) {
+    res = await request('PUT', `/orders/${subA.id}/status`, { status }, storeOwnerToken);
+  }
+  assert(res.status === 200 && res.data.parentStatus === 'pending', 'Parent waits on the slowest sub-order');
+
+  const stockBefore = storeB.quantity;
+  res = await request('POST', `/orders/${order.id}/cancel`, null, customerToken);
+  assert(res.status === 200 && res.data.order.subOrders.find(s => s.id === subB.id).status === 'cancelled', 'Customer cancels the pending store');
+  assert(res.data.order.status === 'picked_up', 'Parent rolls up from the remaining sub-order');
+  assert(storeB.quantity === stockBefore && db.reservation.available(storeB) === stockBefore, 'Cancelled sub-order releases its hold');
+
+  res = await request('GET', '/orders', null, customerToken);
+  assert(res.data.orders.every(o => !o.parentOrderId), 'Customer list shows parent orders only');
+}
+
+async function testReservations() {
+  console.log('\n🔒 Inventory Reservations');
+  const db = require('../backend/models/database');
+  const item = db.inventory.find(i => i.storeId === testStoreId && i.inStock && i.quantity > 5 && !db.reservation.held(i.id));
+  const onHand = item.quantity;
+  const paymentEvent = (type, orderId) => webhook(type, { id: 'evt_obj', customer: 'cus_order', metadata: { orderId } });
+  const place = async quantity => (await request('POST', '/orders', { items: [{ inventoryId: item.id, quantity }], fulfillment: 'pickup' }, customerToken)).data.order;
+
+  let order = await place(2);
+  assert(order.items[0].reservationId && order.holdExpiresAt, 'Checkout places a hold with an expiry');
+  assert(item.quantity === onHand && db.reservation.available(item) === onHand - 2, 'Hold lowers available-to-sell, not on-hand');
+
+  let res = await request('GET', `/dashboard/inventory/${testStoreId}?limit=500`, null, storeOwnerToken);
+  const row = res.data.items.find(i => i.id === item.id);
+  assert(row.quantity === onHand && row.heldQuantity === 2 && row.availableQuantity === onHand - 2, 'Dashboard shows on-hand, held and available');
+  res = await request('GET', `/stores/${testStoreId}/inventory?limit=500`);
+  assert(res.data.inventory.find(i => i.id === item.id).availableQuantity === onHand - 2, 'Store inventory shows available-to-sell');
+
+  res = await request('POST', '/orders', { items: [{ inventoryId: item.id, quantity: onHand - 1 }], fulfillment: 'pickup' }, customerToken);
+  assert(res.status === 400, 'Held units cannot be sold twice');
+
+  await paymentEvent('checkout.session.completed', order.id);
+  assert(item.quantity === onHand - 2 && db.reservation.held(item.id) === 0, 'Payment success commits the hold');
+  assert(db.orders.find(o => o.id === order.id).paymentStatus === 'paid', 'Order marked paid');
+
+  order = await place(1);
+  await paymentEvent('invoice.payment_failed', order.id);
+  let parent = db.orders.find(o => o.id === order.id);
+  assert(parent.status === 'cancelled' && parent.paymentStatus === 'failed', 'Failed payment cancels the order');
+  assert(item.quantity === onHand - 2 && db.reservation.available(item) === onHand - 2, 'Failed payment releases the hold');
+
+  order = await place(1);
+  await paymentEvent('checkout.session.expired', order.id);
+  assert(db.orders.find(o => o.id === order.id).paymentStatus === 'expired' && db.reservation.held(item.id) === 0, 'Expired session releases the hold');
+
+  order = await place(1);
+  const expired = db.reservation.sweep(new Date(Date.now() + 16 * 60000));
+  parent = db.orders.find(o => o.id === order.id);
+  assert(expired.some(h => h.orderId === order.subOrders[0].id) && parent.status === 'cancelled', 'Expired hold is released and the order cancelled');
+  assert(item.quantity === onHand - 2 && db.reservation.available(item) === onHand - 2, 'Expiry leaves on-hand untouched');
+  assert(db.orders.find(o => o.id === order.subOrders[0].id).statusHistory.at(-1).note === 'Reservation expired', 'Expiry noted on the sub-order');
+
+  order = await place(1);
+  res = await request('PUT', `/orders/${order.id}/status`, { status: 'confirmed' }, storeOwnerToken);
+  assert(res.status === 200 && item.quantity === onHand - 3 && db.reservation.held(item.id) === 0, 'Store confirmation commits the hold');
+  await request('POST', `/orders/${order.id}/cancel`, null, customerToken);
+  assert(item.quantity === onHand - 2, 'Cancelling after commit restocks');
+}
+
+async function testPayouts() {
+  console.log('\n🏦 Store Payouts');
+  const db = require('../backend/models/database');
+  const { storePlanFor } = require('../backend/routes/monetization-b2b');
+  const stripeMock = require('../backend/services/stripe')._mock;
+  const item = db.inventory.find(i => i.storeId === testStoreId && i.inStock && i.quantity > 5 && !db.reservation.held(i.id));
+
+  let res = await request('POST', '/orders', { items: [{ inventoryId: item.id, quantity: 2 }], fulfillment: 'pickup' }, customerToken);
+  const order = res.data.order;
+  const sub = order.subOrders[0];
+  const paid = { id: 'pi_payout_test', object: 'payment_intent', amount: Math.round(order.total * 100), metadata: { orderId: order.id } };
+  await webhook('payment_intent.succeeded', paid);
+  for (const status of ['confirmed', 'preparing', 'ready', 'picked_up']) {
+    await request('PUT', `/dashboard/orders/${testStoreId}/${sub.id}/status`, { status }, storeOwnerToken);
+  }
+
+  res = await request('GET', `/dashboard/payouts/${testStoreId}`, null, storeOwnerToken);
+  assert(res.status === 200, 'GET payouts returns 200');
+  const entry = res.data.entries.find(e => e.orderId === sub.id);
+  const plan = storePlanFor(testStoreId);
+  assert(entry && entry.type === 'sale' && entry.gross === sub.total, 'Fulfilled paid sub-order recorded at gross');
+  assert(entry.commissionRate === plan.commission && entry.commission === parseFloat((sub.subtotal * plan.commission).toFixed(2)), `Commission at the ${plan.id} plan rate`);
+  assert(entry.net === parseFloat((entry.gross - entry.commission).toFixed(2)), 'Net owed = gross - commission');
+  assert(res.data.entries.every(e => db.orders.find(o => o.id === e.parentOrderId)?.paymentStatus === 'paid'), 'Unpaid orders earn no payout entries');
+
+  await webhook('payment_intent.succeeded', paid);
+  assert(db.payoutEntries.filter(e => e.orderId === sub.id).length === 1, 'Redelivered payment event does not double-count');
+
+  const batch = res.data.batches.find(b => b.id === entry.batchId);
+  const { periodStart, periodEnd } = db.payouts.weekOf(new Date());
+  assert(batch.status === 'open' && batch.periodStart === periodStart && batch.periodEnd === periodEnd, 'Entry lands in this week\'s open batch');
+  assert(res.data.balance.pending === batch.net, 'Pending balance is the unsettled net');
+
+  res = await request('GET', `/dashboard/payouts/${testStoreId}/batches/${batch.id}`, null, storeOwnerToken);
+  assert(res.status === 200 && res.data.entries.some(e => e.id === entry.id), 'Batch detail lists its entries');
+  res = await request('GET', '/dashboard/payouts/WAL_NY01', null, storeOwnerToken);
+  assert(res.status === 403, 'Payouts of an unclaimed store are private');
+
+  res = await request('POST', '/dashboard/payouts/settle', {}, adminToken);
+  assert(res.status === 200 && db.payoutBatches.find(b => b.id === batch.id).status === 'open', 'Current week is not settled early');
+  const nextWeek = new Date(Date.parse(periodEnd) + 3600000);
+  await db.payouts.settle(nextWeek, { storeId: testStoreId });
+  assert(db.payoutBatches.find(b => b.id === batch.id).status === 'awaiting_account', 'No payout account: batch waits');
+
+  res = await request('POST', `/dashboard/payouts/${testStoreId}/account`, {}, storeOwnerToken);
+  assert(res.status === 200 && res.data.account.stripeAccountId.startsWith('acct_') && res.data.account.payoutsEnabled, 'Connected account created');
+  await db.payouts.settle(nextWeek, { storeId: testStoreId });
+  const settled = db.payoutBatches.find(b => b.id === batch.id);
+  const transfer = stripeMock.mockTransfers[settled.transferId];
+  assert(settled.status === 'paid' && settled.paidAt, 'Batch paid once the account exists');
+  assert(transfer && transfer.amount === Math.round(settled.net * 100) && transfer.destination === res.data.account.stripeAccountId, 'Transfer of the net to the connected account');
+
+  res = await request('GET', `/dashboard/payouts/${testStoreId}`, null, storeOwnerToken);
+  assert(res.data.balance.paid >= settled.net && res.data.account.payoutsEnabled, 'Paid balance reflects the transfer');
+}
+
+async function testReturns() {
+  console.log('\n↩️  Returns & Refunds');
+  const db = require('../backend/models/database');
+  const stripeMock = require('../backend/services/stripe')._mock;
+  const item = db.inventory.find(i => i.storeId === testStoreId && i.inStock && i.quantity > 5 && !db.reservation.held(i.id));
+
+  let res = await request('POST', '/orders', { items: [{ inventoryId: item.id, quantity: 3 }], fulfillment: 'pickup' }, customerToken);
+  const order = res.data.order;
+  const sub = order.subOrders[0];
+  res = await request('POST', `/payments/orders/${order.id}/checkout`, { method: 'payment_intent' }, customerToken);
+  const intentId = res.data.paymentIntentId;
+  await webhook('payment_intent.succeeded', { id: intentId, object: 'payment_intent', amount: Math.round(order.total * 100), metadata: { orderId: order.id } });
+  const walk = status => request('PUT', `/dashboard/orders/${testStoreId}/${sub.id}/status`, { status }, storeOwnerToken);
+  await walk('confirmed');
+
+  res = await request('POST', `/orders/${order.id}/returns`, { items: [{ inventoryId: item.id, quantity: 1 }] }, customerToken);
+  assert(res.status === 400, 'Unfulfilled orders cannot be returned');
+  for (const status of ['preparing', 'ready', 'picked_up']) await walk(status);
+  const paidBatch = db.payoutEntries.find(e => e.orderId === sub.id && e.type === 'sale').batchId;
+  await db.payouts.settle(new Date(Date.now() + 8 * 86400000), { storeId: testStoreId });
+  assert(db.payoutBatches.find(b => b.id === paidBatch).status === 'paid', 'Sale paid out before the return');
+
+  res = await request('POST', `/orders/${order.id}/returns`, { items: [{ inventoryId: item.id, quantity: 2 }], reason: 'Changed my mind' }, customerToken);
+  assert(res.status === 201 && res.data.returns.length === 1, 'Customer requests a partial return');
+  const ret = res.data.returns[0];
+  const expectedTax = parseFloat((sub.items[0].tax * 2 / 3).toFixed(2));
+  assert(ret.subtotal === parseFloat((item.price * 2).toFixed(2)) && ret.tax === expectedTax && ret.refundAmount === parseFloat((ret.subtotal + ret.tax).toFixed(2)), 'Refund covers the lines and their tax');
+  res = await request('GET', '/notifications', null, storeOwnerToken);
+  assert(res.data.notifications.some(n => n.type === 'return_requested'), 'Store owner notified of the request');
+
+  res = await request('POST', `/orders/${order.id}/returns`, { items: [{ inventoryId: item.id, quantity: 2 }] }, customerToken);
+  assert(res.status === 400, 'Cannot return more than was bought');
+  res = await request('POST', `/orders/${order.id}/returns`, { items: [{ inventoryId: 'nope', quantity: 1 }] }, customerToken);
+  assert(res.status === 400, 'Unknown line rejected');
+
+  res = await request('GET', `/dashboard/returns/${testStoreId}?status=requested`, null, storeOwnerToken);
+  assert(res.status === 200 && res.data.returns.some(r => r.id === ret.id), 'Store sees pending returns');
+  res = await request('PUT', `/dashboard/returns/${testStoreId}/${ret.id}`, { decision: 'approve' }, customerToken);
+  assert(res.status === 403, 'Customer cannot approve a return');
+
+  const onHand = item.quantity;
+  res = await request('PUT', `/dashboard/returns/${testStoreId}/${ret.id}`, { decision: 'approve' }, storeOwnerToken);
+  assert(res.status === 200 && res.data.return.status === 'approved' && res.data.return.refundStatus === 'succeeded', 'Store approves the return');
+  assert(item.quantity === onHand + 2, 'Returned units restocked');
+  const refund = stripeMock.mockRefunds[res.data.return.stripeRefundId];
+  assert(refund && refund.amount === Math.round(ret.refundAmount * 100) && refund.payment_intent === intentId, 'Refund issued through Stripe');
+  const parent = db.orders.find(o => o.id === order.id);
+  assert(parent.paymentStatus === 'partially_refunded' && parent.amountRefunded === ret.refundAmount, 'Order marked partially refunded');
+  assert(parent.returnedSubtotal === ret.subtotal && db.orders.find(o => o.id === sub.id).returnedSubtotal === ret.subtotal, 'Returned value excluded from cashback and commission');
+
+  const reversal = db.payoutEntries.find(e => e.returnId === ret.id);
+  const sale = db.payoutEntries.find(e => e.orderId === sub.id && e.type === 'sale');
+  assert(reversal && reversal.type === 'refund' && reversal.commission === -parseFloat((ret.subtotal * sale.commissionRate).toFixed(2)), 'Commission on returned lines given back');
+  assert(reversal.batchId !== paidBatch && reversal.net < 0, 'Reversal lands in a new batch, not the paid one');
+  await db.payouts.settle(new Date(Date.now() + 8 * 86400000), { storeId: testStoreId });
+  const carried = db.payoutEntries.find(e => e.type === 'carry_forward' && e.fromBatchId === reversal.batchId);
+  assert(db.payoutBatches.find(b => b.id === reversal.batchId).status === 'closed' && carried && carried.net === reversal.net, 'Negative batch carried into next week');
+
+  res = await request('PUT', `/dashboard/returns/${testStoreId}/${ret.id}`, { decision: 'approve' }, storeOwnerToken);
+  assert(res.status === 409, 'Return cannot be decided twice');
+
+  res = await request('POST', `/orders/${sub.id}/returns`, { items: [{ inventoryId: item.id, quantity: 1 }] }, customerToken);
+  const second = res.data.returns[0];
+  res = await request('PUT', `/dashboard/returns/${testStoreId}/${second.id}`, { decision: 'reject', note: 'Opened packaging' }, storeOwnerToken);
+  assert(res.status === 200 && res.data.return.status === 'rejected' && item.quantity === onHand + 2, 'Rejected return leaves stock alone');
+  res = await request('GET', '/notifications', null, customerToken);
+  const types = res.data.notifications.map(n => n.type);
+  assert(['return_approved', 'refund_issued', 'return_rejected'].every(t => types.includes(t)), 'Customer notified at each step');
+  res = await request('POST', `/orders/${sub.id}/returns`, { items: [{ inventoryId: item.id, quantity: 1 }] }, customerToken);
+  assert(res.status === 201, 'Rejected units can be requested again');
+  const third = res.data.returns[0];
+
+  const intent = stripeMock.mockPaymentIntents[intentId];
+  delete stripeMock.mockPaymentIntents[intentId];
+  res = await request('PUT', `/dashboard/returns/${testStoreId}/${third.id}`, { decision: 'approve' }, storeOwnerToken);
+  assert(res.status === 502 && db.returns.find(r => r.id === third.id).status === 'requested', 'Failed refund leaves the return requested');
+  stripeMock.mockPaymentIntents[intentId] = intent;
+
+  const decisions = await Promise.all([1, 2].map(() =>
+    request('PUT', `/dashboard/returns/${testStoreId}/${third.id}`, { decision: 'approve' }, storeOwnerToken)));
+  assert(decisions.map(d => d.status).sort().join() === '200,409', 'Concurrent approvals: one wins, the other gets 409');
+  assert(Object.values(stripeMock.mockRefunds).filter(r => r.metadata.returnId === third.id).length === 1, 'Return refunded once');
+  res = await request('GET', `/orders/${order.id}/returns`, null, customerToken);
+  assert(res.status === 200 && res.data.returns.length === 3, 'Customer lists returns on the order');
+}
+
+async function testDispatch() {
+  console.log('\n🛵 Courier Dispatch');
+  const db = require('../backend/models/database');
+  const store = db.getAllStores().find(s => s.storeId === testStoreId);
+  const courier = async (email, name) => {
+    const r = await request('POST', '/couriers/accounts', { email, password: 'password123', name }, adminToken);
+    const login = await request('POST', '/auth/login', { email, password: 'password123' });
+    return { token: login.data.token, id: r.data.user.id };
+  };
+  let res = await request('POST', '/auth/register', { email: 'selfcourier@test.com', password: 'password123', name: 'Self', role: 'courier' });
+  assert(res.status === 400, 'Couriers cannot self-register');
+  res = await request('POST', '/couriers/accounts', { email: 'courier0@test.com', password: 'password123', name: 'Nope' }, storeOwnerToken);
+  assert(res.status === 403, 'Only admins create courier accounts');
+  const near = await courier('courier1@test.com', 'Near Courier');
+  const far = await courier('courier2@test.com', 'Far Courier');
+  assert(near.token && far.token, 'Admin-created couriers sign in');
+
+  res = await request('POST', '/couriers/pings', { lat: store.lat, lng: store.lng }, near.token);
+  assert(res.status === 409, 'Ping needs a shift');
+  res = await request('POST', '/couriers/shifts', { lat: store.lat, lng: store.lng }, customerToken);
+  assert(res.status === 403, 'Customers cannot go on shift');
+  res = await request('POST', '/couriers/shifts', { lat: store.lat + 0.005, lng: store.lng }, near.token);
+  assert(res.status === 201 && res.data.shift.availability === 'available', 'Courier starts a shift');
+  res = await request('POST', '/couriers/shifts', { lat: store.lat + 0.05, lng: store.lng }, far.token);
+  assert(res.status === 201, 'Second courier on shift');
+  res = await request('POST', '/couriers/shifts', { lat: store.lat, lng: store.lng }, far.token);
+  assert(res.status === 409, 'One shift at a time');
+
+  const item = db.inventory.find(i => i.storeId === testStoreId && db.reservation.available(i) > 2);
+  res = await request('POST', '/orders', {
+    items: [{ inventoryId: item.id, quantity: 1 }], fulfillment: 'delivery',
+    deliveryAddress: { street: '1 Main St', city: 'Brooklyn', state: 'NY', zip: '11201', lat: store.lat - 0.02, lng: store.lng },
+  }, customerToken);
+  const order = res.data.order;
+  const sub = order.subOrders[0];
+  for (const status of ['confirmed', 'preparing']) {
+    await request('PUT', `/dashboard/orders/${testStoreId}/${sub.id}/status`, { status }, storeOwnerToken);
+  }
+  res = await request('GET', `/orders/${order.id}/tracking`, null, customerToken);
+  assert(res.status === 200 && res.data.deliveries[0].tracking === null, 'No courier before the order is ready');
+
+  await request('PUT', `/dashboard/orders/${testStoreId}/${sub.id}/status`, { status: 'ready' }, storeOwnerToken);
+  res = await request('GET', '/couriers/me', null, near.token);
+  const first = res.data.delivery;
+  assert(first && first.orderId === sub.id && first.status === 'assigned' && res.data.shift.availability === 'busy', 'Ready order goes to the nearest courier');
+  assert(first.store.storeId === testStoreId && first.deliveryAddress.street === '1 Main St', 'Courier sees store and drop-off');
+  res = await request('GET', '/notifications', null, near.token);
+  assert(res.data.notifications.some(n => n.type === 'delivery_assigned'), 'Courier notified of the assignment');
+
+  res = await request('POST', `/couriers/deliveries/${first.id}/decline`, { reason: 'Flat tyre' }, near.token);
+  assert(res.status === 200 && res.data.reassignedTo === far.id, 'Declined order goes to the next courier');
+  res = await request('POST', `/couriers/deliveries/${first.id}/pickup`, {}, near.token);
+  assert(res.status === 409, 'Declined delivery cannot be picked up');
+  res = await request('PUT', `/orders/${sub.id}/status`, { status: 'out_for_delivery' }, near.token);
+  assert(res.status === 403, 'Former courier can no longer move the order');
+  const second = (await request('GET', '/couriers/me', null, far.token)).data.delivery;
+  res = await request('POST', `/couriers/deliveries/${second.id}/deliver`, {}, far.token);
+  assert(res.status === 409, 'Cannot deliver before pickup');
+
+  res = await request('GET', `/orders/${order.id}/tracking`, null, customerToken);
+  let tracking = res.data.deliveries[0].tracking;
+  assert(res.data.deliveries[0].courierName === 'Far Courier' && tracking.phase === 'to_store' && tracking.etaMinutes > 0, 'Customer sees courier heading to the store');
+  const etaBefore = tracking.etaMinutes;
+
+  await request('POST', '/couriers/pings', { lat: store.lat, lng: store.lng, speed: 0 }, far.token);
+  res = await request('POST', `/couriers/deliveries/${second.id}/pickup`, {}, far.token);
+  assert(res.status === 200 && db.orders.find(o => o.id === sub.id).status === 'out_for_delivery', 'Courier pickup moves the order out for delivery');
+  await request('POST', '/couriers/pings', { lat: store.lat - 0.01, lng: store.lng, heading: 180, speed: 15 }, far.token);
+  res = await request('GET', `/orders/${order.id}/tracking`, null, customerToken);
+  tracking = res.data.deliveries[0].tracking;
+  assert(tracking.phase === 'to_customer' && tracking.courier.lat === store.lat - 0.01 && tracking.trail.length === 2, 'Tracking follows GPS pings');
+  assert(tracking.etaMinutes < etaBefore && !tracking.approximate && tracking.eta, 'ETA shrinks as the courier approaches');
+
+  res = await request('POST', '/couriers/shifts/current/end', {}, far.token);
+  assert(res.status === 409, 'Cannot end a shift mid-delivery');
+  res = await request('POST', `/couriers/deliveries/${second.id}/deliver`, {}, far.token);
+  assert(res.status === 200 && db.orders.find(o => o.id === sub.id).status === 'delivered', 'Courier completes the delivery');
+  res = await request('GET', '/couriers/me', null, far.token);
+  assert(res.data.delivery === null && res.data.shift.availability === 'available' && res.data.shift.deliveryCount === 1, 'Courier free again after drop-off');
+  res = await request('GET', `/orders/${order.id}/tracking`, null, customerToken);
+  assert(res.data.deliveries[0].tracking.status === 'delivered' && res.data.deliveries[0].tracking.etaMinutes === null, 'Tracking shows the delivery complete');
+
+  // A courier who goes quiet before pickup loses the assignment
+  res = await request('POST', '/orders', {
+    items: [{ inventoryId: item.id, quantity: 1 }], fulfillment: 'delivery',
+    deliveryAddress: { street: '2 Main St', city: 'Brooklyn', state: 'NY', zip: '11201', lat: store.lat - 0.02, lng: store.lng },
+  }, customerToken);
+  const quiet = res.data.order.subOrders[0];
+  for (const status of ['confirmed', 'preparing', 'ready']) {
+    await request('PUT', `/dashboard/orders/${testStoreId}/${quiet.id}/status`, { status }, storeOwnerToken);
+  }
+  const stuck = db.dispatch.liveDeliveryFor(quiet.id);
+  assert(stuck?.courierId === near.id, 'Ready order offered to the nearest courier');
+  db.dispatch.activeShift(near.id).lastPingAt = new Date(Date.now() - 60 * 60000).toISOString();
+  const [reassigned] = db.dispatch.dispatch();
+  assert(stuck.status === 'declined' && stuck.reason === 'Courier stopped responding' && db.orders.find(o => o.id === quiet.id).courierId === far.id, 'Stale assignment released on the next pass');
+  assert(reassigned?.orderId === quiet.id && reassigned.courierId === far.id, 'Released order offered to a courier still pinging');
+  await request('POST', '/couriers/pings', { lat: store.lat, lng: store.lng }, near.token);
+  await request('POST', `/couriers/deliveries/${reassigned.id}/pickup`, {}, far.token);
+  await request('POST', `/couriers/deliveries/${reassigned.id}/deliver`, {}, far.token);
+
+  res = await request('GET', '/couriers', null, adminToken);
+  assert(res.status === 200 && res.data.couriers.length === 2, 'Admin sees couriers on shift');
+  await request('PUT', '/couriers/shifts/current', { availability: 'paused' }, near.token);
+  assert(db.dispatch.nearestCourier(store, { exclude: [far.id] }) === null, 'Paused couriers are not dispatched');
+  for (const c of [near, far]) {
+    res = await request('POST', '/couriers/shifts/current/end', {}, c.token);
+    assert(res.status === 200 && res.data.shift.status === 'ended', 'Courier ends shift');
+  }
+}
+
+async function testSlots() {
+  console.log('\n🕒 Time Slots');
+  const db = require('../backend/models/database');
+  const base = `/dashboard/slots/${testStoreId}`;
+  let res = await request('POST', `${base}/templates`, { fulfillment: 'pickup', intervalMinutes: 30, capacity: 1 }, customerToken);
+  assert(res.status === 403, 'Customers cannot publish slots');
+  res = await request('POST', `${base}/templates`, { fulfillment: 'pickup', intervalMinutes: 5, capacity: 1 }, storeOwnerToken);
+  assert(res.status === 400, 'Interval below the minimum rejected');
+  res = await request('POST', `${base}/templates`, { fulfillment: 'pickup', intervalMinutes: 30, capacity: 1, leadMinutes: 0 }, storeOwnerToken);
+  assert(res.status === 201 && res.data.template.days.length === 7, 'Store publishes a pickup template');
+  const template = res.data.template;
+  res = await request('POST', `${base}/templates`, { fulfillment: 'pickup', intervalMinutes: 60, capacity: 5, windowStart: '09:00', windowEnd: '12:00' }, storeOwnerToken);
+  assert(res.status === 409, 'Overlapping template rejected');
+
+  res = await request('GET', `/orders/slots?storeIds=${testStoreId}&fulfillment=pickup`, null, customerToken);
+  const offered = res.data.stores[0];
+  assert(res.status === 200 && offered.slotRequired && offered.slots.length > 0, 'Checkout lists open slots');
+  const slot = offered.slots[0];
+  assert(slot.localStart >= '06:00' && slot.localEnd <= '22:00' && slot.remaining === 1, 'Slots fall inside store hours');
+
+  const item = db.inventory.find(i => i.storeId === testStoreId && db.reservation.available(i) > 2);
+  const body = { items: [{ inventoryId: item.id, quantity: 1 }], fulfillment: 'pickup' };
+  res = await request('POST', '/orders', body, customerToken);
+  assert(res.status === 400 && res.data.storeId === testStoreId && res.data.slots.length > 0, 'Order needs a slot at a scheduling store');
+  res = await request('POST', '/orders', { ...body, slotId: `${template.id}:1999-01-01:600` }, customerToken);
+  assert(res.status === 400, 'Unknown slot rejected');
+  res = await request('POST', '/orders', { ...body, slotId: slot.id }, customerToken);
+  assert(res.status === 201 && res.data.order.subOrders[0].slotStart === slot.start, 'Order books the slot');
+  const order = res.data.order;
+  res = await request('POST', '/orders', { ...body, slots: { [testStoreId]: slot.id } }, customerToken);
+  assert(res.status === 409, 'Full slot cannot be booked');
+
+  res = await request('GET', `/dashboard/orders/${testStoreId}?date=${slot.date}`, null, storeOwnerToken);
+  const group = res.data.slots.find(g => g.slotId === slot.id);
+  assert(res.status === 200 && group && group.orderIds.includes(order.subOrders[0].id), 'Dashboard groups orders by slot');
+
+  await request('POST', `/orders/${order.id}/cancel`, { reason: 'Changed plans' }, customerToken);
+  res = await request('GET', `/orders/slots?storeIds=${testStoreId}`, null, customerToken);
+  assert(res.data.stores[0].slots.find(s => s.id === slot.id).remaining === 1, 'Cancelling frees the slot');
+
+  res = await request('PUT', `${base}/templates/${template.id}`, { capacity: 3 }, storeOwnerToken);
+  assert(res.status === 200 && res.data.template.capacity === 3, 'Store raises slot capacity');
+  res = await request('DELETE', `${base}/templates/${template.id}`, null, storeOwnerToken);
+  assert(res.status === 200, 'Store removes the template');
+  res = await request('POST', '/orders', body, customerToken);
+  assert(res.status === 201, 'No slot needed once templates are gone');
+  await request('POST', `/orders/${res.data.order.id}/cancel`, {}, customerToken);
+
+  const late = { fulfillment: 'delivery', intervalMinutes: 60, capacity: 1 };
+  for (const [windowStart, windowEnd] of [['22:00', '24:30'], ['24:00', '24:00'], ['23:60', '24:00']]) {
+    res = await request('POST', `${base}/templates`, { ...late, windowStart, windowEnd }, storeOwnerToken);
+    assert(res.status === 400, `Window ${windowStart}-${windowEnd} rejected`);
+  }
+  res = await request('POST', `${base}/templates`, { ...late, windowStart: '22:00', windowEnd: '24:00' }, storeOwnerToken);
+  assert(res.status === 201 && res.data.template.windowEnd === '24:00', 'Window may end at 24:00');
+  await request('DELETE', `${base}/templates/${res.data.template.id}`, null, storeOwnerToken);
+}
+
+/**
+ * Read a Server-Sent Events stream in the background; events collect in `events`.
+ */
+function openStream(path, headers = {}) {
+  const controller = new AbortController();
+  const stream = { status: null, events: [], close: () => controller.abort() };
+  stream.opened = fetch(`${BASE_URL}${path}`, { headers, signal: controller.signal }).then(res => {
+    stream.status = res.status;
+    if (!res.ok) return;
+    (async () => {
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for await (const chunk of res.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffer.indexOf('\n\n')) >= 0) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const field = name => block.split('\n').find(l => l.startsWith(`${name}: `))?.slice(name.length + 2);
+          if (field('event')) stream.events.push({ id: field('id'), event: field('event'), data: JSON.parse(field('data')) });
+        }
+      }
+    })().catch(() => {});
+  }).catch(() => {});
+  stream.waitFor = async (match, ms = 2000) => {
+    for (const start = Date.now(); Date.now() - start < ms; await new Promise(r => setTimeout(r, 20))) {
+      const found = stream.events.find(match);
+      if (found) return found;
+    }
+    return null;
+  };
+  return stream;
+}
+
+async function testRealtime() {
+  console.log('\n📡 Real-time Events');
+  const db = require('../backend/models/database');
+  let stream = openStream('/events');
+  await stream.opened;
+  assert(stream.status === 401, 'Streams need a token');
+  stream = openStream('/events?storeIds=NOT_MINE', { Authorization: `Bearer ${customerToken}` });
+  await stream.opened;
+  assert(stream.status === 403, 'Only claimed stores can be followed');
+
+  const tokenRes = await request('POST', '/events/token', null, customerToken);
+  assert(tokenRes.status === 200 && tokenRes.data.expiresIn > 0, 'Stream token issued');
+  stream = openStream(`/events?token=${customerToken}`);
+  await stream.opened;
+  assert(stream.status === 401, 'Login tokens are not accepted in the URL');
+  const reuse = await request('GET', '/notifications', null, tokenRes.data.token);
+  assert(reuse.status === 401, 'Stream tokens only open streams');
+
+  const customer = openStream(`/events?token=${tokenRes.data.token}`);
+  const owner = openStream('/events', { Authorization: `Bearer ${storeOwnerToken}` });
+  const ready = await owner.waitFor(e => e.event === 'ready');
+  assert(ready && ready.data.channels.includes(`store:${testStoreId}`), 'Store owners follow their claimed stores');
+  assert(await customer.waitFor(e => e.event === 'ready' && typeof e.data.unreadCount === 'number'), 'EventSource-style stream token in the query');
+
+  const item = db.inventory.find(i => i.storeId === testStoreId && db.reservation.available(i) > 2);
+  let res = await request('POST', '/orders', { items: [{ inventoryId: item.id, quantity: 1 }], fulfillment: 'pickup' }, customerToken);
+  const order = res.data.order;
+  const sub = order.subOrders[0];
+  const placed = await owner.waitFor(e => e.event === 'new_order' && e.data.id === sub.id);
+  assert(placed && placed.data.items[0].inventoryId === item.id, 'Store gets the new order live');
+  assert(await customer.waitFor(e => e.event === 'notification' && e.data.type === 'order_created' && e.data.orderId === order.id), 'Customer notification pushed');
+  assert(!owner.events.some(e => e.event === 'notification' && e.data.orderId === order.id), 'Users only see their own notifications');
+
+  await request('PUT', `/dashboard/orders/${testStoreId}/${sub.id}/status`, { status: 'confirmed' }, storeOwnerToken);
+  const moved = await customer.waitFor(e => e.event === 'order' && e.data.orderId === sub.id && e.data.status === 'confirmed');
+  assert(moved && moved.data.actor === 'store_owner', 'Customer sees the status change live');
+  assert(await owner.waitFor(e => e.event === 'order' && e.data.orderId === sub.id), 'Store stream follows its orders');
+  customer.close();
+
+  const missedFrom = moved.id - 1;
+  const replay = openStream('/events', { Authorization: `Bearer ${customerToken}`, 'Last-Event-ID': String(missedFrom) });
+  assert(await replay.waitFor(e => e.id === moved.id && e.event === 'order'), 'Reconnecting replays missed events');
+  replay.close();
+  owner.close();
+  await request('POST', `/orders/${order.id}/cancel`, {}, customerToken);
+}
+
+async function testNotificationTemplates() {
+  console.log('\n🌐 Notification Templates');
+  const db = require('../backend/models/database');
+  const templates = require('../backend/services/templates');
+
+  let rendered = templates.render('return_requested/store', { count: 1, amount: 4.5, orderRef: 'abc' });
+  assert(rendered.message === 'A customer wants to return 1 item ($4.50) from order #abc.', 'English singular');
+  rendered = templates.render('return_requested/store', { count: 3, amount: 1234.5, orderRef: 'abc' }, 'es');
+  assert(rendered.title === 'Devolución solicitada' && rendered.message.includes('3 artículos') && rendered.message.includes('1234,50'), 'Spanish plural and amount');
+  rendered = templates.render('return_approved', { storeId: 'S1', items: ['Milk', 'Eggs', 'Bread'], orderRef: 'abc' }, 'es');
+  assert(rendered.message.includes('Milk, Eggs y Bread'), 'Lists joined per locale');
+  assert(templates.render('order_status', { status: 'out_for_delivery', orderRef: 'abc', storeId: 'S1' }, 'fr').title === 'Order out for delivery', 'Unknown locale falls back to English');
+  assert(templates.fromAcceptLanguage('fr-CA,es-MX;q=0.8,en;q=0.5') === 'es', 'Accept-Language picks the best supported locale');
+
+  let res = await fetch(`${BASE_URL}/auth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept-Language': 'es-ES,es;q=0.9' },
+    body: JSON.stringify({ email: 'es@test.com', password: 'password123', name: 'Lucía' }),
+  });
+  const registered = await res.json();
+  assert(res.status === 201 && registered.user.locale === 'es', 'Locale taken from Accept-Language at sign-up');
+  const token = registered.token;
+  res = await request('POST', '/auth/register', { email: 'xx@test.com', password: 'password123', name: 'X', locale: 'xx' });
+  assert(res.status === 400, 'Unsupported locale rejected at sign-up');
+  res = await request('PUT', '/auth/profile', { locale: 'de' }, token);
+  assert(res.status === 400, 'Unsupported locale rejected on profile');
+
+  const item = db.inventory.find(i => i.storeId === testStoreId && db.reservation.available(i) > 2);
+  res = await request('POST', '/orders', { items: [{ inventoryId: item.id, quantity: 1 }], fulfillment: 'pickup' }, token);
+  const order = res.data.order;
+  res = await request('GET', '/notifications', null, token);
+  let placed = res.data.notifications.find(n => n.orderId === order.id);
+  assert(placed && placed.title === 'Pedido realizado' && placed.message.startsWith(`Tu pedido #${order.id.slice(0, 8)} se ha realizado`), 'Order notification in Spanish');
+
+  res = await request('PUT', '/auth/profile', { locale: 'en' }, token);
+  assert(res.status === 200 && res.data.user.locale === 'en', 'Customer switches to English');
+  await request('PUT', `/orders/${order.id}/status`, { status: 'confirmed' }, adminToken);
+  res = await request('GET', '/notifications', null, token);
+  const update = res.data.notifications.find(n => n.orderId === order.id && n.type === 'order_status');
+  assert(update && update.title === 'Order confirmed', 'Later notifications follow the new locale');
+}
+
+async function testAffiliateAttribution() {
+  console.log('\n🔗 Click Tracking & Affiliate Attribution');
+  const db = require('../backend/models/database');
+  const csv = require('../backend/utils/csv');
+
+  let res = await request('POST', '/search', { query: 'drill', lat: 40.6892, lng: -73.9857 });
+  const hit = res.data.results.find(r => r.nearestStore?.clickToken);
+  const link = hit.nearestStore;
+  assert(/^rr[0-9a-f]{12}$/.test(link.clickToken) && link.buyUrl.includes(link.clickToken), 'Search links carry a click token as sub-ID');
+  const tokens = res.data.results.flatMap(r => r.allStores.map(s => s.clickToken)).filter(Boolean);
+  assert(new Set(tokens).size === tokens.length, 'Each link has its own token');
+
+  res = await fetch(`${BASE_URL}/click/track`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${customerToken}` },
+    body: JSON.stringify({ productSku: hit.product.sku, productName: hit.product.name, retailerKey: link.retailerKey, storeId: link.id, price: link.price, action: 'delivery', clickToken: link.clickToken, sessionId: 'tab-1' }),
+  });
+  const tracked = await res.json();
+  assert(tracked.tracked && tracked.clickToken === link.clickToken, 'Beacon records the click under its token');
+  const row = db.sqlite.db.exec('SELECT userId, sessionId, storeId FROM clicks WHERE token = ?', [link.clickToken])[0];
+  assert(row && row.values[0][0] && row.values[0][1] === 'tab-1' && row.values[0][2] === link.id, 'Click persisted with user, session and store');
+
+  res = await fetch(`${BASE_URL}/click/go?retailer=cvs&product=Tylenol&sku=SKU-1&storeId=CVS_X&session=tab-2`, { redirect: 'manual' });
+  const redirectToken = new URL(res.headers.get('location')).searchParams.get('sid');
+  assert(res.status === 302 && /^rr[0-9a-f]{12}$/.test(redirectToken), 'Redirect mints a token and passes it as the CJ sub-ID');
+  res = await fetch(`${BASE_URL}/click/go?retailer=nowhere&product=x`, { redirect: 'manual' });
+  assert(res.status === 404, 'Unknown retailer not redirected');
+
+  const rows = csv.parseRows('a,"b, ""c""",d\r\n\r\n"line\nbreak",2,3\n');
+  assert(rows.length === 2 && rows[0][1] === 'b, "c"' && rows[1][0] === 'line\nbreak', 'CSV parser handles quotes and line breaks');
+
+  const report = [
+    'Action Id,SubId1,Sale Amount,Payout,Status,Event Date',
+    `IMP-1,${link.clickToken},"$1,200.00",36.00,Pending,${new Date().toISOString()}`,
+    'IMP-2,rr000000000000,50.00,1.50,Approved,',
+    'IMP-3,,abc,1.00,Approved,',
+  ].join('\n');
+  const importReport = token => fetch(`${BASE_URL}/click/conversions/import?network=impact`, {
+    method: 'POST', headers: { 'Content-Type': 'text/csv', Authorization: `Bearer ${token}` }, body: report,
+  });
+  res = await importReport(customerToken);
+  assert(res.status === 403, 'Only admins import reports');
+  res = await importReport(adminToken);
+  const summary = await res.json();
+  assert(res.status === 201 && summary.imported === 2 && summary.matched === 1 && summary.unmatched === 1, 'Report imported and matched to clicks');
+  assert(summary.errors.length === 1 && summary.errors[0].row === 4, 'Bad rows reported by row number');
+
+  res = await request('POST', '/click/conversions/import', { network: 'cj', csv: 'Foo,Bar\n1,2' }, adminToken);
+  assert(res.status === 400 && res.data.error.includes('SID'), 'Report without the network columns rejected');
+  res = await request('POST', '/click/conversions/import', { network: 'impact', csv: `Action Id,SubId1,Sale Amount,Payout,Status\nIMP-1,${link.clickToken},1200,36,Reversed` }, adminToken);
+  assert(res.status === 201 && res.data.updated === 1 && res.data.imported === 0, 'Re-import updates the conversion in place');
+  res = await request('GET', '/click/conversions?matched=true', null, adminToken);
+  const conv = res.data.conversions.find(c => c.transactionId === 'IMP-1');
+  assert(conv && conv.status === 'reversed' && conv.storeId === link.id && conv.productSku === hit.product.sku, 'Conversion tied to the click\'s product and store');
+
+  res = await request('GET', '/click/affiliate-stats?days=1', null, adminToken);
+  assert(res.status === 200 && res.data.totals.clicks >= 2 && res.data.byStore[link.id].reversed === 1 && res.data.totals.commission >= 1.5, 'Affiliate stats report clicks and commission');
+  res = await request('GET', '/click/affiliate-stats', null, customerToken);
+  assert(res.status === 403, 'Affiliate stats are admin-only');
+  db.analytics.rollup();
+  res = await request('GET', '/click/stats?days=1');
+  assert(res.status === 200 && res.data.totalClicks >= 2 && res.data.byRetailer[link.retailerKey]?.clicks >= 1 && !('totals' in res.data), 'Click stats keep their public shape');
+  const byAction = Object.values(res.data.byAction);
+  assert(res.data.byAction.delivery >= 1 && byAction.reduce((s, n) => s + n, 0) === res.data.totalClicks, 'Click stats by action from the rollups');
+
+  const stale = db.affiliate.recordClick({ productSku: 'OLD', now: new Date(Date.now() - 400 * 86400000) });
+  assert(db.affiliate.prune() >= 1 && !db.clicks.includes(stale) && db.affiliate.clickFor(link.clickToken), 'Old unconverted clicks pruned, converted ones kept');
+}
+
+async function testAnalytics() {
+  console.log('\n📈 Analytics Rollups');
+  const db = require('../backend/models/database');
+  const today = new Date().toISOString().slice(0, 10);
+  const daysAgo = n => new Date(Date.now() - n * 86400000);
+
+  db.analytics.rollup();
+  let res = await fetch(`${BASE_URL}/search`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Session-Id': 'visit-1' },
+    body: JSON.stringify({ query: 'drill', lat: 40.6892, lng: -73.9857, limit: 5 }),
+  });
+  const search = await res.json();
+  const shown = search.results.filter(r => r.nearestStore);
+  const raw = db.sqlite.db.exec("SELECT type, sessionId, category, city FROM analytics_events WHERE sessionId = 'visit-1'")[0].values;
+  assert(raw.filter(e => e[0] === 'search').length === 1 && raw.filter(e => e[0] === 'impression').length === shown.length, 'Search and its impressions logged');
+  assert(raw.every(e => e[2] && e[3]), 'Events carry category and city');
+
+  res = await request('POST', '/analytics/events', { events: [{ type: 'add_to_cart', productSku: shown[0].product.sku, storeId: shown[0].nearestStore.id, quantity: 2, value: 10 }] });
+  assert(res.status === 202 && res.data.accepted === 1, 'Client reports add-to-cart');
+  res = await request('POST', '/analytics/events', { events: [{ type: 'order' }] });
+  assert(res.status === 400, 'Clients cannot report orders');
+
+  const item = db.inventory.find(i => i.storeId === testStoreId && db.reservation.available(i) > 2);
+  await request('POST', '/orders', { items: [{ inventoryId: item.id, quantity: 2 }], fulfillment: 'pickup' }, customerToken);
+  db.analytics.track({ type: 'order', storeId: testStoreId, productSku: item.productSku, quantity: 1, value: 20, now: daysAgo(8) });
+
+  res = await request('POST', '/analytics/rollup', {}, adminToken);
+  assert(res.status === 200 && res.data.rolledUp >= shown.length + 3, 'Rollup job folds in new events');
+  assert(db.analytics.rollup() === 0, 'Rollup is incremental');
+  assert(db.analyticsRollups.some(r => r.granularity === 'hour') && db.analyticsRollups.some(r => r.granularity === 'day'), 'Hourly and daily rollups kept');
+
+  res = await request('GET', `/analytics/query?groupBy=type&from=${today}&to=${today}`, null, adminToken);
+  const types = Object.fromEntries(res.data.rows.map(r => [r.type, r]));
+  assert(res.status === 200 && ['search', 'impression', 'add_to_cart', 'order'].every(t => types[t]?.events > 0), 'Query groups by event type');
+
+  res = await request('GET', `/analytics/query?types=order&groupBy=store,category&store=${testStoreId}&compare=previous`, null, adminToken);
+  const orderRow = res.data.rows.find(r => r.store === testStoreId && r.category === item.category.toLowerCase());
+  assert(res.data.comparison.to === daysAgo(7).toISOString().slice(0, 10), 'Comparison is the week before');
+  assert(orderRow && orderRow.quantity >= 2 && orderRow.previous.quantity >= 1 && orderRow.change.events !== undefined, 'Rows carry comparison figures');
+
+  res = await request('GET', `/analytics/query?types=impression&groupBy=retailer,city,date&granularity=hour`, null, adminToken);
+  assert(res.status === 200 && res.data.rows.length > 0 && res.data.rows.every(r => r.retailer && r.city && /T\d{2}$/.test(r.date)), 'Hourly buckets by retailer and city');
+
+  res = await request('GET', '/analytics/query?groupBy=weather', null, adminToken);
+  assert(res.status === 400, 'Unknown dimension rejected');
+  const owned = db.users.find(u => u.email === 's@test.com')?.claimedStores || [];
+  res = await request('GET', '/analytics/query?groupBy=store', null, storeOwnerToken);
+  assert(res.status === 200 && res.data.rows.every(r => owned.includes(r.store)), 'Store owners see only their stores');
+  const other = db.getAllStores().find(st => !owned.includes(st.storeId)).storeId;
+  res = await request('GET', `/analytics/query?store=${other}`, null, storeOwnerToken);
+  assert(res.status === 403, 'Other stores are off limits');
+  res = await request('GET', '/analytics/query', null, customerToken);
+  assert(res.status === 403, 'Customers cannot query analytics');
+}
+
+async function testNotificationChannels() {
+  console.log('\n📨 Notification Channels');
+  const crypto = require('crypto');
+  const net = require('net');
+  const db = require('../backend/models/database');
+  const config = require('../backend/config');
+  const outbox = require('../backend/services/channels/outbox');
+  const { email, sms, push } = db.notifier.channels;
+  const later = minutes => new Date(Date.now() + minutes * 60000);
+
+  let res = await request('GET', '/notifications/preferences', null, customerToken);
+  assert(res.status === 200 && res.data.preferences.channels.orders.email && !res.data.preferences.channels.promotions.email, 'Defaults: order emails on, promotions opt-in');
+  res = await request('PUT', '/notifications/preferences', { channels: { weather: { email: true } } }, customerToken);
+  assert(res.status === 400, 'Unknown category rejected');
+  res = await request('PUT', '/notifications/preferences', { phone: '123' }, customerToken);
+  assert(res.status === 400, 'Invalid phone rejected');
+  res = await request('PUT', '/notifications/preferences', { phone: '(555) 201-0000', channels: { orders: { sms: true } } }, customerToken);
+  assert(res.status === 200 && res.data.preferences.phone === '+15552010000' && res.data.preferences.channels.orders.sms, 'Customer opts into order texts');
+
+  // A browser's PushSubscription keys
+  const browser = crypto.createECDH('prime256v1');
+  const keys = { p256dh: browser.generateKeys().toString('base64url'), auth: crypto.randomBytes(16).toString('base64url') };
+  const endpoint = 'https://push.example.test/send/abc123';
+  res = await request('POST', '/notifications/push/subscriptions', { endpoint: 'http://insecure', keys }, customerToken);
+  assert(res.status === 400, 'Push endpoint must be https');
+  res = await request('POST', '/notifications/push/subscriptions', { endpoint, keys }, customerToken);
+  assert(res.status === 201, 'Browser registers for push');
+
+  const item = db.inventory.find(i => i.storeId === testStoreId && db.reservation.available(i) > 2);
+  res = await request('POST', '/orders', { items: [{ inventoryId: item.id, quantity: 1 }], fulfillment: 'pickup' }, customerToken);
+  const order = res.data.order;
+  await db.notifier.flush();
+  const mail = outbox.read('email').find(m => m.message.orderId === order.id);
+  assert(mail && mail.to === 'c@test.com' && mail.message.title === 'Order Placed', 'Order email sent');
+  assert(outbox.read('sms').some(m => m.message.orderId === order.id && m.to === '+15552010000' && m.message.text.startsWith('Order Placed: ')), 'Order text sent');
+  assert(outbox.read('push').some(m => m.message.orderId === order.id && m.to.endpoint === endpoint), 'Order push sent');
+  res = await request('GET', '/notifications/deliveries', null, customerToken);
+  assert(res.data.deliveries.filter(d => d.notificationId && d.message.orderId === order.id && d.status === 'sent').length === 3, 'Delivery log shows all three channels');
+
+  // Web Push request: payload decrypts with the browser's keys (RFC 8291), VAPID-signed for the push service
+  const pushRequest = push.requestFor({ endpoint, keys }, { title: 'Hi', message: 'There', type: 'order_status' });
+  const body = pushRequest.body;
+  const salt = body.subarray(0, 16);
+  const senderKey = body.subarray(21, 21 + body.readUInt8(20));
+  const shared = browser.computeSecret(senderKey);
+  const info = Buffer.concat([Buffer.from('WebPush: info\0'), Buffer.from(keys.p256dh, 'base64url'), senderKey]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', shared, Buffer.from(keys.auth, 'base64url'), info, 32));
+  const cek = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+  const sealed = body.subarray(21 + senderKey.length);
+  const decipher = crypto.createDecipheriv('aes-128-gcm', cek, nonce);
+  decipher.setAuthTag(sealed.subarray(sealed.length - 16));
+  const plain = Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - 16)), decipher.final()]);
+  assert(JSON.parse(plain.subarray(0, -1).toString()).body === 'There' && plain[plain.length - 1] === 2, 'Push payload encrypted for the subscription');
+  assert(pushRequest.headers['Content-Encoding'] === 'aes128gcm' && pushRequest.headers.Urgency === 'high', 'Push request is aes128gcm with urgency');
+  const [jwt, k] = pushRequest.headers.Authorization.replace('vapid t=', '').split(', k=');
+  const [h, c, sig] = jwt.split('.');
+  const point = Buffer.from(k, 'base64url');
+  const vapidKey = crypto.createPublicKey({ format: 'jwk', key: { kty: 'EC', crv: 'P-256', x: point.subarray(1, 33).toString('base64url'), y: point.subarray(33).toString('base64url') } });
+  assert(crypto.verify('sha256', Buffer.from(`${h}.${c}`), { key: vapidKey, dsaEncoding: 'ieee-p1363' }, Buffer.from(sig, 'base64url'))
+    && JSON.parse(Buffer.from(c, 'base64url')).aud === 'https://push.example.test', 'VAPID token signed for the push service');
+
+  // Retry queue: a provider outage backs off, then delivers
+  let calls = 0;
+  sms.useTransport({ send: async () => { calls++; if (calls === 1) throw new Error('Provider down'); return { id: 'SM1' }; } });
+  const alert = { id: 'n-retry', userId: order.userId, type: 'order_status', title: 'Order ready', message: 'Come get it', read: false, createdAt: new Date().toISOString() };
+  db.notify(alert);
+  await db.notifier.flush();
+  let text = db.notificationDeliveries.find(d => d.notificationId === 'n-retry' && d.channel === 'sms');
+  assert(text.status === 'queued' && text.attempts === 1 && text.lastError === 'Provider down' && text.nextAttemptAt > new Date().toISOString(), 'Failed send queued for retry');
+  await db.notifier.flush(later(2));
+  assert(text.status === 'sent' && text.attempts === 2 && text.providerId === 'SM1', 'Retry delivers after backoff');
+  sms.useTransport({ send: async () => { const e = new Error('Unknown number'); e.permanent = true; throw e; } });
+  db.notify({ ...alert, id: 'n-permanent' });
+  await db.notifier.flush();
+  text = db.notificationDeliveries.find(d => d.notificationId === 'n-permanent' && d.channel === 'sms');
+  assert(text.status === 'failed' && text.attempts === 1, 'Permanent errors are not retried');
+  sms.useTransport(null);
+
+  // Quiet hours hold SMS and push, not email
+  const nowNY = require('../backend/utils/hours').localTime(new Date(), 'America/New_York').minutes;
+  const clock = m => `${String(Math.floor(((m + 1440) % 1440) / 60)).padStart(2, '0')}:${String((m + 1440) % 60).padStart(2, '0')}`;
+  res = await request('PUT', '/notifications/preferences', { quietHours: { start: clock(nowNY - 60), end: clock(nowNY + 60), timezone: 'America/New_York' } }, customerToken);
+  assert(res.status === 200 && res.data.preferences.quietHours.end === clock(nowNY + 60), 'Customer sets quiet hours');
+  db.notify({ ...alert, id: 'n-quiet' });
+  await db.notifier.flush();
+  const quiet = db.notificationDeliveries.filter(d => d.notificationId === 'n-quiet');
+  assert(quiet.find(d => d.channel === 'email').status === 'sent', 'Email goes out during quiet hours');
+  const held = quiet.find(d => d.channel === 'sms');
+  assert(held.status === 'queued' && held.heldForQuietHours && held.nextAttemptAt > later(55).toISOString(), 'Text held until quiet hours end');
+  await db.notifier.flush(later(61));
+  assert(held.status === 'sent', 'Held text sent after quiet hours');
+
+  // Expired push subscriptions are dropped
+  push.useTransport({ send: async () => { const e = new Error('Gone'); e.permanent = true; e.expired = true; throw e; } });
+  db.notify({ ...alert, id: 'n-expired' });
+  await db.notifier.flush(later(61));
+  push.useTransport(null);
+  assert(!db.pushSubscriptions.some(s => s.endpoint === endpoint), 'Expired push subscription removed');
+
+  // SMTP transport against a local server
+  const received = [];
+  const smtpServer = net.createServer(socket => {
+    let data = false;
+    socket.write('220 test ESMTP\r\n');
+    socket.on('data', chunk => {
+      for (const line of chunk.toString().split('\r\n').filter(Boolean)) {
+        if (data) {
+          received.push(line);
+          if (line === '.') { data = false; socket.write('250 queued as T1\r\n'); }
+          continue;
+        }
+        received.push(line);
+        if (line.startsWith('EHLO')) socket.write('250-test\r\n250 8BITMIME\r\n');
+        else if (line === 'DATA') { data = true; socket.write('354 go\r\n'); }
+        else if (line === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  await new Promise(r => smtpServer.listen(0, '127.0.0.1', r));
+  const smtpBefore = { ...config.notifications.email.smtp };
+  Object.assign(config.notifications.email.smtp, { host: '127.0.0.1', port: smtpServer.address().port, secure: false, user: '' });
+  email.useTransport('smtp');
+  const sent = await email.send('c@test.com', { title: 'Your order', message: 'Line one\n.hidden dot' }).catch(e => ({ error: e.message }));
+  email.useTransport(null);
+  Object.assign(config.notifications.email.smtp, smtpBefore);
+  smtpServer.close();
+  assert(sent.id && received.includes('RCPT TO:<c@test.com>') && received.includes('Subject: Your order') && received.includes('..hidden dot'), 'SMTP transport speaks SMTP');
+
+  await request('PUT', '/notifications/preferences', { phone: null, quietHours: null, channels: { orders: { sms: false } } }, customerToken);
+  await request('POST', `/orders/${order.id}/cancel`, {}, customerToken);
+}
+
 async function testNotifications() {
   console.log('\n🔔 Notifications');
   let res = await request('GET', '/notifications', null, customerToken);
@@ -224,15 +1377,45 @@ async function testB2BPromotions() {
 
 async function testB2BInsights() {
   console.log('\n📊 B2B Market Insights');
-  let res = await request('GET', `/monetization/b2b/insights/${testStoreId}`, null, storeOwnerToken);
+  const db = require('../backend/models/database');
+  const store = db.getAllStores().find(s => s.storeId === testStoreId);
+  const near = { lat: store.lat, lng: store.lng, radius: 10 };
+
+  // Searches near the store: one it stocks, two it doesn't, one nobody can serve
+  db.searchLog.record({ query: 'drill', lat: store.lat, lng: store.lng, resultCount: 1, productSkus: ['RR-PT-001'], now: new Date(Date.now() - 40 * 86400000) });
+  for (const q of ['drill', 'drills', 'echo dot', 'echo dot', 'echo dot', 'gaming mouse', 'zzqx flux capacitor']) {
+    await request('POST', '/search', { query: q, ...near });
+  }
+  // Far away (Los Angeles) — outside the store's radius
+  await request('POST', '/search', { query: 'echo dot', lat: 34.05, lng: -118.24 });
+
+  let res = await request('GET', `/monetization/b2b/insights/${testStoreId}`, null, adminToken);
   assert(res.status === 200, 'Insights on Professional plan');
-  assert(res.data.demandSignals.topSearches.length > 0, 'Top searches returned');
+  const { topSearches, missedOpportunities, zeroResultSearches } = res.data.demandSignals;
+  assert(topSearches.length > 0, 'Top searches returned');
   assert(res.data.recommendations.length > 0, 'Recommendations returned');
-  assert(res.data.demandSignals.missedOpportunities.length > 0, 'Missed opportunities returned');
+  assert(missedOpportunities.length > 0, 'Missed opportunities returned');
+
+  const drill = topSearches.find(t => t.term === 'drill');
+  assert(drill && drill.searchVolume >= 2 && drill.previousVolume >= 1, 'Plural and singular searches grouped under one term');
+  assert(drill && drill.yourInventory === 'in_stock', 'Stocked term marked in_stock');
+  const echo = missedOpportunities.find(m => m.term === 'echo dot');
+  assert(echo && echo.searchVolume === 3, 'Searches served only by other stores nearby are missed opportunities');
+  assert(echo && echo.products.some(p => p.sku === 'RR-EC-006') && echo.estimatedMonthlyRevenue > 0, 'Missed opportunity names the product and revenue');
+  assert(zeroResultSearches.some(z => z.term === 'zzqx flux capacitor'), 'Zero-result searches listed');
+  assert(res.data.recommendations.some(r => r.type === 'stock'), 'Stock recommendation from missed opportunity');
+
+  const again = await request('GET', `/monetization/b2b/insights/${testStoreId}`, null, adminToken);
+  assert(JSON.stringify(again.data.demandSignals) === JSON.stringify(res.data.demandSignals), 'Insights are deterministic');
+  const entry = db.sqlite.db.exec("SELECT cell, zeroResults FROM search_log WHERE query = 'zzqx flux capacitor'");
+  assert(entry[0]?.values[0][0].length === 5 && entry[0].values[0][1] === 1, 'Search logged with location cell and zero-result flag');
+
+  res = await request('GET', '/monetization/b2b/insights/NOPE_00', null, adminToken);
+  assert(res.status !== 200, 'Unknown store has no insights');
 
   // Downgrade → insights blocked
   await request('POST', '/monetization/b2b/subscribe', { storeId: testStoreId, planId: 'starter' }, storeOwnerToken);
-  res = await request('GET', `/monetization/b2b/insights/${testStoreId}`, null, storeOwnerToken);
+  res = await request('GET', `/monetization/b2b/insights/${testStoreId}`, null, adminToken);
   assert(res.status === 403, 'Insights blocked on Starter');
   assert(res.data.upgrade && res.data.upgrade.plan === 'professional', 'Upgrade prompt shown');
 
@@ -240,6 +1423,69 @@ async function testB2BInsights() {
   await request('POST', '/monetization/b2b/subscribe', { storeId: testStoreId, planId: 'professional' }, storeOwnerToken);
 }
 
+async function testCompetitorBenchmarks() {
+  console.log('\n🏷️ Competitor Benchmarks');
+  const db = require('../backend/models/database');
+  const csv = require('../backend/utils/csv');
+  const csvExport = token => fetch(`${BASE_URL}/monetization/b2b/insights/${testStoreId}/benchmarks.csv?radius=5`, { headers: { Authorization: `Bearer ${token}` } });
+
+  let res = await request('GET', `/monetization/b2b/insights/${testStoreId}`, null, adminToken);
+  assert(typeof res.data.competitorBenchmarks === 'string', 'Benchmarks withheld below Enterprise');
+  let raw = await csvExport(adminToken);
+  assert(raw.status === 403, 'CSV export blocked below Enterprise');
+
+  await request('POST', '/monetization/b2b/subscribe', { storeId: testStoreId, planId: 'enterprise' }, storeOwnerToken);
+  res = await request('GET', `/monetization/b2b/insights/${testStoreId}?radius=5`, null, adminToken);
+  const bench = res.data.competitorBenchmarks;
+  assert(res.status === 200 && typeof bench === 'object', 'Benchmarks on Enterprise');
+
+  const store = db.getAllStores().find(s => s.storeId === testStoreId);
+  const rivals = db.storeIndex.withinRadius(store.lat, store.lng, 5).filter(s => s.storeId !== testStoreId);
+  assert(bench.areaCompetitors === rivals.length, 'Competitors are the stores within the radius');
+  assert(bench.comparedSkus > 0 && bench.skus.length === bench.comparedSkus, 'Per-SKU benchmarks returned');
+
+  // Recompute one SKU from the raw inventory
+  const sample = bench.skus[0];
+  const rivalIds = new Set(rivals.map(s => s.storeId));
+  const prices = db.inventory.filter(i => i.productSku === sample.sku && rivalIds.has(i.storeId) && i.price > 0).map(i => i.price);
+  const mine = db.inventory.find(i => i.productSku === sample.sku && i.storeId === testStoreId);
+  const avg = prices.reduce((s, p) => s + p, 0) / prices.length;
+  assert(sample.competitorsCarrying === prices.length && Math.abs(sample.areaAvgPrice - avg) < 0.01, 'Area average from nearby inventory');
+  assert(Math.abs(sample.priceIndex - mine.price / avg) < 0.001, 'Price index = your price / area average');
+  assert(bench.skus.every((s, i) => i === 0 || bench.skus[i - 1].priceIndex >= s.priceIndex), 'SKUs ordered by price index');
+  assert(bench.categories.length > 0 && bench.categories.every(c => c.skus > 0 && c.priceIndex > 0), 'Per-category price index');
+  assert(bench.mostExpensive.every(s => s.yourPrice > s.areaMaxPrice), 'Most expensive = pricier than every competitor');
+
+  // Raise one price above the whole area
+  const target = bench.skus.find(s => !s.mostExpensive);
+  const row = db.inventory.find(i => i.productSku === target.sku && i.storeId === testStoreId);
+  const original = row.price;
+  row.price = target.areaMaxPrice + 100;
+  res = await request('GET', `/monetization/b2b/insights/${testStoreId}?radius=5`, null, adminToken);
+  assert(res.data.competitorBenchmarks.mostExpensive.some(s => s.sku === target.sku), 'Overpriced SKU flagged as most expensive');
+  row.price = original;
+
+  // Echo Dot was searched near the store (B2B insights test); the store doesn't stock it
+  const coverage = res.data.competitorBenchmarks.topSearchedCoverage;
+  assert(coverage.skus > 0 && coverage.coverage >= 0 && coverage.coverage <= 1, 'Coverage of top-searched SKUs');
+  assert(coverage.missing.some(m => m.sku === 'RR-EC-006' && m.productName.includes('Echo Dot')), 'Uncovered top-searched SKU listed');
+
+  raw = await csvExport(adminToken);
+  const text = await raw.text();
+  assert(raw.status === 200 && raw.headers.get('content-type').startsWith('text/csv'), 'CSV export on Enterprise');
+  assert(/attachment; filename="benchmarks-HOM_NY01-/.test(raw.headers.get('content-disposition')), 'CSV served as a download');
+  const { headers, records } = csv.parse(text);
+  assert(headers[0] === 'sku' && headers.includes('priceIndex') && headers.includes('mostExpensive'), 'CSV columns');
+  assert(records.length === bench.comparedSkus && records[0].sku === sample.sku, 'CSV rows match the benchmarks');
+
+  // The owner hasn't claimed the store yet (Dashboard tests): the plan alone doesn't open the report
+  res = await request('GET', `/monetization/b2b/insights/${testStoreId}`, null, storeOwnerToken);
+  raw = await csvExport(storeOwnerToken);
+  assert(res.status === 403 && raw.status === 403, 'Insights and CSV export limited to claimed stores');
+
+  await request('POST', '/monetization/b2b/subscribe', { storeId: testStoreId, planId: 'professional' }, storeOwnerToken);
+}
+
 async function testB2BBilling() {
   console.log('\n🧾 B2B Billing');
   let res = await request('GET', `/monetization/b2b/billing/${testStoreId}`, null, storeOwnerToken);
@@ -294,6 +1540,66 @@ async function testConsumerSubscription() {
   assert(res.status === 401, 'Unauthenticated rejected');
 }
 
+async function testPriceWatches() {
+  console.log('\n🔔 Price Watches');
+  const db = require('../backend/models/database');
+  let res = await request('POST', '/inventory', {
+    storeId: testStoreId, productSku: 'TST-PW-001', productName: 'Watched Widget',
+    category: 'hardware', price: 30, quantity: 5
+  }, storeOwnerToken);
+  const itemId = res.data.item.id;
+  const alerts = async () => (await request('GET', '/notifications?type=price_alert&limit=50', null, customerToken)).data.notifications;
+  const change = async body => {
+    await request('PUT', `/inventory/${itemId}`, body, storeOwnerToken);
+    db.priceWatch.flush();
+  };
+
+  res = await request('POST', '/watches', { sku: 'TST-PW-001', condition: 'target_price', targetPrice: 25 }, customerToken);
+  assert(res.status === 201 && res.data.current.price === 30 && !res.data.current.conditionMet, 'Target-price watch primed with current price');
+  const targetId = res.data.watch.id;
+  await request('POST', '/watches', { sku: 'TST-PW-001', condition: 'any_drop' }, customerToken);
+  await request('POST', '/watches', { sku: 'TST-PW-001', condition: 'back_in_stock' }, customerToken);
+
+  await change({ price: 28 });
+  let list = await alerts();
+  assert(list.length === 1 && list[0].title.startsWith('Price drop'), 'Any-drop watch fires on a drop');
+
+  await change({ price: 24 });
+  list = await alerts();
+  assert(list.length === 3 && list.some(n => n.title.startsWith('Price alert')), 'Target watch fires when price reaches target');
+
+  await change({ price: 22 });
+  assert((await alerts()).length === 4, 'Target watch does not re-fire while still met');
+
+  await change({ quantity: 0 });
+  await change({ quantity: 5 });
+  list = await alerts();
+  assert(list.some(n => n.title.startsWith('Back in stock')), 'Back-in-stock watch fires on restock');
+  assert(list.filter(n => n.title.startsWith('Price alert')).length === 2, 'Target watch re-arms after selling out');
+
+  res = await request('PUT', `/watches/${targetId}`, { status: 'paused' }, customerToken);
+  assert(res.status === 200 && res.data.watch.status === 'paused', 'Watch paused');
+  res = await request('PUT', `/watches/${targetId}`, { radius: 5 }, customerToken);
+  assert(res.status === 400, 'Radius rejected on watch without location');
+
+  res = await request('POST', '/watches', { query: 'cordless drill', condition: 'any_drop', lat: 40.6892, lng: -73.9857, radius: 10 }, customerToken);
+  assert(res.status === 201 && typeof res.data.current.price === 'number', 'Query watch near a location');
+
+  res = await request('POST', '/watches', { sku: 'TST-PW-001', condition: 'any_drop' }, storeOwnerToken);
+  assert(res.status === 403 && res.data.upgrade, 'Free plan gated from price alerts');
+  res = await request('POST', '/watches', { condition: 'target_price', sku: 'TST-PW-001' }, customerToken);
+  assert(res.status === 400, 'Target price required');
+  res = await request('POST', '/watches', { condition: 'any_drop' }, customerToken);
+  assert(res.status === 400, 'SKU or query required');
+  res = await request('POST', '/watches', { sku: 'NO-SUCH-SKU', condition: 'any_drop' }, customerToken);
+  assert(res.status === 404, 'Unknown SKU rejected');
+
+  res = await request('GET', '/watches', null, customerToken);
+  assert(res.status === 200 && res.data.watches.length === 4 && res.data.plan.priceDropAlerts, 'List watches');
+  res = await request('DELETE', `/watches/${targetId}`, null, customerToken);
+  assert(res.status === 200, 'Delete watch');
+}
+
 async function testFeeCalculator() {
   console.log('\n🧮 Fee Calculator');
   // Free user (no auth)
@@ -315,6 +1621,67 @@ async function testFeeCalculator() {
   assert(res.status === 400, 'Negative subtotal rejected');
 }
 
+async function testSalesTax() {
+  console.log('\n🧾 Sales Tax');
+  const db = require('../backend/models/database');
+  const tax = require('../backend/services/tax');
+
+  assert(tax.jurisdictionFor({ state: 'NY', city: 'Brooklyn' }).rate === 0.08875, 'Brooklyn: state + NYC = 8.875%');
+  const chicago = tax.jurisdictionFor({ state: 'IL', city: 'Chicago' });
+  assert(chicago.rate === 0.1025 && chicago.code === 'IL/Cook/Chicago', 'Chicago resolves state, county and city');
+  assert(tax.jurisdictionFor({ state: 'OR', city: 'Portland' }).rate === 0, 'Portland has no sales tax');
+  assert(tax.jurisdictionFor({ state: 'TX', city: 'Nowhere' }).rate === 0.0625, 'Unknown city taxed at state rate');
+  assert(tax.jurisdictionFor({ state: 'ZZ', city: 'Nowhere' }).known === false, 'Unknown state flagged');
+
+  const ny = tax.jurisdictionFor({ state: 'NY', city: 'New York' });
+  const rate = (line, j = ny) => tax.lineRate({ price: 10, ...line }, j).rate;
+  assert(rate({ category: 'groceries', retailer: 'wholefoods' }) === 0, 'Groceries exempt in NY');
+  assert(rate({ category: 'health', retailer: 'cvs' }) === 0, 'Pharmacy items exempt at CVS');
+  assert(rate({ category: 'health', retailer: 'costco' }) === 0.08875, 'Health items taxed outside pharmacies');
+  assert(rate({ category: 'clothing', retailer: 'target', price: 150 }) === 0.08875 && rate({ category: 'clothing', retailer: 'target' }) === 0, 'NY clothing exempt only under $110');
+  assert(rate({ category: 'groceries', retailer: 'traderjoes' }, chicago) === 0.01, 'Chicago groceries at the reduced 1%');
+  assert(rate({ category: 'groceries', retailer: 'wholefoods' }, tax.jurisdictionFor({ state: 'GA', city: 'Atlanta' })) === 0.049, 'Atlanta groceries pay local tax only');
+
+  let res = await request('POST', '/monetization/consumer/calculate-fees', { subtotal: 50, fulfillment: 'pickup' });
+  assert(res.data.breakdown.tax === 4.44 && res.data.taxes[0].jurisdiction === 'NY/Kings/Brooklyn', 'Bare subtotal taxed at the default location');
+  const chicagoStore = db.getAllStores().find(s => s.city === 'Chicago');
+  res = await request('POST', '/monetization/consumer/calculate-fees', { subtotal: 100, storeId: chicagoStore.storeId, fulfillment: 'pickup' });
+  assert(res.data.breakdown.tax === 10.25, 'Subtotal taxed at the chosen store');
+  res = await request('POST', '/monetization/consumer/calculate-fees', { subtotal: 100, storeId: 'NOPE_00' });
+  assert(res.status === 404, 'Unknown store rejected');
+
+  // A grocery line and a taxable line from one store, plus a line elsewhere
+  const store = db.getAllStores().find(s => s.retailer === 'target' && s.city === 'Brooklyn');
+  const pick = (storeId, test) => db.inventory.find(i => i.storeId === storeId && test(i) && db.reservation.available(i) > 2);
+  const grocery = pick(store.storeId, i => i.category === 'groceries');
+  const taxable = pick(store.storeId, i => i.category === 'electronics');
+  const elsewhere = pick(chicagoStore.storeId, i => i.category === 'hardware');
+  const items = [{ inventoryId: grocery.id, quantity: 2 }, { inventoryId: taxable.id, quantity: 1 }, { inventoryId: elsewhere.id, quantity: 1 }];
+
+  res = await request('POST', '/monetization/consumer/calculate-fees', { items, fulfillment: 'pickup' });
+  const preview = res.data;
+  const nyTax = parseFloat((taxable.price * 0.08875).toFixed(2));
+  const ilTax = parseFloat((elsewhere.price * 0.1025).toFixed(2));
+  assert(preview.taxes.length === 2 && preview.taxes.find(t => t.storeId === store.storeId).tax === nyTax, 'Preview taxes each store on its taxable lines');
+  assert(preview.breakdown.tax === parseFloat((nyTax + ilTax).toFixed(2)), 'Preview tax sums the stores');
+
+  res = await request('POST', '/orders', { items, fulfillment: 'pickup' }, customerToken);
+  const order = res.data.order;
+  assert(res.status === 201 && order.tax === preview.breakdown.tax && order.subtotal === preview.breakdown.subtotal, 'Order tax matches the preview');
+  const nySub = order.subOrders.find(s => s.storeId === store.storeId);
+  assert(nySub.taxJurisdiction === 'NY/Kings/Brooklyn' && nySub.items.find(l => l.inventoryId === grocery.id).tax === 0, 'Sub-order records jurisdiction and exempt line');
+  await request('POST', `/orders/${order.id}/cancel`, {}, customerToken);
+
+  res = await request('POST', '/monetization/consumer/calculate-fees', { items: [{ inventoryId: 'nope', quantity: 1 }] });
+  assert(res.status === 400, 'Unknown preview item rejected');
+  for (const quantity of [-2, 0, 1.5, 'lots']) {
+    res = await request('POST', '/monetization/consumer/calculate-fees', { items: [{ inventoryId: taxable.id, quantity }] });
+    assert(res.status === 400 && res.data.details?.[0].field === 'items[0].quantity', `Preview quantity ${JSON.stringify(quantity)} rejected`);
+  }
+  res = await request('POST', '/monetization/consumer/calculate-fees', { items: [{ inventoryId: taxable.id }], fulfillment: 'pickup' });
+  assert(res.status === 200 && res.data.breakdown.subtotal === taxable.price, 'Preview quantity defaults to 1');
+}
+
 async function testAdPlacements() {
   console.log('\n📣 Ad Placements');
   let res = await request('GET', '/monetization/consumer/ad-placements?page=search');
@@ -545,6 +1912,10 @@ async function testDashboardClaim() {
   assert(claim.data.store && claim.data.store.storeId === hdStoreId, `Claimed ${hdStoreId}`);
   testStoreId = hdStoreId;
 
+  const claimedItem = require('../backend/models/database').inventory.find(i => i.storeId === hdStoreId);
+  const history = await request('GET', `/inventory/${claimedItem.id}/history`, null, storeOwnerToken);
+  assert(history.status === 200 && history.data.storeId === hdStoreId, 'Claimed store item history visible to its owner');
+
   // Duplicate claim rejected
   const dup = await request('POST', '/dashboard/claim-store', { storeId: hdStoreId }, storeOwnerToken);
   assert(dup.status === 400, 'Duplicate claim rejected');
@@ -693,7 +2064,7 @@ async function testDashboardOrders() {
     const order = await request('POST', '/orders', {
       items: [{ inventoryId: firstItem.id, quantity: 1 }],
       fulfillment: 'delivery',
-      deliveryAddress: '123 Test St, Brooklyn, NY',
+      deliveryAddress: { street: '123 Test St', city: 'Brooklyn', state: 'NY', zip: '11201' },
     }, customerToken);
     orderId = order.data.order?.id;
   }
@@ -703,6 +2074,7 @@ async function testDashboardOrders() {
   assert(list.status === 200, 'GET orders returns 200');
   assert(Array.isArray(list.data.orders), 'Orders is an array');
   assert(list.data.pagination, 'Pagination present');
+  assert(!orderId || list.data.orders.some(o => o.parentOrderId === orderId), 'Store sees its sub-order');
 
   // Filter by status
   const pending = await request('GET', '/dashboard/orders/' + testStoreId + '?status=pending', null, storeOwnerToken);
@@ -717,8 +2089,17 @@ async function testDashboardOrders() {
     const update2 = await request('PUT', `/dashboard/orders/${testStoreId}/${orderId}/status`, { status: 'preparing' }, storeOwnerToken);
     assert(update2.status === 200, 'Update to preparing');
 
+    const skip = await request('PUT', `/dashboard/orders/${testStoreId}/${orderId}/status`, { status: 'delivered' }, storeOwnerToken);
+    assert(skip.status === 409 && skip.data.allowed.includes('ready'), 'Skipping ahead to delivered rejected');
+
+    for (const status of ['ready', 'out_for_delivery']) {
+      await request('PUT', `/dashboard/orders/${testStoreId}/${orderId}/status`, { status }, storeOwnerToken);
+    }
     const update3 = await request('PUT', `/dashboard/orders/${testStoreId}/${orderId}/status`, { status: 'delivered' }, storeOwnerToken);
-    assert(update3.status === 200, 'Update to delivered');
+    assert(update3.status === 200 && update3.data.parentStatus === 'delivered', 'Update to delivered');
+
+    const back = await request('PUT', `/dashboard/orders/${testStoreId}/${orderId}/status`, { status: 'pending' }, storeOwnerToken);
+    assert(back.status === 409, 'Delivered order cannot go back to pending');
 
     // Invalid status
     const badStatus = await request('PUT', `/dashboard/orders/${testStoreId}/${orderId}/status`, { status: 'flying' }, storeOwnerToken);
@@ -758,6 +2139,85 @@ async function testDashboardAnalytics() {
   assert(d.summary.inventoryValue > 0, `Summary: $${d.summary.inventoryValue} value`);
 }
 
+async function testDemandForecast() {
+  console.log('\n🔮 Dashboard: Demand Forecast');
+  await request('POST', '/monetization/b2b/subscribe', { storeId: testStoreId, planId: 'professional' }, storeOwnerToken);
+  let res = await request('GET', `/dashboard/forecast/${testStoreId}`, null, storeOwnerToken);
+  assert(res.status === 403 && res.data.upgrade?.inventoryPlan === 'pro', 'Forecast needs an Inventory Pro / AI plan');
+
+  await request('POST', '/monetization/b2b/subscribe', { storeId: testStoreId, planId: 'professional', inventoryPlanId: 'pro' }, storeOwnerToken);
+  res = await request('GET', `/dashboard/forecast/${testStoreId}`, null, storeOwnerToken);
+  assert(res.status === 200 && res.data.inventoryPlan === 'pro', 'Forecast on Inventory Pro');
+  assert(res.data.items.length === res.data.summary.skus && res.data.items.length > 0, 'Every store SKU forecast');
+  assert(res.data.items.every(f => f.forecast.length === 14), 'Default 14-day horizon');
+
+  // New item; a stock count then shows 6 sold in store
+  const added = await request('POST', `/dashboard/inventory/${testStoreId}/add`,
+    { productName: 'Forecast Test Widget', productSku: 'TST-FC-001', price: 9.99, quantity: 20, category: 'hardware' }, storeOwnerToken);
+  const itemId = added.data.item.id;
+  await request('PUT', `/dashboard/inventory/${testStoreId}/${itemId}`, { quantity: 14 }, storeOwnerToken);
+
+  res = await request('GET', `/dashboard/forecast/${testStoreId}?sku=TST-FC-001`, null, storeOwnerToken);
+  const widget = res.data.items[0];
+  assert(res.data.items.length === 1 && widget.sku === 'TST-FC-001', 'Filter by SKU');
+  assert(widget.history.unitsSold === 6 && widget.history.days === 1, 'In-store sales from unexplained stock drops');
+  assert(widget.method === 'exponential_smoothing' && widget.forecast[0].demand === 6, 'Short history → flat smoothed forecast');
+  assert(widget.daysOfCover === 2.3, 'Days of cover = on hand / daily demand');
+  assert(widget.status === 'reorder' && widget.reorderPoint >= 18 && widget.onHand <= widget.reorderPoint, 'Below reorder point → reorder');
+  assert(widget.onHand + widget.suggestedOrderQuantity >= 6 * 10, 'Order up to lead time + review period of demand');
+
+  // Restocking is not demand
+  await request('PUT', `/dashboard/inventory/${testStoreId}/${itemId}`, { quantity: 200 }, storeOwnerToken);
+  res = await request('GET', `/dashboard/forecast/${testStoreId}?sku=TST-FC-001&horizon=7`, null, storeOwnerToken);
+  assert(res.data.items[0].history.unitsSold === 6 && res.data.items[0].status === 'ok', 'Restock adds stock, not demand');
+  assert(res.data.items[0].forecast.length === 7 && res.data.horizonDays === 7, 'Custom horizon');
+
+  res = await request('GET', `/dashboard/forecast/${testStoreId}?horizon=0`, null, storeOwnerToken);
+  assert(res.status === 400, 'Invalid horizon rejected');
+  res = await request('GET', `/dashboard/forecast/${testStoreId}`, null, customerToken);
+  assert(res.status === 403, 'Customers cannot see forecasts');
+
+  // Eight weeks of Saturday peaks → weekly seasonality
+  const forecast = require('../backend/services/forecast');
+  const now = new Date('2026-10-14T12:00:00Z'); // a Wednesday
+  const sales = [];
+  for (let d = 0; d < 56; d++) {
+    const at = new Date(now.getTime() - d * 86400000);
+    sales.push({ sku: 'S', quantity: at.getUTCDay() === 6 ? 20 : 4, at: at.toISOString() });
+  }
+  const seasonal = forecast.forecastStore({ items: [{ sku: 'S', productName: 'S', category: 'x', onHand: 30 }], sales, now }).items[0];
+  const saturday = seasonal.forecast.find(f => new Date(f.date).getUTCDay() === 6);
+  const weekday = seasonal.forecast.find(f => new Date(f.date).getUTCDay() === 1);
+  assert(seasonal.method === 'holt_winters', 'Two weeks of history → Holt-Winters');
+  assert(Math.abs(saturday.demand - 20) < 1 && Math.abs(weekday.demand - 4) < 1, 'Weekly seasonality forecast');
+
+  // Sales derivation: order lines plus stock drops no order or return explains
+  const shelf = [{ id: 'inv-a', productSku: 'A' }, { id: 'inv-b', productSku: 'B' }];
+  const derived = forecast.salesFrom({
+    inventory: shelf,
+    since: '2026-10-01T00:00:00.000Z',
+    orders: [
+      { status: 'confirmed', createdAt: '2026-10-10T10:00:00.000Z', items: [{ inventoryId: 'inv-a', quantity: 2 }, { inventoryId: 'inv-other', quantity: 9 }] },
+      { status: 'cancelled', createdAt: '2026-10-10T11:00:00.000Z', items: [{ inventoryId: 'inv-a', quantity: 5 }] },
+      { status: 'fulfilled', createdAt: '2026-09-20T10:00:00.000Z', items: [{ inventoryId: 'inv-b', quantity: 5 }] },
+    ],
+    history: [
+      { inventoryId: 'inv-b', productSku: 'B', source: 'initial', quantity: 10, previousQuantity: null, recordedAt: '2026-10-02T09:00:00.000Z' },
+      { inventoryId: 'inv-b', productSku: 'B', source: 'pos', quantity: 7, previousQuantity: 10, recordedAt: '2026-10-05T09:00:00.000Z' },
+      { inventoryId: 'inv-b', productSku: 'B', source: 'manual', quantity: 12, previousQuantity: 7, recordedAt: '2026-10-06T09:00:00.000Z' },
+      { inventoryId: 'inv-a', productSku: 'A', source: 'order', quantity: 8, previousQuantity: 10, recordedAt: '2026-10-10T10:00:00.000Z' },
+      { inventoryId: 'inv-a', productSku: 'A', source: 'return', quantity: 7, previousQuantity: 8, recordedAt: '2026-10-11T10:00:00.000Z' },
+    ],
+  });
+  assert(derived.sales.length === 2
+    && derived.sales.some(s => s.sku === 'A' && s.quantity === 2)
+    && derived.sales.some(s => s.sku === 'B' && s.quantity === 3 && s.at === '2026-10-05T09:00:00.000Z'),
+    'Sales from live order lines and unexplained stock drops only');
+  assert(derived.stockedAt.get('inv-b') === '2026-10-02T09:00:00.000Z' && !derived.stockedAt.has('inv-a'), 'First-stocked date from the initial entry');
+
+  await request('DELETE', `/dashboard/inventory/${testStoreId}/${itemId}`, null, storeOwnerToken);
+}
+
 async function testPortalServed() {
   console.log('\n🌐 Dashboard: Portal HTML');
   const res = await fetch('http://localhost:3001/portal');
@@ -1034,6 +2494,96 @@ async function testWebhook() {
   assert(fail.status === 200, 'Payment failed webhook OK');
 }
 
+async function testOrderPayments() {
+  console.log('\n🧾 Payments: Order Checkout');
+  const db = require('../backend/models/database');
+  const stripeMock = require('../backend/services/stripe')._mock;
+  const item = db.inventory.find(i => i.storeId === testStoreId && i.inStock && i.quantity > 5 && !db.reservation.held(i.id));
+  const place = async () => (await request('POST', '/orders', {
+    items: [{ inventoryId: item.id, quantity: 2 }], fulfillment: 'delivery', deliveryAddress: { street: '1 Main St', city: 'Brooklyn', zip: '11201' },
+  }, customerToken)).data.order;
+  const onHand = item.quantity;
+
+  let order = await place();
+  let res = await request('POST', `/payments/orders/${order.id}/checkout`, {}, customerToken);
+  assert(res.status === 200 && res.data.url && res.data.sessionId, 'Hosted checkout session for an order');
+  assert(res.data.amount === order.total, 'Checkout charges the order total');
+  const session = stripeMock.mockSessions[res.data.sessionId];
+  assert(session.mode === 'payment' && session.line_items.some(l => l.name === 'Delivery fee') && session.amount_total === Math.round(order.total * 100), 'Line items cover products, delivery and tax');
+  assert(new Date(res.data.holdExpiresAt) - Date.now() > 25 * 60000, 'Starting payment extends the stock hold');
+  assert(session.expires_at * 1000 - Date.now() > 30 * 60000, 'Checkout expiry clears Stripe\'s 30-minute minimum');
+  assert(new Date(res.data.holdExpiresAt).getTime() >= session.expires_at * 1000 - 1000, 'Hold lasts as long as the Checkout session');
+
+  res = await request('POST', `/payments/orders/${order.id}/checkout`, {}, storeOwnerToken);
+  assert(res.status === 404, 'Only the customer can pay for their order');
+
+  const intentId = db.orders.find(o => o.id === order.id).stripePaymentIntentId;
+  await webhook('payment_intent.succeeded', { id: intentId, object: 'payment_intent', amount: session.amount_total, amount_received: session.amount_total, metadata: { orderId: order.id } });
+  let parent = db.orders.find(o => o.id === order.id);
+  assert(parent.paymentStatus === 'paid' && parent.amountPaid === order.total && parent.paidAt, 'payment_intent.succeeded marks the order paid');
+  assert(item.quantity === onHand - 2 && db.reservation.held(item.id) === 0, 'Payment commits the held stock');
+  res = await request('POST', `/payments/orders/${order.id}/checkout`, {}, customerToken);
+  assert(res.status === 409, 'Paid order cannot be paid again');
+
+  await webhook('charge.refunded', { id: 'ch_partial', object: 'charge', payment_intent: intentId, amount: session.amount_total, amount_refunded: 500, refunded: false });
+  assert(parent.paymentStatus === 'partially_refunded' && parent.amountRefunded === 5, 'Partial refund recorded');
+  await webhook('charge.refunded', { id: 'ch_full', object: 'charge', payment_intent: intentId, amount: session.amount_total, amount_refunded: session.amount_total, refunded: true });
+  assert(parent.paymentStatus === 'refunded' && parent.status === 'cancelled' && item.quantity === onHand, 'Full refund cancels the order and restocks');
+
+  order = await place();
+  res = await request('POST', `/payments/orders/${order.id}/checkout`, { method: 'payment_intent' }, customerToken);
+  assert(res.status === 200 && res.data.clientSecret && res.data.paymentIntentId.startsWith('pi_'), 'PaymentIntent with client secret');
+  const again = await request('POST', `/payments/orders/${order.id}/checkout`, { method: 'payment_intent' }, customerToken);
+  assert(again.data.paymentIntentId === res.data.paymentIntentId, 'PaymentIntent reused on retry');
+  await webhook('payment_intent.payment_failed', { id: res.data.paymentIntentId, object: 'payment_intent', metadata: {}, last_payment_error: { message: 'Your card was declined.' } });
+  parent = db.orders.find(o => o.id === order.id);
+  assert(parent.paymentStatus === 'failed' && parent.paymentError === 'Your card was declined.' && parent.status === 'cancelled', 'payment_intent.payment_failed cancels the order');
+  assert(db.reservation.available(item) === item.quantity, 'Failed payment releases the hold');
+  assert(stripeMock.mockPaymentIntents[res.data.paymentIntentId].status === 'canceled', 'Failed payment cancels the PaymentIntent');
+
+  res = await request('POST', `/payments/orders/${order.id}/checkout`, {}, customerToken);
+  assert(res.status === 409, 'Cancelled order cannot be paid');
+  res = await request('POST', `/payments/orders/${order.id}/checkout`, { method: 'cash' }, customerToken);
+  assert(res.status === 400, 'Unknown payment method rejected');
+
+  // A store's cancelled sub-order is left off the charge
+  const other = db.inventory.find(i => i.storeId !== testStoreId && i.inStock && i.quantity > 5 && !db.reservation.held(i.id));
+  order = (await request('POST', '/orders', {
+    items: [{ inventoryId: item.id, quantity: 1 }, { inventoryId: other.id, quantity: 1 }], fulfillment: 'pickup',
+  }, customerToken)).data.order;
+  const [kept, dropped] = order.subOrders[0].storeId === testStoreId ? order.subOrders : [...order.subOrders].reverse();
+  await request('POST', `/orders/${dropped.id}/cancel`, {}, customerToken);
+  res = await request('POST', `/payments/orders/${order.id}/checkout`, {}, customerToken);
+  const partial = stripeMock.mockSessions[res.data.sessionId];
+  assert(res.data.amount === kept.total && partial.amount_total === Math.round(kept.total * 100), 'Checkout charges only sub-orders still open');
+  assert(partial.line_items.filter(l => l.name !== 'Sales tax').length === kept.items.length, 'Cancelled store\'s lines left off the session');
+  const keptIntent = partial.payment_intent;
+  await webhook('payment_intent.succeeded', { id: keptIntent, object: 'payment_intent', amount: partial.amount_total, amount_received: partial.amount_total, metadata: { orderId: order.id } });
+  parent = db.orders.find(o => o.id === order.id);
+  const droppedSub = db.orders.find(o => o.id === dropped.id);
+  assert(parent.paymentStatus === 'paid' && !parent.amountRefunded && droppedSub.refundStatus === 'not_charged', 'Sub-order cancelled before payment is not refunded');
+
+  // A paid sub-order the customer cancels is refunded on its own key
+  await request('POST', `/orders/${kept.id}/cancel`, {}, customerToken);
+  await new Promise(resolve => setImmediate(resolve));
+  const keptSub = db.orders.find(o => o.id === kept.id);
+  const keptRefund = stripeMock.mockRefunds[keptSub.stripeRefundId];
+  assert(keptSub.refundStatus === 'succeeded' && keptRefund?.amount === Math.round(kept.total * 100) && keptRefund.payment_intent === keptIntent, 'Cancelling a paid sub-order refunds its total');
+  assert(parent.amountRefunded === kept.total && parent.paymentStatus === 'refunded', 'Refund recorded on the order');
+
+  // Payment landing after the order was cancelled is given back
+  order = await place();
+  res = await request('POST', `/payments/orders/${order.id}/checkout`, { method: 'payment_intent' }, customerToken);
+  const lateIntent = res.data.paymentIntentId;
+  await request('POST', `/orders/${order.id}/cancel`, {}, customerToken);
+  await webhook('payment_intent.succeeded', { id: lateIntent, object: 'payment_intent', amount: Math.round(order.total * 100), amount_received: Math.round(order.total * 100), metadata: { orderId: order.id } });
+  parent = db.orders.find(o => o.id === order.id);
+  assert(parent.status === 'cancelled' && parent.paymentStatus === 'refunded' && parent.amountRefunded === order.total, 'Payment on a cancelled order refunded in full');
+  assert(Object.values(stripeMock.mockRefunds).filter(r => r.payment_intent === lateIntent).length === 1, 'One refund per cancelled sub-order');
+  await webhook('payment_intent.succeeded', { id: lateIntent, object: 'payment_intent', amount: Math.round(order.total * 100), amount_received: Math.round(order.total * 100), metadata: { orderId: order.id } });
+  assert(Object.values(stripeMock.mockRefunds).filter(r => r.payment_intent === lateIntent).length === 1, 'Redelivered payment event does not refund twice');
+}
+
 async function testPaymentDocs() {
   console.log('\n📚 Payments: Documentation');
 
@@ -1065,18 +2615,29 @@ async function runAll() {
     await testAuth();
     await testSearch();
     await testStores();
+    await testStoreIndex();
+    await testRouting();
+    await testStoreHours();
     await testInventory();
+    await testPriceHistory();
+    await testSearchIndex();
+    await testQueryUnderstanding();
+    await testSearchFacets();
+    await testBasketOptimizer();
     await testOrders();
     await testNotifications();
     await testB2BPlans();
     await testB2BSubscription();
     await testB2BPromotions();
     await testB2BInsights();
+    await testCompetitorBenchmarks();
     await testB2BBilling();
     await testB2BCancellation();
     await testConsumerPlans();
     await testConsumerSubscription();
+    await testPriceWatches();
     await testFeeCalculator();
+    await testSalesTax();
     await testAdPlacements();
     await testConsumerCancel();
     await testScraper();
@@ -1086,7 +2647,19 @@ async function runAll() {
     await testDashboardOverview();
     await testDashboardInventoryMgmt();
     await testDashboardOrders();
+    await testOrderLifecycle();
+    await testReservations();
+    await testPayouts();
+    await testReturns();
+    await testDispatch();
+    await testSlots();
+    await testRealtime();
+    await testNotificationChannels();
+    await testNotificationTemplates();
+    await testAffiliateAttribution();
+    await testAnalytics();
     await testDashboardAnalytics();
+    await testDemandForecast();
     await testPortalServed();
     await testPaymentConfig();
     await testPaymentCustomer();
@@ -1097,6 +2670,7 @@ async function runAll() {
     await testPaymentMethods();
     await testInvoices();
     await testWebhook();
+    await testOrderPayments();
     await testPaymentDocs();
   } catch (err) {
     console.error('\n💥 Error:', err.message, err.stack);
@@ -1108,6 +2682,7 @@ async function runAll() {
   console.log('╚═══════════════════════════════════════════════════════╝');
 
   server.close();
+  require('fs').rmSync(process.env.NOTIFY_OUTBOX_DIR, { recursive: true, force: true });
   process.exit(failed > 0 ? 1 : 0);
 }
 